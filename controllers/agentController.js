@@ -1,7 +1,7 @@
 // controllers/agentController.js
 import Joi from "joi";
 import bcrypt from "bcryptjs";
-import Agent from "../models/Agent.js";
+import User from "../models/User.js";
 import generateToken from "../utils/generateToken.js";
 import { getCompanyModels } from "../utils/dbManager.js";
 
@@ -59,10 +59,13 @@ export const registerAgent = async (req, res) => {
       });
     }
 
-    // Single-tenant: no company filtering
-    const query = { email: value.email };
+    // Single-tenant: no company filtering. Emails are unique across all staff.
+    const query = { email: value.email.toLowerCase().trim() };
 
-    let agent = await Agent.findOne(query).select("+passwordHash");
+    let agent = await User.findOne(query).select("+passwordHash");
+    if (agent && agent.role !== "agent") {
+      return res.status(409).json({ message: "Email already belongs to a non-agent user" });
+    }
     if (agent) {
       if (value.upsert) {
         agent.name = value.name ?? agent.name;
@@ -82,7 +85,7 @@ export const registerAgent = async (req, res) => {
     }
 
     const passwordHash = await bcrypt.hash(value.password, 12);
-    agent = await Agent.create({
+    agent = await User.create({
       name: value.name,
       email: value.email,
       phone: value.phone || undefined,
@@ -118,7 +121,7 @@ export const loginAgent = async (req, res) => {
     }
 
     // limit to role=agent (change if you want admins to use this too)
-    const agent = await Agent.findOne({ email: value.email, role: "agent" }).select("+passwordHash");
+    const agent = await User.findOne({ email: value.email.toLowerCase().trim(), role: "agent" }).select("+passwordHash");
     if (!agent) return res.status(401).json({ message: "Invalid email or password" });
 
     const ok = await bcrypt.compare(value.password, agent.passwordHash);
@@ -138,7 +141,7 @@ export const loginAgent = async (req, res) => {
 export const getAgents = async (req, res) => {
   try {
     // Single-tenant: no company filtering
-    const agents = await Agent.find({})
+    const agents = await User.find({ role: "agent" })
       .select("_id name email role phone username department monthlyTarget commissionRate createdAt updatedAt")
       .sort({ createdAt: -1 })
       .lean();
@@ -154,7 +157,7 @@ export const getAgentById = async (req, res) => {
   try {
     const { id } = req.params;
     // Single-tenant: no company filtering
-    const agent = await Agent.findById(id)
+    const agent = await User.findOne({ _id: id, role: "agent" })
       .select("_id name email role phone username department monthlyTarget commissionRate createdAt updatedAt")
       .lean();
 
@@ -177,7 +180,7 @@ export const updateAgent = async (req, res) => {
     }
 
     // Single-tenant: no company filtering
-    const agent = await Agent.findById(id).select("+passwordHash");
+    const agent = await User.findOne({ _id: id, role: "agent" }).select("+passwordHash");
     if (!agent) return res.status(404).json({ message: "Agent not found" });
 
     // Only admin or the agent himself can update
@@ -208,7 +211,7 @@ export const deleteAgent = async (req, res) => {
   try {
     const { id } = req.params;
     // Single-tenant: no company filtering
-    const agent = await Agent.findById(id);
+    const agent = await User.findOne({ _id: id, role: "agent" });
     if (!agent) return res.status(404).json({ message: "Agent not found" });
 
     await agent.deleteOne(); // remove() is deprecated
@@ -226,7 +229,7 @@ export const getAgentPerformance = async (req, res) => {
     const Booking = (await import("../models/Booking.js")).default;
 
     const { start, end } = req.query; // optional ISO strings
-    const match = {};
+    const match = { deletedAt: null }; // aggregate bypasses the soft-delete query hook
     if (start || end) {
       match.createdAt = {};
       if (start) match.createdAt.$gte = new Date(start);
@@ -238,26 +241,18 @@ export const getAgentPerformance = async (req, res) => {
       {
         $project: {
           agent: 1,
-          // Calculate profit: use costing.totals.profit if available and > 0, otherwise calculate as totalSale - totalCost
+          // costing.totals is computed server-side (utils/costing.js); bookings
+          // saved before that may lack profit, so derive it from sale - cost
           profit: {
-            $cond: {
-              if: { 
-                $and: [
-                  { $ne: [{ $ifNull: ["$costing.totals.profit", null] }, null] },
-                  { $gt: [{ $ifNull: ["$costing.totals.profit", 0] }, 0] }
-                ]
+            $ifNull: [
+              "$costing.totals.profit",
+              {
+                $subtract: [
+                  { $ifNull: ["$costing.totals.totalSale", { $ifNull: ["$totalAmount", 0] }] },
+                  { $ifNull: ["$costing.totals.totalCost", 0] },
+                ],
               },
-              then: { $ifNull: ["$costing.totals.profit", 0] },
-              else: {
-                $let: {
-                  vars: {
-                    totalSale: { $ifNull: ["$costing.totals.totalSale", { $ifNull: ["$totalAmount", 0] }] },
-                    totalCost: { $ifNull: ["$costing.totals.totalCost", 0] }
-                  },
-                  in: { $subtract: ["$$totalSale", "$$totalCost"] }
-                }
-              }
-            }
+            ],
           }
         }
       },
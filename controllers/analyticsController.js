@@ -15,9 +15,35 @@ export const getAdminAnalytics = async (req, res) => {
 
     // Group bookings by status
     const bookingStats = await Booking.aggregate([
+      { $match: { deletedAt: null } },
       { $group: { _id: "$status", count: { $sum: 1 } } }
     ]);
 
+    // Money collected / outstanding, read from the payments ledger totals.
+    // Bookings not saved since the ledger was added fall back to paymentReceived.
+    const [paymentTotals = {}] = await Booking.aggregate([
+      { $match: { deletedAt: null } },
+      {
+        $project: {
+          total: {
+            $ifNull: ["$ledgerTotals.total", { $ifNull: ["$costing.totals.totalSale", { $ifNull: ["$totalAmount", 0] }] }],
+          },
+          netPaid: { $ifNull: ["$ledgerTotals.netPaid", { $ifNull: ["$paymentReceived.amount", 0] }] },
+          refunded: { $ifNull: ["$ledgerTotals.refunded", 0] },
+        },
+      },
+      {
+        $group: {
+          _id: null,
+          totalBilled: { $sum: "$total" },
+          collected: { $sum: "$netPaid" },
+          refunded: { $sum: "$refunded" },
+          outstanding: { $sum: { $max: [{ $subtract: ["$total", "$netPaid"] }, 0] } },
+        },
+      },
+      { $project: { _id: 0 } },
+    ]);
+
     // Group inquiries by status
     const inquiryStats = await Inquiry.aggregate([
       { $group: { _id: "$status", count: { $sum: 1 } } }
@@ -35,6 +61,12 @@ export const getAdminAnalytics = async (req, res) => {
         totalAgents,
         bookingStats,
         inquiryStats,
+        payments: {
+          totalBilled: paymentTotals.totalBilled || 0,
+          collected: paymentTotals.collected || 0,
+          refunded: paymentTotals.refunded || 0,
+          outstanding: paymentTotals.outstanding || 0,
+        },
         recentBookings,
         recentInquiries
       }
@@ -0,0 +1,205 @@
+// controllers/assignmentController.js
+import mongoose from "mongoose";
+import AssignmentRule, { ASSIGNMENT_FALLBACKS, ASSIGNMENT_STRATEGIES } from "../models/AssignmentRule.js";
+import AssignmentLog from "../models/AssignmentLog.js";
+import Inquiry from "../models/Inquiry.js";
+import { autoAssignInquiry, chooseAgent } from "../utils/inquiryAssignment.js";
+
+const toList = (value) =>
+  value === undefined
+    ? undefined
+    : [].concat(value).map((v) => String(v).trim()).filter(Boolean);
+
+// Whitelisted rule fields from the body; throws a 400-style message on bad values
+const ruleInput = (body = {}) => {
+  const input = {};
+  ["name", "department"].forEach((k) => body[k] !== undefined && (input[k] = String(body[k]).trim()));
+  if (body.enabled !== undefined) input.enabled = body.enabled === true || body.enabled === "true";
+  if (body.priority !== undefined) {
+    input.priority = Number(body.priority);
+    if (!Number.isFinite(input.priority)) throw new Error("priority must be a number");
+  }
+  if (body.strategy !== undefined) {
+    if (!ASSIGNMENT_STRATEGIES.includes(body.strategy)) {
+      throw new Error(`strategy must be one of ${ASSIGNMENT_STRATEGIES.join(", ")}`);
+    }
+    input.strategy = body.strategy;
+  }
+  if (body.fallback !== undefined) {
+    if (!ASSIGNMENT_FALLBACKS.includes(body.fallback)) {
+      throw new Error(`fallback must be one of ${ASSIGNMENT_FALLBACKS.join(", ")}`);
+    }
+    input.fallback = body.fallback;
+  }
+  if (body.agents !== undefined) {
+    input.agents = toList(body.agents);
+    if (!input.agents.every((id) => mongoose.Types.ObjectId.isValid(id))) throw new Error("agents must be user ids");
+  }
+  if (body.match !== undefined) {
+    const m = body.match || {};
+    input.match = { packageNames: toList(m.packageNames) || [], sources: toList(m.sources) || [], keywords: toList(m.keywords) || [] };
+  }
+  return input;
+};
+
+/**
+ * @desc    Auto-assignment rules in evaluation order
+ * @route   GET /api/inquiries/assignment-rules
+ * @access  Private/Admin
+ */
+export const getAssignmentRules = async (req, res) => {
+  try {
+    const rules = await AssignmentRule.find().sort({ priority: 1, createdAt: 1 }).populate("agents", "name email department");
+    res.json({ success: true, data: rules, defaultStrategy: process.env.INQUIRY_AUTO_ASSIGN || null });
+  } catch (error) {
+    console.error("getAssignmentRules error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * @desc    Create a rule. Body: { name, priority?, enabled?, match?: { packageNames, sources,
+ *          keywords }, department?, agents?, strategy?, fallback? }
+ * @route   POST /api/inquiries/assignment-rules
+ * @access  Private/Admin
+ */
+export const createAssignmentRule = async (req, res) => {
+  try {
+    let input;
+    try {
+      input = ruleInput(req.body);
+    } catch (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    if (!input.name) return res.status(400).json({ success: false, message: "name is required" });
+
+    const rule = await AssignmentRule.create({ ...input, updatedBy: req.user._id });
+    res.status(201).json({ success: true, data: rule });
+  } catch (error) {
+    console.error("createAssignmentRule error:", error);
+    res.status(error.name === "ValidationError" ? 400 : 500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * @desc    Update a rule (same body as create, all optional)
+ * @route   PUT /api/inquiries/assignment-rules/:ruleId
+ * @access  Private/Admin
+ */
+export const updateAssignmentRule = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.ruleId)) {
+      return res.status(404).json({ success: false, message: "Rule not found" });
+    }
+    let input;
+    try {
+      input = ruleInput(req.body);
+    } catch (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    if (input.name === "") return res.status(400).json({ success: false, message: "name cannot be empty" });
+
+    const rule = await AssignmentRule.findByIdAndUpdate(
+      req.params.ruleId,
+      { $set: { ...input, updatedBy: req.user._id } },
+      { new: true, runValidators: true }
+    );
+    if (!rule) return res.status(404).json({ success: false, message: "Rule not found" });
+    res.json({ success: true, data: rule });
+  } catch (error) {
+    console.error("updateAssignmentRule error:", error);
+    res.status(error.name === "ValidationError" ? 400 : 500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * @desc    Delete a rule
+ * @route   DELETE /api/inquiries/assignment-rules/:ruleId
+ * @access  Private/Admin
+ */
+export const deleteAssignmentRule = async (req, res) => {
+  try {
+    const rule = mongoose.Types.ObjectId.isValid(req.params.ruleId)
+      ? await AssignmentRule.findByIdAndDelete(req.params.ruleId)
+      : null;
+    if (!rule) return res.status(404).json({ success: false, message: "Rule not found" });
+    res.json({ success: true, message: "Rule deleted" });
+  } catch (error) {
+    console.error("deleteAssignmentRule error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * @desc    Assignment audit trail, newest first
+ * @route   GET /api/inquiries/assignment-log
+ * @access  Private/Admin
+ *
+ * Query: inquiry, agent, trigger, limit (default 50, max 200)
+ */
+export const getAssignmentLog = async (req, res) => {
+  try {
+    const filter = {};
+    ["inquiry", "agent"].forEach((k) => {
+      if (req.query[k] && mongoose.Types.ObjectId.isValid(req.query[k])) filter[k] = req.query[k];
+    });
+    if (req.query.trigger) filter.trigger = String(req.query.trigger);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    const data = await AssignmentLog.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .populate("agent", "name email")
+      .populate("actor", "name email")
+      .lean();
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error("getAssignmentLog error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * @desc    Run the assignment rules for an unassigned inquiry now.
+ *          ?dryRun=true only reports who would be picked and why.
+ * @route   POST /api/inquiries/:id/auto-assign
+ * @access  Private/Admin
+ */
+export const autoAssignNow = async (req, res) => {
+  try {
+    let inquiry = null;
+    if (mongoose.Types.ObjectId.isValid(req.params.id) && req.params.id.length === 24) {
+      inquiry = await Inquiry.findById(req.params.id);
+    }
+    if (!inquiry) inquiry = await Inquiry.findOne({ externalId: req.params.id });
+    if (!inquiry) return res.status(404).json({ success: false, message: "Inquiry not found" });
+
+    if (req.query.dryRun === "true") {
+      const decision = await chooseAgent(inquiry);
+      return res.json({
+        success: true,
+        data: decision && {
+          agent: decision.agent && { _id: decision.agent._id, name: decision.agent.name },
+          rule: decision.rule && { _id: decision.rule._id, name: decision.rule.name },
+          strategy: decision.strategy,
+          fallback: decision.fallback,
+          reason: decision.reason,
+        },
+      });
+    }
+
+    if (inquiry.assignedAgent) {
+      return res.status(409).json({ success: false, message: "Inquiry is already assigned" });
+    }
+
+    const result = await autoAssignInquiry(inquiry, { trigger: "auto" });
+    if (!result) {
+      return res.status(422).json({ success: false, message: "No assignment rule or default strategy applies" });
+    }
+    await result.inquiry.populate("assignedAgent", "name email");
+    res.json({ success: true, data: result.inquiry, log: result.log });
+  } catch (error) {
+    console.error("autoAssignNow error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
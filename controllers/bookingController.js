@@ -1,7 +1,29 @@
 // controllers/bookingController.js
 
+import mongoose from "mongoose";
 import PDFDocument from "pdfkit";
 import Booking from "../models/Booking.js";
+import {
+  buildBookingFilter,
+  parseListOptions,
+  paginateBookings,
+} from "../utils/bookingQuery.js";
+import { buildCardFromInput, discardNewCard, hasCardInput, maskCard } from "../utils/cardData.js";
+import { diffBooking, recordBookingHistory } from "../utils/bookingHistory.js";
+import BookingHistory from "../models/BookingHistory.js";
+import Group from "../models/Group.js";
+import { ledgerEntries, summarizeLedger } from "../utils/paymentLedger.js";
+import { applyInstallmentPlan, describeSchedule } from "../utils/installmentPlan.js";
+import { prepareCosting } from "../utils/costing.js";
+import { allowedTransitions, stateOf, transitionBooking } from "../utils/bookingLifecycle.js";
+import { loadBookingForUser } from "../utils/bookingAccess.js";
+import { emitBookingWebhook } from "../utils/webhookOutbox.js";
+import { quotePackage } from "../utils/packageQuote.js";
+import { releaseHotelReservations, syncHotelReservations, undoHotelReservations } from "../utils/hotelAllotment.js";
+import { applyGroupToBooking, invalidOverrides, overriddenBy } from "../utils/groupBooking.js";
+import { normalizeManifest } from "../utils/passengerManifest.js";
+import { flightDesignator, flightsFromInput } from "../utils/itineraryParser.js";
+import { enforceValidation, sectionsTouchedBy, validateBooking } from "../utils/bookingValidation.js";
 
 /**
  * @desc    Create new booking
@@ -23,7 +45,7 @@ export const getBookingPdf = async (req, res) => {
     return res.status(404).json({ message: "Booking not found" });
   }
 
-  // Check ownership using the raw agent ID (works regardless of User/Agent model)
+  // Check ownership using the raw agent ID
   const isOwner = booking.agent 
     ? String(booking.agent) === String(req.user._id)
     : false;
@@ -33,25 +55,8 @@ export const getBookingPdf = async (req, res) => {
     return res.status(403).json({ message: "Not authorized" });
   }
 
-  // Now populate agent for PDF generation (best effort)
-  try {
-    await booking.populate("agent", "name email");
-  } catch (populateError) {
-    // If populate fails (e.g., agent is in Agent collection, not User), 
-    // try to populate from Agent model instead
-    try {
-      const { default: Agent } = await import("../models/Agent.js");
-      if (booking.agent) {
-        const agent = await Agent.findById(booking.agent).select("name email");
-        if (agent) {
-          booking.agent = agent;
-        }
-      }
-    } catch (agentError) {
-      // If both fail, agent will remain as ObjectId - continue anyway
-      console.warn("Could not populate agent for booking PDF:", booking._id);
-    }
-  }
+  // Now populate agent for PDF generation
+  await booking.populate("agent", "name email phone");
 
   // headers
   res.setHeader("Content-Type", "application/pdf");
@@ -101,7 +106,7 @@ export const getBookingPdf = async (req, res) => {
 
   // Status and Approval (side by side)
   const startY = doc.y;
-  doc.fontSize(12).font('Helvetica-Bold').text(`Status: ${(booking.status || 'pending').toUpperCase()}`, 50, startY);
+  doc.fontSize(12).font('Helvetica-Bold').text(`Status: ${stateOf(booking).toUpperCase()}`, 50, startY);
   doc.text(`Approval: ${(booking.approvalStatus || 'pending').toUpperCase()}`, 300, startY);
   doc.font('Helvetica');
   doc.moveDown(1);
@@ -170,9 +175,49 @@ export const getBookingPdf = async (req, res) => {
     doc.text(`PNR: ${booking.pnr}`);
   }
   
-  // Flight Itinerary
+  // Flight Itinerary: parsed segments as a table; the pasted text when
+  // nothing could be parsed (legacy bookings, non-GDS formats)
+  const segments = booking.flights?.itineraryLines || [];
   const itinerary = booking.flights?.raw || booking.flight?.itinerary || "";
-  if (itinerary) {
+  if (segments.length > 0) {
+    doc.moveDown(0.5);
+    doc.fontSize(12).font('Helvetica-Bold').text('Flight Itinerary:', { underline: false });
+    doc.moveDown(0.3);
+
+    const columns = [
+      { label: 'Flight', x: 50, value: (s) => flightDesignator(s) },
+      { label: 'Date', x: 115, value: (s) => (s.date ? new Date(s.date).toISOString().slice(0, 10) : '—') },
+      { label: 'From', x: 190, value: (s) => s.origin },
+      { label: 'To', x: 235, value: (s) => s.destination },
+      { label: 'Departs', x: 280, value: (s) => s.departureTime },
+      { label: 'Arrives', x: 335, value: (s) => {
+        const days = s.date && s.arrivalDate ? Math.round((new Date(s.arrivalDate) - new Date(s.date)) / 86400000) : 0;
+        return `${s.arrivalTime}${days ? ` (${days > 0 ? '+' : ''}${days})` : ''}`;
+      } },
+      { label: 'Class', x: 410, value: (s) => s.bookingClass || '—' },
+      { label: 'Status', x: 455, value: (s) => s.status || '—' },
+    ];
+    const row = (cells, font) => {
+      if (doc.y > doc.page.height - 90) doc.addPage();
+      const y = doc.y;
+      doc.fontSize(9).font(font);
+      columns.forEach((col, i) => doc.text(String(cells[i] ?? '—'), col.x, y, { width: 60, lineBreak: false }));
+      doc.x = 50;
+      doc.y = y + 14;
+    };
+
+    row(columns.map((c) => c.label), 'Helvetica-Bold');
+    doc.moveTo(50, doc.y - 3).lineTo(doc.page.width - 50, doc.y - 3).strokeColor('#cccccc').stroke().strokeColor('#000000');
+    segments.forEach((segment) => row(columns.map((c) => c.value(segment)), 'Helvetica'));
+    doc.font('Helvetica');
+
+    if (booking.flights?.parseErrors?.length > 0) {
+      doc.moveDown(0.3);
+      doc.fontSize(8).fillColor('#b45309')
+         .text(`${booking.flights.parseErrors.length} itinerary line(s) could not be read; see the booking's pasted itinerary.`, 50);
+      doc.fillColor('#000000');
+    }
+  } else if (itinerary) {
     doc.moveDown(0.5);
     doc.fontSize(12).font('Helvetica-Bold').text('Flight Itinerary:', { underline: false });
     doc.moveDown(0.3);
@@ -286,19 +331,22 @@ export const getBookingPdf = async (req, res) => {
   doc.fontSize(14).text("Payment Details", { underline: true });
   doc.moveDown();
   
-  // Payment Received
-  if (booking.paymentReceived) {
-    doc.fontSize(11).text("Payment Received:", { underline: true });
-    doc.fontSize(10).text(`  Amount: $${booking.paymentReceived.amount || 0}`);
-    doc.fontSize(10).text(`  Method: ${booking.paymentReceived.method || "—"}`);
-    if (booking.paymentReceived.date) {
-      doc.fontSize(10).text(`  Date: ${new Date(booking.paymentReceived.date).toISOString().slice(0, 10)}`);
-    }
-    if (booking.paymentReceived.reference) {
-      doc.fontSize(10).text(`  Reference: ${booking.paymentReceived.reference}`);
-    }
+  // Payments ledger (falls back to the legacy single paymentReceived)
+  const ledger = ledgerEntries(booking);
+  const ledgerSummary = summarizeLedger(booking);
+  if (ledger.length > 0) {
+    doc.fontSize(11).text("Payments:", { underline: true });
+    ledger.forEach((entry) => {
+      const when = entry.date ? new Date(entry.date).toISOString().slice(0, 10) : "—";
+      const sign = entry.type === "refund" ? "-" : "";
+      const voided = entry.status === "void" ? " (VOID)" : "";
+      const ref = entry.reference ? ` | Ref: ${entry.reference}` : "";
+      doc.fontSize(10).text(`  ${when}  ${entry.type.toUpperCase()}  ${sign}$${Number(entry.amount || 0).toFixed(2)}  ${entry.method || "—"}${ref}${voided}`);
+    });
     doc.moveDown(0.5);
   }
+  doc.fontSize(10).text(`  Total: $${ledgerSummary.total.toFixed(2)}  |  Paid: $${ledgerSummary.netPaid.toFixed(2)}  |  Balance Outstanding: $${ledgerSummary.outstanding.toFixed(2)}`);
+  doc.moveDown(0.5);
 
   // Payment Due
   if (booking.paymentDue) {
@@ -345,13 +393,14 @@ export const getBookingPdf = async (req, res) => {
       doc.fontSize(9).text(`  Advance Paid: ${inst.advancePaid || 0}`);
       doc.fontSize(9).text(`  Installments: ${inst.numberOfInstallments || 0}`);
       doc.fontSize(9).text(`  Start Date: ${inst.startDate || "—"}`);
+      doc.fontSize(9).text(`  Interval: ${inst.interval || "monthly"}`);
       doc.fontSize(9).text(`  Remaining: ${inst.remaining || 0}`);
       doc.fontSize(9).text(`  Per Installment: ${inst.perInstallment || 0}`);
       
       if (inst.schedule && inst.schedule.length > 0) {
         doc.fontSize(9).text(`  Schedule:`);
-        inst.schedule.forEach((item, index) => {
-          doc.fontSize(8).text(`    ${index + 1}. ${item.date || "—"} - ${item.amount || 0}`);
+        describeSchedule(inst).forEach((item, index) => {
+          doc.fontSize(8).text(`    ${index + 1}. ${item.date || "—"} - ${item.amount || 0} (${item.status.toUpperCase()})`);
         });
       }
     }
@@ -362,25 +411,26 @@ export const getBookingPdf = async (req, res) => {
   doc.fontSize(14).font('Helvetica-Bold').text("Credit Card Information", { underline: true });
   doc.moveDown(0.5);
   
-  // Check if we have card information to display
-  const hasCardInfo = booking.cardholderName || booking.cardNumber || booking.expiryDate || booking.payment?.cardLast4 || booking.payment?.cardholderName;
+  // Check if we have card information to display (masked only)
+  const cardholder = booking.card?.cardholderName || booking.payment?.cardholderName;
+  const maskedCard = maskCard(booking.card) ||
+    (booking.payment?.cardLast4 ? `**** **** **** ${booking.payment.cardLast4}` : null);
+  const cardExpiry = booking.card?.expiry || booking.payment?.expiryDate;
+  const hasCardInfo = cardholder || maskedCard || cardExpiry;
   
   if (hasCardInfo) {
     doc.fontSize(11).font('Helvetica');
     
-    if (booking.cardholderName || booking.payment?.cardholderName) {
-      doc.text(`Cardholder Name: ${booking.cardholderName || booking.payment?.cardholderName || "—"}`);
+    if (cardholder) {
+      doc.text(`Cardholder Name: ${cardholder}`);
     }
     
-    if (booking.cardNumber) {
-      // Show full card number
-      doc.text(`Card Number: ${booking.cardNumber}`);
-    } else if (booking.payment?.cardLast4) {
-      doc.text(`Card Number: **** **** **** ${booking.payment.cardLast4}`);
+    if (maskedCard) {
+      doc.text(`Card Number: ${maskedCard}`);
     }
     
-    if (booking.expiryDate || booking.payment?.expiryDate) {
-      doc.text(`Expiry Date: ${booking.expiryDate || booking.payment?.expiryDate || "—"}`);
+    if (cardExpiry) {
+      doc.text(`Expiry Date: ${cardExpiry}`);
     }
     
     if (booking.payment?.method) {
@@ -404,6 +454,7 @@ export const getBookingPdf = async (req, res) => {
 
 // --------------------------------- CREATE -----------------------------------
 export const createBooking = async (req, res) => {
+  let card;
   try {
     const {
       // original
@@ -412,16 +463,21 @@ export const createBooking = async (req, res) => {
       package: pkg,
       date,
       agent, // Accept agent from request body (for admin creating bookings for other agents)
+      packageId, // catalog package; fills package and the quoted price
+      occupancy, // double | triple | quad, for the catalog price
 
       // new (revision)
       pnr,
       flights,
       hotels,
       visas,
+      manifest,
       transportation,
       costing,
       flightPayments,
-      status, // optional set by admin/agent
+      state, // "draft" to save without submitting for approval
+      group, // group departure to join; its shared sections are copied in
+      groupOverrides, // shared sections this booking keeps its own values for
       
       // Additional fields
       contactNumber,
@@ -441,12 +497,6 @@ export const createBooking = async (req, res) => {
       paymentDue,
       payment,
       
-      // Credit card
-      cardNumber,
-      expiryDate,
-      cvv,
-      cardholderName,
-      
       // Legacy fields
       hotel,
       visa,
@@ -454,7 +504,7 @@ export const createBooking = async (req, res) => {
       flight,
     } = req.body || {};
 
-    if (!customerName || !customerEmail || !pkg || !date) {
+    if (!customerName || !customerEmail || !(pkg || packageId) || !date) {
       return res.status(400).json({ message: "Missing required fields." });
     }
 
@@ -467,16 +517,59 @@ export const createBooking = async (req, res) => {
       }
     }
 
+    if (state !== undefined && !["draft", "submitted"].includes(state)) {
+      return res.status(400).json({ message: 'New bookings start as "draft" or "submitted"' });
+    }
+
     // Use agent from request body if provided (for admin), otherwise use logged-in user's ID
     const agentId = agent || req.user._id;
 
-    const booking = await Booking.create({
+    let groupDoc;
+    if (group) {
+      groupDoc = await Group.findById(group);
+      if (!groupDoc) return res.status(404).json({ message: "Group not found" });
+      if (req.user.role !== "admin" && String(groupDoc.agent) !== String(req.user._id)) {
+        return res.status(403).json({ message: "Not authorized for this group" });
+      }
+      const invalid = groupOverrides !== undefined && invalidOverrides(groupOverrides);
+      if (invalid) return res.status(400).json({ message: invalid });
+    }
+
+    // Raw card data goes to the vault; only token/last4/brand/expiry are kept
+    card = hasCardInput(req.body) ? await buildCardFromInput(req.body) : undefined;
+
+    // Installment schedules are generated here, never trusted from the client
+    const payments = flightPayments ? applyInstallmentPlan(flightPayments) : undefined;
+
+    // Costing totals are computed from the rows; losses need an admin override
+    const computedCosting = costing ? prepareCosting(costing, req.user) : undefined;
+
+    // Group members take the group's flights, hotels, transport and dates;
+    // pasted itineraries are parsed into segments here
+    const shared = {
+      pnr,
+      flights: flightsFromInput(flights, { referenceDate: departureDate }),
+      hotels,
+      transportation,
+      departureDate,
+      returnDate,
+    };
+    if (groupDoc) applyGroupToBooking(Object.assign(shared, { groupOverrides }), groupDoc);
+
+    // Catalog package priced for the departure date
+    const quote = packageId ? await quotePackage(packageId, { occupancy, date: shared.departureDate }) : undefined;
+
+    // Passenger manifest: cleaned here; checked with the rest of the booking below
+    const passengerManifest = manifest ? normalizeManifest(manifest, { travelDate: shared.departureDate }) : undefined;
+
+    const booking = new Booking({
       customerName,
       customerEmail,
-      package: pkg,
+      package: pkg || quote.pkg.name,
+      packageId: quote?.packageId,
+      packageSnapshot: quote?.packageSnapshot,
       date,
-      status: status || "pending",
-      approvalStatus: "pending", // Set approval status to pending
+      state: state || "submitted", // status/approvalStatus follow from the state
       agent: agentId,
 
       // Additional fields
@@ -484,19 +577,16 @@ export const createBooking = async (req, res) => {
       passengers,
       adults,
       children,
-      departureDate,
-      returnDate,
+      departureDate: shared.departureDate,
+      returnDate: shared.returnDate,
       packagePrice,
       additionalServices,
       amount: amount || totalAmount,
       totalAmount: totalAmount || amount,
       paymentMethod,
 
-      // Credit card info
-      cardNumber,
-      expiryDate,
-      cvv,
-      cardholderName,
+      // Card on file (tokenized)
+      card,
       
       // Flight class
       flightClass: flight?.flightClass || undefined,
@@ -507,14 +597,17 @@ export const createBooking = async (req, res) => {
       payment,
 
       // revision sections (optional)
-      pnr: pnr ? String(pnr).toUpperCase() : undefined,
-      flights: flights || undefined,
-      hotels: Array.isArray(hotels) ? hotels : undefined,
+      pnr: shared.pnr ? String(shared.pnr).toUpperCase() : undefined,
+      flights: shared.flights || undefined,
+      hotels: Array.isArray(shared.hotels) ? shared.hotels : undefined,
       visas: visas || undefined,
-      transportation: transportation || undefined,
+      manifest: passengerManifest,
+      group: groupDoc?._id,
+      groupOverrides: groupDoc ? groupOverrides : undefined,
+      transportation: shared.transportation || undefined,
       transport: transport || undefined,
-      costing: costing || undefined,
-      flightPayments: flightPayments || undefined,
+      costing: computedCosting,
+      flightPayments: payments,
       
       // Legacy fields
       hotel: hotel || undefined,
@@ -522,50 +615,64 @@ export const createBooking = async (req, res) => {
       flight: flight || undefined,
     });
 
-    res.status(201).json(booking);
+    // Dates, hotel stays, transfers and the manifest (when sent) must check
+    // out unless saved as a draft; warnings are returned either way
+    const validation = await enforceValidation(booking, stateOf(booking), {
+      sections: sectionsTouchedBy({ ...req.body, ...shared }).filter((s) => s !== "passengers" || passengerManifest),
+    });
+
+    // Hotel stays on master hotels take rooms from the allotments
+    await syncHotelReservations(booking);
+    try {
+      await booking.save();
+    } catch (error) {
+      await releaseHotelReservations(booking);
+      throw error;
+    }
+
+    await recordBookingHistory({ booking, action: "create", user: req.user });
+    emitBookingWebhook("booking.created", booking);
+
+    res.status(201).json({ ...booking.toJSON(), validation });
   } catch (error) {
+    // A card vaulted for a booking that was never saved is given back
+    await discardNewCard(card, req.body);
     res
-      .status(400)
-      .json({ message: error.message || "Failed to create booking" });
+      .status(error.status || 400)
+      .json({
+        message: error.message || "Failed to create booking",
+        ...(error.totals ? { totals: error.totals } : {}),
+        ...(error.issues ? { issues: error.issues } : {}),
+        ...(error.validation ? { validation: error.validation } : {}),
+        ...(error.nights ? { nights: error.nights } : {}),
+      });
   }
 };
 
 // --------------------------------- LIST -------------------------------------
 /**
- * @desc    Get all bookings (admin only)
+ * @desc    Get all bookings (admin only), paginated and filterable
  * @route   GET /api/bookings
  * @access  Private/Admin
+ *
+ * Query: page, limit, cursor, sortBy, order, state, status, approvalStatus, agent,
+ *        package, departureFrom, departureTo, q (customer name/email/phone/PNR)
+ *
+ * With page, limit or cursor the response is { success, data, pagination };
+ * without them it is the bare array of every match, as before paging.
  */
 export const getBookings = async (req, res) => {
   try {
-    // Get all bookings without populating first
-    let bookings = await Booking.find().lean();
-    
-    // Manually populate agent from both User and Agent models
-    const { default: Agent } = await import("../models/Agent.js");
-    const { default: User } = await import("../models/User.js");
-    
-    bookings = await Promise.all(bookings.map(async (booking) => {
-      if (booking.agent) {
-        const agentId = booking.agent.toString();
-        
-        // First try Agent model (since agents are more common)
-        let agent = await Agent.findById(agentId).select("name email role").lean();
-        if (agent) {
-          booking.agent = agent;
-        } else {
-          // Fallback to User model
-          const user = await User.findById(agentId).select("name email role").lean();
-          if (user) {
-            booking.agent = user;
-          }
-        }
-      }
-      return booking;
-    }));
-    
-    res.json(bookings);
+    const filter = buildBookingFilter(req.query);
+    const options = parseListOptions(req.query);
+
+    const { data, pagination } = await paginateBookings(Booking, filter, options);
+
+    res.json(options.paged ? { success: true, data, pagination } : data);
   } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
     console.error("getBookings error:", error);
     res.status(500).json({ message: "Server error", error: error.message });
   }
@@ -584,7 +691,7 @@ export const getBookingById = async (req, res) => {
     return res.status(404).json({ message: "Booking not found" });
   }
 
-  // Check ownership using the raw agent ID (works regardless of User/Agent model)
+  // Check ownership using the raw agent ID
   const isOwner = booking.agent 
     ? String(booking.agent) === String(req.user._id)
     : false;
@@ -593,29 +700,7 @@ export const getBookingById = async (req, res) => {
     return res.status(403).json({ message: "Not authorized" });
   }
 
-  // Manually populate agent from both User and Agent models
-  if (booking.agent) {
-    const agentId = booking.agent.toString();
-    
-    try {
-      const { default: Agent } = await import("../models/Agent.js");
-      const { default: User } = await import("../models/User.js");
-      
-      // First try Agent model (since agents are more common)
-      let agent = await Agent.findById(agentId).select("name email role").lean();
-      if (agent) {
-        booking.agent = agent;
-      } else {
-        // Fallback to User model
-        const user = await User.findById(agentId).select("name email role").lean();
-        if (user) {
-          booking.agent = user;
-        }
-      }
-    } catch (populateError) {
-      console.warn("Could not populate agent for booking:", booking._id, populateError);
-    }
-  }
+  await booking.populate("agent", "name email role");
 
   res.json(booking);
 };
@@ -636,6 +721,22 @@ export const updateBooking = async (req, res) => {
     return res.status(403).json({ message: "Not authorized" });
   }
 
+  // Status changes go through the lifecycle (POST /:id/transition). Echoing
+  // the current values back is fine; changing them here is not.
+  const lifecycleChange = ["state", "status", "approvalStatus"].find(
+    (f) => req.body?.[f] !== undefined && req.body[f] !== booking[f]
+  );
+  if (lifecycleChange) {
+    return res.status(409).json({
+      message: `${lifecycleChange} cannot be changed here; use POST /api/bookings/${booking._id}/transition`,
+      state: stateOf(booking),
+      allowed: allowedTransitions(booking, req.user),
+    });
+  }
+
+  // Snapshot for the audit diff
+  const before = booking.toObject();
+
   // Validate + set PNR if provided
   if (req.body?.pnr) {
     const cleanPNR = String(req.body.pnr)
@@ -654,19 +755,59 @@ export const updateBooking = async (req, res) => {
   booking.customerEmail = req.body.customerEmail ?? booking.customerEmail;
   booking.package = req.body.package ?? booking.package;
   booking.date = req.body.date ?? booking.date;
-  booking.status = req.body.status ?? booking.status;
   if (req.body.agent !== undefined) booking.agent = req.body.agent;
 
+  // CATALOG PACKAGE: re-quoted when the package or occupancy changes; null unlinks
+  if (req.body.packageId !== undefined || req.body.occupancy !== undefined) {
+    const packageId = req.body.packageId !== undefined ? req.body.packageId : booking.packageId;
+    try {
+      if (packageId) {
+        const quote = await quotePackage(packageId, {
+          occupancy: req.body.occupancy || booking.packageSnapshot?.occupancy,
+          date: req.body.departureDate ?? booking.departureDate,
+        });
+        booking.packageId = quote.packageId;
+        booking.packageSnapshot = quote.packageSnapshot;
+        if (req.body.package === undefined) booking.package = quote.pkg.name;
+      } else {
+        booking.packageId = undefined;
+        booking.packageSnapshot = undefined;
+      }
+    } catch (error) {
+      return res.status(error.status || 400).json({ message: error.message });
+    }
+  }
+
   // REVISION SECTIONS (replace wholesale if provided)
-  if (req.body.flights !== undefined) booking.flights = req.body.flights;
+  if (req.body.flights !== undefined) {
+    booking.flights = flightsFromInput(req.body.flights, {
+      referenceDate: req.body.departureDate ?? booking.departureDate,
+    });
+  }
   if (req.body.hotels !== undefined) booking.hotels = req.body.hotels;
   if (req.body.visas !== undefined) booking.visas = req.body.visas;
   if (req.body.transportation !== undefined)
     booking.transportation = req.body.transportation;
   if (req.body.transport !== undefined) booking.transport = req.body.transport; // Legacy transport field
-  if (req.body.costing !== undefined) booking.costing = req.body.costing;
-  if (req.body.flightPayments !== undefined)
-    booking.flightPayments = req.body.flightPayments;
+  if (req.body.costing !== undefined) {
+    try {
+      booking.costing = req.body.costing
+        ? prepareCosting(req.body.costing, req.user, booking.costing)
+        : req.body.costing;
+    } catch (error) {
+      return res.status(error.status || 400).json({
+        message: error.message,
+        ...(error.totals ? { totals: error.totals } : {}),
+      });
+    }
+  }
+  if (req.body.flightPayments !== undefined) {
+    try {
+      booking.flightPayments = applyInstallmentPlan(req.body.flightPayments, booking.flightPayments);
+    } catch (error) {
+      return res.status(error.status || 400).json({ message: error.message });
+    }
+  }
   
   // HOTEL LEGACY FIELD
   if (req.body.hotel !== undefined) booking.hotel = req.body.hotel;
@@ -683,13 +824,6 @@ export const updateBooking = async (req, res) => {
   if (req.body.additionalServices !== undefined) booking.additionalServices = req.body.additionalServices;
   if (req.body.amount !== undefined) booking.amount = req.body.amount;
   if (req.body.totalAmount !== undefined) booking.totalAmount = req.body.totalAmount;
-  if (req.body.approvalStatus !== undefined) booking.approvalStatus = req.body.approvalStatus;
-  
-  // CREDIT CARD FIELDS
-  if (req.body.cardNumber !== undefined) booking.cardNumber = req.body.cardNumber;
-  if (req.body.expiryDate !== undefined) booking.expiryDate = req.body.expiryDate;
-  if (req.body.cvv !== undefined) booking.cvv = req.body.cvv;
-  if (req.body.cardholderName !== undefined) booking.cardholderName = req.body.cardholderName;
   
   // FLIGHT CLASS
   if (req.body.flightClass !== undefined) booking.flightClass = req.body.flightClass;
@@ -704,13 +838,84 @@ export const updateBooking = async (req, res) => {
   if (req.body.payment !== undefined) booking.payment = req.body.payment;
   if (req.body.paymentMethod !== undefined) booking.paymentMethod = req.body.paymentMethod;
 
-  const updatedBooking = await booking.save();
-  res.json(updatedBooking);
+  // GROUP MEMBERS: editing a shared section overrides it for this booking;
+  // sections dropped from groupOverrides take the group's values again
+  if (booking.group) {
+    const group = await Group.findById(booking.group);
+    if (group) {
+      if (req.body.groupOverrides !== undefined) {
+        const invalid = invalidOverrides(req.body.groupOverrides);
+        if (invalid) return res.status(400).json({ message: invalid });
+        booking.groupOverrides = req.body.groupOverrides;
+      } else {
+        const changed = diffBooking(before, booking).map((c) => c.field);
+        booking.groupOverrides.push(...overriddenBy(group, booking, changed));
+      }
+      applyGroupToBooking(booking, group);
+    }
+  }
+
+  // PASSENGER MANIFEST (replace wholesale if provided)
+  // VALIDATION: past draft, the sections this edit touches must be free of
+  // errors (stays inside the trip, no overlaps, manifest reconciled, ...)
+  let validation;
+  try {
+    if (req.body.manifest !== undefined) {
+      booking.manifest = normalizeManifest(req.body.manifest || [], { travelDate: booking.departureDate });
+    }
+    validation = await enforceValidation(booking, stateOf(booking), { sections: sectionsTouchedBy(req.body) });
+  } catch (error) {
+    return res.status(error.status || 400).json({
+      message: error.message,
+      ...(error.issues ? { issues: error.issues } : {}),
+      ...(error.validation ? { validation: error.validation } : {}),
+    });
+  }
+
+  // CARD ON FILE (tokenized; raw PAN/CVV never stored). Vaulted after the
+  // checks above so a refused edit leaves no token behind
+  if (hasCardInput(req.body)) {
+    try {
+      booking.card = await buildCardFromInput(req.body, booking.card);
+    } catch (error) {
+      return res.status(error.status || 400).json({ message: error.message });
+    }
+  }
+
+  // HOTEL ALLOTMENTS: changed stays give back / take rooms; overbooking is refused
+  try {
+    await syncHotelReservations(booking, before.hotels);
+  } catch (error) {
+    await discardNewCard(booking.card, req.body, before.card);
+    return res.status(error.status || 500).json({
+      message: error.message,
+      ...(error.nights ? { nights: error.nights } : {}),
+    });
+  }
+
+  // A failed save gives the rooms back as they were before this edit
+  let updatedBooking;
+  try {
+    updatedBooking = await booking.save();
+  } catch (error) {
+    await undoHotelReservations(booking, before.hotels);
+    await discardNewCard(booking.card, req.body, before.card);
+    return res.status(error.status || 400).json({ message: error.message || "Failed to update booking" });
+  }
+
+  const changes = diffBooking(before, updatedBooking);
+  if (changes.length > 0) {
+    await recordBookingHistory({ booking, action: "update", user: req.user, changes });
+    emitBookingWebhook("booking.updated", updatedBooking, { changed_fields: changes.map((c) => c.field) });
+  }
+
+  res.json({ ...updatedBooking.toJSON(), validation });
 };
 
 // --------------------------------- DELETE -----------------------------------
 /**
- * @desc    Delete booking (Admin or Owner Agent)
+ * @desc    Delete booking (Admin or Owner Agent). Soft delete: the booking is
+ *          hidden from all reads and can be brought back with PUT /:id/restore.
  * @route   DELETE /api/bookings/:id
  * @access  Private
  */
@@ -723,101 +928,212 @@ export const deleteBooking = async (req, res) => {
     return res.status(403).json({ message: "Not authorized" });
   }
 
-  await booking.deleteOne();
+  const before = booking.toObject();
+  booking.deletedAt = new Date();
+  booking.deletedBy = req.user._id;
+  await releaseHotelReservations(booking);
+  await booking.save();
+
+  await recordBookingHistory({
+    booking,
+    action: "delete",
+    user: req.user,
+    changes: diffBooking(before, booking),
+    reason: req.body?.reason,
+  });
+  emitBookingWebhook("booking.deleted", booking);
+
   res.json({ message: "Booking removed" });
 };
 
+// --------------------------------- RESTORE ----------------------------------
+/**
+ * @desc    Restore a soft-deleted booking
+ * @route   PUT /api/bookings/:id/restore
+ * @access  Private/Admin
+ */
+export const restoreBooking = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ message: "Invalid booking id" });
+  }
+  const booking = await Booking.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+  if (!booking) return res.status(404).json({ message: "Deleted booking not found" });
+
+  const before = booking.toObject();
+  booking.deletedAt = null;
+  booking.deletedBy = undefined;
+  try {
+    await syncHotelReservations(booking); // rooms were given back on delete
+  } catch (error) {
+    return res.status(error.status || 500).json({
+      message: `Cannot restore: ${error.message}`,
+      ...(error.nights ? { nights: error.nights } : {}),
+    });
+  }
+  try {
+    await booking.save();
+  } catch (error) {
+    await releaseHotelReservations(booking);
+    return res.status(error.status || 400).json({ message: `Cannot restore: ${error.message}` });
+  }
+
+  await recordBookingHistory({
+    booking,
+    action: "restore",
+    user: req.user,
+    changes: diffBooking(before, booking),
+    reason: req.body?.reason,
+  });
+  emitBookingWebhook("booking.restored", booking);
+
+  res.json({ message: "Booking restored", booking });
+};
+
+// --------------------------------- HISTORY ----------------------------------
+/**
+ * @desc    Change history of a booking (newest first), including deleted ones
+ * @route   GET /api/bookings/:id/history
+ * @access  Private (admin or owner)
+ */
+export const getBookingHistory = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ message: "Invalid booking id" });
+  }
+  const booking = await Booking.findById(req.params.id).setOptions({ withDeleted: true });
+  if (!booking) return res.status(404).json({ message: "Booking not found" });
+
+  const isOwner = booking.agent ? String(booking.agent) === String(req.user._id) : false;
+  if (!isOwner && req.user.role !== "admin") {
+    return res.status(403).json({ message: "Not authorized" });
+  }
+
+  const history = await BookingHistory.find({ booking: booking._id })
+    .sort({ createdAt: -1 })
+    .populate("actor", "name email role")
+    .lean();
+
+  res.json({ success: true, data: history });
+};
+
 // --------------------------------- MINE -------------------------------------
 /**
- * @desc    Get logged-in user's bookings
+ * @desc    Get logged-in user's bookings (same filters/paging as GET /api/bookings)
  * @route   GET /api/bookings/my
  * @access  Private
  */
 export const getMyBookings = async (req, res) => {
   try {
-    // Get bookings without populating
-    const bookings = await Booking.find({ agent: req.user._id })
-      .sort({ createdAt: -1 })
-      .lean();
-    
-    // Manually populate agent from both User and Agent models
-    const { default: Agent } = await import("../models/Agent.js");
-    const { default: User } = await import("../models/User.js");
-    
-    const populatedBookings = await Promise.all(bookings.map(async (booking) => {
-      if (booking.agent) {
-        const agentId = booking.agent.toString();
-        
-        // First try Agent model (since agents are more common)
-        let agent = await Agent.findById(agentId).select("name email role").lean();
-        if (agent) {
-          booking.agent = agent;
-        } else {
-          // Fallback to User model
-          const user = await User.findById(agentId).select("name email role").lean();
-          if (user) {
-            booking.agent = user;
-          }
-        }
-      }
-      return booking;
-    }));
-    
-    res.json(populatedBookings);
+    // The agent filter is always the caller; ignore any ?agent= sent by the client
+    const { agent: _ignored, ...query } = req.query;
+    const filter = { ...buildBookingFilter(query), agent: req.user._id };
+    const options = parseListOptions(query);
+
+    const { data, pagination } = await paginateBookings(Booking, filter, options);
+
+    res.json(options.paged ? { success: true, data, pagination } : data);
   } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
     console.error("getMyBookings error:", error);
     res.status(500).json({ message: "Server error", error: error.message });
   }
 };
 
-// --------------------------------- APPROVE -----------------------------------
+// ------------------------------- TRANSITION ---------------------------------
 /**
- * @desc    Approve a booking (Admin only)
- * @route   PUT /api/bookings/:id/approve
- * @access  Private/Admin
+ * @desc    Move a booking through its lifecycle. Body: { to, reason }.
+ *          Allowed moves and roles are defined in utils/bookingLifecycle.js.
+ * @route   POST /api/bookings/:id/transition
+ * @access  Private (admin or owner; some transitions are admin only)
  */
-export const approveBooking = async (req, res) => {
+export const transitionBookingState = async (req, res) => {
   try {
-    const booking = await Booking.findById(req.params.id);
-    if (!booking) return res.status(404).json({ message: "Booking not found" });
+    const booking = await loadBookingForUser(req, res);
+    if (!booking) return;
+
+    const { to, reason } = req.body || {};
+    if (!to) return res.status(400).json({ message: "to is required" });
+
+    await transitionBooking(booking, to, { user: req.user, reason });
+    res.json({
+      success: true,
+      message: `Booking ${to}`,
+      booking,
+      allowed: allowedTransitions(booking, req.user),
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      message: error.message || "Server error",
+      ...(error.allowed ? { allowed: error.allowed } : {}),
+      ...(error.issues ? { issues: error.issues } : {}),
+      ...(error.validation ? { validation: error.validation } : {}),
+    });
+  }
+};
 
-    // Only admin can approve
-    if (req.user.role !== "admin") {
-      return res.status(403).json({ message: "Not authorized" });
-    }
+/**
+ * @desc    Current lifecycle state, the moves open to this user, and past transitions
+ * @route   GET /api/bookings/:id/transition
+ * @access  Private (admin or owner)
+ */
+export const getBookingTransitions = async (req, res) => {
+  try {
+    const booking = await loadBookingForUser(req, res);
+    if (!booking) return;
+
+    res.json({
+      success: true,
+      data: {
+        state: stateOf(booking),
+        allowed: allowedTransitions(booking, req.user),
+        history: booking.stateHistory,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message || "Server error" });
+  }
+};
 
-    booking.approvalStatus = "approved";
-    booking.status = "confirmed";
-    await booking.save();
+// -------------------------------- VALIDATION --------------------------------
+/**
+ * @desc    Run the validation engine (utils/bookingValidation.js) on a stored
+ *          booking: errors and warnings per section (dates, hotels,
+ *          transportation, flights, passengers)
+ * @route   GET /api/bookings/:id/validation
+ * @access  Private (admin or owner)
+ */
+export const getBookingValidation = async (req, res) => {
+  try {
+    const booking = await loadBookingForUser(req, res);
+    if (!booking) return;
 
-    res.json({ success: true, message: "Booking approved", booking });
+    const validation = await validateBooking(booking);
+    res.json({ success: true, data: { state: stateOf(booking), ...validation } });
   } catch (error) {
-    res.status(500).json({ message: error.message || "Server error" });
+    res.status(error.status || 500).json({ message: error.message || "Server error" });
   }
 };
 
+// --------------------------------- APPROVE -----------------------------------
+/**
+ * @desc    Approve a booking (Admin only): submitted -> approved
+ * @route   PUT /api/bookings/:id/approve
+ * @access  Private/Admin
+ */
+export const approveBooking = async (req, res) => {
+  req.body = { ...req.body, to: "approved" };
+  return transitionBookingState(req, res);
+};
+
 // --------------------------------- REJECT -----------------------------------
 /**
- * @desc    Reject a booking (Admin only)
+ * @desc    Reject a booking (Admin only): submitted -> rejected. The agent can
+ *          revise it and submit again.
  * @route   PUT /api/bookings/:id/reject
  * @access  Private/Admin
  */
 export const rejectBooking = async (req, res) => {
-  try {
-    const booking = await Booking.findById(req.params.id);
-    if (!booking) return res.status(404).json({ message: "Booking not found" });
-
-    // Only admin can reject
-    if (req.user.role !== "admin") {
-      return res.status(403).json({ message: "Not authorized" });
-    }
-
-    booking.approvalStatus = "rejected";
-    booking.status = "cancelled";
-    await booking.save();
-
-    res.json({ success: true, message: "Booking rejected", booking });
-  } catch (error) {
-    res.status(500).json({ message: error.message || "Server error" });
-  }
+  req.body = { ...req.body, to: "rejected" };
+  return transitionBookingState(req, res);
 };
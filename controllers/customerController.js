@@ -0,0 +1,215 @@
+// controllers/customerController.js
+import mongoose from "mongoose";
+import Customer from "../models/Customer.js";
+import {
+  findDuplicateCustomers,
+  nameSimilarity,
+  normalizeEmail,
+  normalizePhone,
+} from "../utils/customerIdentity.js";
+import { mergeCustomers } from "../utils/customerMerge.js";
+import { buildCustomerProfile, customerIdsForAgent, customerStats } from "../utils/customerProfile.js";
+
+const SORT_FIELDS = { name: "name", createdAt: "createdAt", updatedAt: "updatedAt" };
+
+const escapeRegex = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Base filter: live customers; agents only those on their bookings/inquiries
+const visibleFilter = async (user) => {
+  const filter = { mergedInto: null };
+  if (user.role !== "admin") filter._id = { $in: await customerIdsForAgent(user._id) };
+  return filter;
+};
+
+/**
+ * @desc    Customers with booking/inquiry counts, lifetime value and
+ *          outstanding balance, paginated
+ * @route   GET /api/customers
+ * @access  Private (agents see the customers they work with)
+ *
+ * Query: q (name/email/phone contains), page, limit (default 25, max 100),
+ *        sortBy (name|createdAt|updatedAt), order (asc|desc)
+ */
+export const getCustomers = async (req, res) => {
+  try {
+    const filter = await visibleFilter(req.user);
+
+    const q = String(req.query.q || "").trim();
+    if (q) {
+      const rx = { $regex: escapeRegex(q), $options: "i" };
+      const or = [{ name: rx }, { names: rx }, { emails: rx }];
+      const phone = normalizePhone(q);
+      if (phone) or.push({ phones: phone });
+      filter.$or = or;
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 25, 1), 100);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const sortField = SORT_FIELDS[req.query.sortBy] || "createdAt";
+    const direction = String(req.query.order || "desc").toLowerCase() === "asc" ? 1 : -1;
+
+    const [total, customers] = await Promise.all([
+      Customer.countDocuments(filter),
+      Customer.find(filter)
+        .sort({ [sortField]: direction, _id: direction })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select("name email phone createdAt updatedAt")
+        .lean(),
+    ]);
+
+    const stats = await customerStats(customers.map((c) => c._id), { user: req.user });
+    const data = customers.map((c) => ({ ...c, stats: stats.get(String(c._id)) }));
+
+    res.json({
+      success: true,
+      data,
+      pagination: { total, page, limit, pages: Math.ceil(total / limit), hasMore: page * limit < total },
+    });
+  } catch (error) {
+    console.error("getCustomers error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * @desc    Find a customer by contact details, best match first. Email and
+ *          phone match exactly (normalized); names match fuzzily.
+ * @route   GET /api/customers/search
+ * @access  Private (agents see the customers they work with)
+ *
+ * Query: name, email, phone (at least one), limit (default 10, max 50)
+ */
+export const searchCustomers = async (req, res) => {
+  try {
+    const { name, email, phone } = req.query;
+    const e = normalizeEmail(email);
+    const p = normalizePhone(phone);
+    const nameText = String(name || "").trim();
+    if (!e && !p && !nameText) {
+      return res.status(400).json({ success: false, message: "Send name, email or phone" });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+
+    // Candidates: exact keys, plus any name token for the fuzzy pass
+    const or = [];
+    if (e) or.push({ emails: e });
+    if (p) or.push({ phones: p });
+    nameText
+      .split(/\s+/)
+      .filter((t) => t.length >= 3)
+      .forEach((t) => or.push({ names: { $regex: escapeRegex(t), $options: "i" } }));
+    if (!or.length) return res.json({ success: true, data: [] });
+
+    const candidates = await Customer.find({ ...(await visibleFilter(req.user)), $or: or })
+      .limit(500)
+      .select("name email phone emails phones names createdAt")
+      .lean();
+
+    const scored = candidates
+      .map((c) => {
+        const reasons = [];
+        let score = 0;
+        if (e && c.emails?.includes(e)) {
+          score += 1;
+          reasons.push("email");
+        }
+        if (p && c.phones?.includes(p)) {
+          score += 0.8;
+          reasons.push("phone");
+        }
+        if (nameText) {
+          const similarity = Math.max(...[c.name, ...(c.names || [])].map((n) => nameSimilarity(n, nameText)));
+          if (similarity >= 0.6) {
+            score += similarity;
+            reasons.push(`name ${similarity}`);
+          }
+        }
+        const { emails: _emails, phones: _phones, ...rest } = c;
+        return { ...rest, score: Math.round(score * 100) / 100, reasons };
+      })
+      .filter((c) => c.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+
+    const stats = await customerStats(scored.map((c) => c._id), { user: req.user });
+    res.json({ success: true, data: scored.map((c) => ({ ...c, stats: stats.get(String(c._id)) })) });
+  } catch (error) {
+    console.error("searchCustomers error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * @desc    Customer profile: contact details, passport and nationality,
+ *          bookings, inquiries, lifetime value and outstanding balance.
+ *          A merged customer answers with its survivor (mergedFrom set).
+ * @route   GET /api/customers/:id
+ * @access  Private (agents see the customers they work with, and only their
+ *          own bookings and inquiries for them)
+ */
+export const getCustomerProfile = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: "Invalid customer id" });
+    }
+    let customer = await Customer.findById(req.params.id);
+    if (!customer) return res.status(404).json({ success: false, message: "Customer not found" });
+
+    const mergedFrom = customer.mergedInto ? customer._id : undefined;
+    if (customer.mergedInto) {
+      customer = await Customer.findById(customer.mergedInto);
+      if (!customer) return res.status(404).json({ success: false, message: "Customer not found" });
+    }
+
+    if (req.user.role !== "admin") {
+      const ids = await customerIdsForAgent(req.user._id);
+      if (!ids.includes(String(customer._id))) {
+        return res.status(403).json({ success: false, message: "Not authorized" });
+      }
+    }
+
+    const data = await buildCustomerProfile(customer, { user: req.user });
+    res.json({ success: true, data, ...(mergedFrom ? { mergedFrom } : {}) });
+  } catch (error) {
+    console.error("getCustomerProfile error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * @desc    Customers that look like the same person (shared phone or similar
+ *          names) and were not matched automatically
+ * @route   GET /api/customers/duplicates
+ * @access  Private/Admin
+ */
+export const getDuplicateCustomers = async (req, res) => {
+  try {
+    const data = await findDuplicateCustomers();
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error("getDuplicateCustomers error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * @desc    Merge customers into this one. Body: { sourceIds: [customerId, ...] }.
+ *          Every inquiry and booking of the sources is re-pointed here.
+ * @route   POST /api/customers/:id/merge
+ * @access  Private/Admin
+ */
+export const mergeCustomersInto = async (req, res) => {
+  try {
+    const sourceIds = [].concat(req.body?.sourceIds || []);
+    if (![req.params.id, ...sourceIds].every((id) => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ success: false, message: "Invalid customer id" });
+    }
+
+    const { customer, moved } = await mergeCustomers(req.params.id, sourceIds, req.user);
+    res.json({ success: true, data: customer, moved });
+  } catch (error) {
+    console.error("mergeCustomersInto error:", error);
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+};
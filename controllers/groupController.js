@@ -0,0 +1,316 @@
+// controllers/groupController.js
+import mongoose from "mongoose";
+import Group from "../models/Group.js";
+import Booking from "../models/Booking.js";
+import { httpError } from "../utils/httpError.js";
+import { GROUP_SHARED_SECTIONS, invalidOverrides } from "../utils/groupBooking.js";
+import { flightsFromInput } from "../utils/itineraryParser.js";
+import {
+  addGroupMembers,
+  buildGroupCosting,
+  buildGroupManifest,
+  findGroupMembers,
+  removeGroupMember,
+  syncGroupMembers,
+  transitionGroupMembers,
+} from "../utils/groupMembers.js";
+
+const GROUP_FIELDS = ["name", "code", "package", "leader", "notes", ...GROUP_SHARED_SECTIONS];
+
+// Whitelisted group fields from the body; throws httpError(400) on bad values.
+// `group` is the group being updated (its departure dates the itinerary).
+const groupInput = (body = {}, user, group) => {
+  const input = {};
+  GROUP_FIELDS.forEach((k) => body[k] !== undefined && (input[k] = body[k]));
+
+  if (input.pnr) {
+    input.pnr = String(input.pnr).replace(/[^A-Za-z0-9]/g, "").toUpperCase();
+    if (input.pnr.length !== 6) throw httpError(400, "PNR must be exactly 6 characters.");
+  }
+  ["departureDate", "returnDate"].forEach((k) => {
+    if (input[k] && Number.isNaN(new Date(input[k]).getTime())) throw httpError(400, `${k} is not a valid date`);
+  });
+  if (input.hotels !== undefined && !Array.isArray(input.hotels)) throw httpError(400, "hotels must be an array");
+  if (input.flights !== undefined) {
+    input.flights = flightsFromInput(input.flights, { referenceDate: input.departureDate || group?.departureDate });
+  }
+
+  // Only admins hand a group to another agent
+  if (body.agent !== undefined && user.role === "admin") {
+    if (!mongoose.Types.ObjectId.isValid(body.agent)) throw httpError(400, "agent must be a user id");
+    input.agent = body.agent;
+  }
+  return input;
+};
+
+// Load req.params.id with admin-or-owning-agent access; sends the error itself
+const loadGroupForUser = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ message: "Invalid group id" });
+    return null;
+  }
+  const group = await Group.findById(req.params.id);
+  if (!group) {
+    res.status(404).json({ message: "Group not found" });
+    return null;
+  }
+  if (req.user.role !== "admin" && String(group.agent) !== String(req.user._id)) {
+    res.status(403).json({ message: "Not authorized" });
+    return null;
+  }
+  return group;
+};
+
+// Bookings by id that this user may put into a group (admin: any; agent: own)
+const loadBookingsForUser = async (ids, user) => {
+  const list = [].concat(ids || []).map(String);
+  if (!list.length) return [];
+  if (!list.every((id) => mongoose.Types.ObjectId.isValid(id))) throw httpError(400, "bookingIds must be booking ids");
+
+  const bookings = await Booking.find({ _id: { $in: list } });
+  const missing = list.filter((id) => !bookings.some((b) => String(b._id) === id));
+  if (missing.length) throw httpError(404, `Bookings not found: ${missing.join(", ")}`);
+  if (user.role !== "admin") {
+    const foreign = bookings.find((b) => String(b.agent) !== String(user._id));
+    if (foreign) throw httpError(403, `Not authorized for booking ${foreign._id}`);
+  }
+  return bookings;
+};
+
+const memberSummary = (b) => ({
+  _id: b._id,
+  customerName: b.customerName,
+  state: b.state,
+  passengers: b.manifest?.length || b.passengers,
+  groupOverrides: b.groupOverrides,
+  totalSale: b.costing?.totals?.totalSale,
+  outstanding: b.ledgerTotals?.outstanding,
+});
+
+const sendError = (res, label, error) => {
+  if (!error.status) console.error(`${label} error:`, error);
+  res.status(error.status || 500).json({
+    message: error.code === 11000 ? "A group with this code already exists" : error.message || "Server error",
+    ...(error.group ? { group: error.group } : {}),
+  });
+};
+
+/**
+ * @desc    Groups, next departures first
+ * @route   GET /api/groups
+ * @access  Private (admin: all; agent: own groups)
+ *
+ * Query: from, to (departureDate range), q (name/code)
+ */
+export const getGroups = async (req, res) => {
+  try {
+    const filter = req.user.role === "admin" ? {} : { agent: req.user._id };
+    const { from, to, q } = req.query;
+    if (from || to) {
+      filter.departureDate = {};
+      if (from) filter.departureDate.$gte = new Date(from);
+      if (to) filter.departureDate.$lte = new Date(to);
+    }
+    if (q) {
+      const rx = { $regex: String(q).replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), $options: "i" };
+      filter.$or = [{ name: rx }, { code: rx }];
+    }
+
+    const groups = await Group.find(filter).sort({ departureDate: 1, createdAt: -1 }).limit(200).populate("agent", "name email").lean();
+    const counts = await Booking.aggregate([
+      { $match: { group: { $in: groups.map((g) => g._id) }, deletedAt: null } },
+      { $group: { _id: "$group", bookings: { $sum: 1 } } },
+    ]);
+    const byGroup = new Map(counts.map((c) => [String(c._id), c.bookings]));
+
+    res.json({ success: true, data: groups.map((g) => ({ ...g, bookings: byGroup.get(String(g._id)) || 0 })) });
+  } catch (error) {
+    sendError(res, "getGroups", error);
+  }
+};
+
+/**
+ * @desc    Create a group. Body: group fields, optional bookingIds to add
+ * @route   POST /api/groups
+ * @access  Private
+ */
+export const createGroup = async (req, res) => {
+  try {
+    const input = groupInput(req.body, req.user);
+    if (!input.name) return res.status(400).json({ message: "name is required" });
+
+    const bookings = await loadBookingsForUser(req.body?.bookingIds, req.user);
+    const group = await Group.create({ agent: req.user._id, ...input, createdBy: req.user._id });
+    if (bookings.length) await addGroupMembers(group, bookings, req.user);
+
+    res.status(201).json({ success: true, data: group, members: bookings.map(memberSummary) });
+  } catch (error) {
+    sendError(res, "createGroup", error);
+  }
+};
+
+/**
+ * @desc    Group with its member bookings
+ * @route   GET /api/groups/:id
+ * @access  Private (admin or owning agent)
+ */
+export const getGroupById = async (req, res) => {
+  try {
+    const group = await loadGroupForUser(req, res);
+    if (!group) return;
+    await group.populate("agent", "name email");
+    const members = await findGroupMembers(group);
+    res.json({ success: true, data: group, members: members.map(memberSummary) });
+  } catch (error) {
+    sendError(res, "getGroupById", error);
+  }
+};
+
+/**
+ * @desc    Update a group. Changed shared sections (flights, pnr, hotels,
+ *          transportation, dates) flow into members that do not override them.
+ * @route   PUT /api/groups/:id
+ * @access  Private (admin or owning agent)
+ */
+export const updateGroup = async (req, res) => {
+  try {
+    const group = await loadGroupForUser(req, res);
+    if (!group) return;
+
+    group.set(groupInput(req.body, req.user, group));
+    const sharedChanged = GROUP_SHARED_SECTIONS.some((s) => group.isModified(s));
+    await group.save();
+    const synced = sharedChanged ? await syncGroupMembers(group, req.user) : [];
+
+    res.json({ success: true, data: group, synced });
+  } catch (error) {
+    sendError(res, "updateGroup", error);
+  }
+};
+
+/**
+ * @desc    Delete a group. Members leave it and keep their copied sections.
+ * @route   DELETE /api/groups/:id
+ * @access  Private (admin or owning agent)
+ */
+export const deleteGroup = async (req, res) => {
+  try {
+    const group = await loadGroupForUser(req, res);
+    if (!group) return;
+
+    for (const booking of await findGroupMembers(group)) {
+      await removeGroupMember(group, booking, req.user);
+    }
+    await group.deleteOne();
+    res.json({ success: true, message: "Group removed" });
+  } catch (error) {
+    sendError(res, "deleteGroup", error);
+  }
+};
+
+/**
+ * @desc    Add bookings. Body: { bookingIds: [...], overrides?: [section] }
+ * @route   POST /api/groups/:id/members
+ * @access  Private (admin or owning agent; agents add their own bookings)
+ */
+export const addMembers = async (req, res) => {
+  try {
+    const group = await loadGroupForUser(req, res);
+    if (!group) return;
+
+    const overrides = req.body?.overrides ?? [];
+    const invalid = invalidOverrides(overrides);
+    if (invalid) return res.status(400).json({ message: invalid });
+
+    const bookings = await loadBookingsForUser(req.body?.bookingIds, req.user);
+    if (!bookings.length) return res.status(400).json({ message: "bookingIds is required" });
+    await addGroupMembers(group, bookings, req.user, { overrides });
+
+    const members = await findGroupMembers(group);
+    res.json({ success: true, members: members.map(memberSummary) });
+  } catch (error) {
+    sendError(res, "addMembers", error);
+  }
+};
+
+/**
+ * @desc    Take a booking out of the group
+ * @route   DELETE /api/groups/:id/members/:bookingId
+ * @access  Private (admin or owning agent)
+ */
+export const removeMember = async (req, res) => {
+  try {
+    const group = await loadGroupForUser(req, res);
+    if (!group) return;
+
+    const booking = mongoose.Types.ObjectId.isValid(req.params.bookingId)
+      ? await Booking.findOne({ _id: req.params.bookingId, group: group._id })
+      : null;
+    if (!booking) return res.status(404).json({ message: "Booking is not in this group" });
+
+    await removeGroupMember(group, booking, req.user);
+    res.json({ success: true, message: "Booking removed from group" });
+  } catch (error) {
+    sendError(res, "removeMember", error);
+  }
+};
+
+/**
+ * @desc    Group manifest: every member's passengers, head counts and issues
+ * @route   GET /api/groups/:id/manifest
+ * @access  Private (admin or owning agent)
+ */
+export const getGroupManifest = async (req, res) => {
+  try {
+    const group = await loadGroupForUser(req, res);
+    if (!group) return;
+    res.json({ success: true, data: buildGroupManifest(await findGroupMembers(group)) });
+  } catch (error) {
+    sendError(res, "getGroupManifest", error);
+  }
+};
+
+/**
+ * @desc    Costing rollup: cost, sale, profit, paid and outstanding per currency
+ * @route   GET /api/groups/:id/costing
+ * @access  Private (admin or owning agent)
+ */
+export const getGroupCosting = async (req, res) => {
+  try {
+    const group = await loadGroupForUser(req, res);
+    if (!group) return;
+    res.json({ success: true, data: buildGroupCosting(await findGroupMembers(group)) });
+  } catch (error) {
+    sendError(res, "getGroupCosting", error);
+  }
+};
+
+/**
+ * @desc    Bulk lifecycle change. Body: { to, reason?, bookingIds? }.
+ *          Each member goes through its own transition rules; one result per member.
+ * @route   POST /api/groups/:id/transition
+ * @access  Private (admin or owning agent; per-booking roles still apply)
+ */
+export const transitionGroup = async (req, res) => {
+  try {
+    const group = await loadGroupForUser(req, res);
+    if (!group) return;
+
+    const { to, reason, bookingIds } = req.body || {};
+    if (!to) return res.status(400).json({ message: "to is required" });
+
+    const results = await transitionGroupMembers(group, to, {
+      user: req.user,
+      reason,
+      bookingIds: bookingIds ? [].concat(bookingIds) : undefined,
+    });
+    const failed = results.filter((r) => !r.ok).length;
+    res.status(failed && failed === results.length ? 422 : 200).json({
+      success: failed === 0,
+      message: `${results.length - failed} of ${results.length} bookings ${to}`,
+      results,
+    });
+  } catch (error) {
+    sendError(res, "transitionGroup", error);
+  }
+};
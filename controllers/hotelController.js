@@ -0,0 +1,315 @@
+// controllers/hotelController.js
+import mongoose from "mongoose";
+import Hotel, { HOTEL_CITIES } from "../models/Hotel.js";
+import HotelAllotment from "../models/HotelAllotment.js";
+import { httpError } from "../utils/httpError.js";
+import { allotmentReport, blockNights, isoDay, stayNights } from "../utils/hotelAllotment.js";
+
+// Whitelisted hotel fields from the body; throws httpError(400) on bad values
+const hotelInput = (body = {}) => {
+  const input = {};
+  ["name", "address"].forEach((k) => body[k] !== undefined && (input[k] = String(body[k]).trim()));
+  if (body.city !== undefined) {
+    const city = String(body.city).trim().toLowerCase().replace(/^madina$/, "madinah");
+    if (!HOTEL_CITIES.includes(city)) throw httpError(400, `city must be one of ${HOTEL_CITIES.join(", ")}`);
+    input.city = city;
+  }
+  if (body.distanceToHaram !== undefined) {
+    input.distanceToHaram = Number(body.distanceToHaram);
+    if (!Number.isFinite(input.distanceToHaram) || input.distanceToHaram < 0) {
+      throw httpError(400, "distanceToHaram must be metres (a non-negative number)");
+    }
+  }
+  if (body.starRating !== undefined) {
+    input.starRating = Number(body.starRating);
+    if (!Number.isInteger(input.starRating) || input.starRating < 1 || input.starRating > 5) {
+      throw httpError(400, "starRating must be 1-5");
+    }
+  }
+  if (body.roomTypes !== undefined) {
+    if (!Array.isArray(body.roomTypes)) throw httpError(400, "roomTypes must be an array");
+    input.roomTypes = body.roomTypes.map((rt) => {
+      const code = String(typeof rt === "string" ? rt : rt?.code || "").trim().toLowerCase();
+      if (!code) throw httpError(400, "Every room type needs a code");
+      return typeof rt === "string" ? { code } : { code, name: rt.name, capacity: rt.capacity };
+    });
+  }
+  if (body.isActive !== undefined) input.isActive = body.isActive === true || body.isActive === "true";
+  return input;
+};
+
+const sendError = (res, label, error) => {
+  if (!error.status && error.code !== 11000) console.error(`${label} error:`, error);
+  const status = error.code === 11000 ? 409 : error.status || (error.name === "ValidationError" ? 400 : 500);
+  res.status(status).json({
+    success: false,
+    message: error.code === 11000 ? "This hotel is already listed for that city" : error.message,
+    ...(error.nights ? { nights: error.nights } : {}),
+  });
+};
+
+const findById = async (Model, id, res, label) => {
+  const doc = mongoose.Types.ObjectId.isValid(id) ? await Model.findById(id) : null;
+  if (!doc) res.status(404).json({ success: false, message: `${label} not found` });
+  return doc;
+};
+
+/* ------------------------------- hotels ------------------------------- */
+
+/**
+ * @desc    Hotel master list. Query: city, q (name contains), active (default true)
+ * @route   GET /api/hotels
+ * @access  Private
+ */
+export const getHotels = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.city) filter.city = String(req.query.city).toLowerCase();
+    if (req.query.active !== "all") filter.isActive = req.query.active !== "false";
+    if (req.query.q) {
+      filter.name = { $regex: String(req.query.q).replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), $options: "i" };
+    }
+    const data = await Hotel.find(filter).sort({ city: 1, distanceToHaram: 1, name: 1 }).lean();
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, "getHotels", error);
+  }
+};
+
+/**
+ * @desc    One hotel
+ * @route   GET /api/hotels/:id
+ * @access  Private
+ */
+export const getHotelById = async (req, res) => {
+  try {
+    const hotel = await findById(Hotel, req.params.id, res, "Hotel");
+    if (!hotel) return;
+    res.json({ success: true, data: hotel });
+  } catch (error) {
+    sendError(res, "getHotelById", error);
+  }
+};
+
+/**
+ * @desc    Add a hotel. Body: { name, city (makkah|madinah), distanceToHaram?,
+ *          starRating?, roomTypes?: [{ code, name?, capacity? }], address? }
+ * @route   POST /api/hotels
+ * @access  Private/Admin
+ */
+export const createHotel = async (req, res) => {
+  try {
+    const input = hotelInput(req.body);
+    if (!input.name || !input.city) return res.status(400).json({ success: false, message: "name and city are required" });
+    const hotel = await Hotel.create({ ...input, updatedBy: req.user._id });
+    res.status(201).json({ success: true, data: hotel });
+  } catch (error) {
+    sendError(res, "createHotel", error);
+  }
+};
+
+/**
+ * @desc    Update a hotel
+ * @route   PUT /api/hotels/:id
+ * @access  Private/Admin
+ */
+export const updateHotel = async (req, res) => {
+  try {
+    const hotel = await findById(Hotel, req.params.id, res, "Hotel");
+    if (!hotel) return;
+    hotel.set({ ...hotelInput(req.body), updatedBy: req.user._id });
+    await hotel.save();
+    res.json({ success: true, data: hotel });
+  } catch (error) {
+    sendError(res, "updateHotel", error);
+  }
+};
+
+/**
+ * @desc    Deactivate a hotel (kept for the bookings and allotments on it)
+ * @route   DELETE /api/hotels/:id
+ * @access  Private/Admin
+ */
+export const deactivateHotel = async (req, res) => {
+  try {
+    const hotel = await findById(Hotel, req.params.id, res, "Hotel");
+    if (!hotel) return;
+    hotel.isActive = false;
+    hotel.updatedBy = req.user._id;
+    await hotel.save();
+    res.json({ success: true, message: "Hotel deactivated", data: hotel });
+  } catch (error) {
+    sendError(res, "deactivateHotel", error);
+  }
+};
+
+/* ----------------------------- allotments ----------------------------- */
+
+const parseDay = (value, field) => {
+  const d = new Date(value);
+  if (!value || Number.isNaN(d.getTime())) throw httpError(400, `${field} must be a date`);
+  return new Date(`${isoDay(d)}T00:00:00.000Z`);
+};
+
+const parseRooms = (value) => {
+  const rooms = Number(value);
+  if (!Number.isInteger(rooms) || rooms < 0) throw httpError(400, "rooms must be a whole number");
+  return rooms;
+};
+
+/**
+ * @desc    Allotment blocks. Query: hotel, roomType, from, to (overlapping)
+ * @route   GET /api/hotels/allotments
+ * @access  Private
+ */
+export const getAllotments = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.hotel) filter.hotel = req.query.hotel;
+    if (req.query.roomType) filter.roomType = String(req.query.roomType).toLowerCase();
+    if (req.query.from) filter.to = { $gt: parseDay(req.query.from, "from") };
+    if (req.query.to) filter.from = { $lt: parseDay(req.query.to, "to") };
+
+    const blocks = await HotelAllotment.find(filter).populate("hotel", "name city").sort({ from: 1 }).lean();
+    const data = blocks.map(({ nights, ...block }) => ({
+      ...block,
+      minRemaining: nights.length ? Math.min(...nights.map((n) => n.available)) : 0,
+      soldRoomNights: nights.reduce((n, night) => n + (block.rooms - night.available), 0),
+    }));
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, "getAllotments", error);
+  }
+};
+
+/**
+ * @desc    Add a block of rooms. Body: { hotel, roomType, from (first night),
+ *          to (check-out day), rooms (per night), reference?, notes? }
+ * @route   POST /api/hotels/allotments
+ * @access  Private/Admin
+ */
+export const createAllotment = async (req, res) => {
+  try {
+    const { hotel: hotelId, roomType, reference, notes } = req.body || {};
+    const hotel = await findById(Hotel, hotelId, res, "Hotel");
+    if (!hotel) return;
+
+    const type = String(roomType || "").trim().toLowerCase();
+    if (!type) return res.status(400).json({ success: false, message: "roomType is required" });
+    if (hotel.roomTypes.length && !hotel.roomTypes.some((rt) => rt.code === type)) {
+      return res.status(400).json({
+        success: false,
+        message: `${hotel.name} has no ${type} rooms. Room types: ${hotel.roomTypes.map((rt) => rt.code).join(", ")}`,
+      });
+    }
+    const from = parseDay(req.body.from, "from");
+    const to = parseDay(req.body.to, "to");
+    if (!stayNights(from, to).length) return res.status(400).json({ success: false, message: "to must be after from" });
+    const rooms = parseRooms(req.body.rooms);
+
+    const block = await HotelAllotment.create({
+      hotel: hotel._id,
+      roomType: type,
+      from,
+      to,
+      rooms,
+      nights: blockNights(from, to, rooms),
+      reference,
+      notes,
+      createdBy: req.user._id,
+    });
+    res.status(201).json({ success: true, data: block });
+  } catch (error) {
+    sendError(res, "createAllotment", error);
+  }
+};
+
+/**
+ * @desc    Resize or move a block. Body: { rooms?, from?, to?, reference?, notes? }.
+ *          Refused (409) when rooms already sold would no longer fit.
+ * @route   PUT /api/hotels/allotments/:allotmentId
+ * @access  Private/Admin
+ */
+export const updateAllotment = async (req, res) => {
+  try {
+    const block = await findById(HotelAllotment, req.params.allotmentId, res, "Allotment");
+    if (!block) return;
+
+    const rooms = req.body?.rooms !== undefined ? parseRooms(req.body.rooms) : block.rooms;
+    const from = req.body?.from !== undefined ? parseDay(req.body.from, "from") : block.from;
+    const to = req.body?.to !== undefined ? parseDay(req.body.to, "to") : block.to;
+    if (!stayNights(from, to).length) return res.status(400).json({ success: false, message: "to must be after from" });
+
+    // Sold rooms per night stay sold; every night must still hold them
+    const sold = new Map(block.nights.map((n) => [isoDay(n.date), block.rooms - n.available]));
+    const nights = blockNights(from, to, rooms).map((n) => ({ ...n, available: rooms - (sold.get(isoDay(n.date)) || 0) }));
+    const kept = new Set(nights.map((n) => isoDay(n.date)));
+    const conflicts = [
+      ...nights.filter((n) => n.available < 0).map((n) => ({ date: isoDay(n.date), sold: rooms - n.available })),
+      ...[...sold].filter(([date, n]) => n > 0 && !kept.has(date)).map(([date, n]) => ({ date, sold: n })),
+    ];
+    if (conflicts.length) {
+      return res.status(409).json({ success: false, message: "Rooms already sold would not fit the block", nights: conflicts });
+    }
+
+    const set = { rooms, from, to, nights };
+    ["reference", "notes"].forEach((k) => req.body[k] !== undefined && (set[k] = req.body[k]));
+    // Only if no reservation touched the block since it was read
+    const result = await HotelAllotment.updateOne({ _id: block._id, __v: block.__v }, { $set: set, $inc: { __v: 1 } });
+    if (!result.modifiedCount) {
+      return res.status(409).json({ success: false, message: "The block changed while saving; try again" });
+    }
+    res.json({ success: true, data: await HotelAllotment.findById(block._id) });
+  } catch (error) {
+    sendError(res, "updateAllotment", error);
+  }
+};
+
+/**
+ * @desc    Remove a block with no rooms sold
+ * @route   DELETE /api/hotels/allotments/:allotmentId
+ * @access  Private/Admin
+ */
+export const deleteAllotment = async (req, res) => {
+  try {
+    const block = await findById(HotelAllotment, req.params.allotmentId, res, "Allotment");
+    if (!block) return;
+    const result = await HotelAllotment.deleteOne({
+      _id: block._id,
+      nights: { $not: { $elemMatch: { available: { $lt: block.rooms } } } },
+    });
+    if (!result.deletedCount) {
+      return res.status(409).json({ success: false, message: "Rooms in this block are booked; resize it instead" });
+    }
+    res.json({ success: true, message: "Allotment removed" });
+  } catch (error) {
+    sendError(res, "deleteAllotment", error);
+  }
+};
+
+/**
+ * @desc    Rooms remaining per night. Query: from, to (check-out day),
+ *          hotel, city, roomType. Rows per block and night, plus totals per night.
+ * @route   GET /api/hotels/allotments/report
+ * @access  Private
+ */
+export const getAllotmentReport = async (req, res) => {
+  try {
+    const { from, to, hotel, city, roomType } = req.query;
+    const hotelIds = !hotel && city ? (await Hotel.find({ city: String(city).toLowerCase() }).select("_id")).map((h) => h._id) : undefined;
+    const rows = await allotmentReport({ hotel, hotelIds, roomType, from, to });
+
+    const byNight = new Map();
+    rows.forEach((r) => {
+      const night = byNight.get(r.date) || { date: r.date, rooms: 0, remaining: 0, sold: 0 };
+      night.rooms += r.rooms;
+      night.remaining += r.remaining;
+      night.sold += r.sold;
+      byNight.set(r.date, night);
+    });
+
+    res.json({ success: true, data: { nights: [...byNight.values()], rows } });
+  } catch (error) {
+    sendError(res, "getAllotmentReport", error);
+  }
+};
@@ -0,0 +1,129 @@
+// controllers/inboundWebhookController.js
+import Inquiry from "../models/Inquiry.js";
+import { parseInquiryInput } from "../utils/inquiryInput.js";
+import { verifyWebhookSignature } from "../utils/webhookSignature.js";
+import { inboundSecretsFor, inboundToleranceSeconds } from "../utils/inboundSources.js";
+import { notifyInquiryReceived } from "../utils/notifications.js";
+import { autoAssignInquiry } from "../utils/inquiryAssignment.js";
+import { slaOnInsert } from "../utils/inquirySla.js";
+import { findInquiry } from "../utils/inquiryAccess.js";
+import { linkCustomer } from "../utils/customerIdentity.js";
+import { recordCustomerReply } from "../utils/inquiryConversation.js";
+import { withCatalogPackage } from "../utils/packageQuote.js";
+
+// Check the source and its signature; sends the 404/401 itself and returns false.
+// A verified request only ever reads or writes that source's inquiries.
+const verifyInbound = (req, res) => {
+  const secrets = inboundSecretsFor(req.params.source);
+  if (!secrets.length) {
+    res.status(404).json({ message: "Unknown webhook source" });
+    return false;
+  }
+
+  // req.rawBody is captured by the express.json() verify hook in server.js
+  const check = verifyWebhookSignature({
+    secrets,
+    timestamp: req.get("X-Webhook-Timestamp"),
+    signature: req.get("X-Webhook-Signature"),
+    raw: req.rawBody ? req.rawBody.toString("utf8") : "",
+    toleranceSeconds: inboundToleranceSeconds(),
+  });
+  if (!check.ok) {
+    res.status(401).json({ message: check.reason });
+    return false;
+  }
+  return true;
+};
+
+/**
+ * @desc    Signed inquiry webhook from an external portal. Verifies
+ *          X-Webhook-Timestamp / X-Webhook-Signature (utils/webhookSignature.js)
+ *          against the source's secret(s), then upserts the inquiry by
+ *          (source, externalId): a redelivery updates the customer/package
+ *          fields and never touches status, assignment or responses. Another
+ *          source's inquiry with the same externalId is left alone.
+ * @route   POST /api/webhooks/inbound/:source
+ * @access  Public (HMAC-signed)
+ */
+export const receiveInboundInquiry = async (req, res) => {
+  try {
+    const source = String(req.params.source).toLowerCase();
+    if (!verifyInbound(req, res)) return;
+
+    const fields = await withCatalogPackage(parseInquiryInput(req.body), req.body);
+    if (!fields.externalId) {
+      return res.status(400).json({ message: "id (or externalId) is required" });
+    }
+    fields.externalId = String(fields.externalId);
+
+    const set = Object.fromEntries(Object.entries(fields).filter(([, v]) => v !== undefined && v !== null));
+    const key = { source, externalId: fields.externalId };
+
+    const existing = await Inquiry.findOne(key).select("_id").lean();
+    if (!existing) {
+      const missing = ["customerName", "customerEmail", "message"].filter((f) => !set[f]);
+      if (missing.length) {
+        return res.status(422).json({ message: `Missing required fields: ${missing.join(", ")}` });
+      }
+    }
+
+    const result = await Inquiry.findOneAndUpdate(
+      key,
+      { $set: set, $setOnInsert: { status: "pending", ...slaOnInsert(set.priority, new Date()) } },
+      { upsert: true, new: true, runValidators: true, includeResultMetadata: true }
+    );
+    const inquiry = result.value;
+    const created = !result.lastErrorObject?.updatedExisting;
+    await linkCustomer(Inquiry, inquiry); // upserts skip the save hook that links it
+
+    if (created) {
+      notifyInquiryReceived(inquiry);
+      await autoAssignInquiry(inquiry, { trigger: "create" });
+    }
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      created,
+      data: { id: inquiry._id, externalId: inquiry.externalId },
+    });
+  } catch (error) {
+    console.error("receiveInboundInquiry error:", error);
+    res
+      .status(error.status || (error.name === "ValidationError" ? 422 : 500))
+      .json({ message: error.message || "Server error" });
+  }
+};
+
+/**
+ * @desc    Signed customer reply to an inquiry, signed like the inquiry webhook.
+ *          Body: { inquiry_id (the portal's inquiry id) or inquiryId,
+ *          message, from?, message_id? }. message_id makes redeliveries no-ops.
+ *          Only inquiries delivered by the same source are accepted.
+ * @route   POST /api/webhooks/inbound/:source/replies
+ * @access  Public (HMAC-signed)
+ */
+export const receiveInboundReply = async (req, res) => {
+  try {
+    const source = String(req.params.source).toLowerCase();
+    if (!verifyInbound(req, res)) return;
+
+    const { inquiry_id, inquiryId, externalId, message, body, from, message_id, messageId } = req.body || {};
+    const ref = inquiry_id || externalId || inquiryId;
+    if (!ref) return res.status(400).json({ message: "inquiry_id is required" });
+
+    const inquiry = await findInquiry(ref, { source });
+    if (!inquiry) return res.status(404).json({ message: "Inquiry not found" });
+
+    const { message: reply, created } = await recordCustomerReply(inquiry, {
+      body: message ?? body,
+      fromEmail: from,
+      source,
+      externalMessageId: message_id || messageId,
+    });
+
+    res.status(created ? 201 : 200).json({ success: true, created, data: { id: reply._id, inquiry: inquiry._id } });
+  } catch (error) {
+    console.error("receiveInboundReply error:", error);
+    res.status(error.status || 500).json({ message: error.message || "Server error" });
+  }
+};
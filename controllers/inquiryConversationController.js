@@ -0,0 +1,111 @@
+// controllers/inquiryConversationController.js
+import mongoose from "mongoose";
+import InquiryMessage from "../models/InquiryMessage.js";
+import { loadInquiryForUser } from "../utils/inquiryAccess.js";
+import { approveReply, postStaffMessage, rejectReply } from "../utils/inquiryConversation.js";
+
+/**
+ * @desc    The inquiry's conversation, oldest first: notes, replies (with
+ *          approval and email status) and customer replies
+ * @route   GET /api/inquiries/:id/messages
+ * @access  Private (admin, or the assigned agent)
+ */
+export const getConversation = async (req, res) => {
+  try {
+    const inquiry = await loadInquiryForUser(req, res);
+    if (!inquiry) return;
+
+    const data = await InquiryMessage.find({ inquiry: inquiry._id })
+      .sort({ createdAt: 1 })
+      .populate("author", "name email")
+      .populate("reviewedBy", "name email")
+      .populate("emailMessage", "status sentAt lastError")
+      .lean();
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error("getConversation error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * @desc    Add a note or a reply. Body: { kind: "note" | "reply", message }.
+ *          Agent replies wait for admin approval; admin replies are sent at once.
+ * @route   POST /api/inquiries/:id/messages
+ * @access  Private (admin, or the assigned agent)
+ */
+export const postConversationMessage = async (req, res) => {
+  try {
+    const inquiry = await loadInquiryForUser(req, res);
+    if (!inquiry) return;
+
+    const { kind, message, body } = req.body || {};
+    const data = await postStaffMessage(inquiry, { kind: kind || "reply", body: message ?? body, user: req.user });
+    res.status(201).json({ success: true, data });
+  } catch (error) {
+    console.error("postConversationMessage error:", error);
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * @desc    Approve a pending reply; it is emailed to the customer
+ * @route   POST /api/inquiries/:id/messages/:messageId/approve
+ * @access  Private/Admin
+ */
+export const approveConversationReply = async (req, res) => {
+  try {
+    const inquiry = await loadInquiryForUser(req, res);
+    if (!inquiry) return;
+    if (!mongoose.Types.ObjectId.isValid(req.params.messageId)) {
+      return res.status(404).json({ success: false, message: "Reply not found" });
+    }
+
+    const data = await approveReply(inquiry, req.params.messageId, req.user);
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error("approveConversationReply error:", error);
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * @desc    Reject a pending reply. Body: { reason? }
+ * @route   POST /api/inquiries/:id/messages/:messageId/reject
+ * @access  Private/Admin
+ */
+export const rejectConversationReply = async (req, res) => {
+  try {
+    const inquiry = await loadInquiryForUser(req, res);
+    if (!inquiry) return;
+    if (!mongoose.Types.ObjectId.isValid(req.params.messageId)) {
+      return res.status(404).json({ success: false, message: "Reply not found" });
+    }
+
+    const data = await rejectReply(inquiry, req.params.messageId, req.user, req.body?.reason);
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error("rejectConversationReply error:", error);
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * @desc    Replies waiting for approval, oldest first
+ * @route   GET /api/inquiries/replies/pending
+ * @access  Private/Admin
+ */
+export const getPendingReplies = async (req, res) => {
+  try {
+    const data = await InquiryMessage.find({ kind: "reply", status: "pending_approval" })
+      .sort({ createdAt: 1 })
+      .limit(200)
+      .populate("author", "name email")
+      .populate("inquiry", "customerName customerEmail status priority")
+      .lean();
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error("getPendingReplies error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
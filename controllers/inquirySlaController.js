@@ -0,0 +1,75 @@
+// controllers/inquirySlaController.js
+import Inquiry from "../models/Inquiry.js";
+import { nextSlaTarget, OPEN_INQUIRY_STATUSES, slaPolicy } from "../utils/inquirySla.js";
+import { runSlaEscalation } from "../utils/inquiryEscalation.js";
+
+/**
+ * @desc    Open inquiries whose next SLA target is breached or due within the
+ *          window, most urgent first. Agents see only their own.
+ * @route   GET /api/inquiries/sla/at-risk
+ * @access  Private
+ *
+ * Query: withinMinutes (default 60), priority, breached=true (breaches only)
+ */
+export const getAtRiskInquiries = async (req, res) => {
+  try {
+    const now = new Date();
+    const within = Math.max(parseInt(req.query.withinMinutes, 10) || 60, 0);
+    const horizon = new Date(now.getTime() + within * 60000);
+    const limit = req.query.breached === "true" ? now : horizon;
+
+    const filter = {
+      status: { $in: OPEN_INQUIRY_STATUSES },
+      $or: [
+        { "sla.firstResponseAt": null, "sla.firstResponseDueAt": { $lte: limit } },
+        { "sla.firstResponseAt": { $ne: null }, "sla.resolvedAt": null, "sla.resolutionDueAt": { $lte: limit } },
+      ],
+    };
+    if (req.user.role === "agent") filter.assignedAgent = req.user._id;
+    if (req.query.priority) filter.priority = { $in: String(req.query.priority).split(",") };
+
+    const inquiries = await Inquiry.find(filter)
+      .select("-responses")
+      .populate("assignedAgent", "name email")
+      .limit(500)
+      .lean();
+
+    const data = inquiries
+      .map((inquiry) => ({ ...inquiry, slaTarget: nextSlaTarget(inquiry, now) }))
+      .filter((i) => i.slaTarget)
+      .sort((a, b) => a.slaTarget.minutesLeft - b.slaTarget.minutesLeft);
+
+    res.json({ success: true, withinMinutes: within, data });
+  } catch (error) {
+    console.error("getAtRiskInquiries error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * @desc    SLA targets per priority (INQUIRY_SLA_POLICY over the defaults)
+ * @route   GET /api/inquiries/sla/policy
+ * @access  Private
+ */
+export const getSlaPolicy = (req, res) => {
+  res.json({
+    success: true,
+    data: slaPolicy(),
+    escalation: process.env.INQUIRY_SLA_ESCALATION === "reassign" ? "reassign" : "notify",
+  });
+};
+
+/**
+ * @desc    Run the SLA escalation pass now
+ * @route   POST /api/inquiries/sla/escalate
+ * @access  Private/Admin
+ */
+export const runSlaEscalationNow = async (req, res) => {
+  try {
+    const result = await runSlaEscalation();
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error("runSlaEscalationNow error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
@@ -0,0 +1,127 @@
+// controllers/inquirySyncController.js
+import SyncRun from "../models/SyncRun.js";
+import SyncState from "../models/SyncState.js";
+import { runAllInquirySyncs, runInquirySync } from "../utils/inquirySync.js";
+import {
+  buildInquirySource,
+  describeSource,
+  extractRecords,
+  getInquirySource,
+  listInquirySources,
+  mapInquiryRecord,
+  missingInquiryFields,
+} from "../utils/inquirySources.js";
+
+/**
+ * @desc    Run the external inquiry sync now. Body: { source?, full? }.
+ *          Without a source every enabled source is synced; full: true
+ *          ignores the high-water mark and re-reads everything.
+ * @route   POST /api/inquiries/sync
+ * @access  Private/Admin
+ */
+export const runSyncNow = async (req, res) => {
+  try {
+    const { source, full } = req.body || {};
+    const options = { trigger: "manual", user: req.user, full: full === true };
+
+    if (!source) {
+      const runs = await runAllInquirySyncs(options);
+      return res.json({ success: runs.every((r) => r.status !== "failed"), data: runs });
+    }
+
+    const run = await runInquirySync({ ...options, source });
+    if (!run) return res.status(409).json({ success: false, message: "A sync is already running" });
+    res.status(run.status === "failed" ? 502 : 200).json({ success: run.status !== "failed", data: run });
+  } catch (error) {
+    console.error("runSyncNow error:", error);
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * @desc    Recent sync runs (newest first) and each source's high-water mark
+ * @route   GET /api/inquiries/sync/runs
+ * @access  Private/Admin
+ *
+ * Query: source, status, limit (default 20, max 100)
+ */
+export const getSyncRuns = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.source) filter.source = String(req.query.source).toLowerCase();
+    if (req.query.status) filter.status = String(req.query.status);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const [runs, state] = await Promise.all([
+      SyncRun.find(filter).sort({ startedAt: -1 }).limit(limit).lean(),
+      SyncState.find(filter.source ? { source: filter.source } : {}).lean(),
+    ]);
+
+    res.json({ success: true, data: runs, state });
+  } catch (error) {
+    console.error("getSyncRuns error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * @desc    Configured inquiry sources (secrets shown only as set / not set)
+ * @route   GET /api/inquiries/sources
+ * @access  Private/Admin
+ */
+export const getInquirySources = async (req, res) => {
+  try {
+    res.json({ success: true, data: listInquirySources().map(describeSource) });
+  } catch (error) {
+    console.error("getInquirySources error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * @desc    Dry run: map a sample payload with a source's field map, without
+ *          saving anything. Body: { payload, config? }. payload is one record,
+ *          an array, or a full API response; config ({ fields, records, ... })
+ *          previews changes over the configured source.
+ * @route   POST /api/inquiries/sources/:name/preview
+ * @access  Private/Admin
+ */
+export const previewInquirySource = async (req, res) => {
+  try {
+    const { payload, config } = req.body || {};
+    if (payload === undefined) return res.status(400).json({ success: false, message: "payload is required" });
+
+    const base = getInquirySource(req.params.name);
+    if (!base && !config) {
+      return res.status(404).json({ success: false, message: `Unknown inquiry source "${req.params.name}"` });
+    }
+
+    let source;
+    try {
+      source = config ? buildInquirySource({ ...config, name: req.params.name }, base || undefined) : base;
+    } catch (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    let records;
+    if (Array.isArray(payload)) records = payload;
+    else {
+      try {
+        records = extractRecords(source, payload);
+      } catch {
+        records = [payload]; // a single record
+      }
+    }
+
+    const data = records.map((record) => {
+      const mapped = mapInquiryRecord(source, record);
+      const missing = missingInquiryFields(mapped);
+      return { mapped, valid: missing.length === 0, missing };
+    });
+
+    res.json({ success: true, source: describeSource(source), data });
+  } catch (error) {
+    console.error("previewInquirySource error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
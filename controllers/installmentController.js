@@ -0,0 +1,176 @@
+// controllers/installmentController.js
+import mongoose from "mongoose";
+import Booking, { PAYMENT_METHODS } from "../models/Booking.js";
+import { loadBookingForUser } from "../utils/bookingAccess.js";
+import { UNCOLLECTED_STATES, describeSchedule } from "../utils/installmentPlan.js";
+import { parseDay } from "../utils/calendarDay.js";
+import { recordBookingHistory } from "../utils/bookingHistory.js";
+
+/**
+ * @desc    Installment plan of a booking with computed paid/overdue status
+ * @route   GET /api/bookings/:id/installments
+ * @access  Private (admin or owner)
+ */
+export const getInstallments = async (req, res) => {
+  try {
+    const booking = await loadBookingForUser(req, res);
+    if (!booking) return;
+
+    const plan = booking.flightPayments?.installment;
+    if (booking.flightPayments?.mode !== "installment" || !plan?.schedule?.length) {
+      return res.status(404).json({ message: "Booking has no installment plan" });
+    }
+
+    const { schedule: _schedule, ...summary } = plan.toObject();
+    res.json({ success: true, data: { ...summary, schedule: describeSchedule(plan) } });
+  } catch (error) {
+    console.error("getInstallments error:", error);
+    res.status(500).json({ message: error.message || "Server error" });
+  }
+};
+
+/**
+ * @desc    Mark an installment paid. Either link an existing ledger payment
+ *          ({ paymentId }) or record a new one ({ method, amount?, date?, reference? };
+ *          amount defaults to the installment amount).
+ * @route   POST /api/bookings/:id/installments/:no/pay
+ * @access  Private (admin or owner)
+ */
+export const payInstallment = async (req, res) => {
+  try {
+    const booking = await loadBookingForUser(req, res);
+    if (!booking) return;
+
+    const schedule = booking.flightPayments?.installment?.schedule || [];
+    const item = schedule.find((i) => i.no === Number(req.params.no));
+    if (!item) return res.status(404).json({ message: "Installment not found" });
+    if (item.status === "paid") return res.status(409).json({ message: "Installment already paid" });
+
+    const { paymentId, method, amount, date, reference, notes } = req.body || {};
+    let payment;
+
+    if (paymentId) {
+      payment = mongoose.Types.ObjectId.isValid(paymentId) ? booking.payments.id(paymentId) : null;
+      if (!payment || payment.type !== "payment" || payment.status === "void") {
+        return res.status(400).json({ message: "paymentId must be a posted payment on this booking" });
+      }
+      if (schedule.some((i) => String(i.paymentId) === String(payment._id))) {
+        return res.status(409).json({ message: "Payment is already linked to another installment" });
+      }
+    } else {
+      if (!PAYMENT_METHODS.includes(method)) {
+        return res.status(400).json({ message: `method must be one of: ${PAYMENT_METHODS.join(", ")}` });
+      }
+      const value = amount !== undefined ? Number(amount) : item.amount;
+      if (!Number.isFinite(value) || value <= 0) {
+        return res.status(400).json({ message: "amount must be a positive number" });
+      }
+      booking.payments.push({
+        type: "payment",
+        amount: Math.round(value * 100) / 100,
+        method,
+        date: date || undefined,
+        reference,
+        notes: notes || `Installment ${item.no}`,
+        recordedBy: req.user._id,
+      });
+      payment = booking.payments[booking.payments.length - 1];
+    }
+
+    item.status = "paid";
+    item.paidAt = payment.date || new Date();
+    item.paymentId = payment._id;
+    booking.markModified("flightPayments.installment.schedule");
+    await booking.save();
+
+    await recordBookingHistory({
+      booking,
+      action: "payment",
+      user: req.user,
+      changes: [{ field: "flightPayments.installment.schedule", before: null, after: item.toObject?.() || item }],
+      reason: `Installment ${item.no} paid`,
+    });
+
+    res.json({ success: true, data: describeSchedule(booking.flightPayments.installment) });
+  } catch (error) {
+    console.error("payInstallment error:", error);
+    res.status(500).json({ message: error.message || "Server error" });
+  }
+};
+
+/**
+ * @desc    Unpaid installments across bookings, for collections calls.
+ *          Agents only see their own bookings; cancelled, refunded, rejected
+ *          and closed bookings are left out.
+ * @route   GET /api/bookings/installments
+ * @access  Private
+ *
+ * Query: status=overdue|upcoming|all (default all), days (upcoming horizon, default 14),
+ *        agent (admin only)
+ */
+export const getDueInstallments = async (req, res) => {
+  try {
+    const status = ["overdue", "upcoming", "all"].includes(req.query.status) ? req.query.status : "all";
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 14, 0), 365);
+
+    const filter = {
+      "flightPayments.mode": "installment",
+      "flightPayments.installment.schedule": { $elemMatch: { status: { $ne: "paid" } } },
+      state: { $nin: UNCOLLECTED_STATES },
+    };
+    if (req.user.role !== "admin") {
+      filter.agent = req.user._id;
+    } else if (req.query.agent) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.agent)) {
+        return res.status(400).json({ message: "Invalid agent id" });
+      }
+      filter.agent = req.query.agent;
+    }
+
+    const bookings = await Booking.find(filter)
+      .select("customerName customerEmail contactNumber package agent flightPayments.installment")
+      .populate("agent", "name email")
+      .lean();
+
+    const today = parseDay(new Date());
+    const horizon = new Date(today.getTime() + days * 86400000);
+
+    const rows = [];
+    bookings.forEach((b) => {
+      describeSchedule(b.flightPayments.installment, today).forEach((item) => {
+        if (item.status === "paid") return;
+        const due = parseDay(item.date);
+        if (!due) return;
+        const isOverdue = item.status === "overdue";
+        if (status === "overdue" && !isOverdue) return;
+        if (status === "upcoming" && (isOverdue || due > horizon)) return;
+        if (status === "all" && !isOverdue && due > horizon) return;
+        rows.push({
+          booking: b._id,
+          customerName: b.customerName,
+          customerEmail: b.customerEmail,
+          contactNumber: b.contactNumber,
+          package: b.package,
+          agent: b.agent,
+          ...item,
+        });
+      });
+    });
+
+    rows.sort((a, b) => String(a.date).localeCompare(String(b.date)));
+    const sum = (list) => Math.round(list.reduce((s, r) => s + r.amount, 0) * 100) / 100;
+
+    res.json({
+      success: true,
+      data: rows,
+      totals: {
+        count: rows.length,
+        overdue: sum(rows.filter((r) => r.status === "overdue")),
+        upcoming: sum(rows.filter((r) => r.status !== "overdue")),
+      },
+    });
+  } catch (error) {
+    console.error("getDueInstallments error:", error);
+    res.status(500).json({ message: error.message || "Server error" });
+  }
+};
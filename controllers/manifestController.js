@@ -0,0 +1,71 @@
+// controllers/manifestController.js
+import { loadBookingForUser as loadBooking } from "../utils/bookingAccess.js";
+import { diffBooking, recordBookingHistory } from "../utils/bookingHistory.js";
+import { emitBookingWebhook } from "../utils/webhookOutbox.js";
+import { stateOf } from "../utils/bookingLifecycle.js";
+import {
+  MANIFEST_CHECKED_STATES,
+  assertManifestReady,
+  manifestCounts,
+  manifestIssues,
+  normalizeManifest,
+} from "../utils/passengerManifest.js";
+
+const manifestResponse = (booking) => ({
+  success: true,
+  data: {
+    manifest: booking.manifest,
+    counts: manifestCounts(booking.manifest),
+    issues: manifestIssues(booking),
+  },
+});
+
+/**
+ * @desc    Passenger manifest with head counts and validation issues
+ *          (passport validity, count mismatches)
+ * @route   GET /api/bookings/:id/manifest
+ * @access  Private (admin or owner)
+ */
+export const getManifest = async (req, res) => {
+  try {
+    const booking = await loadBooking(req, res);
+    if (!booking) return;
+    res.json(manifestResponse(booking));
+  } catch (error) {
+    console.error("getManifest error:", error);
+    res.status(500).json({ message: error.message || "Server error" });
+  }
+};
+
+/**
+ * @desc    Replace the passenger manifest. Body: { manifest: [passenger] }
+ *          (or the array itself). Bookings past draft must come out clean.
+ * @route   PUT /api/bookings/:id/manifest
+ * @access  Private (admin or owner)
+ */
+export const updateManifest = async (req, res) => {
+  try {
+    const booking = await loadBooking(req, res);
+    if (!booking) return;
+
+    const list = Array.isArray(req.body) ? req.body : req.body?.manifest;
+    const before = booking.toObject();
+    booking.manifest = normalizeManifest(list, { travelDate: booking.departureDate });
+    if (MANIFEST_CHECKED_STATES.includes(stateOf(booking))) assertManifestReady(booking);
+    await booking.save();
+
+    const changes = diffBooking(before, booking);
+    if (changes.length > 0) {
+      await recordBookingHistory({ booking, action: "update", user: req.user, changes });
+      emitBookingWebhook("booking.updated", booking, { changed_fields: changes.map((c) => c.field) });
+    }
+
+    res.json(manifestResponse(booking));
+  } catch (error) {
+    if (!error.status) console.error("updateManifest error:", error);
+    res.status(error.status || 500).json({
+      message: error.message || "Server error",
+      ...(error.issues ? { issues: error.issues } : {}),
+    });
+  }
+};
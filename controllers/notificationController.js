@@ -0,0 +1,201 @@
+// controllers/notificationController.js
+import mongoose from "mongoose";
+import EmailTemplate from "../models/EmailTemplate.js";
+import EmailMessage from "../models/EmailMessage.js";
+import {
+  DEFAULT_TEMPLATES,
+  NOTIFICATION_EVENTS,
+  renderTemplate,
+  resolveTemplate,
+} from "../utils/emailTemplates.js";
+import { processEmailQueue, queueInstallmentReminders } from "../utils/notifications.js";
+
+const unknownEvent = (res, event) =>
+  res.status(404).json({ message: `Unknown event "${event}". Events: ${NOTIFICATION_EVENTS.join(", ")}` });
+
+/**
+ * @desc    Effective template per event for the company in context
+ *          (x-company-id / ?companyId; none = the all-companies override)
+ * @route   GET /api/notifications/templates
+ * @access  Private/Admin
+ */
+export const getTemplates = async (req, res) => {
+  try {
+    const data = await Promise.all(
+      NOTIFICATION_EVENTS.map(async (event) => {
+        const template = await resolveTemplate(event, req.companyId);
+        const source = template === DEFAULT_TEMPLATES[event] ? "default" : template.company ? "company" : "global";
+        const { subject, html, text } = template;
+        return { event, source, subject, html, text };
+      })
+    );
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error("getTemplates error:", error);
+    res.status(500).json({ message: error.message || "Server error" });
+  }
+};
+
+/**
+ * @desc    Save the company's template for an event. Body: { subject, html, text? }
+ * @route   PUT /api/notifications/templates/:event
+ * @access  Private/Admin
+ */
+export const saveTemplate = async (req, res) => {
+  try {
+    const { event } = req.params;
+    if (!NOTIFICATION_EVENTS.includes(event)) return unknownEvent(res, event);
+
+    const { subject, html, text } = req.body || {};
+    if (!subject || !html) return res.status(400).json({ message: "subject and html are required" });
+
+    const template = await EmailTemplate.findOneAndUpdate(
+      { company: req.companyId || null, event },
+      { subject, html, text, updatedBy: req.user._id },
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+    res.json({ success: true, data: template });
+  } catch (error) {
+    console.error("saveTemplate error:", error);
+    res.status(500).json({ message: error.message || "Server error" });
+  }
+};
+
+/**
+ * @desc    Drop the company's template for an event (falls back to the default)
+ * @route   DELETE /api/notifications/templates/:event
+ * @access  Private/Admin
+ */
+export const deleteTemplate = async (req, res) => {
+  try {
+    const { event } = req.params;
+    if (!NOTIFICATION_EVENTS.includes(event)) return unknownEvent(res, event);
+
+    const { deletedCount } = await EmailTemplate.deleteOne({ company: req.companyId || null, event });
+    if (!deletedCount) return res.status(404).json({ message: "No saved template for this event" });
+    res.json({ success: true, message: "Template reset to default" });
+  } catch (error) {
+    console.error("deleteTemplate error:", error);
+    res.status(500).json({ message: error.message || "Server error" });
+  }
+};
+
+/**
+ * @desc    Render a template without sending. Body: { data, subject?, html?, text? }
+ *          (subject/html/text preview unsaved edits; otherwise the effective template is used)
+ * @route   POST /api/notifications/templates/:event/preview
+ * @access  Private/Admin
+ */
+export const previewTemplate = async (req, res) => {
+  try {
+    const { event } = req.params;
+    if (!NOTIFICATION_EVENTS.includes(event)) return unknownEvent(res, event);
+
+    const { data = {}, subject, html, text } = req.body || {};
+    const template = html ? { subject, html, text } : await resolveTemplate(event, req.companyId);
+    res.json({ success: true, data: renderTemplate(template, data) });
+  } catch (error) {
+    console.error("previewTemplate error:", error);
+    res.status(500).json({ message: error.message || "Server error" });
+  }
+};
+
+/**
+ * @desc    Sent/queued/failed emails, newest first
+ * @route   GET /api/notifications/messages
+ * @access  Private/Admin
+ *
+ * Query: status, event, to, booking, inquiry, page, limit (max 200)
+ */
+export const getMessages = async (req, res) => {
+  try {
+    const filter = {};
+    ["status", "event", "to"].forEach((k) => {
+      if (req.query[k]) filter[k] = String(req.query[k]);
+    });
+    for (const k of ["booking", "inquiry"]) {
+      if (!req.query[k]) continue;
+      if (!mongoose.Types.ObjectId.isValid(req.query[k])) {
+        return res.status(400).json({ message: `Invalid ${k} id` });
+      }
+      filter[k] = req.query[k];
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 25, 1), 200);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+    const [data, total] = await Promise.all([
+      EmailMessage.find(filter)
+        .select("-html -text")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      EmailMessage.countDocuments(filter),
+    ]);
+
+    res.json({ success: true, data, pagination: { total, page, limit, pages: Math.ceil(total / limit) } });
+  } catch (error) {
+    console.error("getMessages error:", error);
+    res.status(500).json({ message: error.message || "Server error" });
+  }
+};
+
+/**
+ * @desc    One email with its body and delivery attempts
+ * @route   GET /api/notifications/messages/:id
+ * @access  Private/Admin
+ */
+export const getMessage = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid message id" });
+    }
+    const message = await EmailMessage.findById(req.params.id).lean();
+    if (!message) return res.status(404).json({ message: "Message not found" });
+    res.json({ success: true, data: message });
+  } catch (error) {
+    console.error("getMessage error:", error);
+    res.status(500).json({ message: error.message || "Server error" });
+  }
+};
+
+/**
+ * @desc    Queue a failed email again (attempt count starts over)
+ * @route   POST /api/notifications/messages/:id/retry
+ * @access  Private/Admin
+ */
+export const retryMessage = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid message id" });
+    }
+    const message = await EmailMessage.findOneAndUpdate(
+      { _id: req.params.id, status: "failed" },
+      { $set: { status: "queued", attempts: 0, nextAttemptAt: new Date() } },
+      { new: true }
+    );
+    if (!message) return res.status(409).json({ message: "Only failed messages can be retried" });
+
+    await processEmailQueue();
+    res.json({ success: true, data: await EmailMessage.findById(message._id).select("-html -text").lean() });
+  } catch (error) {
+    console.error("retryMessage error:", error);
+    res.status(500).json({ message: error.message || "Server error" });
+  }
+};
+
+/**
+ * @desc    Queue installment reminders now instead of waiting for the worker
+ * @route   POST /api/notifications/reminders/run
+ * @access  Private/Admin
+ */
+export const runInstallmentReminders = async (req, res) => {
+  try {
+    const result = await queueInstallmentReminders();
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error("runInstallmentReminders error:", error);
+    res.status(500).json({ message: error.message || "Server error" });
+  }
+};
@@ -0,0 +1,246 @@
+// controllers/packageController.js
+import mongoose from "mongoose";
+import Package from "../models/Package.js";
+import { httpError } from "../utils/httpError.js";
+import {
+  PACKAGE_STATUSES,
+  normalizeBasePrices,
+  normalizeSeasons,
+  priceFor,
+  pricesFor,
+  seasonFor,
+  slugify,
+} from "../utils/packageCatalog.js";
+
+const INCLUSIONS = ["breakfast", "dinner", "visa", "ticket", "roundtrip", "ziyarat", "guide"];
+
+const hotelStay = (value, label) => {
+  if (!value) return undefined;
+  const stay = typeof value === "string" ? { name: value } : value;
+  const nights = stay.nights === undefined || stay.nights === "" ? undefined : Number(stay.nights);
+  if (nights !== undefined && (!Number.isInteger(nights) || nights < 0)) {
+    throw httpError(400, `hotels.${label}.nights must be a whole number`);
+  }
+  if (stay.hotel && !mongoose.Types.ObjectId.isValid(String(stay.hotel))) {
+    throw httpError(400, `hotels.${label}.hotel must be a hotel id`);
+  }
+  return { hotel: stay.hotel || undefined, name: stay.name ? String(stay.name).trim() : undefined, nights };
+};
+
+// Whitelisted package fields from the body; throws httpError(400) on bad values
+const packageInput = (body = {}) => {
+  const input = {};
+  ["name", "description"].forEach((k) => body[k] !== undefined && (input[k] = String(body[k]).trim()));
+  if (body.slug !== undefined || input.name) input.slug = slugify(body.slug || input.name);
+  if (body.slug !== undefined && !input.slug) throw httpError(400, "slug must contain letters or digits");
+  if (body.status !== undefined) {
+    if (!PACKAGE_STATUSES.includes(body.status)) throw httpError(400, `status must be one of ${PACKAGE_STATUSES.join(", ")}`);
+    input.status = body.status;
+  }
+  if (body.isPublic !== undefined) input.isPublic = body.isPublic === true || body.isPublic === "true";
+  if (body.currency !== undefined) input.currency = String(body.currency).trim().toUpperCase();
+  if (body.basePrices !== undefined) input.basePrices = normalizeBasePrices(body.basePrices);
+  if (body.seasons !== undefined) input.seasons = normalizeSeasons(body.seasons);
+  if (body.hotels !== undefined) {
+    input.hotels = {
+      makkah: hotelStay(body.hotels?.makkah, "makkah"),
+      madinah: hotelStay(body.hotels?.madinah ?? body.hotels?.madina, "madinah"),
+    };
+  }
+  if (body.services !== undefined) {
+    input.services = { transportation: body.services?.transportation, visa: body.services?.visa };
+  }
+  if (body.inclusions !== undefined) {
+    input.inclusions = Object.fromEntries(INCLUSIONS.map((k) => [k, Boolean(body.inclusions?.[k])]));
+  }
+  return input;
+};
+
+const parseDate = (value) => {
+  if (!value) return new Date();
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) throw httpError(400, "date is not a valid date");
+  return d;
+};
+
+// Public view: catalog fields plus the prices for `date`
+const publicPackage = (pkg, date) => ({
+  id: pkg._id,
+  slug: pkg.slug,
+  name: pkg.name,
+  description: pkg.description,
+  currency: pkg.currency,
+  prices: pricesFor(pkg, date),
+  season: seasonFor(pkg, date)?.name || null,
+  seasons: (pkg.seasons || []).map(({ name, from, to, prices }) => ({ name, from, to, prices })),
+  hotels: pkg.hotels,
+  totalNights: (pkg.hotels?.makkah?.nights || 0) + (pkg.hotels?.madinah?.nights || 0),
+  services: pkg.services,
+  inclusions: pkg.inclusions,
+});
+
+const sendError = (res, label, error) => {
+  if (!error.status && error.code !== 11000) console.error(`${label} error:`, error);
+  const status = error.code === 11000 ? 409 : error.status || (error.name === "ValidationError" ? 400 : 500);
+  res.status(status).json({
+    success: false,
+    message: error.code === 11000 ? "A package with this slug already exists" : error.message,
+  });
+};
+
+const loadPackage = async (req, res) => {
+  const pkg = mongoose.Types.ObjectId.isValid(req.params.id) ? await Package.findById(req.params.id) : null;
+  if (!pkg) res.status(404).json({ success: false, message: "Package not found" });
+  return pkg;
+};
+
+/**
+ * @desc    Public catalog: active, public packages with prices for a date
+ * @route   GET /api/packages/public
+ * @access  Public
+ *
+ * Query: date (travel date, default today)
+ */
+export const getPublicPackages = async (req, res) => {
+  try {
+    const date = parseDate(req.query.date);
+    const packages = await Package.find({ status: "active", isPublic: true }).sort({ name: 1 }).lean();
+    res.json({ success: true, data: packages.map((p) => publicPackage(p, date)) });
+  } catch (error) {
+    sendError(res, "getPublicPackages", error);
+  }
+};
+
+/**
+ * @desc    One public package by slug
+ * @route   GET /api/packages/public/:slug
+ * @access  Public
+ */
+export const getPublicPackage = async (req, res) => {
+  try {
+    const date = parseDate(req.query.date);
+    const pkg = await Package.findOne({ slug: String(req.params.slug).toLowerCase(), status: "active", isPublic: true }).lean();
+    if (!pkg) return res.status(404).json({ success: false, message: "Package not found" });
+    res.json({ success: true, data: publicPackage(pkg, date) });
+  } catch (error) {
+    sendError(res, "getPublicPackage", error);
+  }
+};
+
+/**
+ * @desc    Catalog for staff, every status
+ * @route   GET /api/packages
+ * @access  Private
+ *
+ * Query: status (comma-separated), q (name contains)
+ */
+export const getPackages = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) filter.status = { $in: String(req.query.status).split(",") };
+    if (req.query.q) {
+      filter.name = { $regex: String(req.query.q).replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), $options: "i" };
+    }
+    const date = parseDate(req.query.date);
+    const packages = await Package.find(filter).sort({ status: 1, name: 1 });
+    res.json({
+      success: true,
+      data: packages.map((p) => ({ ...p.toJSON(), currentPrices: pricesFor(p, date) })),
+    });
+  } catch (error) {
+    sendError(res, "getPackages", error);
+  }
+};
+
+/**
+ * @desc    One package
+ * @route   GET /api/packages/:id
+ * @access  Private
+ */
+export const getPackageById = async (req, res) => {
+  try {
+    const pkg = await loadPackage(req, res);
+    if (!pkg) return;
+    res.json({ success: true, data: pkg });
+  } catch (error) {
+    sendError(res, "getPackageById", error);
+  }
+};
+
+/**
+ * @desc    Per-person price for a travel date. Query: date, occupancy
+ *          (one occupancy; every occupancy when left out)
+ * @route   GET /api/packages/:id/price
+ * @access  Private
+ */
+export const getPackagePrice = async (req, res) => {
+  try {
+    const pkg = await loadPackage(req, res);
+    if (!pkg) return;
+    const date = parseDate(req.query.date);
+    const data = req.query.occupancy
+      ? priceFor(pkg, { date, occupancy: String(req.query.occupancy).toLowerCase() })
+      : { prices: pricesFor(pkg, date), currency: pkg.currency, season: seasonFor(pkg, date)?.name || null };
+    res.json({ success: true, data: { date, ...data } });
+  } catch (error) {
+    sendError(res, "getPackagePrice", error);
+  }
+};
+
+/**
+ * @desc    Create a package. Body: { name, slug?, description?, status?,
+ *          isPublic?, currency?, basePrices: { double, triple, quad },
+ *          seasons?: [{ name, from, to, prices }], hotels?: { makkah, madinah:
+ *          { name, nights } }, services?, inclusions? }
+ * @route   POST /api/packages
+ * @access  Private/Admin
+ */
+export const createPackage = async (req, res) => {
+  try {
+    const input = packageInput(req.body);
+    if (!input.name) return res.status(400).json({ success: false, message: "name is required" });
+    const pkg = await Package.create({ ...input, updatedBy: req.user._id });
+    res.status(201).json({ success: true, data: pkg });
+  } catch (error) {
+    sendError(res, "createPackage", error);
+  }
+};
+
+/**
+ * @desc    Update a package. Quotes already on inquiries and bookings keep
+ *          their snapshot price.
+ * @route   PUT /api/packages/:id
+ * @access  Private/Admin
+ */
+export const updatePackage = async (req, res) => {
+  try {
+    const pkg = await loadPackage(req, res);
+    if (!pkg) return;
+    const input = packageInput(req.body);
+    if (req.body?.slug === undefined) delete input.slug; // renaming keeps the public URL
+    pkg.set({ ...input, updatedBy: req.user._id });
+    await pkg.save();
+    res.json({ success: true, data: pkg });
+  } catch (error) {
+    sendError(res, "updatePackage", error);
+  }
+};
+
+/**
+ * @desc    Archive a package (kept for the inquiries and bookings that
+ *          reference it; no longer listed or quotable)
+ * @route   DELETE /api/packages/:id
+ * @access  Private/Admin
+ */
+export const archivePackage = async (req, res) => {
+  try {
+    const pkg = await loadPackage(req, res);
+    if (!pkg) return;
+    pkg.status = "archived";
+    pkg.updatedBy = req.user._id;
+    await pkg.save();
+    res.json({ success: true, message: "Package archived", data: pkg });
+  } catch (error) {
+    sendError(res, "archivePackage", error);
+  }
+};
@@ -0,0 +1,204 @@
+// controllers/paymentController.js
+import { PAYMENT_METHODS } from "../models/Booking.js";
+import { loadBookingForUser as loadBooking } from "../utils/bookingAccess.js";
+import { ledgerEntries, refundedAgainst, summarizeLedger } from "../utils/paymentLedger.js";
+import { recordBookingHistory } from "../utils/bookingHistory.js";
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Validate { amount, method, date } from the body; returns an error message or null.
+// The amount is checked as stored (rounded to cents), so 0.004 is refused here.
+const validateEntry = ({ amount, method, date }, { methodRequired = true } = {}) => {
+  const n = Number(amount);
+  if (!Number.isFinite(n) || round2(n) < 0.01) return "amount must be at least 0.01";
+  if ((methodRequired || method) && !PAYMENT_METHODS.includes(method)) {
+    return `method must be one of: ${PAYMENT_METHODS.join(", ")}`;
+  }
+  if (date && Number.isNaN(new Date(date).getTime())) return "Invalid date";
+  return null;
+};
+
+// Mongoose validation failures are the client's; anything else is ours
+const sendError = (res, label, error) => {
+  if (error.name === "ValidationError") return res.status(400).json({ message: error.message });
+  console.error(`${label} error:`, error);
+  res.status(500).json({ message: error.message || "Server error" });
+};
+
+const ledgerResponse = (booking) => ({
+  success: true,
+  data: {
+    entries: ledgerEntries(booking),
+    summary: summarizeLedger(booking),
+  },
+});
+
+/**
+ * @desc    List ledger entries and balance for a booking
+ * @route   GET /api/bookings/:id/payments
+ * @access  Private (admin or owner)
+ */
+export const getPayments = async (req, res) => {
+  try {
+    const booking = await loadBooking(req, res);
+    if (!booking) return;
+    res.json(ledgerResponse(booking));
+  } catch (error) {
+    sendError(res, "getPayments", error);
+  }
+};
+
+/**
+ * @desc    Record a payment against a booking
+ * @route   POST /api/bookings/:id/payments
+ * @access  Private (admin or owner)
+ */
+export const addPayment = async (req, res) => {
+  try {
+    const booking = await loadBooking(req, res);
+    if (!booking) return;
+
+    const { amount, method, date, reference, notes } = req.body || {};
+    const invalid = validateEntry({ amount, method, date });
+    if (invalid) return res.status(400).json({ message: invalid });
+
+    // First ledger write on a legacy booking: carry the old single payment over
+    if (booking.payments.length === 0 && booking.paymentReceived?.amount > 0) {
+      booking.payments.push({
+        type: "payment",
+        amount: booking.paymentReceived.amount,
+        method: booking.paymentReceived.method || "cash",
+        date: booking.paymentReceived.date,
+        reference: booking.paymentReceived.reference,
+        notes: "Migrated from paymentReceived",
+      });
+    }
+
+    booking.payments.push({
+      type: "payment",
+      amount: round2(Number(amount)),
+      method,
+      date: date || undefined,
+      reference,
+      notes,
+      recordedBy: req.user._id,
+    });
+    await booking.save();
+
+    const entry = booking.payments[booking.payments.length - 1];
+    await recordBookingHistory({
+      booking,
+      action: "payment",
+      user: req.user,
+      changes: [{ field: "payments", before: null, after: entry.toObject() }],
+    });
+
+    res.status(201).json(ledgerResponse(booking));
+  } catch (error) {
+    sendError(res, "addPayment", error);
+  }
+};
+
+/**
+ * @desc    Void a ledger entry (payment or refund). Voided entries stay on the
+ *          ledger for the record but no longer count towards the balance.
+ * @route   POST /api/bookings/:id/payments/:paymentId/void
+ * @access  Private/Admin
+ */
+export const voidPayment = async (req, res) => {
+  try {
+    const booking = await loadBooking(req, res);
+    if (!booking) return;
+
+    const entry = booking.payments.id(req.params.paymentId);
+    if (!entry) return res.status(404).json({ message: "Payment entry not found" });
+    if (entry.status === "void") return res.status(409).json({ message: "Entry already voided" });
+
+    if (entry.type === "payment" && refundedAgainst(booking, entry._id) > 0) {
+      return res.status(409).json({ message: "Void the refunds against this payment first" });
+    }
+
+    const before = entry.toObject();
+    entry.status = "void";
+    entry.voidedAt = new Date();
+    entry.voidedBy = req.user._id;
+    entry.voidReason = req.body?.reason;
+
+    // An installment paid by this entry is due again
+    (booking.flightPayments?.installment?.schedule || []).forEach((item) => {
+      if (String(item.paymentId) === String(entry._id)) {
+        item.status = "pending";
+        item.paidAt = undefined;
+        item.paymentId = undefined;
+      }
+    });
+    booking.markModified("flightPayments.installment.schedule");
+    await booking.save();
+
+    await recordBookingHistory({
+      booking,
+      action: "void_payment",
+      user: req.user,
+      changes: [{ field: "payments", before, after: entry.toObject() }],
+      reason: req.body?.reason,
+    });
+
+    res.json(ledgerResponse(booking));
+  } catch (error) {
+    sendError(res, "voidPayment", error);
+  }
+};
+
+/**
+ * @desc    Refund (part of) a posted payment
+ * @route   POST /api/bookings/:id/payments/:paymentId/refund
+ * @access  Private/Admin
+ */
+export const refundPayment = async (req, res) => {
+  try {
+    const booking = await loadBooking(req, res);
+    if (!booking) return;
+
+    const payment = booking.payments.id(req.params.paymentId);
+    if (!payment || payment.type !== "payment") {
+      return res.status(404).json({ message: "Payment entry not found" });
+    }
+    if (payment.status === "void") {
+      return res.status(409).json({ message: "Cannot refund a voided payment" });
+    }
+
+    const { amount, method, date, reference, notes } = req.body || {};
+    const invalid = validateEntry({ amount, method, date }, { methodRequired: false });
+    if (invalid) return res.status(400).json({ message: invalid });
+
+    const refundable = round2(payment.amount - refundedAgainst(booking, payment._id));
+    if (round2(Number(amount)) > refundable) {
+      return res.status(400).json({ message: `Refund exceeds refundable amount (${refundable})` });
+    }
+
+    booking.payments.push({
+      type: "refund",
+      amount: round2(Number(amount)),
+      method: method || payment.method,
+      date: date || undefined,
+      reference,
+      notes,
+      refundOf: payment._id,
+      recordedBy: req.user._id,
+    });
+    await booking.save();
+
+    const entry = booking.payments[booking.payments.length - 1];
+    await recordBookingHistory({
+      booking,
+      action: "refund",
+      user: req.user,
+      changes: [{ field: "payments", before: null, after: entry.toObject() }],
+      reason: notes,
+    });
+
+    res.status(201).json(ledgerResponse(booking));
+  } catch (error) {
+    sendError(res, "refundPayment", error);
+  }
+};
@@ -0,0 +1,124 @@
+// controllers/webhookController.js
+import mongoose from "mongoose";
+import WebhookDelivery from "../models/WebhookDelivery.js";
+import { processWebhookQueue, replayDelivery } from "../utils/webhookOutbox.js";
+
+const STATUSES = ["pending", "sending", "delivered", "dead"];
+
+/**
+ * @desc    Outbound webhook deliveries, newest first (payload and history omitted)
+ * @route   GET /api/webhooks/deliveries
+ * @access  Private/Admin
+ *
+ * Query: status, event, kind (inquiry|booking), resource (id), page, limit (max 200)
+ */
+export const getDeliveries = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) {
+      const list = String(req.query.status).split(",").filter((s) => STATUSES.includes(s));
+      filter.status = { $in: list };
+    }
+    if (req.query.event) filter.event = String(req.query.event);
+    if (req.query.kind) filter["resource.kind"] = String(req.query.kind);
+    if (req.query.resource) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.resource)) {
+        return res.status(400).json({ message: "Invalid resource id" });
+      }
+      filter["resource.id"] = req.query.resource;
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 25, 1), 200);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+    const [data, total, counts] = await Promise.all([
+      WebhookDelivery.find(filter)
+        .select("-payload -history")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      WebhookDelivery.countDocuments(filter),
+      WebhookDelivery.aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }]),
+    ]);
+
+    res.json({
+      success: true,
+      data,
+      pagination: { total, page, limit, pages: Math.ceil(total / limit) },
+      counts: Object.fromEntries(counts.map((c) => [c._id, c.count])),
+    });
+  } catch (error) {
+    console.error("getDeliveries error:", error);
+    res.status(500).json({ message: error.message || "Server error" });
+  }
+};
+
+/**
+ * @desc    One delivery with its payload and every attempt
+ * @route   GET /api/webhooks/deliveries/:id
+ * @access  Private/Admin
+ */
+export const getDelivery = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid delivery id" });
+    }
+    const delivery = await WebhookDelivery.findById(req.params.id).lean();
+    if (!delivery) return res.status(404).json({ message: "Delivery not found" });
+    res.json({ success: true, data: delivery });
+  } catch (error) {
+    console.error("getDelivery error:", error);
+    res.status(500).json({ message: error.message || "Server error" });
+  }
+};
+
+/**
+ * @desc    Replay a delivered or dead delivery (same payload and Idempotency-Key)
+ * @route   POST /api/webhooks/deliveries/:id/replay
+ * @access  Private/Admin
+ */
+export const replayWebhookDelivery = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid delivery id" });
+    }
+    const delivery = await replayDelivery(req.params.id);
+    if (!delivery) {
+      const exists = await WebhookDelivery.exists({ _id: req.params.id });
+      return exists
+        ? res.status(409).json({ message: "Delivery is already queued" })
+        : res.status(404).json({ message: "Delivery not found" });
+    }
+
+    await processWebhookQueue();
+    const updated = await WebhookDelivery.findById(delivery._id).select("-payload").lean();
+    res.json({ success: true, data: updated });
+  } catch (error) {
+    console.error("replayWebhookDelivery error:", error);
+    res.status(500).json({ message: error.message || "Server error" });
+  }
+};
+
+/**
+ * @desc    Requeue every dead delivery (optionally only one event). Body: { event? }
+ * @route   POST /api/webhooks/deliveries/replay-dead
+ * @access  Private/Admin
+ */
+export const replayDeadDeliveries = async (req, res) => {
+  try {
+    const filter = { status: "dead" };
+    if (req.body?.event) filter.event = String(req.body.event);
+
+    const { modifiedCount } = await WebhookDelivery.updateMany(filter, {
+      $set: { status: "pending", attempts: 0, nextAttemptAt: new Date() },
+      $unset: { deadAt: 1 },
+    });
+    setImmediate(() => processWebhookQueue().catch((e) => console.error("Webhook queue error:", e)));
+
+    res.json({ success: true, requeued: modifiedCount });
+  } catch (error) {
+    console.error("replayDeadDeliveries error:", error);
+    res.status(500).json({ message: error.message || "Server error" });
+  }
+};
@@ -7,7 +7,7 @@ import User from "../models/User.js";
  * Auth guard
  * - Reads Bearer token from Authorization header
  * - Verifies JWT
- * - Loads user with company field attached
+ * - Loads the staff principal (admin or agent) with company field attached
  * - Attaches user to req.user
  */
 export const protect = asyncHandler(async (req, res, next) => {
@@ -35,28 +35,9 @@ export const protect = asyncHandler(async (req, res, next) => {
     throw new Error("Not authorized, token invalid");
   }
 
-  // Try loading from User first, then Agent
-  let user = await User.findById(decoded.id)
-    .select("_id name email role company createdAt updatedAt");
-
-  // If not found in User, try Agent model
-  if (!user) {
-    const { default: Agent } = await import("../models/Agent.js");
-    const agent = await Agent.findById(decoded.id)
-      .select("_id name email role phone username department monthlyTarget commissionRate createdAt updatedAt");
-    if (agent) {
-      // Convert agent to user-like format
-      user = {
-        _id: agent._id,
-        name: agent.name,
-        email: agent.email,
-        role: agent.role || "agent",
-        company: null,
-        createdAt: agent.createdAt,
-        updatedAt: agent.updatedAt,
-      };
-    }
-  }
+  // Tokens issued before the staff merge may carry an old Agent id
+  const user = await User.findByPrincipalId(decoded.id)
+    .select("_id name email role company phone username department monthlyTarget commissionRate createdAt updatedAt");
 
   if (!user) {
     res.status(401);
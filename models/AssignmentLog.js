@@ -0,0 +1,22 @@
+import mongoose from "mongoose";
+
+// Audit trail of inquiry assignments: who got it and why
+const assignmentLogSchema = new mongoose.Schema(
+  {
+    inquiry: { type: mongoose.Schema.Types.ObjectId, ref: "Inquiry", required: true, index: true },
+    agent: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // null = left unassigned
+    trigger: { type: String, enum: ["create", "sync", "manual", "auto", "escalation"], required: true },
+    rule: { type: mongoose.Schema.Types.ObjectId, ref: "AssignmentRule" },
+    ruleName: String,
+    strategy: String, // round_robin | least_open | manual
+    fallback: Boolean, // picked by a fallback rather than the rule's own pool
+    candidates: Number, // size of the pool the agent was picked from
+    reason: String,
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // manual assignments
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+assignmentLogSchema.index({ createdAt: -1 });
+
+export default mongoose.model("AssignmentLog", assignmentLogSchema);
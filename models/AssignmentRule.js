@@ -0,0 +1,37 @@
+import mongoose from "mongoose";
+
+export const ASSIGNMENT_STRATEGIES = ["round_robin", "least_open"];
+export const ASSIGNMENT_FALLBACKS = ["next_rule", "any_agent", "none"];
+
+// Auto-assignment rule (utils/inquiryAssignment.js). Rules are tried in
+// priority order; the first whose match fits the inquiry picks an agent from
+// its pool with its strategy, or applies its fallback when the pool is empty.
+const assignmentRuleSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    enabled: { type: Boolean, default: true },
+    priority: { type: Number, default: 100 }, // lower runs first
+
+    // Every listed criterion must hit; an empty match fits every inquiry.
+    // Values are case-insensitive substrings.
+    match: {
+      packageNames: [String], // packageDetails.packageName
+      sources: [String], // inquiry.source (exact, e.g. "mtumrah")
+      keywords: [String], // message
+    },
+
+    // Agent pool: active agents of this department and/or these agents
+    department: { type: String, trim: true },
+    agents: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+
+    strategy: { type: String, enum: ASSIGNMENT_STRATEGIES, default: "round_robin" },
+    fallback: { type: String, enum: ASSIGNMENT_FALLBACKS, default: "next_rule" },
+
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+assignmentRuleSchema.index({ enabled: 1, priority: 1 });
+
+export default mongoose.model("AssignmentRule", assignmentRuleSchema);
@@ -1,4 +1,10 @@
 import mongoose from "mongoose";
+import { summarizeLedger } from "../utils/paymentLedger.js";
+import { BOOKING_STATES, LEGACY_FIELDS, stateFromLegacy } from "../utils/bookingLifecycle.js";
+import { resolveCustomer } from "../utils/customerIdentity.js";
+import { PackageSnapshotSchema } from "./Package.js";
+import { GROUP_SHARED_SECTIONS } from "../utils/groupBooking.js";
+import { GENDERS, PASSENGER_TITLES, PASSENGER_TYPES } from "../utils/passengerManifest.js";
 
 const VisaPassengerSchema = new mongoose.Schema(
   {
@@ -9,7 +15,20 @@ const VisaPassengerSchema = new mongoose.Schema(
   { _id: false }
 );
 
-const TransportLegSchema = new mongoose.Schema(
+// Passenger manifest entry; names as printed in the passport (utils/passengerManifest.js)
+const PassengerSchema = new mongoose.Schema({
+  title: { type: String, enum: PASSENGER_TITLES },
+  givenNames: String,
+  surname: String,
+  dateOfBirth: Date,
+  gender: { type: String, enum: GENDERS },
+  type: { type: String, enum: PASSENGER_TYPES, default: "adult" },
+  nationality: String,
+  passportNumber: String,
+  passportExpiry: Date,
+});
+
+export const TransportLegSchema = new mongoose.Schema(
   {
     from: String,
     to: String,
@@ -20,6 +39,35 @@ const TransportLegSchema = new mongoose.Schema(
   { _id: false }
 );
 
+// Air segment parsed from flights.raw (utils/itineraryParser.js)
+export const FlightSegmentSchema = new mongoose.Schema(
+  {
+    line: Number, // line of flights.raw it was read from
+    carrier: String,
+    flightNumber: String,
+    bookingClass: String,
+    date: Date,
+    origin: String,
+    destination: String,
+    departureTime: String, // "HH:MM", local to origin
+    arrivalTime: String,
+    arrivalDate: Date,
+    status: String, // e.g. HK2
+  },
+  { _id: false }
+);
+
+// Pasted itinerary plus what the parser made of it
+export const FlightsSchema = new mongoose.Schema(
+  {
+    raw: String, // pasted text
+    itineraryLines: [FlightSegmentSchema], // parsed on save; never taken from the client
+    parseErrors: [{ _id: false, line: Number, text: String, message: String }],
+  },
+  { _id: false }
+);
+
+// Row totals are computed server-side (utils/costing.js) in the costing currency
 const CostRowSchema = new mongoose.Schema(
   {
     item: String,
@@ -27,15 +75,59 @@ const CostRowSchema = new mongoose.Schema(
     quantity: Number,
     costPerQty: Number,
     salePerQty: Number,
+    currency: String,    // row currency; defaults to costing.currency
+    markupPercent: Number, // used when salePerQty is not given
+    marginPercent: Number,
+    fxRate: Number,      // 1 row currency = fxRate costing currency
+    totalCost: Number,
+    totalSale: Number,
+    profit: Number,
   },
   { _id: false }
 );
 
+export const PAYMENT_METHODS = ['credit_card', 'zelle', 'wire_transfer', 'cash', 'check'];
+
+// One line of the payments sub-ledger. Entries are never edited or removed:
+// mistakes are voided, money returned is a "refund" entry pointing at its payment.
+const PaymentEntrySchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: ["payment", "refund"], required: true },
+    amount: { type: Number, required: true, min: 0.01 },
+    method: { type: String, enum: PAYMENT_METHODS, required: true },
+    date: { type: Date, default: Date.now },
+    reference: String, // Transaction reference or check number
+    notes: String,
+    refundOf: { type: mongoose.Schema.Types.ObjectId }, // payment entry _id (refunds only)
+    status: { type: String, enum: ["posted", "void"], default: "posted" },
+    voidedAt: Date,
+    voidedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    voidReason: String,
+    recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+// Generated server-side (utils/installmentPlan.js). "overdue" is computed on read.
 const InstallmentItemSchema = new mongoose.Schema(
   {
     no: Number,
-    date: String,
+    date: String, // YYYY-MM-DD
     amount: Number,
+    status: { type: String, enum: ["pending", "paid"], default: "pending" },
+    paidAt: Date,
+    paymentId: { type: mongoose.Schema.Types.ObjectId }, // payments ledger entry
+  },
+  { _id: false }
+);
+
+const StateChangeSchema = new mongoose.Schema(
+  {
+    from: String,
+    to: String,
+    at: { type: Date, default: Date.now },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    reason: String,
   },
   { _id: false }
 );
@@ -45,14 +137,28 @@ const BookingSchema = new mongoose.Schema(
     // ORIGINAL CORE FIELDS (kept)
     customerName: { type: String, required: true },
     customerEmail: { type: String, required: true },
+    customer: { type: mongoose.Schema.Types.ObjectId, ref: "Customer" }, // utils/customerIdentity.js
     package: { type: String, required: true },
+    // Catalog package (models/Package.js) and the per-person price quoted from it
+    packageId: { type: mongoose.Schema.Types.ObjectId, ref: "Package" },
+    packageSnapshot: PackageSnapshotSchema,
     date: { type: Date, required: true },
+    // Lifecycle state; only changed through utils/bookingLifecycle.js
+    // (POST /api/bookings/:id/transition). status/approvalStatus mirror it.
+    state: { type: String, enum: BOOKING_STATES },
+    stateHistory: [StateChangeSchema],
     status: {
       type: String,
       enum: ["pending", "confirmed", "cancelled"],
       default: "pending",
     },
     agent: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: false },
+    // Inquiry this booking was converted from (utils/inquiryConversion.js)
+    inquiryId: { type: mongoose.Schema.Types.ObjectId, ref: "Inquiry" },
+    // Group departure (utils/groupBooking.js). Shared sections are copied in
+    // from the group unless listed in groupOverrides.
+    group: { type: mongoose.Schema.Types.ObjectId, ref: "Group" },
+    groupOverrides: [{ type: String, enum: GROUP_SHARED_SECTIONS }],
 
     // LEGACY FIELDS (for backward compatibility)
     contactNumber: String,
@@ -69,11 +175,15 @@ const BookingSchema = new mongoose.Schema(
     approvalStatus: String,
     customerGroup: String,
     
-    // Credit card fields (stored at root level)
-    cardNumber: String,
-    expiryDate: String,
-    cvv: String,
-    cardholderName: String,
+    // Card on file: vault token + display data only. Raw PAN/CVV are never
+    // stored on the booking (see utils/cardData.js, utils/cardVault.js).
+    card: {
+      token: String,
+      last4: String,
+      brand: String,
+      expiry: String, // MM/YY
+      cardholderName: String,
+    },
     
     // Flight class at root level
     flightClass: String,
@@ -113,26 +223,35 @@ const BookingSchema = new mongoose.Schema(
     },
 
     // PAYMENT TRACKING FIELDS
+    // Legacy single payment; only counted when the ledger below is empty
     paymentReceived: {
       amount: Number,
-      method: { type: String, enum: ['credit_card', 'zelle', 'wire_transfer', 'cash', 'check'] },
+      method: { type: String, enum: PAYMENT_METHODS },
       date: Date,
       reference: String, // Transaction reference or check number
     },
     paymentDue: {
       amount: Number,
-      method: { type: String, enum: ['credit_card', 'zelle', 'wire_transfer', 'cash', 'check'] },
+      method: { type: String, enum: PAYMENT_METHODS },
       dueDate: Date,
       notes: String,
     },
 
+    // Payments sub-ledger (POST /api/bookings/:id/payments)
+    payments: [PaymentEntrySchema],
+    // Denormalized from payments + booking total on every save (for lists/analytics)
+    ledgerTotals: {
+      total: Number,
+      paid: Number,
+      refunded: Number,
+      netPaid: Number,
+      outstanding: Number,
+    },
+
     // NEW FIELDS FROM REVISION
     pnr: { type: String, minlength: 6, maxlength: 6 }, // optional at DB level; validate in controller when required
 
-    flights: {
-      raw: String,           // pasted text
-      itineraryLines: [String],
-    },
+    flights: FlightsSchema,
 
     hotels: [
       {
@@ -140,6 +259,11 @@ const BookingSchema = new mongoose.Schema(
         roomType: String,    // Added roomType field
         checkIn: String,     // store ISO (or use Date if you prefer)
         checkOut: String,
+        // Master hotel (models/Hotel.js). With one set, `rooms` rooms are taken
+        // from an allotment for the stay (utils/hotelAllotment.js).
+        hotel: { type: mongoose.Schema.Types.ObjectId, ref: "Hotel" },
+        rooms: { type: Number, min: 1 },
+        allotment: { type: mongoose.Schema.Types.ObjectId, ref: "HotelAllotment" }, // set by the server
       },
     ],
 
@@ -148,18 +272,31 @@ const BookingSchema = new mongoose.Schema(
       passengers: [VisaPassengerSchema],
     },
 
+    // Structured passenger list (GET/PUT /api/bookings/:id/manifest)
+    manifest: [PassengerSchema],
+
     transportation: {
       count: Number,
       legs: [TransportLegSchema],
     },
 
     costing: {
+      currency: String,
+      fxRates: { type: Map, of: Number },
+      rules: {
+        markupPercent: Number,
+        marginPercent: Number,
+      },
       rows: [CostRowSchema],
       totals: {
         totalCost: Number,
         totalSale: Number,
         profit: Number,
+        marginPercent: Number,
       },
+      // Admin override for a negative profit
+      lossApprovedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      lossApprovedAt: Date,
     },
 
     flightPayments: {
@@ -173,13 +310,62 @@ const BookingSchema = new mongoose.Schema(
         advancePaid: Number,
         numberOfInstallments: Number,
         startDate: String,
+        interval: { type: String, enum: ["weekly", "monthly"] }, // unset = monthly
         remaining: Number,
         perInstallment: Number,
         schedule: [InstallmentItemSchema],
       },
     },
+
+    // SOFT DELETE (DELETE /api/bookings/:id; restore via PUT /:id/restore)
+    deletedAt: { type: Date, default: null },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
   },
   { timestamps: true }
 );
 
+// Keep ledgerTotals in step with payments and the booking total, and the
+// legacy status/approvalStatus in step with the lifecycle state. Bookings
+// saved before the lifecycle existed get their state derived on first save.
+BookingSchema.pre("save", function () {
+  this.ledgerTotals = summarizeLedger(this);
+  if (!this.state) this.state = stateFromLegacy(this);
+  Object.assign(this, LEGACY_FIELDS[this.state]);
+});
+
+// Link to the matching Customer (created if new). A failed lookup never blocks the save.
+BookingSchema.pre("save", async function () {
+  if (this.customer) return;
+  try {
+    const customer = await resolveCustomer({ name: this.customerName, email: this.customerEmail, phone: this.contactNumber });
+    if (customer) this.customer = customer._id;
+  } catch (error) {
+    console.error("Booking customer link failed:", error);
+  }
+});
+
+// Hide soft-deleted bookings from every find/count unless the query filters
+// on deletedAt itself or opts in with .setOptions({ withDeleted: true }).
+// Aggregations are not covered; add { deletedAt: null } to their $match.
+function excludeDeleted() {
+  if (this.getOptions().withDeleted) return;
+  if (this.getFilter().deletedAt !== undefined) return;
+  this.where({ deletedAt: null });
+}
+BookingSchema.pre(
+  ["find", "findOne", "findOneAndUpdate", "countDocuments", "updateOne", "updateMany"],
+  excludeDeleted
+);
+
+// Indexes backing the paginated list filters (GET /api/bookings, /my)
+BookingSchema.index({ createdAt: -1, _id: -1 });
+BookingSchema.index({ agent: 1, createdAt: -1 });
+BookingSchema.index({ status: 1, approvalStatus: 1 });
+BookingSchema.index({ state: 1 });
+BookingSchema.index({ inquiryId: 1 }, { unique: true, sparse: true }); // one booking per inquiry
+BookingSchema.index({ customer: 1, createdAt: -1 });
+BookingSchema.index({ group: 1 }, { sparse: true });
+BookingSchema.index({ departureDate: 1 });
+BookingSchema.index({ "flightPayments.installment.schedule.status": 1 });
+
 export default mongoose.model("Booking", BookingSchema);
@@ -0,0 +1,34 @@
+import mongoose from "mongoose";
+
+const FieldChangeSchema = new mongoose.Schema(
+  {
+    field: { type: String, required: true },
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed,
+  },
+  { _id: false }
+);
+
+// Append-only audit log: one entry per booking mutation
+const bookingHistorySchema = new mongoose.Schema(
+  {
+    booking: { type: mongoose.Schema.Types.ObjectId, ref: "Booking", required: true, index: true },
+    action: {
+      type: String,
+      enum: [
+        "create", "update", "approve", "reject", "delete", "restore",
+        "payment", "refund", "void_payment", "transition",
+      ],
+      required: true,
+    },
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    actorRole: String,
+    changes: [FieldChangeSchema],
+    reason: String,
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+bookingHistorySchema.index({ booking: 1, createdAt: -1 });
+
+export default mongoose.model("BookingHistory", bookingHistorySchema);
@@ -0,0 +1,19 @@
+import mongoose from "mongoose";
+
+// Local card vault entry. The PAN is stored AES-256-GCM encrypted with
+// CARD_VAULT_KEY; bookings only ever hold the opaque token.
+// CVV is never stored here (or anywhere).
+const cardTokenSchema = new mongoose.Schema(
+  {
+    token: { type: String, required: true, unique: true },
+    iv: { type: String, required: true },
+    tag: { type: String, required: true },
+    ciphertext: { type: String, required: true },
+    last4: { type: String, required: true },
+    brand: { type: String },
+    expiry: { type: String }, // MM/YY
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("CardToken", cardTokenSchema);
@@ -0,0 +1,40 @@
+import mongoose from "mongoose";
+
+// A pilgrim/customer. Inquiries and bookings point here (customer field);
+// utils/customerIdentity.js matches new records to an existing customer.
+const customerSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    email: { type: String, trim: true }, // primary contact as last entered
+    phone: { type: String, trim: true },
+
+    // Match keys (normalized); merges add the absorbed customer's keys
+    emails: [{ type: String }],
+    phones: [{ type: String }], // last 9 digits, see normalizePhone
+    nameKey: { type: String }, // canonical name, see nameKey
+    names: [{ type: String }], // spellings seen
+
+    // Set on a customer that was merged into another (kept for old references)
+    mergedInto: { type: mongoose.Schema.Types.ObjectId, ref: "Customer", default: null },
+    mergedAt: Date,
+    mergedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    merges: [
+      {
+        _id: false,
+        customer: { type: mongoose.Schema.Types.ObjectId, ref: "Customer" },
+        at: { type: Date, default: Date.now },
+        by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        inquiries: Number,
+        bookings: Number,
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+customerSchema.index({ emails: 1 });
+customerSchema.index({ phones: 1 });
+customerSchema.index({ nameKey: 1 });
+customerSchema.index({ mergedInto: 1 });
+
+export default mongoose.model("Customer", customerSchema);
@@ -0,0 +1,50 @@
+import mongoose from "mongoose";
+
+const DeliveryAttemptSchema = new mongoose.Schema(
+  {
+    at: { type: Date, default: Date.now },
+    ok: Boolean,
+    response: String, // SMTP response on success
+    error: String,
+  },
+  { _id: false }
+);
+
+// Outgoing email queue (utils/notifications.js). Rendered at enqueue time so
+// a later template edit does not change what a retry sends.
+const emailMessageSchema = new mongoose.Schema(
+  {
+    event: { type: String, required: true },
+    company: { type: mongoose.Schema.Types.ObjectId, ref: "Company" },
+    to: { type: String, required: true },
+    cc: String,
+    replyTo: String,
+    fromName: String,
+    subject: { type: String, required: true },
+    html: String,
+    text: String,
+
+    booking: { type: mongoose.Schema.Types.ObjectId, ref: "Booking" },
+    inquiry: { type: mongoose.Schema.Types.ObjectId, ref: "Inquiry" },
+    dedupeKey: { type: String, unique: true, sparse: true }, // e.g. one reminder per installment
+
+    status: {
+      type: String,
+      enum: ["queued", "sending", "sent", "failed"],
+      default: "queued",
+    },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    lockedAt: Date,
+    lastError: String,
+    messageId: String,
+    sentAt: Date,
+    deliveries: [DeliveryAttemptSchema],
+  },
+  { timestamps: true }
+);
+
+emailMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+emailMessageSchema.index({ createdAt: -1 });
+
+export default mongoose.model("EmailMessage", emailMessageSchema);
@@ -0,0 +1,19 @@
+import mongoose from "mongoose";
+
+// Company-specific override of a built-in email template (utils/emailTemplates.js).
+// company: null is the override for every company without its own.
+const emailTemplateSchema = new mongoose.Schema(
+  {
+    company: { type: mongoose.Schema.Types.ObjectId, ref: "Company", default: null },
+    event: { type: String, required: true },
+    subject: { type: String, required: true },
+    html: { type: String, required: true },
+    text: { type: String },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+emailTemplateSchema.index({ company: 1, event: 1 }, { unique: true });
+
+export default mongoose.model("EmailTemplate", emailTemplateSchema);
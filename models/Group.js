@@ -0,0 +1,49 @@
+import mongoose from "mongoose";
+import { FlightsSchema, TransportLegSchema } from "./Booking.js";
+
+// Group (jamaat) departure: families travelling together. The shared
+// sections below have the same shape as on Booking and are copied into the
+// member bookings (utils/groupBooking.js, utils/groupMembers.js).
+const groupSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    code: { type: String, trim: true, uppercase: true }, // e.g. "UMR-DEC-01"
+    package: String,
+    agent: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // owning agent
+
+    leader: {
+      name: String,
+      phone: String,
+      email: String,
+      booking: { type: mongoose.Schema.Types.ObjectId, ref: "Booking" }, // leader's own booking
+    },
+
+    // SHARED SECTIONS
+    departureDate: Date,
+    returnDate: Date,
+    pnr: { type: String, minlength: 6, maxlength: 6 },
+    flights: FlightsSchema,
+    hotels: [
+      {
+        name: String,
+        roomType: String,
+        checkIn: String,
+        checkOut: String,
+      },
+    ],
+    transportation: {
+      count: Number,
+      legs: [TransportLegSchema],
+    },
+
+    notes: String,
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+groupSchema.index({ code: 1 }, { unique: true, sparse: true });
+groupSchema.index({ agent: 1, departureDate: -1 });
+groupSchema.index({ departureDate: -1 });
+
+export default mongoose.model("Group", groupSchema);
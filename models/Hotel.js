@@ -0,0 +1,33 @@
+import mongoose from "mongoose";
+
+export const HOTEL_CITIES = ["makkah", "madinah"];
+
+// Room type sold by a hotel; `code` is what allotments and bookings use
+const roomTypeSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true, lowercase: true, trim: true }, // e.g. "double", "quad", "suite"
+    name: String,
+    capacity: { type: Number, min: 1 }, // guests per room
+  },
+  { _id: false }
+);
+
+// Hotel master list (Makkah / Madinah). Allotments hold the rooms
+// (models/HotelAllotment.js, utils/hotelAllotment.js).
+const hotelSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    city: { type: String, enum: HOTEL_CITIES, required: true },
+    distanceToHaram: { type: Number, min: 0 }, // metres
+    starRating: { type: Number, min: 1, max: 5 },
+    roomTypes: [roomTypeSchema],
+    address: String,
+    isActive: { type: Boolean, default: true },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+hotelSchema.index({ city: 1, name: 1 }, { unique: true });
+
+export default mongoose.model("Hotel", hotelSchema);
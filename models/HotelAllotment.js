@@ -0,0 +1,33 @@
+import mongoose from "mongoose";
+
+// Rooms left for one night of the block
+const allotmentNightSchema = new mongoose.Schema(
+  {
+    date: { type: Date, required: true }, // the night of (UTC midnight)
+    available: { type: Number, required: true, min: 0 },
+  },
+  { _id: false }
+);
+
+// Block of rooms of one type at a hotel, `rooms` a night from `from` to the
+// night before `to` (the last check-out day). `nights` carries what is left
+// per night; reservations decrement it atomically (utils/hotelAllotment.js).
+// __v is bumped by every reservation so block edits can detect races.
+const hotelAllotmentSchema = new mongoose.Schema(
+  {
+    hotel: { type: mongoose.Schema.Types.ObjectId, ref: "Hotel", required: true },
+    roomType: { type: String, required: true, lowercase: true, trim: true },
+    from: { type: Date, required: true }, // first night
+    to: { type: Date, required: true }, // check-out day after the last night
+    rooms: { type: Number, required: true, min: 0 },
+    nights: [allotmentNightSchema],
+    reference: String, // supplier / contract reference
+    notes: String,
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+hotelAllotmentSchema.index({ hotel: 1, roomType: 1, from: 1, to: 1 });
+
+export default mongoose.model("HotelAllotment", hotelAllotmentSchema);
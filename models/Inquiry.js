@@ -1,4 +1,7 @@
 import mongoose from "mongoose";
+import { computeSla, DEFAULT_PRIORITY, INQUIRY_PRIORITIES } from "../utils/inquirySla.js";
+import { resolveCustomer } from "../utils/customerIdentity.js";
+import { PackageSnapshotSchema } from "./Package.js";
 
 const responseSchema = new mongoose.Schema(
   {
@@ -10,23 +13,59 @@ const responseSchema = new mongoose.Schema(
   { _id: false }
 );
 
+// One SLA escalation (utils/inquiryEscalation.js)
+const escalationSchema = new mongoose.Schema(
+  {
+    at: { type: Date, default: Date.now },
+    kind: { type: String, enum: ["first_response", "resolution"], required: true },
+    action: { type: String, enum: ["reassigned", "notified"], required: true },
+    from: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    to: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { _id: false }
+);
+
 const inquirySchema = new mongoose.Schema(
   {
     // External ID from PostgreSQL system (optional - for inquiries coming from external portal)
     externalId: { type: String, index: true, sparse: true },
+    // Portal that delivered it (sync, inbound webhook, or the default portal
+    // for a POST with an id), e.g. "mtumrah"; externalId is only unique
+    // within a source
+    source: { type: String },
     
     customerName: { type: String, required: true },
     customerEmail: { type: String, required: true },
     customerPhone: { type: String },
+    customer: { type: mongoose.Schema.Types.ObjectId, ref: "Customer", index: true }, // utils/customerIdentity.js
     message: { type: String, required: true },
     status: {
       type: String,
       enum: ["pending", "in-progress", "resolved", "closed", "responded"],
       default: "pending",
     },
+    priority: { type: String, enum: INQUIRY_PRIORITIES, default: DEFAULT_PRIORITY },
     assignedAgent: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
     responses: [responseSchema],
+    // Service levels (utils/inquirySla.js); recomputed on every save
+    sla: {
+      firstResponseDueAt: Date,
+      resolutionDueAt: Date,
+      firstResponseAt: Date,
+      resolvedAt: Date,
+      firstResponseBreachedAt: Date,
+      resolutionBreachedAt: Date,
+      escalations: [escalationSchema],
+    },
+
+    // Booking created from this inquiry (POST /api/inquiries/:id/convert)
+    bookingId: { type: mongoose.Schema.Types.ObjectId, ref: "Booking", default: null },
     
+    // Catalog package (models/Package.js) and the price quoted from it.
+    // packageDetails below is filled from the catalog for these.
+    packageId: { type: mongoose.Schema.Types.ObjectId, ref: "Package" },
+    packageSnapshot: PackageSnapshotSchema,
+
     // Package details fields (optional - only for package-specific inquiries)
     packageDetails: {
       packageName: String,
@@ -63,5 +102,27 @@ const inquirySchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+inquirySchema.pre("save", function () {
+  Object.assign(this.sla, computeSla(this));
+});
+
+// Link to the matching Customer (created if new). A failed lookup never blocks the save.
+inquirySchema.pre("save", async function () {
+  if (this.customer) return;
+  try {
+    const customer = await resolveCustomer({ name: this.customerName, email: this.customerEmail, phone: this.customerPhone });
+    if (customer) this.customer = customer._id;
+  } catch (error) {
+    console.error("Inquiry customer link failed:", error);
+  }
+});
+
+inquirySchema.index(
+  { source: 1, externalId: 1 },
+  { unique: true, partialFilterExpression: { externalId: { $exists: true } } }
+);
+inquirySchema.index({ status: 1, "sla.firstResponseDueAt": 1 });
+inquirySchema.index({ status: 1, "sla.resolutionDueAt": 1 });
+
 const Inquiry = mongoose.model("Inquiry", inquirySchema);
 export default Inquiry;
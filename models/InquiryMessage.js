@@ -0,0 +1,39 @@
+import mongoose from "mongoose";
+
+// note     internal, never leaves the office
+// reply    to the customer; an agent's reply waits for admin approval,
+//          an approved reply is emailed (utils/inquiryConversation.js)
+// customer inbound reply from the customer
+export const MESSAGE_KINDS = ["note", "reply", "customer"];
+export const REPLY_STATUSES = ["pending_approval", "approved", "rejected"];
+
+const inquiryMessageSchema = new mongoose.Schema(
+  {
+    inquiry: { type: mongoose.Schema.Types.ObjectId, ref: "Inquiry", required: true },
+    kind: { type: String, enum: MESSAGE_KINDS, required: true },
+    body: { type: String, required: true, maxlength: 10000 },
+    author: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // note / reply
+
+    // Customer replies
+    fromEmail: String,
+    source: String, // inbound webhook source
+    externalMessageId: String, // the portal's id; redeliveries are ignored
+
+    // Replies only
+    status: { type: String, enum: REPLY_STATUSES },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    reviewedAt: Date,
+    rejectionReason: String,
+    emailMessage: { type: mongoose.Schema.Types.ObjectId, ref: "EmailMessage" },
+  },
+  { timestamps: true }
+);
+
+inquiryMessageSchema.index({ inquiry: 1, createdAt: 1 });
+inquiryMessageSchema.index({ kind: 1, status: 1, createdAt: 1 }); // approval queue
+inquiryMessageSchema.index(
+  { source: 1, externalMessageId: 1 },
+  { unique: true, partialFilterExpression: { externalMessageId: { $type: "string" } } }
+);
+
+export default mongoose.model("InquiryMessage", inquiryMessageSchema);
@@ -0,0 +1,86 @@
+import mongoose from "mongoose";
+import { OCCUPANCIES, PACKAGE_STATUSES } from "../utils/packageCatalog.js";
+
+// Per-person prices by occupancy
+const priceTableSchema = new mongoose.Schema(
+  Object.fromEntries(OCCUPANCIES.map((o) => [o, { type: Number, min: 0 }])),
+  { _id: false }
+);
+
+// Date range (inclusive, travel date) with its own prices (utils/packageCatalog.js)
+const seasonSchema = new mongoose.Schema({
+  name: String, // e.g. "Ramadan", "December holidays"
+  from: { type: Date, required: true },
+  to: { type: Date, required: true },
+  prices: priceTableSchema,
+});
+
+const hotelStaySchema = new mongoose.Schema(
+  {
+    hotel: { type: mongoose.Schema.Types.ObjectId, ref: "Hotel" }, // hotel master list
+    name: String,
+    nights: { type: Number, min: 0 },
+  },
+  { _id: false }
+);
+
+// Price quoted from the catalog, stored on inquiries and bookings (packageSnapshot)
+export const PackageSnapshotSchema = new mongoose.Schema(
+  {
+    name: String,
+    occupancy: { type: String, enum: OCCUPANCIES },
+    price: Number, // per person
+    currency: String,
+    season: String, // season name, null for the base price
+    travelDate: Date,
+    pricedAt: Date,
+  },
+  { _id: false }
+);
+
+// Package catalog entry. Inquiries and bookings reference it by packageId and
+// keep a packageSnapshot of the price they were quoted.
+const packageSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    slug: { type: String, required: true, lowercase: true, trim: true }, // public URL key
+    description: String,
+    status: { type: String, enum: PACKAGE_STATUSES, default: "draft" },
+    isPublic: { type: Boolean, default: true }, // listed in the public catalog when active
+
+    currency: { type: String, uppercase: true, default: "USD" },
+    basePrices: priceTableSchema, // outside any season
+    seasons: [seasonSchema],
+
+    hotels: {
+      makkah: hotelStaySchema,
+      madinah: hotelStaySchema,
+    },
+    services: {
+      transportation: String,
+      visa: String,
+    },
+    inclusions: {
+      breakfast: { type: Boolean, default: false },
+      dinner: { type: Boolean, default: false },
+      visa: { type: Boolean, default: false },
+      ticket: { type: Boolean, default: false },
+      roundtrip: { type: Boolean, default: false },
+      ziyarat: { type: Boolean, default: false },
+      guide: { type: Boolean, default: false },
+    },
+
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+packageSchema.virtual("totalNights").get(function () {
+  return (this.hotels?.makkah?.nights || 0) + (this.hotels?.madinah?.nights || 0);
+});
+packageSchema.set("toJSON", { virtuals: true });
+
+packageSchema.index({ slug: 1 }, { unique: true });
+packageSchema.index({ status: 1, isPublic: 1 });
+
+export default mongoose.model("Package", packageSchema);
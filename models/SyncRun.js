@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+
+// One execution of an external sync job (utils/inquirySync.js)
+const syncRunSchema = new mongoose.Schema(
+  {
+    source: { type: String, required: true },
+    trigger: { type: String, enum: ["schedule", "manual"], default: "schedule" },
+    triggeredBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    status: {
+      type: String,
+      enum: ["running", "succeeded", "partial", "failed"],
+      default: "running",
+    },
+    startedAt: { type: Date, default: Date.now },
+    finishedAt: Date,
+    highWaterMarkBefore: Date,
+    highWaterMarkAfter: Date,
+    fetched: { type: Number, default: 0 },
+    created: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    skipped: { type: Number, default: 0 },
+    error: String, // run-level failure (fetch failed etc.)
+    failures: [ // records that could not be saved
+      {
+        _id: false,
+        externalId: String,
+        message: String,
+      },
+    ],
+  },
+  { timestamps: false }
+);
+
+syncRunSchema.index({ source: 1, startedAt: -1 });
+
+export default mongoose.model("SyncRun", syncRunSchema);
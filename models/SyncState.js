@@ -0,0 +1,15 @@
+import mongoose from "mongoose";
+
+// Per-source cursor and lock for external sync jobs
+const syncStateSchema = new mongoose.Schema(
+  {
+    source: { type: String, required: true, unique: true },
+    highWaterMark: Date, // newest external updated/created time fully synced
+    lockedAt: Date, // set while a run is in progress
+    lastRunAt: Date,
+    lastSuccessAt: Date,
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("SyncState", syncStateSchema);
@@ -1,6 +1,8 @@
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
 
+// Single staff principal (admins and agents). Agents used to live in their own
+// "agents" collection; scripts/migrate-staff.js folds them into this one.
 const userSchema = new mongoose.Schema(
   {
     name: { type: String, required: true, trim: true },
@@ -9,6 +11,17 @@ const userSchema = new mongoose.Schema(
     role: { type: String, enum: ["admin", "agent"], default: "agent" },
     phone: { type: String },
     isActive: { type: Boolean, default: true },
+    company: { type: mongoose.Schema.Types.ObjectId, ref: "Company" },
+
+    // Agent profile fields
+    username: { type: String },
+    department: { type: String },
+    monthlyTarget: { type: Number, default: 5000 },
+    commissionRate: { type: Number, default: 5.0 },
+    lastAutoAssignedAt: { type: Date }, // round-robin position (utils/inquiryAssignment.js)
+
+    // Ids this principal was known by before the staff merge (old tokens still resolve)
+    legacyIds: [{ type: mongoose.Schema.Types.ObjectId, index: true }],
   },
   { timestamps: true }
 );
@@ -18,4 +31,10 @@ userSchema.methods.matchPassword = async function (enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.passwordHash);
 };
 
+// Resolve a principal by its current id or any id it had before the merge
+userSchema.statics.findByPrincipalId = function (id) {
+  if (!mongoose.Types.ObjectId.isValid(id)) return this.findOne({ _id: null });
+  return this.findOne({ $or: [{ _id: id }, { legacyIds: id }] });
+};
+
 export default mongoose.model("User", userSchema);
@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+
+const DeliveryAttemptSchema = new mongoose.Schema(
+  {
+    at: { type: Date, default: Date.now },
+    statusCode: Number, // HTTP status, null when the request never got a response
+    durationMs: Number,
+    response: String, // first 2 KB of the response body
+    error: String,
+  },
+  { _id: false }
+);
+
+// Outbound webhook outbox (utils/webhookOutbox.js). The payload is frozen at
+// enqueue time; each attempt is signed with a fresh timestamp.
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    event: { type: String, required: true }, // e.g. "inquiry.created", "booking.state_changed"
+    url: { type: String, required: true },
+    payload: { type: mongoose.Schema.Types.Mixed, required: true },
+    idempotencyKey: { type: String, required: true },
+    resource: {
+      kind: { type: String, enum: ["inquiry", "booking"] },
+      id: mongoose.Schema.Types.ObjectId,
+    },
+
+    status: {
+      type: String,
+      enum: ["pending", "sending", "delivered", "dead"],
+      default: "pending",
+    },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    lockedAt: Date,
+    lastError: String,
+    deliveredAt: Date,
+    deadAt: Date,
+    history: [DeliveryAttemptSchema],
+  },
+  { timestamps: true }
+);
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ "resource.kind": 1, "resource.id": 1, createdAt: -1 });
+webhookDeliverySchema.index({ createdAt: -1 });
+
+export default mongoose.model("WebhookDelivery", webhookDeliverySchema);
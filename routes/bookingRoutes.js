@@ -10,7 +10,24 @@ import {
   getBookingPdf, // <-- make sure this is exported from your controller
   approveBooking,
   rejectBooking,
+  restoreBooking,
+  getBookingHistory,
+  transitionBookingState,
+  getBookingTransitions,
+  getBookingValidation,
 } from "../controllers/bookingController.js";
+import {
+  getPayments,
+  addPayment,
+  voidPayment,
+  refundPayment,
+} from "../controllers/paymentController.js";
+import {
+  getInstallments,
+  payInstallment,
+  getDueInstallments,
+} from "../controllers/installmentController.js";
+import { getManifest, updateManifest } from "../controllers/manifestController.js";
 import { protect, admin } from "../middleware/authMiddleware.js";
 
 const router = express.Router();
@@ -24,10 +41,43 @@ router
 // /api/bookings/my  -> bookings for logged-in agent
 router.get("/my", protect, getMyBookings);
 
+// /api/bookings/installments -> upcoming/overdue installments (admin: all, agent: own)
+router.get("/installments", protect, getDueInstallments);
+
 // IMPORTANT: define this BEFORE the /:id block
 // /api/bookings/:id/pdf -> download booking PDF
 router.get("/:id/pdf", protect, getBookingPdf);
 
+// /api/bookings/:id/history -> audit trail (admin or owner)
+router.get("/:id/history", protect, getBookingHistory);
+
+// /api/bookings/:id/transition -> lifecycle state changes (roles checked per transition)
+router
+  .route("/:id/transition")
+  .get(protect, getBookingTransitions)
+  .post(protect, transitionBookingState);
+
+// /api/bookings/:id/validation -> date, hotel stay, transfer, itinerary and manifest checks (admin or owner)
+router.get("/:id/validation", protect, getBookingValidation);
+
+// /api/bookings/:id/payments -> payments sub-ledger
+router
+  .route("/:id/payments")
+  .get(protect, getPayments)   // admin or owner
+  .post(protect, addPayment);  // admin or owner
+router.post("/:id/payments/:paymentId/void", protect, admin, voidPayment);
+router.post("/:id/payments/:paymentId/refund", protect, admin, refundPayment);
+
+// /api/bookings/:id/installments -> installment plan (admin or owner)
+router.get("/:id/installments", protect, getInstallments);
+router.post("/:id/installments/:no/pay", protect, payInstallment);
+
+// /api/bookings/:id/manifest -> passenger manifest with validation (admin or owner)
+router
+  .route("/:id/manifest")
+  .get(protect, getManifest)
+  .put(protect, updateManifest);
+
 // /api/bookings/:id -> get/update/delete a single booking
 router
   .route("/:id")
@@ -38,5 +88,6 @@ router
 // Approve/Reject routes (must come AFTER /:id routes to avoid conflicts)
 router.put("/:id/approve", protect, admin, approveBooking);
 router.put("/:id/reject", protect, admin, rejectBooking);
+router.put("/:id/restore", protect, admin, restoreBooking);
 
 export default router;
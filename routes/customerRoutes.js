@@ -0,0 +1,26 @@
+// routes/customerRoutes.js
+import express from "express";
+import {
+  getCustomers,
+  searchCustomers,
+  getCustomerProfile,
+  getDuplicateCustomers,
+  mergeCustomersInto,
+} from "../controllers/customerController.js";
+import { protect, admin } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// /api/customers -> list with totals; /search -> match by name/email/phone
+router.get("/", protect, getCustomers);
+router.get("/search", protect, searchCustomers);
+
+// /api/customers/duplicates -> suggested duplicates (admin)
+router.get("/duplicates", protect, admin, getDuplicateCustomers);
+// /api/customers/:id/merge -> merge other customers into this one (admin)
+router.post("/:id/merge", protect, admin, mergeCustomersInto);
+
+// /api/customers/:id -> profile with travel history (keep after the fixed paths)
+router.get("/:id", protect, getCustomerProfile);
+
+export default router;
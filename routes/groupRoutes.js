@@ -0,0 +1,36 @@
+// routes/groupRoutes.js
+import express from "express";
+import {
+  getGroups,
+  createGroup,
+  getGroupById,
+  updateGroup,
+  deleteGroup,
+  addMembers,
+  removeMember,
+  getGroupManifest,
+  getGroupCosting,
+  transitionGroup,
+} from "../controllers/groupController.js";
+import { protect } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// /api/groups -> group (jamaat) departures; agents see their own
+router.route("/").get(protect, getGroups).post(protect, createGroup);
+
+// /api/groups/:id/members -> add/remove member bookings
+router.post("/:id/members", protect, addMembers);
+router.delete("/:id/members/:bookingId", protect, removeMember);
+
+// /api/groups/:id/manifest, /costing -> combined passengers and costing rollup
+router.get("/:id/manifest", protect, getGroupManifest);
+router.get("/:id/costing", protect, getGroupCosting);
+
+// /api/groups/:id/transition -> bulk lifecycle change for members
+router.post("/:id/transition", protect, transitionGroup);
+
+// /api/groups/:id -> get/update/delete a group (admin or owning agent)
+router.route("/:id").get(protect, getGroupById).put(protect, updateGroup).delete(protect, deleteGroup);
+
+export default router;
@@ -0,0 +1,35 @@
+// routes/hotelRoutes.js
+import express from "express";
+import {
+  getHotels,
+  getHotelById,
+  createHotel,
+  updateHotel,
+  deactivateHotel,
+  getAllotments,
+  createAllotment,
+  updateAllotment,
+  deleteAllotment,
+  getAllotmentReport,
+} from "../controllers/hotelController.js";
+import { protect, admin } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// /api/hotels/allotments -> room blocks (define BEFORE /:id)
+router.get("/allotments/report", protect, getAllotmentReport); // rooms remaining per night
+router.route("/allotments").get(protect, getAllotments).post(protect, admin, createAllotment);
+router
+  .route("/allotments/:allotmentId")
+  .put(protect, admin, updateAllotment)
+  .delete(protect, admin, deleteAllotment);
+
+// /api/hotels -> Makkah/Madinah hotel master list
+router.route("/").get(protect, getHotels).post(protect, admin, createHotel);
+router
+  .route("/:id")
+  .get(protect, getHotelById)
+  .put(protect, admin, updateHotel)
+  .delete(protect, admin, deactivateHotel); // deactivates
+
+export default router;
@@ -9,7 +9,30 @@ import {
   deleteInquiry,
   manualForwardInquiryWebhook,
   assignInquiryToAgent,
+  convertInquiry,
 } from "../controllers/inquiryController.js";
+import {
+  runSyncNow,
+  getSyncRuns,
+  getInquirySources,
+  previewInquirySource,
+} from "../controllers/inquirySyncController.js";
+import {
+  getAssignmentRules,
+  createAssignmentRule,
+  updateAssignmentRule,
+  deleteAssignmentRule,
+  getAssignmentLog,
+  autoAssignNow,
+} from "../controllers/assignmentController.js";
+import {
+  getConversation,
+  postConversationMessage,
+  approveConversationReply,
+  rejectConversationReply,
+  getPendingReplies,
+} from "../controllers/inquiryConversationController.js";
+import { getAtRiskInquiries, getSlaPolicy, runSlaEscalationNow } from "../controllers/inquirySlaController.js";
 
 const router = express.Router();
 
@@ -17,8 +40,22 @@ const router = express.Router();
 router.post("/", protect, createInquiry);
 
 // Public alias to match external spec: /api/inquiries/create
-// Apply protect if you want to restrict; leaving public to allow external form posts
-router.post("/create", createInquiry);
+// Unsigned; portals should use the signed POST /api/webhooks/inbound/:source.
+// Set INQUIRY_PUBLIC_CREATE=false to turn it off once they have moved.
+const publicCreateEnabled = (_req, res, next) =>
+  process.env.INQUIRY_PUBLIC_CREATE === "false"
+    ? res.status(410).json({ message: "Use the signed inbound webhook: POST /api/webhooks/inbound/:source" })
+    : next();
+// Anonymous callers cannot claim a portal id or pick the priority (it sets
+// the SLA targets and drives assignment); only the signed webhook can
+const dropTrustedFields = (req, _res, next) => {
+  if (req.body) {
+    const { externalId: _externalId, id: _id, priority: _priority, ...rest } = req.body;
+    req.body = rest;
+  }
+  next();
+};
+router.post("/create", publicCreateEnabled, dropTrustedFields, createInquiry);
 
 // Role-based access
 router.get("/", protect, getInquiries);
@@ -26,13 +63,45 @@ router.get("/", protect, getInquiries);
 // IMPORTANT: Specific routes must come BEFORE parameterized routes (/:id)
 // Otherwise Express will match /:id first and treat "assign" as an ID
 
+// External inquiry sync (admin): run now / run history
+router.post("/sync", protect, authorizeRoles("admin"), runSyncNow);
+router.get("/sync/runs", protect, authorizeRoles("admin"), getSyncRuns);
+
+// External source adapters (admin): list, dry-run a field map on a sample payload
+router.get("/sources", protect, authorizeRoles("admin"), getInquirySources);
+router.post("/sources/:name/preview", protect, authorizeRoles("admin"), previewInquirySource);
+
+// Auto-assignment rules and audit trail (admin)
+router.get("/assignment-rules", protect, authorizeRoles("admin"), getAssignmentRules);
+router.post("/assignment-rules", protect, authorizeRoles("admin"), createAssignmentRule);
+router.put("/assignment-rules/:ruleId", protect, authorizeRoles("admin"), updateAssignmentRule);
+router.delete("/assignment-rules/:ruleId", protect, authorizeRoles("admin"), deleteAssignmentRule);
+router.get("/assignment-log", protect, authorizeRoles("admin"), getAssignmentLog);
+
+// SLA: at-risk list, targets, escalate now
+router.get("/sla/at-risk", protect, getAtRiskInquiries);
+router.get("/sla/policy", protect, getSlaPolicy);
+router.post("/sla/escalate", protect, authorizeRoles("admin"), runSlaEscalationNow);
+
+// Replies waiting for admin approval
+router.get("/replies/pending", protect, authorizeRoles("admin"), getPendingReplies);
+
 // Manual forward webhook (secured via X-Api-Key header)
 router.post("/:id/forward-webhook", manualForwardInquiryWebhook);
 
 // Specific action routes (must come before generic /:id routes)
 router.post("/:id/respond", protect, addResponse);
+// Conversation: notes, replies (admin-approved before they are emailed), customer replies
+router.get("/:id/messages", protect, getConversation);
+router.post("/:id/messages", protect, postConversationMessage);
+router.post("/:id/messages/:messageId/approve", protect, authorizeRoles("admin"), approveConversationReply);
+router.post("/:id/messages/:messageId/reject", protect, authorizeRoles("admin"), rejectConversationReply);
 // Assign inquiry to agent (creates booking entry first)
 router.post("/:id/assign", protect, authorizeRoles("admin"), assignInquiryToAgent);
+// Run the assignment rules now (?dryRun=true to only explain the pick)
+router.post("/:id/auto-assign", protect, authorizeRoles("admin"), autoAssignNow);
+// Convert to a booking (admin or assigned agent; once per inquiry)
+router.post("/:id/convert", protect, convertInquiry);
 
 // Generic routes (must come last)
 router.get("/:id", protect, getInquiryById);
@@ -0,0 +1,36 @@
+// routes/notificationRoutes.js
+import express from "express";
+import {
+  getTemplates,
+  saveTemplate,
+  deleteTemplate,
+  previewTemplate,
+  getMessages,
+  getMessage,
+  retryMessage,
+  runInstallmentReminders,
+} from "../controllers/notificationController.js";
+import { protect, admin } from "../middleware/authMiddleware.js";
+import { ensureCompany } from "../middleware/companyContext.js";
+
+const router = express.Router();
+
+router.use(protect, admin);
+
+// /api/notifications/templates -> per-company email templates
+router.get("/templates", ensureCompany(false), getTemplates);
+router
+  .route("/templates/:event")
+  .put(ensureCompany(false), saveTemplate)
+  .delete(ensureCompany(false), deleteTemplate);
+router.post("/templates/:event/preview", ensureCompany(false), previewTemplate);
+
+// /api/notifications/messages -> queue and delivery status
+router.get("/messages", getMessages);
+router.get("/messages/:id", getMessage);
+router.post("/messages/:id/retry", retryMessage);
+
+// /api/notifications/reminders/run -> queue installment reminders now
+router.post("/reminders/run", runInstallmentReminders);
+
+export default router;
@@ -0,0 +1,34 @@
+// routes/packageRoutes.js
+import express from "express";
+import {
+  getPublicPackages,
+  getPublicPackage,
+  getPackages,
+  getPackageById,
+  getPackagePrice,
+  createPackage,
+  updatePackage,
+  archivePackage,
+} from "../controllers/packageController.js";
+import { protect, admin } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// /api/packages/public -> catalog for the public site (active + public only)
+router.get("/public", getPublicPackages);
+router.get("/public/:slug", getPublicPackage);
+
+// /api/packages -> staff catalog; admins maintain it
+router.route("/").get(protect, getPackages).post(protect, admin, createPackage);
+
+// /api/packages/:id/price -> seasonal price for a travel date
+router.get("/:id/price", protect, getPackagePrice);
+
+// /api/packages/:id -> get/update; DELETE archives
+router
+  .route("/:id")
+  .get(protect, getPackageById)
+  .put(protect, admin, updatePackage)
+  .delete(protect, admin, archivePackage);
+
+export default router;
@@ -0,0 +1,24 @@
+// routes/webhookRoutes.js
+import express from "express";
+import {
+  getDeliveries,
+  getDelivery,
+  replayWebhookDelivery,
+  replayDeadDeliveries,
+} from "../controllers/webhookController.js";
+import { receiveInboundInquiry, receiveInboundReply } from "../controllers/inboundWebhookController.js";
+import { protect, admin } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// /api/webhooks/deliveries -> outbound webhook outbox (admin)
+router.get("/deliveries", protect, admin, getDeliveries);
+router.post("/deliveries/replay-dead", protect, admin, replayDeadDeliveries);
+router.get("/deliveries/:id", protect, admin, getDelivery);
+router.post("/deliveries/:id/replay", protect, admin, replayWebhookDelivery);
+
+// /api/webhooks/inbound/:source -> signed inquiries from external portals (public, HMAC)
+router.post("/inbound/:source", receiveInboundInquiry);
+router.post("/inbound/:source/replies", receiveInboundReply);
+
+export default router;
@@ -0,0 +1,33 @@
+// scripts/backfill-booking-state.js
+// One-off: set the lifecycle `state` on bookings created before it existed,
+// derived from their legacy status/approvalStatus, so state filters see them.
+//
+//   node scripts/backfill-booking-state.js            # apply
+//   node scripts/backfill-booking-state.js --dry-run  # report only
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import { stateFromLegacy } from '../utils/bookingLifecycle.js';
+
+const uri = process.env.MONGO_URI || process.env.MONGODB_URI;
+if (!uri) throw new Error('MONGO_URI missing in .env');
+
+const dryRun = process.argv.includes('--dry-run');
+
+(async () => {
+  await mongoose.connect(uri);
+  const bookings = mongoose.connection.db.collection('bookings');
+  const counts = {};
+
+  for await (const b of bookings.find({ state: { $exists: false } }, { projection: { status: 1, approvalStatus: 1 } })) {
+    const state = stateFromLegacy(b);
+    counts[state] = (counts[state] || 0) + 1;
+    if (!dryRun) await bookings.updateOne({ _id: b._id }, { $set: { state } });
+  }
+
+  console.log(`${dryRun ? '🔎 Dry run' : '✅ Booking states backfilled'}:`, counts);
+  await mongoose.disconnect();
+  process.exit(0);
+})().catch(err => {
+  console.error('❌ Booking state backfill failed:', err);
+  process.exit(1);
+});
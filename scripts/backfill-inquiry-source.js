@@ -0,0 +1,47 @@
+// scripts/backfill-inquiry-source.js
+// One-off: external inquiries saved before the (source, externalId) key
+// have no source. Give them the built-in portal's source
+// (EXTERNAL_INQUIRIES_SOURCE, default "mtumrah") so the sync and inbound
+// webhooks keep updating them instead of creating copies. Run before the
+// unique { source, externalId } index is built. Reports externalIds that
+// would still collide. Safe to re-run.
+//
+//   node scripts/backfill-inquiry-source.js            # apply
+//   node scripts/backfill-inquiry-source.js --dry-run  # report only
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import { defaultInquirySourceName } from '../utils/inquirySources.js';
+
+const uri = process.env.MONGO_URI || process.env.MONGODB_URI;
+if (!uri) throw new Error('MONGO_URI missing in .env');
+
+const dryRun = process.argv.includes('--dry-run');
+
+(async () => {
+  await mongoose.connect(uri);
+  const inquiries = mongoose.connection.db.collection('inquiries');
+  const source = defaultInquirySourceName();
+  const legacy = { externalId: { $exists: true }, source: { $in: [null, ''] } };
+
+  const count = await inquiries.countDocuments(legacy);
+  if (!dryRun && count) await inquiries.updateMany(legacy, { $set: { source } });
+
+  const duplicates = await inquiries
+    .aggregate([
+      { $match: { externalId: { $exists: true } } },
+      { $group: { _id: { source: { $ifNull: ['$source', source] }, externalId: '$externalId' }, ids: { $push: '$_id' }, n: { $sum: 1 } } },
+      { $match: { n: { $gt: 1 } } },
+    ])
+    .toArray();
+
+  console.log(`${dryRun ? '🔎 Dry run' : '✅ Inquiry sources backfilled'}: ${count} inquiries -> "${source}"`);
+  if (duplicates.length) {
+    console.warn(`⚠️  ${duplicates.length} (source, externalId) pairs are used more than once; merge them before building the index:`);
+    duplicates.forEach((d) => console.warn(`   ${d._id.source}/${d._id.externalId}: ${d.ids.join(', ')}`));
+  }
+  await mongoose.disconnect();
+  process.exit(0);
+})().catch(err => {
+  console.error('❌ Inquiry source backfill failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,39 @@
+// scripts/link-customers.js
+// One-off: create Customer records for existing inquiries and bookings and
+// link them (customer field), matching by email / phone + name like new
+// records do (utils/customerIdentity.js). Oldest records first, so the
+// earliest spelling becomes the customer's name. Safe to re-run.
+//
+//   node scripts/link-customers.js            # apply
+//   node scripts/link-customers.js --dry-run  # count only
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import Inquiry from '../models/Inquiry.js';
+import Booking from '../models/Booking.js';
+import { linkCustomer } from '../utils/customerIdentity.js';
+
+const uri = process.env.MONGO_URI || process.env.MONGODB_URI;
+if (!uri) throw new Error('MONGO_URI missing in .env');
+
+const dryRun = process.argv.includes('--dry-run');
+
+(async () => {
+  await mongoose.connect(uri);
+  const counts = {};
+
+  for (const [label, Model] of [['inquiries', Inquiry], ['bookings', Booking]]) {
+    const query = Model.find({ customer: null }).sort({ createdAt: 1 }).setOptions({ withDeleted: true });
+    counts[label] = 0;
+    for await (const doc of query.cursor()) {
+      counts[label] += 1;
+      if (!dryRun) await linkCustomer(Model, doc);
+    }
+  }
+
+  console.log(`${dryRun ? '🔎 Dry run, unlinked' : '✅ Customers linked'}:`, counts);
+  await mongoose.disconnect();
+  process.exit(0);
+})().catch(err => {
+  console.error('❌ Customer linking failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,119 @@
+// scripts/migrate-staff.js
+// One-off: fold the legacy "agents" collection into "users" so every staff
+// principal (admin or agent) lives in one place.
+//
+//   node scripts/migrate-staff.js            # apply
+//   node scripts/migrate-staff.js --dry-run  # report only
+//
+// - Agents whose email is not in "users" are copied over with the SAME _id,
+//   so existing Booking.agent / Inquiry.assignedAgent refs stay valid.
+// - Agents whose email already exists in "users" are merged into that user:
+//   missing profile fields are filled in, the agent id is kept in legacyIds
+//   and every reference to the agent id is rewritten to the user id.
+// - The "agents" collection is renamed to "agents_legacy" (not dropped).
+import 'dotenv/config';
+import mongoose from 'mongoose';
+
+const uri = process.env.MONGO_URI || process.env.MONGODB_URI;
+if (!uri) throw new Error('MONGO_URI missing in .env');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const PROFILE_FIELDS = ['phone', 'username', 'department', 'monthlyTarget', 'commissionRate', 'isActive'];
+
+// Rewrite every stored reference from one staff id to another
+const rewriteRefs = async (db, fromId, toId) => {
+  const bookings = await db.collection('bookings').updateMany(
+    { agent: fromId },
+    { $set: { agent: toId } }
+  );
+  const assigned = await db.collection('inquiries').updateMany(
+    { assignedAgent: fromId },
+    { $set: { assignedAgent: toId } }
+  );
+  const responses = await db.collection('inquiries').updateMany(
+    { 'responses.responder': fromId },
+    { $set: { 'responses.$[r].responder': toId } },
+    { arrayFilters: [{ 'r.responder': fromId }] }
+  );
+  return {
+    bookings: bookings.modifiedCount,
+    inquiries: assigned.modifiedCount,
+    responses: responses.modifiedCount,
+  };
+};
+
+(async () => {
+  await mongoose.connect(uri);
+  const db = mongoose.connection.db;
+
+  const hasAgents = (await db.listCollections({ name: 'agents' }).toArray()).length > 0;
+  if (!hasAgents) {
+    console.log('✅ No "agents" collection found, nothing to migrate');
+    await mongoose.disconnect();
+    process.exit(0);
+  }
+
+  const users = db.collection('users');
+  const agents = await db.collection('agents').find({}).toArray();
+  const summary = { copied: 0, merged: 0, bookings: 0, inquiries: 0, responses: 0 };
+
+  for (const agent of agents) {
+    const email = String(agent.email || '').toLowerCase().trim();
+    const existing = await users.findOne({ email });
+
+    if (!existing) {
+      console.log(`➕ copy   ${email} (${agent._id})`);
+      summary.copied++;
+      if (dryRun) continue;
+      await users.insertOne({
+        _id: agent._id,
+        name: agent.name,
+        email,
+        passwordHash: agent.passwordHash,
+        role: agent.role === 'admin' ? 'admin' : 'agent',
+        phone: agent.phone,
+        isActive: agent.isActive ?? true,
+        username: agent.username,
+        department: agent.department,
+        monthlyTarget: agent.monthlyTarget ?? 5000,
+        commissionRate: agent.commissionRate ?? 5.0,
+        legacyIds: [],
+        createdAt: agent.createdAt || new Date(),
+        updatedAt: new Date(),
+      });
+      continue;
+    }
+
+    if (String(existing._id) === String(agent._id)) continue; // already migrated
+
+    console.log(`🔀 merge  ${email} agent ${agent._id} -> user ${existing._id}`);
+    summary.merged++;
+    if (dryRun) continue;
+
+    const fill = {};
+    PROFILE_FIELDS.forEach((f) => {
+      if (existing[f] === undefined && agent[f] !== undefined) fill[f] = agent[f];
+    });
+    await users.updateOne(
+      { _id: existing._id },
+      { $set: { ...fill, updatedAt: new Date() }, $addToSet: { legacyIds: agent._id } }
+    );
+
+    const counts = await rewriteRefs(db, agent._id, existing._id);
+    summary.bookings += counts.bookings;
+    summary.inquiries += counts.inquiries;
+    summary.responses += counts.responses;
+  }
+
+  if (!dryRun) {
+    await db.collection('agents').rename('agents_legacy', { dropTarget: true });
+  }
+
+  console.log(`${dryRun ? '🔎 Dry run' : '✅ Staff migration complete'}:`, summary);
+  await mongoose.disconnect();
+  process.exit(0);
+})().catch(err => {
+  console.error('❌ Staff migration failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,45 @@
+// scripts/parse-flight-itineraries.js
+// One-off: parse the pasted itineraries (flights.raw) of existing bookings
+// and groups into flight segments (utils/itineraryParser.js). Records saved
+// before the parser kept flights.itineraryLines as plain text lines; those
+// lines become the raw text when raw is empty. Safe to re-run.
+//
+//   node scripts/parse-flight-itineraries.js            # apply
+//   node scripts/parse-flight-itineraries.js --dry-run  # report only
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import { flightsFromInput } from '../utils/itineraryParser.js';
+
+const uri = process.env.MONGO_URI || process.env.MONGODB_URI;
+if (!uri) throw new Error('MONGO_URI missing in .env');
+
+const dryRun = process.argv.includes('--dry-run');
+
+(async () => {
+  await mongoose.connect(uri);
+  const counts = {};
+
+  // Raw collections: legacy string lines do not cast to the segment schema
+  for (const name of ['bookings', 'groups']) {
+    const collection = mongoose.connection.db.collection(name);
+    const query = { $or: [{ 'flights.raw': { $nin: [null, ''] } }, { 'flights.itineraryLines.0': { $type: 'string' } }] };
+    counts[name] = { records: 0, segments: 0, unreadLines: 0 };
+
+    for await (const doc of collection.find(query, { projection: { flights: 1, departureDate: 1 } })) {
+      const lines = doc.flights.itineraryLines || [];
+      const raw = doc.flights.raw || lines.filter((l) => typeof l === 'string').join('\n');
+      const flights = flightsFromInput({ raw }, { referenceDate: doc.departureDate });
+      counts[name].records += 1;
+      counts[name].segments += flights.itineraryLines.length;
+      counts[name].unreadLines += flights.parseErrors.length;
+      if (!dryRun) await collection.updateOne({ _id: doc._id }, { $set: { flights } });
+    }
+  }
+
+  console.log(`${dryRun ? '🔎 Dry run' : '✅ Itineraries parsed'}:`, counts);
+  await mongoose.disconnect();
+  process.exit(0);
+})().catch(err => {
+  console.error('❌ Itinerary parsing failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,54 @@
+// scripts/recompute-costing.js
+// One-off: recompute costing.totals from costing.rows on existing bookings so
+// stale client-sent totals stop disagreeing with performance reports and PDFs.
+//
+//   node scripts/recompute-costing.js            # apply
+//   node scripts/recompute-costing.js --dry-run  # report only
+//
+// Bookings whose rows use a currency without a known rate are skipped.
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import { computeCosting } from '../utils/costing.js';
+import { summarizeLedger } from '../utils/paymentLedger.js';
+
+const uri = process.env.MONGO_URI || process.env.MONGODB_URI;
+if (!uri) throw new Error('MONGO_URI missing in .env');
+
+const dryRun = process.argv.includes('--dry-run');
+
+(async () => {
+  await mongoose.connect(uri);
+  const bookings = mongoose.connection.db.collection('bookings');
+  const summary = { scanned: 0, changed: 0, skipped: 0 };
+
+  for await (const b of bookings.find({ 'costing.rows.0': { $exists: true } })) {
+    summary.scanned++;
+    let costing;
+    try {
+      costing = computeCosting(b.costing);
+    } catch (err) {
+      console.warn(`⚠️  booking ${b._id}: ${err.message}`);
+      summary.skipped++;
+      continue;
+    }
+
+    const before = b.costing.totals || {};
+    if (before.totalCost === costing.totals.totalCost && before.totalSale === costing.totals.totalSale &&
+        before.profit === costing.totals.profit) continue;
+
+    console.log(`🧮 booking ${b._id}: profit ${before.profit ?? '—'} -> ${costing.totals.profit}`);
+    summary.changed++;
+    if (!dryRun) {
+      // ledgerTotals derive from the sale total too
+      const ledgerTotals = summarizeLedger({ ...b, costing });
+      await bookings.updateOne({ _id: b._id }, { $set: { costing, ledgerTotals } });
+    }
+  }
+
+  console.log(`${dryRun ? '🔎 Dry run' : '✅ Costing recomputed'}:`, summary);
+  await mongoose.disconnect();
+  process.exit(0);
+})().catch(err => {
+  console.error('❌ Costing recompute failed:', err);
+  process.exit(1);
+});
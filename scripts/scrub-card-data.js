@@ -0,0 +1,72 @@
+// scripts/scrub-card-data.js
+// One-off: remove plain-text card data (cardNumber, cvv, expiryDate,
+// cardholderName) from the root of existing bookings.
+//
+//   node scripts/scrub-card-data.js            # vault PANs, keep token/last4/brand/expiry
+//   node scripts/scrub-card-data.js --no-vault # keep last4/brand/expiry only, discard PANs
+//   node scripts/scrub-card-data.js --dry-run  # report only
+//
+// CVVs are always discarded. Vaulting uses the adapter selected by CARD_VAULT
+// (local needs CARD_VAULT_KEY).
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import { getCardVault } from '../utils/cardVault.js';
+import { detectBrand, luhnValid, normalizeExpiry } from '../utils/cardData.js';
+
+const uri = process.env.MONGO_URI || process.env.MONGODB_URI;
+if (!uri) throw new Error('MONGO_URI missing in .env');
+
+const dryRun = process.argv.includes('--dry-run');
+const useVault = !process.argv.includes('--no-vault');
+
+const LEGACY_FIELDS = ['cardNumber', 'cvv', 'expiryDate', 'cardholderName'];
+
+(async () => {
+  await mongoose.connect(uri);
+  const bookings = mongoose.connection.db.collection('bookings');
+  const vault = useVault ? getCardVault() : null;
+
+  const cursor = bookings.find({ $or: LEGACY_FIELDS.map((f) => ({ [f]: { $exists: true } })) });
+  const summary = { scanned: 0, vaulted: 0, truncated: 0, invalid: 0 };
+
+  for await (const b of cursor) {
+    summary.scanned++;
+    const card = { ...(b.card || {}) };
+    const pan = String(b.cardNumber || '').replace(/[\s-]/g, '');
+
+    if (b.expiryDate && !card.expiry) card.expiry = normalizeExpiry(b.expiryDate) || undefined;
+    if (b.cardholderName && !card.cardholderName) card.cardholderName = b.cardholderName;
+
+    if (/^\d{12,19}$/.test(pan) && luhnValid(pan)) {
+      card.last4 = pan.slice(-4);
+      card.brand = detectBrand(pan);
+      if (vault && !dryRun) {
+        const { token } = await vault.tokenize({ pan, expiry: card.expiry, last4: card.last4, brand: card.brand });
+        card.token = token;
+      }
+      summary[vault ? 'vaulted' : 'truncated']++;
+    } else if (pan) {
+      // Unusable number: keep nothing but the last digits for reference
+      if (/\d{4}$/.test(pan)) card.last4 = pan.slice(-4);
+      summary.invalid++;
+    }
+
+    console.log(`🧹 booking ${b._id}: ${card.last4 ? `****${card.last4}` : 'no PAN'}${card.token ? ' (vaulted)' : ''}`);
+    if (dryRun) continue;
+
+    await bookings.updateOne(
+      { _id: b._id },
+      {
+        $set: { card },
+        $unset: Object.fromEntries(LEGACY_FIELDS.map((f) => [f, ''])),
+      }
+    );
+  }
+
+  console.log(`${dryRun ? '🔎 Dry run' : '✅ Card data scrubbed'}:`, summary);
+  await mongoose.disconnect();
+  process.exit(0);
+})().catch(err => {
+  console.error('❌ Card scrub failed:', err);
+  process.exit(1);
+});
@@ -15,12 +15,23 @@ import bookingRoutes from "./routes/bookingRoutes.js";
 import inquiryRoutes from "./routes/inquiryRoutes.js";
 import agentRoutes from "./routes/agentRoutes.js";
 import analyticsRoutes from "./routes/analyticsRoutes.js";
+import notificationRoutes from "./routes/notificationRoutes.js";
+import webhookRoutes from "./routes/webhookRoutes.js";
+import customerRoutes from "./routes/customerRoutes.js";
+import groupRoutes from "./routes/groupRoutes.js";
+import packageRoutes from "./routes/packageRoutes.js";
+import hotelRoutes from "./routes/hotelRoutes.js";
+import { startNotificationWorker } from "./utils/notifications.js";
+import { startWebhookWorker } from "./utils/webhookOutbox.js";
+import { startInquirySyncWorker } from "./utils/inquirySync.js";
+import { startSlaWorker } from "./utils/inquiryEscalation.js";
 
 dotenv.config();
 await connectDB();
 
 const app = express();
-app.use(express.json());
+// Keep the raw body for HMAC verification of inbound webhooks
+app.use(express.json({ verify: (req, _res, buf) => { req.rawBody = buf; } }));
 
 // ---- CORS ----
 const allowed = (process.env.CORS_ORIGIN || process.env.CLIENT_ORIGIN || "")
@@ -125,59 +136,14 @@ app.post("/api/auth/logout", (req, res) => {
   res.json({ message: "Logged out successfully" });
 });
 
-// "me" endpoints needed by the UI
-app.get("/api/auth/me", auth, async (req,res)=>{
-  // Try User first (for backwards compatibility)
-  let u = await User.findById(req.userId).lean();
-  
-  // If not found in User, try Agent model
-  if (!u) {
-    const { default: Agent } = await import("./models/Agent.js");
-    const agent = await Agent.findById(req.userId)
-      .select("_id name email role phone username department monthlyTarget commissionRate")
-      .lean();
-    
-    if (agent) {
-      // Return agent data in user-like format
-      return res.json({
-        id: agent._id,
-        name: agent.name,
-        email: agent.email,
-        role: agent.role || "agent",
-      });
-    }
-  }
-  
-  // Only reach here if found in User model
+// "me" endpoints needed by the UI (admins and agents are both User principals)
+const me = async (req,res)=>{
+  const u = await User.findByPrincipalId(req.userId).lean();
   if (!u) return res.status(404).json({ message: "User not found" });
   res.json({ id: u._id, name: u.name, email: u.email, role: u.role });
-});
-app.get("/api/agent/me", auth, async (req,res)=>{
-  // Try User first (for backwards compatibility)
-  let u = await User.findById(req.userId).lean();
-  
-  // If not found in User, try Agent model
-  if (!u) {
-    const { default: Agent } = await import("./models/Agent.js");
-    const agent = await Agent.findById(req.userId)
-      .select("_id name email role phone username department monthlyTarget commissionRate")
-      .lean();
-    
-    if (agent) {
-      // Return agent data in user-like format
-      return res.json({
-        id: agent._id,
-        name: agent.name,
-        email: agent.email,
-        role: agent.role || "agent",
-      });
-    }
-  }
-  
-  // Only reach here if found in User model
-  if (!u) return res.status(404).json({ message: "User not found" });
-  res.json({ id: u._id, name: u.name, email: u.email, role: u.role });
-});
+};
+app.get("/api/auth/me", auth, me);
+app.get("/api/agent/me", auth, me);
 
 // Mount full feature routers (bookings, inquiries, agents, analytics)
 app.use("/api/auth", authRoutes);
@@ -185,6 +151,22 @@ app.use("/api/bookings", bookingRoutes);
 app.use("/api/inquiries", inquiryRoutes);
 app.use("/api/agent", agentRoutes);
 app.use("/api/analytics", analyticsRoutes);
+app.use("/api/notifications", notificationRoutes);
+app.use("/api/webhooks", webhookRoutes);
+app.use("/api/customers", customerRoutes);
+app.use("/api/groups", groupRoutes);
+app.use("/api/packages", packageRoutes);
+app.use("/api/hotels", hotelRoutes);
+
+// Background jobs: emails + installment reminders, outbound webhooks,
+// external inquiry sync, inquiry SLA escalation. Not started under
+// NODE_ENV=test (npm test); specs in tests/ call processEmailQueue etc. themselves.
+if (process.env.NODE_ENV !== "test") {
+  startNotificationWorker();
+  startWebhookWorker();
+  startInquirySyncWorker();
+  startSlaWorker();
+}
 
 const PORT = Number(process.env.PORT) || 7000;
 
@@ -0,0 +1,38 @@
+// tests/bookingHistory.test.js
+// Restore and history reject a malformed booking id before querying.
+import { jest } from "@jest/globals";
+import mongoose from "mongoose";
+import { getBookingHistory, restoreBooking } from "../controllers/bookingController.js";
+import { mongoSink } from "./mongoSink.js";
+
+const call = async (handler, id) => {
+  const req = { params: { id }, body: {}, user: { _id: new mongoose.Types.ObjectId(), role: "admin" } };
+  const res = { status: (code) => ((res.statusCode = code), res), json: (payload) => ((res.body = payload), res) };
+  await handler(req, res);
+  return res;
+};
+
+let db;
+beforeEach(() => {
+  db = mongoSink();
+});
+afterEach(() => jest.restoreAllMocks());
+
+describe.each([
+  ["restoreBooking", restoreBooking],
+  ["getBookingHistory", getBookingHistory],
+])("%s", (_name, handler) => {
+  it("answers 400 for a malformed id", async () => {
+    const res = await call(handler, "not-an-id");
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toEqual({ message: "Invalid booking id" });
+    expect(db.writes).toHaveLength(0);
+  });
+
+  it("answers 404 for a well-formed id that is not stored", async () => {
+    const res = await call(handler, String(new mongoose.Types.ObjectId()));
+
+    expect(res.statusCode).toBe(404);
+  });
+});
@@ -0,0 +1,121 @@
+// tests/bookingLifecycle.test.js
+// Only the lifecycle module is loaded: its built-in guards, validation
+// included, must apply without any other import.
+import { jest } from "@jest/globals";
+import mongoose from "mongoose";
+import Booking from "../models/Booking.js";
+import { allowedTransitions, stateFromLegacy, transitionBooking } from "../utils/bookingLifecycle.js";
+import { mongoSink } from "./mongoSink.js";
+
+const agent = { _id: new mongoose.Types.ObjectId(), role: "agent" };
+const admin = { _id: new mongoose.Types.ObjectId(), role: "admin" };
+
+// A booking as loaded from the database
+const stored = (fields = {}) =>
+  Booking.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    customerName: "Amina Yusuf",
+    customerEmail: "amina@example.test",
+    package: "Umrah 10 nights",
+    date: new Date("2026-03-01"),
+    departureDate: "2026-03-01",
+    returnDate: "2026-03-11",
+    agent: agent._id,
+    state: "draft",
+    stateHistory: [],
+    payments: [],
+    __v: 0,
+    ...fields,
+  });
+
+let db;
+beforeEach(() => {
+  db = mongoSink();
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe("transitionBooking", () => {
+  it("saves the new state with its legacy fields and history", async () => {
+    const booking = stored();
+
+    await transitionBooking(booking, "submitted", { user: agent });
+
+    const [{ update }] = db.updated("Booking");
+    expect(update.$set).toMatchObject({ state: "submitted", status: "pending", approvalStatus: "pending" });
+    expect(update.$push.stateHistory.$each[0]).toMatchObject({ from: "draft", to: "submitted", by: agent._id });
+    expect(db.inserted("BookingHistory")[0]).toMatchObject({
+      action: "transition",
+      changes: expect.arrayContaining([{ field: "state", before: "draft", after: "submitted" }]),
+    });
+  });
+
+  it("refuses to submit a booking with validation errors", async () => {
+    const booking = stored({ returnDate: "2026-02-20" });
+
+    await expect(transitionBooking(booking, "submitted", { user: agent })).rejects.toMatchObject({
+      status: 422,
+      issues: [expect.objectContaining({ code: "return_before_departure" })],
+    });
+    expect(booking.state).toBe("draft");
+    expect(db.writes).toEqual([]);
+  });
+
+  it("checks the transition table and the user's role before saving", async () => {
+    await expect(transitionBooking(stored(), "ticketed", { user: admin })).rejects.toMatchObject({ status: 409 });
+    await expect(transitionBooking(stored({ state: "submitted" }), "approved", { user: agent })).rejects.toMatchObject({
+      status: 403,
+    });
+    await expect(transitionBooking(stored(), "cancelled", { user: agent })).rejects.toMatchObject({ status: 400 });
+    expect(db.writes).toEqual([]);
+  });
+
+  it("needs a PNR before ticketing", async () => {
+    await expect(transitionBooking(stored({ state: "approved" }), "ticketed", { user: admin })).rejects.toMatchObject({
+      status: 422,
+      message: expect.stringContaining("PNR"),
+    });
+    expect(db.writes).toEqual([]);
+  });
+
+  it("refunds only once the ledger is paid back", async () => {
+    const paid = stored({
+      state: "cancelled",
+      totalAmount: 500,
+      payments: [{ _id: new mongoose.Types.ObjectId(), type: "payment", status: "posted", amount: 200, method: "cash" }],
+    });
+
+    await expect(transitionBooking(paid, "refunded", { user: admin, reason: "Visa refused" })).rejects.toMatchObject({
+      status: 422,
+    });
+    expect(db.writes).toEqual([]);
+  });
+});
+
+describe("allowedTransitions / stateFromLegacy", () => {
+  it("lists the moves open to the user", () => {
+    expect(allowedTransitions(stored({ state: "submitted" }), agent).sort()).toEqual(["cancelled", "draft"]);
+    expect(allowedTransitions(stored({ state: "submitted" }), admin).sort()).toEqual([
+      "approved",
+      "cancelled",
+      "draft",
+      "rejected",
+    ]);
+  });
+
+  it("maps legacy status fields to a state", () => {
+    expect(stateFromLegacy({ status: "confirmed" })).toBe("approved");
+    expect(stateFromLegacy({ status: "pending", approvalStatus: "rejected" })).toBe("rejected");
+    expect(stateFromLegacy({ status: "cancelled" })).toBe("cancelled");
+    expect(stateFromLegacy({})).toBe("submitted");
+  });
+
+  it("derives the state of a pre-lifecycle booking on its first save", async () => {
+    const legacy = Booking.hydrate({ ...stored().toObject(), state: undefined, status: "confirmed", approvalStatus: "approved" });
+    legacy.contactNumber = "+15550100";
+
+    await legacy.save();
+
+    expect(db.updated("Booking")[0].update.$set).toMatchObject({ state: "approved" });
+  });
+});
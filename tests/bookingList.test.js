@@ -0,0 +1,51 @@
+// tests/bookingList.test.js
+// GET /api/bookings keeps its bare-array response unless paging is asked for.
+import { jest } from "@jest/globals";
+import mongoose from "mongoose";
+import "../models/User.js";
+import { getBookings, getMyBookings } from "../controllers/bookingController.js";
+import { mongoSink } from "./mongoSink.js";
+
+const admin = { _id: new mongoose.Types.ObjectId(), role: "admin" };
+
+const list = async (handler, query, user = admin) => {
+  const res = { status: (code) => ((res.statusCode = code), res), json: (payload) => ((res.body = payload), res) };
+  await handler({ query, user }, res);
+  return res;
+};
+
+const booking = (customerName, agent) => ({
+  _id: new mongoose.Types.ObjectId(),
+  customerName,
+  customerEmail: `${customerName.toLowerCase()}@example.test`,
+  package: "Umrah 10 nights",
+  date: new Date("2026-03-01"),
+  agent,
+  createdAt: new Date(),
+});
+
+let db;
+beforeEach(() => {
+  db = mongoSink();
+  db.found("Booking", [booking("Amina", admin._id), booking("Omar", admin._id), booking("Yusuf", admin._id)]);
+});
+afterEach(() => jest.restoreAllMocks());
+
+describe.each([
+  ["getBookings", getBookings],
+  ["getMyBookings", getMyBookings],
+])("%s", (_name, handler) => {
+  it("answers with every booking as a bare array when no paging is sent", async () => {
+    const res = await list(handler, {});
+
+    expect(Array.isArray(res.body)).toBe(true);
+    expect(res.body).toHaveLength(3);
+  });
+
+  it("answers with a page and its pagination when limit is sent", async () => {
+    const res = await list(handler, { limit: "2" });
+
+    expect(res.body).toMatchObject({ success: true, pagination: { total: 3, page: 1, limit: 2, hasMore: true } });
+    expect(res.body.data).toHaveLength(2);
+  });
+});
@@ -0,0 +1,64 @@
+// tests/cardData.test.js
+// A card vaulted for a booking that is not saved leaves no token behind.
+import { jest } from "@jest/globals";
+import mongoose from "mongoose";
+import Booking from "../models/Booking.js";
+import { createBooking } from "../controllers/bookingController.js";
+import { mongoSink } from "./mongoSink.js";
+
+const agent = { _id: new mongoose.Types.ObjectId(), role: "agent" };
+
+const create = async (card) => {
+  const res = { status: (code) => ((res.statusCode = code), res), json: (payload) => ((res.body = payload), res) };
+  const body = {
+    customerName: "Amina Yusuf",
+    customerEmail: "amina@example.test",
+    package: "Umrah 10 nights",
+    date: "2026-03-01",
+    expiryDate: "12/29",
+    ...card,
+  };
+  await createBooking({ body, user: agent }, res);
+  return res;
+};
+
+let db;
+beforeEach(() => {
+  process.env.CARD_VAULT_KEY = "a".repeat(64);
+  db = mongoSink();
+});
+afterEach(() => {
+  delete process.env.CARD_VAULT_KEY;
+  jest.restoreAllMocks();
+});
+
+describe("createBooking card on file", () => {
+  it("keeps the vaulted token with the saved booking", async () => {
+    const res = await create({ cardNumber: "4242 4242 4242 4242", cvv: "123" });
+
+    expect(res.statusCode).toBe(201);
+    const [token] = db.stored("CardToken");
+    expect(token).toMatchObject({ last4: "4242", brand: "visa" });
+    expect(db.inserted("Booking")[0].card).toMatchObject({ token: token.token, last4: "4242" });
+  });
+
+  it("deletes the vaulted token when the booking save fails", async () => {
+    jest.spyOn(Booking.collection, "insertOne").mockRejectedValueOnce(new Error("connection reset"));
+
+    const res = await create({ cardNumber: "4242 4242 4242 4242", cvv: "123" });
+
+    expect(res.statusCode).toBe(400);
+    expect(db.inserted("CardToken")).toHaveLength(1);
+    expect(db.stored("CardToken")).toHaveLength(0);
+  });
+
+  it("leaves a client-supplied token alone", async () => {
+    jest.spyOn(Booking.collection, "insertOne").mockRejectedValueOnce(new Error("connection reset"));
+    const discard = jest.spyOn(mongoose.model("CardToken").collection, "deleteOne");
+
+    const res = await create({ cardToken: "tok_provider_1", cardLast4: "4242" });
+
+    expect(res.statusCode).toBe(400);
+    expect(discard).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,117 @@
+// tests/costing.test.js
+import { jest } from "@jest/globals";
+import mongoose from "mongoose";
+import { createBooking } from "../controllers/bookingController.js";
+import { computeCosting, prepareCosting } from "../utils/costing.js";
+import { mongoSink } from "./mongoSink.js";
+
+const admin = { _id: new mongoose.Types.ObjectId(), role: "admin" };
+const agent = { _id: new mongoose.Types.ObjectId(), role: "agent" };
+
+describe("computeCosting", () => {
+  it("prices rows by salePerQty, then their own rule, then the costing rules", () => {
+    const { rows } = computeCosting({
+      currency: "usd",
+      rules: { markupPercent: 10 },
+      rows: [
+        { label: "Hotel", costPerQty: 100, quantity: 2, markupPercent: 25 },
+        { label: "Visa", costPerQty: 80, marginPercent: 20 },
+        { label: "Transfer", costPerQty: 40, salePerQty: 55, markupPercent: 25 },
+        { label: "Ziyarat", costPerQty: 30 },
+      ],
+    });
+    expect(rows.map((r) => r.salePerQty)).toEqual([125, 100, 55, 33]);
+    expect(rows[0]).toMatchObject({ currency: "USD", totalCost: 200, totalSale: 250, profit: 50 });
+  });
+
+  it("converts each row into the costing currency", () => {
+    const costing = computeCosting({
+      currency: "USD",
+      fxRates: { SAR: 0.25 },
+      rows: [{ costPerQty: 400, salePerQty: 500, currency: "sar" }, { costPerQty: 50, salePerQty: 50 }],
+    });
+    expect(costing.rows[0]).toMatchObject({ fxRate: 0.25, totalCost: 100, totalSale: 125 });
+    expect(costing.totals).toEqual({ totalCost: 150, totalSale: 175, profit: 25, marginPercent: 14.29 });
+  });
+
+  it("refuses rows it cannot price", () => {
+    expect(() => computeCosting({ currency: "USD", rows: [{ costPerQty: 10, currency: "EUR" }] })).toThrow(/No exchange rate for EUR/);
+    expect(() => computeCosting({ rows: [{ costPerQty: -1 }] })).toThrow(/non-negative/);
+    expect(() => computeCosting({ rows: [{ costPerQty: 10, marginPercent: 100 }] })).toThrow(/below 100/);
+  });
+
+  it("ignores totals sent by the client", () => {
+    const costing = computeCosting({ rows: [{ costPerQty: 10, salePerQty: 12 }], totals: { totalSale: 9999 } });
+    expect(costing.totals.totalSale).toBe(12);
+  });
+});
+
+describe("prepareCosting", () => {
+  const loss = { currency: "USD", rows: [{ costPerQty: 100, salePerQty: 90 }] };
+
+  it("refuses a loss without an admin override", () => {
+    expect(() => prepareCosting(loss, agent)).toThrow(expect.objectContaining({ status: 422 }));
+    expect(() => prepareCosting({ ...loss, overrideNegativeProfit: true }, agent)).toThrow(/admin must approve/);
+  });
+
+  it("records the admin who approved the loss", () => {
+    const costing = prepareCosting({ ...loss, overrideNegativeProfit: true }, admin);
+    expect(costing).toMatchObject({ lossApprovedBy: admin._id, totals: { profit: -10 } });
+    expect(costing).not.toHaveProperty("overrideNegativeProfit");
+  });
+
+  it("keeps an approval while the loss does not grow", () => {
+    const current = { lossApprovedBy: admin._id, lossApprovedAt: new Date("2026-01-01"), totals: { profit: -10 } };
+    expect(prepareCosting(loss, agent, current).lossApprovedBy).toBe(admin._id);
+    const bigger = { currency: "USD", rows: [{ costPerQty: 100, salePerQty: 80 }] };
+    expect(() => prepareCosting(bigger, agent, current)).toThrow(expect.objectContaining({ status: 422 }));
+  });
+});
+
+describe("createBooking costing, saved", () => {
+  const body = (costing) => ({
+    customerName: "Amina Yusuf",
+    customerEmail: "amina@example.test",
+    package: "Umrah 10 nights",
+    date: "2026-03-01",
+    costing,
+  });
+  const create = async (user, costing) => {
+    const res = { status: (code) => ((res.statusCode = code), res), json: (payload) => ((res.body = payload), res) };
+    await createBooking({ body: body(costing), user }, res);
+    return res;
+  };
+
+  let db;
+  beforeEach(() => {
+    db = mongoSink();
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  it("stores the server's totals, not the client's", async () => {
+    const res = await create(agent, {
+      currency: "USD",
+      rows: [{ label: "Hotel", costPerQty: 100, quantity: 2, markupPercent: 25 }],
+      totals: { totalCost: 1, totalSale: 1, profit: 0 },
+    });
+
+    expect(res.statusCode).toBe(201);
+    expect(db.inserted("Booking")[0].costing.totals).toMatchObject({ totalCost: 200, totalSale: 250, profit: 50 });
+  });
+
+  it("saves nothing when an agent's costing shows a loss", async () => {
+    const res = await create(agent, { currency: "USD", rows: [{ costPerQty: 100, salePerQty: 90 }] });
+
+    expect(res.statusCode).toBe(422);
+    expect(res.body.totals.profit).toBe(-10);
+    expect(db.inserted("Booking")).toEqual([]);
+  });
+
+  it("saves a loss an admin approved, with the approval", async () => {
+    await create(admin, { currency: "USD", rows: [{ costPerQty: 100, salePerQty: 90 }], overrideNegativeProfit: true });
+
+    const { costing } = db.inserted("Booking")[0];
+    expect(String(costing.lossApprovedBy)).toBe(String(admin._id));
+    expect(costing.totals.profit).toBe(-10);
+  });
+});
@@ -0,0 +1,123 @@
+// tests/customerIdentity.test.js
+import { jest } from "@jest/globals";
+import mongoose from "mongoose";
+import Customer from "../models/Customer.js";
+import Inquiry from "../models/Inquiry.js";
+import {
+  findMatchingCustomer,
+  NAME_MATCH,
+  nameKey,
+  nameSimilarity,
+  normalizeEmail,
+  normalizePhone,
+} from "../utils/customerIdentity.js";
+import { mongoSink } from "./mongoSink.js";
+
+afterEach(() => jest.restoreAllMocks());
+
+describe("match keys", () => {
+  it("normalizes emails and keeps only real addresses", () => {
+    expect(normalizeEmail("  Amina@Example.TEST ")).toBe("amina@example.test");
+    expect(normalizeEmail("not an email")).toBe("");
+  });
+
+  it("compares phones on their last nine digits", () => {
+    expect(normalizePhone("+92 300 1234567")).toBe(normalizePhone("0300-1234567"));
+    expect(normalizePhone("12345")).toBe("");
+  });
+
+  it("drops titles, accents and spelling variants from names", () => {
+    expect(nameKey("Haji Mohammed  Ahmad")).toBe("ahmed muhammad");
+    expect(nameKey("Muhammad Ahmed")).toBe(nameKey("ahmed, MUHAMMAD"));
+    expect(nameKey("Zeïnab Hasan")).toBe("hassan zaynab");
+  });
+});
+
+describe("nameSimilarity", () => {
+  it("matches transliterations and word order", () => {
+    expect(nameSimilarity("Mohamed Hussain", "Hussein Muhammad")).toBe(1);
+  });
+
+  it("matches a shorter name contained in a longer one", () => {
+    expect(nameSimilarity("Ali Khan", "Muhammad Ali Khan")).toBeGreaterThanOrEqual(NAME_MATCH);
+  });
+
+  it("keeps different people apart", () => {
+    expect(nameSimilarity("Ali Khan", "Fatima Siddiqui")).toBeLessThan(NAME_MATCH);
+    expect(nameSimilarity("", "Ali Khan")).toBe(0);
+  });
+});
+
+describe("findMatchingCustomer", () => {
+  let db;
+  beforeEach(() => {
+    db = mongoSink();
+  });
+
+  it("joins on email first", async () => {
+    const existing = { _id: new mongoose.Types.ObjectId(), name: "Amina Yusuf", emails: ["amina@example.test"] };
+    db.found("Customer", [existing]);
+
+    const match = await findMatchingCustomer({ name: "Someone Else", email: "Amina@example.test" });
+
+    expect(Customer.collection.findOne).toHaveBeenCalledWith(
+      expect.objectContaining({ emails: "amina@example.test" }),
+      expect.anything()
+    );
+    expect(match.reason).toBe("email");
+    expect(String(match.customer._id)).toBe(String(existing._id));
+  });
+
+  it("joins on phone only when the names are alike", async () => {
+    db.found("Customer", [{ _id: new mongoose.Types.ObjectId(), name: "Muhammad Ali Khan", phones: [normalizePhone("0300 1234567")] }]);
+
+    const same = await findMatchingCustomer({ name: "Mohammed Ali Khan", email: "ali@example.test", phone: "0300 1234567" });
+    const other = await findMatchingCustomer({ name: "Fatima Siddiqui", phone: "0300 1234567" });
+
+    expect(same.customer.name).toBe("Muhammad Ali Khan");
+    expect(same.reason).toMatch(/^phone \+ name/);
+    expect(other).toBeNull();
+  });
+});
+
+describe("inquiry customer link, saved", () => {
+  const inquiry = (fields = {}) =>
+    new Inquiry({
+      customerName: "Haji Mohammed Ahmad",
+      customerEmail: " Mohammed@Example.TEST ",
+      customerPhone: "+92 300 1234567",
+      message: "Umrah in March",
+      ...fields,
+    });
+
+  let db;
+  beforeEach(() => {
+    db = mongoSink();
+  });
+
+  it("creates the customer with its match keys and links the inquiry", async () => {
+    await inquiry().save();
+
+    const [customer] = db.inserted("Customer");
+    expect(customer).toMatchObject({
+      name: "Haji Mohammed Ahmad",
+      emails: ["mohammed@example.test"],
+      phones: ["001234567"],
+      nameKey: "ahmed muhammad",
+    });
+    expect(String(db.inserted("Inquiry")[0].customer)).toBe(String(customer._id));
+  });
+
+  it("links a returning customer and records the new phone", async () => {
+    const existing = { _id: new mongoose.Types.ObjectId(), name: "Mohammed Ahmad", emails: ["mohammed@example.test"], phones: [], names: [] };
+    db.found("Customer", [existing]);
+
+    await inquiry({ customerPhone: "0300-7654321" }).save();
+
+    expect(db.inserted("Customer")).toEqual([]);
+    const [{ filter, update }] = db.updated("Customer");
+    expect(String(filter._id)).toBe(String(existing._id));
+    expect(JSON.stringify(update)).toContain("007654321");
+    expect(String(db.inserted("Inquiry")[0].customer)).toBe(String(existing._id));
+  });
+});
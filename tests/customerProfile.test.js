@@ -0,0 +1,73 @@
+// tests/customerProfile.test.js
+// Agents only see their own bookings and inquiries in a customer's profile.
+import { jest } from "@jest/globals";
+import mongoose from "mongoose";
+import Booking from "../models/Booking.js";
+import Inquiry from "../models/Inquiry.js";
+import { buildCustomerProfile } from "../utils/customerProfile.js";
+
+const chain = (rows) => {
+  const query = { sort: () => query, select: () => query, populate: () => query, lean: async () => rows };
+  return query;
+};
+
+const customer = { _id: new mongoose.Types.ObjectId(), name: "Amina Yusuf", phone: "+15550100" };
+
+const stubQueries = (bookings = [], inquiries = []) => ({
+  bookingFind: jest.spyOn(Booking, "find").mockReturnValue(chain(bookings)),
+  inquiryFind: jest.spyOn(Inquiry, "find").mockReturnValue(chain(inquiries)),
+  bookingStats: jest.spyOn(Booking, "aggregate").mockResolvedValue([]),
+  inquiryStats: jest.spyOn(Inquiry, "aggregate").mockResolvedValue([]),
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe("buildCustomerProfile", () => {
+  it("limits an agent to their own bookings and assigned inquiries", async () => {
+    const agent = { _id: new mongoose.Types.ObjectId(), role: "agent" };
+    const q = stubQueries();
+
+    await buildCustomerProfile(customer, { user: agent });
+
+    expect(String(q.bookingFind.mock.calls[0][0].agent)).toBe(String(agent._id));
+    expect(String(q.inquiryFind.mock.calls[0][0].assignedAgent)).toBe(String(agent._id));
+    expect(String(q.bookingStats.mock.calls[0][0][0].$match.agent)).toBe(String(agent._id));
+    expect(String(q.inquiryStats.mock.calls[0][0][0].$match.assignedAgent)).toBe(String(agent._id));
+  });
+
+  it("shows admins everything", async () => {
+    const q = stubQueries();
+
+    await buildCustomerProfile(customer, { user: { _id: new mongoose.Types.ObjectId(), role: "admin" } });
+
+    expect(q.bookingFind.mock.calls[0][0]).toEqual({ customer: customer._id });
+    expect(q.inquiryFind.mock.calls[0][0]).toEqual({ customer: customer._id });
+  });
+
+  it("reads the passport from the customer's manifest entry", async () => {
+    const bookingId = new mongoose.Types.ObjectId();
+    stubQueries([
+      {
+        _id: bookingId,
+        manifest: [
+          { givenNames: "Omar", surname: "Yusuf", passportNumber: "P100", nationality: "NG" },
+          { givenNames: "Amina", surname: "Yusuf", passportNumber: "P200", nationality: "GB", passportExpiry: "2030-01-01" },
+        ],
+        visa: { passportNumber: "OLD1" },
+      },
+    ]);
+
+    const profile = await buildCustomerProfile(customer);
+
+    expect(profile.travelDocument).toMatchObject({ passportNumber: "P200", nationality: "GB", fromBooking: bookingId });
+    expect(profile.bookings[0]).not.toHaveProperty("manifest");
+  });
+
+  it("falls back to the legacy visa fields", async () => {
+    stubQueries([{ _id: new mongoose.Types.ObjectId(), manifest: [], visa: { passportNumber: "OLD1", nationality: "PK" } }]);
+
+    const profile = await buildCustomerProfile(customer);
+
+    expect(profile.travelDocument).toMatchObject({ passportNumber: "OLD1", nationality: "PK" });
+  });
+});
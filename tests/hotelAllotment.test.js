@@ -0,0 +1,97 @@
+// tests/hotelAllotment.test.js
+// Room takes and give-backs against spied allotment blocks.
+import { jest } from "@jest/globals";
+import mongoose from "mongoose";
+import HotelAllotment from "../models/HotelAllotment.js";
+import { blockNights, stayNights, syncHotelReservations, undoHotelReservations } from "../utils/hotelAllotment.js";
+
+const hotel = new mongoose.Types.ObjectId();
+const blockA = new mongoose.Types.ObjectId();
+const blockB = new mongoose.Types.ObjectId();
+
+const stay = (checkIn, checkOut, extra = {}) => ({ hotel, roomType: "Double", checkIn, checkOut, rooms: 2, ...extra });
+
+// Every block covers every stay; `full` blocks refuse the take
+const stubBlocks = ({ full = [] } = {}) => {
+  jest.spyOn(HotelAllotment, "find").mockImplementation((filter) => ({
+    sort: () => ({ select: async () => [{ _id: filter._id || blockA, nights: [] }] }),
+  }));
+  return jest.spyOn(HotelAllotment, "updateOne").mockImplementation(async (filter) => ({
+    modifiedCount: full.some((id) => String(id) === String(filter._id)) ? 0 : 1,
+  }));
+};
+
+// [block, rooms] per update: negative takes, positive gives back
+const moves = (updateOne) =>
+  updateOne.mock.calls.map(([filter, update]) => [String(filter._id), update.$inc["nights.$[night].available"]]);
+
+afterEach(() => jest.restoreAllMocks());
+
+describe("stayNights / blockNights", () => {
+  it("counts check-in up to the night before check-out", () => {
+    expect(stayNights("2026-03-01", "2026-03-04").map((d) => d.toISOString().slice(0, 10))).toEqual([
+      "2026-03-01",
+      "2026-03-02",
+      "2026-03-03",
+    ]);
+    expect(stayNights("2026-03-04", "2026-03-04")).toEqual([]);
+    expect(stayNights("2026-03-04", undefined)).toEqual([]);
+  });
+
+  it("starts each block night with every room free", () => {
+    expect(blockNights("2026-03-01", "2026-03-03", 10).map((n) => n.available)).toEqual([10, 10]);
+  });
+});
+
+describe("syncHotelReservations", () => {
+  it("keeps unchanged stays and takes rooms for new ones", async () => {
+    const updateOne = stubBlocks();
+    const kept = stay("2026-03-01", "2026-03-04", { allotment: blockA });
+    const booking = { hotels: [{ ...kept }, stay("2026-03-04", "2026-03-08")] };
+
+    await syncHotelReservations(booking, [kept]);
+
+    expect(moves(updateOne)).toEqual([[String(blockA), -2]]);
+    expect(String(booking.hotels[1].allotment)).toBe(String(blockA));
+  });
+
+  it("puts released stays back when a new one cannot be booked", async () => {
+    const updateOne = stubBlocks({ full: [blockA] });
+    const previous = [stay("2026-03-01", "2026-03-04", { allotment: blockB })];
+    const booking = { hotels: [stay("2026-03-02", "2026-03-05")] };
+
+    await expect(syncHotelReservations(booking, previous)).rejects.toMatchObject({ status: 409 });
+
+    expect(moves(updateOne)).toEqual([
+      [String(blockB), 2], // given up for the edit
+      [String(blockA), -2], // refused
+      [String(blockB), -2], // taken again
+    ]);
+    expect(booking.hotels[0].allotment).toBeUndefined();
+  });
+});
+
+describe("undoHotelReservations", () => {
+  it("gives back new takes and retakes the stays that were given up", async () => {
+    const updateOne = stubBlocks();
+    const kept = stay("2026-03-01", "2026-03-04", { allotment: blockA });
+    const dropped = stay("2026-03-04", "2026-03-08", { allotment: blockB });
+    const booking = { hotels: [{ ...kept }, stay("2026-03-04", "2026-03-09", { allotment: blockA })] };
+
+    await undoHotelReservations(booking, [kept, dropped]);
+
+    expect(moves(updateOne)).toEqual([
+      [String(blockA), 2],
+      [String(blockB), -2],
+    ]);
+  });
+
+  it("gives back everything when there was nothing before", async () => {
+    const updateOne = stubBlocks();
+    const booking = { hotels: [stay("2026-03-01", "2026-03-04", { allotment: blockA })] };
+
+    await undoHotelReservations(booking);
+
+    expect(moves(updateOne)).toEqual([[String(blockA), 2]]);
+  });
+});
@@ -0,0 +1,75 @@
+// tests/inboundWebhook.test.js
+// Signed inbound webhooks only see the verified source's inquiries.
+import { jest } from "@jest/globals";
+import mongoose from "mongoose";
+import Inquiry from "../models/Inquiry.js";
+import { receiveInboundInquiry, receiveInboundReply } from "../controllers/inboundWebhookController.js";
+import { signatureHeaders } from "../utils/webhookSignature.js";
+
+const SECRETS = { miqat: "miqat-secret", mtumrah: "mtumrah-secret" };
+
+const signedRequest = (source, body, secret = SECRETS[source]) => {
+  const raw = JSON.stringify(body);
+  const headers = signatureHeaders(secret, raw);
+  return { params: { source }, body, rawBody: Buffer.from(raw), get: (name) => headers[name] };
+};
+
+const response = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => ((res.statusCode = code), res);
+  res.json = (body) => ((res.body = body), res);
+  return res;
+};
+
+beforeAll(() => {
+  process.env.INBOUND_WEBHOOK_SECRETS = JSON.stringify(SECRETS);
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe("receiveInboundInquiry", () => {
+  it("looks up and upserts by source and externalId", async () => {
+    const findOne = jest.spyOn(Inquiry, "findOne").mockReturnValue({
+      select: () => ({ lean: async () => ({ _id: new mongoose.Types.ObjectId() }) }),
+    });
+    const upsert = jest.spyOn(Inquiry, "findOneAndUpdate").mockResolvedValue({
+      value: { _id: new mongoose.Types.ObjectId(), externalId: "42", customer: new mongoose.Types.ObjectId() },
+      lastErrorObject: { updatedExisting: true },
+    });
+    const res = response();
+
+    await receiveInboundInquiry(signedRequest("miqat", { id: 42, name: "A", email: "a@example.test" }), res);
+
+    expect(res.statusCode).toBe(200);
+    expect(findOne).toHaveBeenCalledWith({ source: "miqat", externalId: "42" });
+    const [filter, update] = upsert.mock.calls[0];
+    expect(filter).toEqual({ source: "miqat", externalId: "42" });
+    expect(update.$set).not.toHaveProperty("source");
+  });
+
+  it("refuses a body signed with another source's secret", async () => {
+    const upsert = jest.spyOn(Inquiry, "findOneAndUpdate");
+    const res = response();
+
+    await receiveInboundInquiry(signedRequest("mtumrah", { id: 42 }, SECRETS.miqat), res);
+
+    expect(res.statusCode).toBe(401);
+    expect(upsert).not.toHaveBeenCalled();
+  });
+});
+
+describe("receiveInboundReply", () => {
+  it("only finds inquiries of the verified source", async () => {
+    const id = new mongoose.Types.ObjectId();
+    const findOne = jest.spyOn(Inquiry, "findOne").mockResolvedValue(null);
+    const res = response();
+
+    await receiveInboundReply(signedRequest("miqat", { inquiry_id: String(id), message: "Hello" }), res);
+
+    expect(res.statusCode).toBe(404);
+    expect(findOne.mock.calls.map(([filter]) => filter)).toEqual([
+      { _id: String(id), source: "miqat" },
+      { externalId: String(id), source: "miqat" },
+    ]);
+  });
+});
@@ -0,0 +1,33 @@
+// tests/inquiryRoutes.test.js
+// The unsigned public create route cannot set trusted fields.
+import { jest } from "@jest/globals";
+import express from "express";
+import request from "supertest";
+import inquiryRoutes from "../routes/inquiryRoutes.js";
+import { DEFAULT_PRIORITY } from "../utils/inquirySla.js";
+import { mongoSink } from "./mongoSink.js";
+
+const app = express().use(express.json()).use("/api/inquiries", inquiryRoutes);
+
+afterEach(() => jest.restoreAllMocks());
+
+describe("POST /api/inquiries/create", () => {
+  it("ignores the portal id and priority of an anonymous caller", async () => {
+    const db = mongoSink();
+
+    const res = await request(app).post("/api/inquiries/create").send({
+      id: "A-77",
+      externalId: "A-77",
+      priority: "urgent",
+      name: "Amina Yusuf",
+      email: "amina@example.test",
+      message: "Umrah in March",
+    });
+
+    expect(res.status).toBe(201);
+    const [stored] = db.stored("Inquiry");
+    expect(stored).toMatchObject({ customerName: "Amina Yusuf", priority: DEFAULT_PRIORITY });
+    expect(stored).not.toHaveProperty("externalId");
+    expect(stored).not.toHaveProperty("source");
+  });
+});
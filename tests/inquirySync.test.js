@@ -0,0 +1,104 @@
+// tests/inquirySync.test.js
+import http from "node:http";
+import { jest } from "@jest/globals";
+import mongoose from "mongoose";
+import Inquiry from "../models/Inquiry.js";
+import { createInquiry } from "../controllers/inquiryController.js";
+import { findInquiry } from "../utils/inquiryAccess.js";
+import { runInquirySync, upsertExternalInquiry } from "../utils/inquirySync.js";
+import { mongoSink } from "./mongoSink.js";
+
+afterEach(() => jest.restoreAllMocks());
+
+describe("upsertExternalInquiry", () => {
+  it("keys the upsert on source and externalId", async () => {
+    const upsert = jest.spyOn(Inquiry, "findOneAndUpdate").mockResolvedValue({
+      value: { _id: new mongoose.Types.ObjectId(), customer: new mongoose.Types.ObjectId() },
+      lastErrorObject: { updatedExisting: false },
+    });
+
+    const { created } = await upsertExternalInquiry(
+      { externalId: "7", customerName: "A", customerEmail: "a@example.test", message: "Hi" },
+      "miqat"
+    );
+
+    expect(created).toBe(true);
+    const [filter, update] = upsert.mock.calls[0];
+    expect(filter).toEqual({ source: "miqat", externalId: "7" });
+    expect(update.$set).not.toHaveProperty("source");
+  });
+});
+
+describe("Inquiry indexes", () => {
+  it("makes externalId unique per source", () => {
+    const index = Inquiry.schema.indexes().find(([fields]) => fields.source === 1 && fields.externalId === 1);
+    expect(index).toBeDefined();
+    expect(index[1]).toMatchObject({ unique: true, partialFilterExpression: { externalId: { $exists: true } } });
+  });
+});
+
+describe("portal ids from POST /api/inquiries and the sync", () => {
+  // The portal's inquiry API, serving one record
+  let portal;
+  const record = {
+    id: "A-77",
+    name: "Amina Yusuf",
+    email: "amina@example.test",
+    message: "Umrah in March",
+    updated_at: "2026-02-01T10:00:00Z",
+  };
+
+  beforeAll(async () => {
+    portal = http.createServer((_req, res) => {
+      res.setHeader("Content-Type", "application/json");
+      res.end(JSON.stringify({ data: [record] }));
+    });
+    await new Promise((resolve) => portal.listen(0, "127.0.0.1", resolve));
+    process.env.EXTERNAL_INQUIRIES_API_URL = `http://127.0.0.1:${portal.address().port}/api/inquiries`;
+  });
+
+  afterAll(async () => {
+    delete process.env.EXTERNAL_INQUIRIES_API_URL;
+    await new Promise((resolve) => portal.close(resolve));
+  });
+
+  const post = async (body) => {
+    const res = { statusCode: 200 };
+    res.status = (code) => ((res.statusCode = code), res);
+    res.json = (payload) => ((res.body = payload), res);
+    await createInquiry({ body, headers: {}, user: { _id: new mongoose.Types.ObjectId(), role: "admin" } }, res);
+    return res;
+  };
+
+  it("keeps one inquiry for a retried POST and the sync of the same id", async () => {
+    const db = mongoSink();
+    const body = { id: "A-77", name: "Amina Yusuf", email: "amina@example.test", message: "Umrah in March" };
+
+    const first = await post(body);
+    const retry = await post(body);
+    const run = await runInquirySync({ source: "mtumrah", trigger: "manual" });
+
+    expect(first.statusCode).toBe(201);
+    expect(retry.statusCode).toBe(200);
+    expect(String(retry.body.data._id)).toBe(String(first.body.data._id));
+    expect(run).toMatchObject({ status: "succeeded", created: 0, updated: 1 });
+    expect(db.stored("Inquiry")).toEqual([expect.objectContaining({ source: "mtumrah", externalId: "A-77" })]);
+  });
+
+  it("resolves an id two portals share to the default portal's inquiry", async () => {
+    const db = mongoSink();
+    const inquiry = (source, createdAt) => ({
+      _id: new mongoose.Types.ObjectId(),
+      source,
+      externalId: "A-77",
+      customerName: "Amina Yusuf",
+      customerEmail: "amina@example.test",
+      message: "Umrah in March",
+      createdAt,
+    });
+    db.found("Inquiry", [inquiry("miqat", new Date("2026-01-01")), inquiry("mtumrah", new Date("2026-02-01"))]);
+
+    expect((await findInquiry("A-77")).source).toBe("mtumrah");
+    expect((await findInquiry("A-77", { source: "miqat" })).source).toBe("miqat");
+  });
+});
@@ -0,0 +1,114 @@
+// tests/installmentPlan.test.js
+import { jest } from "@jest/globals";
+import mongoose from "mongoose";
+import { payInstallment } from "../controllers/installmentController.js";
+import {
+  applyInstallmentPlan,
+  describeSchedule,
+  generateSchedule,
+  installmentStatus,
+} from "../utils/installmentPlan.js";
+import { mongoSink } from "./mongoSink.js";
+
+describe("generateSchedule", () => {
+  it("splits the remainder evenly and puts the rounding cents on the last installment", () => {
+    const plan = generateSchedule({ ticketTotal: 1000, advancePaid: 100, numberOfInstallments: 7, startDate: "2026-01-31" });
+    expect(plan.remaining).toBe(900);
+    expect(plan.perInstallment).toBe(128.57);
+    expect(plan.schedule.at(-1).amount).toBe(128.58);
+    expect(plan.schedule.reduce((cents, i) => cents + Math.round(i.amount * 100), 0)).toBe(90000);
+  });
+
+  it("keeps the day of month where it can", () => {
+    const plan = generateSchedule({ ticketTotal: 300, numberOfInstallments: 3, startDate: "2026-01-31" });
+    expect(plan.schedule.map((i) => i.date)).toEqual(["2026-01-31", "2026-02-28", "2026-03-31"]);
+  });
+
+  it("schedules weekly installments", () => {
+    const plan = generateSchedule({ ticketTotal: 200, numberOfInstallments: 2, startDate: "2026-03-01", interval: "weekly" });
+    expect(plan.schedule.map((i) => i.date)).toEqual(["2026-03-01", "2026-03-08"]);
+  });
+
+  it("refuses plans it cannot schedule", () => {
+    const base = { ticketTotal: 100, numberOfInstallments: 2, startDate: "2026-03-01" };
+    expect(() => generateSchedule({ ...base, advancePaid: 150 })).toThrow(/advancePaid/);
+    expect(() => generateSchedule({ ...base, numberOfInstallments: 0 })).toThrow(/numberOfInstallments/);
+    expect(() => generateSchedule({ ...base, startDate: "soon" })).toThrow(/startDate/);
+    expect(() => generateSchedule({ ...base, startDate: "2026-02-30" })).toThrow(/startDate/);
+    expect(() => generateSchedule({ ...base, interval: "daily" })).toThrow(/interval/);
+  });
+});
+
+describe("installment status", () => {
+  const now = new Date("2026-03-10T15:00:00Z");
+
+  it("marks unpaid past items overdue", () => {
+    expect(installmentStatus({ date: "2026-03-09", status: "pending" }, now)).toBe("overdue");
+    expect(installmentStatus({ date: "2026-03-10", status: "pending" }, now)).toBe("pending");
+    expect(installmentStatus({ date: "2026-03-01", status: "paid" }, now)).toBe("paid");
+  });
+
+  it("counts days overdue, negative before the due date", () => {
+    const schedule = describeSchedule({ schedule: [{ date: "2026-03-07" }, { date: "2026-03-12" }] }, now);
+    expect(schedule.map((i) => [i.status, i.daysOverdue])).toEqual([
+      ["overdue", 3],
+      ["pending", -2],
+    ]);
+  });
+});
+
+describe("applyInstallmentPlan", () => {
+  const input = {
+    mode: "installment",
+    installment: { ticketTotal: 900, numberOfInstallments: 3, startDate: "2026-03-01", schedule: [{ amount: 1 }] },
+  };
+
+  it("ignores a client-sent schedule", () => {
+    expect(applyInstallmentPlan(input).installment.schedule.map((i) => i.amount)).toEqual([300, 300, 300]);
+  });
+
+  it("keeps the paid flags of an unchanged plan and refuses to regenerate a paid one", () => {
+    const current = applyInstallmentPlan(input);
+    current.installment.schedule[0].status = "paid";
+
+    expect(applyInstallmentPlan(input, current).installment.schedule[0].status).toBe("paid");
+    expect(() =>
+      applyInstallmentPlan({ ...input, installment: { ...input.installment, numberOfInstallments: 4 } }, current)
+    ).toThrow(expect.objectContaining({ status: 409 }));
+  });
+});
+
+describe("payInstallment, saved", () => {
+  const agent = { _id: new mongoose.Types.ObjectId(), role: "agent" };
+  let db;
+  beforeEach(() => {
+    db = mongoSink();
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  it("records the ledger payment and marks the installment paid", async () => {
+    const booking = {
+      _id: new mongoose.Types.ObjectId(),
+      customerName: "Amina Yusuf",
+      customerEmail: "amina@example.test",
+      package: "Umrah 10 nights",
+      date: new Date("2026-03-01"),
+      agent: agent._id,
+      totalAmount: 900,
+      flightPayments: applyInstallmentPlan({
+        mode: "installment",
+        installment: { ticketTotal: 900, numberOfInstallments: 3, startDate: "2026-03-01" },
+      }),
+    };
+    db.found("Booking", [booking]);
+    const res = { status: (code) => ((res.statusCode = code), res), json: (body) => ((res.body = body), res) };
+
+    await payInstallment({ params: { id: String(booking._id), no: "2" }, body: { method: "cash" }, user: agent }, res);
+
+    expect(res.body.data[1]).toMatchObject({ no: 2, status: "paid" });
+    const { update } = db.updated("Booking")[0];
+    expect(update.$push.payments.$each[0]).toMatchObject({ amount: 300, method: "cash", notes: "Installment 2" });
+    expect(update.$set["flightPayments.installment.schedule"][1]).toMatchObject({ status: "paid" });
+    expect(update.$set.ledgerTotals).toMatchObject({ paid: 300, outstanding: 600 });
+  });
+});
@@ -0,0 +1,140 @@
+// tests/itineraryParser.test.js
+import { jest } from "@jest/globals";
+import mongoose from "mongoose";
+import { createBooking } from "../controllers/bookingController.js";
+import { mongoSink } from "./mongoSink.js";
+import { flightsFromInput, parseGdsTime, parseItinerary } from "../utils/itineraryParser.js";
+
+const day = (d) => d.toISOString().slice(0, 10);
+const referenceDate = "2026-03-01";
+
+describe("parseGdsTime", () => {
+  it("reads 24-hour and A/P/N/M times", () => {
+    expect(parseGdsTime("1130")).toBe("11:30");
+    expect(parseGdsTime("645P")).toBe("18:45");
+    expect(parseGdsTime("1200N")).toBe("12:00");
+    expect(parseGdsTime("1200M")).toBe("00:00");
+    expect(parseGdsTime("1205A")).toBe("00:05");
+  });
+
+  it("refuses impossible times", () => {
+    expect(() => parseGdsTime("2460")).toThrow(/not a valid time/);
+    expect(() => parseGdsTime("1345P")).toThrow(/12-hour/);
+  });
+});
+
+describe("parseItinerary", () => {
+  it("reads Amadeus segments with day changes and arrival dates", () => {
+    const { segments, errors } = parseItinerary(
+      [
+        "RP/JED1A0980/",
+        "  1.KHAN/ALI MR",
+        "  2  SV 124 Y 15MAR 7 JFKJED HK2  1130 0645+1  *1A/E*",
+        "  3  SV 125 Y 02APR 4 JEDJFK HK2  0200 0815  02APR  E  SV/ABCDEF",
+      ].join("\n"),
+      { referenceDate }
+    );
+
+    expect(errors).toEqual([]);
+    expect(segments).toHaveLength(2);
+    expect(segments[0]).toMatchObject({
+      line: 3,
+      carrier: "SV",
+      flightNumber: "124",
+      bookingClass: "Y",
+      origin: "JFK",
+      destination: "JED",
+      status: "HK2",
+      departureTime: "11:30",
+      arrivalTime: "06:45",
+    });
+    expect(day(segments[0].date)).toBe("2026-03-15");
+    expect(day(segments[0].arrivalDate)).toBe("2026-03-16");
+    expect(day(segments[1].arrivalDate)).toBe("2026-04-02");
+  });
+
+  it("reads Sabre segments with the class stuck to the flight number", () => {
+    const { segments } = parseItinerary(" 1 SV 124Y 15MAR Q JFKJED*HK2  1130A  645A¥1 /DCSV*ABCDEF /E", {
+      referenceDate,
+    });
+    expect(segments[0]).toMatchObject({ flightNumber: "124", bookingClass: "Y", departureTime: "11:30", arrivalTime: "06:45" });
+    expect(day(segments[0].arrivalDate)).toBe("2026-03-16");
+  });
+
+  it("rolls later segments into the next year", () => {
+    const { segments } = parseItinerary(
+      ["1 SV 124 Y 28DEC JFKJED HK1 1130 0645+1", "2 SV 125 Y 05JAN JEDJFK HK1 0200 0815"].join("\n"),
+      { referenceDate: "2026-12-01" }
+    );
+    expect(segments.map((s) => day(s.date))).toEqual(["2026-12-28", "2027-01-05"]);
+  });
+
+  it("reports lines that look like segments but cannot be read", () => {
+    const { segments, errors } = parseItinerary(
+      ["SV 124 Y 31FEB JFKJED HK1 1130 0645", "SV 124 Y 15MAR JFKJFK HK1 1130 0645", "SV 124 Y 15MAR JFKJED"].join("\n"),
+      { referenceDate }
+    );
+    expect(segments).toEqual([]);
+    expect(errors.map((e) => e.line)).toEqual([1, 2, 3]);
+    expect(errors[1].message).toMatch(/origin and destination/);
+  });
+});
+
+describe("flightsFromInput", () => {
+  it("parses the raw text and never trusts client segments", () => {
+    const flights = flightsFromInput(
+      { raw: "SV 124 Y 15MAR JFKJED HK1 1130 0645", itineraryLines: [{ carrier: "XX" }] },
+      { referenceDate }
+    );
+    expect(flights.itineraryLines.map((s) => s.carrier)).toEqual(["SV"]);
+    expect(flights.parseErrors).toEqual([]);
+  });
+
+  it("accepts the legacy string lines and clears on empty input", () => {
+    const legacy = flightsFromInput({ itineraryLines: ["SV 124 Y 15MAR JFKJED HK1 1130 0645"] }, { referenceDate });
+    expect(legacy.raw).toBe("SV 124 Y 15MAR JFKJED HK1 1130 0645");
+    expect(legacy.itineraryLines).toHaveLength(1);
+    expect(flightsFromInput(null)).toEqual({ raw: "", itineraryLines: [], parseErrors: [] });
+    expect(flightsFromInput(undefined)).toBeUndefined();
+  });
+});
+
+describe("createBooking flights, saved", () => {
+  let db;
+  beforeEach(() => {
+    db = mongoSink();
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  it("stores the segments parsed from the pasted itinerary and the unreadable lines", async () => {
+    const res = { status: (code) => ((res.statusCode = code), res), json: (body) => ((res.body = body), res) };
+    const raw = ["1 SV 124 Y 15MAR JFKJED HK1 1130 0645+1", "2 SV 125 Y 02APR JEDJED HK1 0200 0815"].join("\n");
+
+    await createBooking(
+      {
+        body: {
+          customerName: "Amina Yusuf",
+          customerEmail: "amina@example.test",
+          package: "Umrah 10 nights",
+          date: "2026-03-01",
+          departureDate: "2026-03-14",
+          returnDate: "2026-04-03",
+          flights: { raw, itineraryLines: [{ carrier: "XX", flightNumber: "1" }] },
+        },
+        user: { _id: new mongoose.Types.ObjectId(), role: "agent" },
+      },
+      res
+    );
+
+    expect(res.statusCode).toBe(201);
+    const { flights } = db.inserted("Booking")[0];
+    expect(flights.raw).toBe(raw);
+    expect(flights.itineraryLines).toHaveLength(1);
+    expect(flights.itineraryLines[0]).toMatchObject({ carrier: "SV", flightNumber: "124", origin: "JFK", destination: "JED" });
+    expect(day(flights.itineraryLines[0].arrivalDate)).toBe("2026-03-16");
+    expect(flights.parseErrors).toEqual([expect.objectContaining({ line: 2, message: expect.stringMatching(/origin and destination/) })]);
+    expect(res.body.validation.warnings).toEqual(
+      expect.arrayContaining([expect.objectContaining({ code: "itinerary_unreadable" })])
+    );
+  });
+});
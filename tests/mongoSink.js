@@ -0,0 +1,105 @@
+// tests/mongoSink.js
+// Stand-in for the MongoDB server in specs, the way notifications.test.js
+// stands in an SMTP sink for the mail server: documents go through the real
+// save path (casting, validation, middleware) and the driver calls that would
+// reach the server are recorded here. Inserts and upserts are kept, so later
+// reads find them, as do the documents a spec hands to `found`. Only plain
+// equality conditions of a filter are checked; operators ($in, $gte, ...)
+// match everything.
+import { jest } from "@jest/globals";
+import mongoose from "mongoose";
+
+const cursor = (rows) => ({ toArray: async () => rows, close: async () => {} });
+
+const same = (a, b) => (a ?? null) === (b ?? null) || String(a) === String(b);
+
+const matches = (doc, filter = {}) =>
+  Object.entries(filter).every(([key, want]) => {
+    if (key.startsWith("$") || key.includes(".")) return true;
+    if (!isValue(want)) return true;
+    const have = doc[key];
+    return Array.isArray(have) ? have.some((v) => same(v, want)) : same(have, want);
+  });
+
+const isValue = (v) => !v || typeof v !== "object" || v instanceof mongoose.Types.ObjectId || v instanceof Date;
+
+const setPath = (doc, path, value) => {
+  const keys = path.split(".");
+  const parent = keys.slice(0, -1).reduce((o, k) => (o[k] ??= {}), doc);
+  parent[keys.at(-1)] = value;
+};
+
+// $set (and $setOnInsert on insert) of an update; other operators are only recorded
+const applyUpdate = (doc, update, inserting) => {
+  Object.entries(update.$set || {}).forEach(([path, value]) => setPath(doc, path, value));
+  if (inserting) Object.entries(update.$setOnInsert || {}).forEach(([path, value]) => setPath(doc, path, value));
+};
+
+/**
+ * Route every compiled model's collection to the sink. Call in beforeEach,
+ * after the models are imported; jest.restoreAllMocks() takes it down.
+ */
+export const mongoSink = () => {
+  const writes = [];
+  const stored = new Map(); // model name -> docs returned by reads
+  const table = (name) => stored.get(name) || stored.set(name, []).get(name);
+
+  mongoose.modelNames().forEach((name) => {
+    const { collection } = mongoose.model(name);
+    const rows = (filter) => table(name).filter((doc) => matches(doc, filter));
+    const write = (op, result) =>
+      jest.spyOn(collection, op).mockImplementation(async (...args) => {
+        writes.push({ model: name, op, args });
+        return result(...args);
+      });
+
+    write("insertOne", (doc) => {
+      table(name).push({ ...doc });
+      return { acknowledged: true, insertedId: doc._id };
+    });
+    write("insertMany", (docs) => {
+      table(name).push(...docs.map((doc) => ({ ...doc })));
+      return { acknowledged: true, insertedCount: docs.length };
+    });
+    write("updateOne", (filter, update) => {
+      const doc = rows(filter)[0];
+      if (doc) applyUpdate(doc, update, false);
+      return { acknowledged: true, matchedCount: 1, modifiedCount: 1 };
+    });
+    write("updateMany", () => ({ acknowledged: true, matchedCount: 0, modifiedCount: 0 }));
+    write("deleteOne", (filter) => {
+      const doc = rows(filter)[0];
+      if (doc) table(name).splice(table(name).indexOf(doc), 1);
+      return { acknowledged: true, deletedCount: doc ? 1 : 0 };
+    });
+    write("findOneAndUpdate", (filter, update, options = {}) => {
+      let doc = rows(filter)[0];
+      const existed = Boolean(doc);
+      const before = existed ? { ...doc } : null;
+      if (!doc && options.upsert) {
+        const keys = Object.entries(filter).filter(([key, value]) => !key.startsWith("$") && isValue(value));
+        doc = { _id: new mongoose.Types.ObjectId(), ...Object.fromEntries(keys) };
+        table(name).push(doc);
+      }
+      if (doc) applyUpdate(doc, update, !existed);
+      const value = options.returnDocument === "after" ? doc && { ...doc } : before;
+      return options.includeResultMetadata ? { value, lastErrorObject: { updatedExisting: existed }, ok: 1 } : value;
+    });
+
+    jest.spyOn(collection, "findOne").mockImplementation(async (filter) => rows(filter)[0] || null);
+    jest.spyOn(collection, "find").mockImplementation((filter) => cursor(rows(filter)));
+    jest.spyOn(collection, "countDocuments").mockImplementation(async (filter) => rows(filter).length);
+    jest.spyOn(collection, "aggregate").mockImplementation(() => cursor([]));
+  });
+
+  const of = (model, op) => writes.filter((w) => w.model === model && w.op === op);
+  return {
+    writes,
+    /** Plain documents `find`/`findOne` on the model return from now on. */
+    found: (model, docs) => stored.set(model, [...docs]),
+    /** Documents the model's collection holds now. */
+    stored: (model) => table(model),
+    inserted: (model) => of(model, "insertOne").map((w) => w.args[0]),
+    updated: (model) => of(model, "updateOne").map(({ args: [filter, update] }) => ({ filter, update })),
+  };
+};
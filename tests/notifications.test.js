@@ -0,0 +1,144 @@
+// tests/notifications.test.js
+// Email queue delivery against a local SMTP sink (smtp-server on a random
+// port), the same way SMTP_HOST/SMTP_PORT point the app at MailHog or
+// maildev. The queue's database calls are replaced by an in-memory list.
+import { jest } from "@jest/globals";
+import { SMTPServer } from "smtp-server";
+import EmailMessage from "../models/EmailMessage.js";
+import { setMailTransport } from "../utils/mailer.js";
+import { processEmailQueue } from "../utils/notifications.js";
+import { DEFAULT_TEMPLATES, renderTemplate } from "../utils/emailTemplates.js";
+
+const received = [];
+let sink;
+let queue;
+
+beforeAll(async () => {
+  sink = new SMTPServer({
+    authOptional: true,
+    disabledCommands: ["STARTTLS"],
+    logger: false,
+    onData(stream, session, callback) {
+      let raw = "";
+      stream.on("data", (chunk) => (raw += chunk));
+      stream.on("end", () => {
+        received.push({ to: session.envelope.rcptTo.map((r) => r.address), raw });
+        callback();
+      });
+    },
+  });
+  await new Promise((resolve) => sink.listen(0, "127.0.0.1", resolve));
+  process.env.SMTP_HOST = "127.0.0.1";
+  process.env.SMTP_PORT = String(sink.server.address().port);
+  process.env.MAIL_FROM = "bookings@example.test";
+});
+
+afterAll(async () => {
+  setMailTransport(null);
+  await new Promise((resolve) => sink.close(resolve));
+});
+
+beforeEach(() => {
+  received.length = 0;
+  queue = [];
+  setMailTransport(null); // rebuilt from SMTP_HOST/SMTP_PORT on first use
+  jest.spyOn(EmailMessage, "updateMany").mockResolvedValue({ modifiedCount: 0 });
+  jest.spyOn(EmailMessage, "findOneAndUpdate").mockImplementation(async (filter, update) => {
+    const message = queue.find((m) => m.status === "queued" && m.nextAttemptAt <= new Date());
+    if (message) message.set(update.$set);
+    return message || null;
+  });
+  jest.spyOn(EmailMessage.prototype, "save").mockImplementation(async function () {
+    return this;
+  });
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+const enqueue = (fields = {}) => {
+  const message = new EmailMessage({
+    event: "booking_approved",
+    to: "customer@example.test",
+    fromName: "Marwah Travels",
+    subject: "Your booking is approved",
+    html: "<p>Approved</p>",
+    text: "Approved",
+    ...fields,
+  });
+  queue.push(message);
+  return message;
+};
+
+describe("processEmailQueue", () => {
+  it("sends queued messages through the SMTP sink", async () => {
+    const message = enqueue();
+
+    const result = await processEmailQueue();
+
+    expect(result).toEqual({ sent: 1, queued: 0, failed: 0 });
+    expect(received).toHaveLength(1);
+    expect(received[0].to).toEqual(["customer@example.test"]);
+    expect(received[0].raw).toMatch(/Subject: Your booking is approved/);
+    expect(received[0].raw).toMatch(/From: Marwah Travels <bookings@example\.test>/);
+    expect(message.status).toBe("sent");
+    expect(message.messageId).toBeTruthy();
+    expect(message.deliveries).toHaveLength(1);
+    expect(message.deliveries[0].ok).toBe(true);
+  });
+
+  it("requeues a failed send with backoff", async () => {
+    setMailTransport({ sendMail: async () => Promise.reject(new Error("451 try again later")) });
+    const message = enqueue();
+    const before = Date.now();
+
+    const result = await processEmailQueue();
+
+    expect(result).toEqual({ sent: 0, queued: 1, failed: 0 });
+    expect(message.status).toBe("queued");
+    expect(message.attempts).toBe(1);
+    expect(message.lastError).toBe("451 try again later");
+    expect(message.nextAttemptAt.getTime()).toBeGreaterThanOrEqual(before + 60000);
+    expect(message.deliveries[0]).toMatchObject({ ok: false, error: "451 try again later" });
+  });
+
+  it("marks a message failed on the last attempt", async () => {
+    setMailTransport({ sendMail: async () => Promise.reject(new Error("550 mailbox unavailable")) });
+    const message = enqueue({ attempts: 4 });
+
+    const result = await processEmailQueue();
+
+    expect(result).toEqual({ sent: 0, queued: 0, failed: 1 });
+    expect(message.status).toBe("failed");
+    expect(message.attempts).toBe(5);
+  });
+
+  it("leaves messages that are not due yet", async () => {
+    const message = enqueue({ nextAttemptAt: new Date(Date.now() + 60000) });
+
+    const result = await processEmailQueue();
+
+    expect(result.sent).toBe(0);
+    expect(message.status).toBe("queued");
+    expect(received).toHaveLength(0);
+  });
+});
+
+describe("renderTemplate", () => {
+  it("fills placeholders, escaping HTML only in the html part", () => {
+    const rendered = renderTemplate(
+      { subject: "Booking {{booking.package}}", html: "<p>{{recipientName}}</p>", text: "Hi {{recipientName}}" },
+      { booking: { package: "Gold" }, recipientName: "A & B <x>" }
+    );
+
+    expect(rendered.subject).toBe("Booking Gold");
+    expect(rendered.html).toBe("<p>A &amp; B &lt;x&gt;</p>");
+    expect(rendered.text).toBe("Hi A & B <x>");
+  });
+
+  it("renders every default template without leftover placeholders", () => {
+    Object.values(DEFAULT_TEMPLATES).forEach((template) => {
+      const rendered = renderTemplate(template, {});
+      expect(`${rendered.subject}${rendered.html}${rendered.text || ""}`).not.toMatch(/\{\{/);
+    });
+  });
+});
@@ -0,0 +1,132 @@
+// tests/paymentLedger.test.js
+import { jest } from "@jest/globals";
+import mongoose from "mongoose";
+import { addPayment, refundPayment } from "../controllers/paymentController.js";
+import { mongoSink } from "./mongoSink.js";
+import { bookingTotal, ledgerEntries, refundedAgainst, summarizeLedger } from "../utils/paymentLedger.js";
+
+const payment = (amount, extra = {}) => ({ _id: `p${amount}`, type: "payment", status: "posted", amount, ...extra });
+const refund = (amount, refundOf, extra = {}) => ({ type: "refund", status: "posted", amount, refundOf, ...extra });
+
+describe("bookingTotal", () => {
+  it("prefers the costing sale total, then totalAmount, then amount", () => {
+    expect(bookingTotal({ costing: { totals: { totalSale: 1499.999 } }, totalAmount: 900 })).toBe(1500);
+    expect(bookingTotal({ totalAmount: 900, amount: 800 })).toBe(900);
+    expect(bookingTotal({ amount: 800 })).toBe(800);
+    expect(bookingTotal({})).toBe(0);
+  });
+});
+
+describe("ledgerEntries", () => {
+  it("falls back to the legacy paymentReceived when the ledger is empty", () => {
+    expect(ledgerEntries({ payments: [], paymentReceived: { amount: 250, method: "cash" } })).toEqual([
+      { type: "payment", status: "posted", legacy: true, amount: 250, method: "cash" },
+    ]);
+    expect(ledgerEntries({ payments: [], paymentReceived: { amount: 0 } })).toEqual([]);
+  });
+
+  it("ignores the legacy field once the ledger has entries", () => {
+    const entries = [payment(100)];
+    expect(ledgerEntries({ payments: entries, paymentReceived: { amount: 250 } })).toBe(entries);
+  });
+});
+
+describe("refundedAgainst", () => {
+  it("sums posted refunds of one payment", () => {
+    const booking = {
+      payments: [payment(300), refund(50, "p300"), refund(25.1, "p300"), refund(10, "p300", { status: "void" }), refund(5, "p9")],
+    };
+    expect(refundedAgainst(booking, "p300")).toBe(75.1);
+  });
+});
+
+describe("summarizeLedger", () => {
+  it("nets refunds, skips voided entries and rounds to cents", () => {
+    const booking = {
+      totalAmount: 1000,
+      payments: [payment(300.1), payment(200.2), payment(99, { status: "void" }), refund(0.3, "p300.1")],
+    };
+    expect(summarizeLedger(booking)).toEqual({ total: 1000, paid: 500.3, refunded: 0.3, netPaid: 500, outstanding: 500 });
+  });
+
+  it("never reports a negative outstanding", () => {
+    expect(summarizeLedger({ totalAmount: 100, payments: [payment(120)] }).outstanding).toBe(0);
+  });
+});
+
+describe("ledger endpoints, saved", () => {
+  const agent = { _id: new mongoose.Types.ObjectId(), role: "agent" };
+  const admin = { _id: new mongoose.Types.ObjectId(), role: "admin" };
+  const paymentId = new mongoose.Types.ObjectId();
+  const stored = (fields = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    customerName: "Amina Yusuf",
+    customerEmail: "amina@example.test",
+    package: "Umrah 10 nights",
+    date: new Date("2026-03-01"),
+    agent: agent._id,
+    totalAmount: 1000,
+    payments: [],
+    ...fields,
+  });
+
+  const call = async (handler, { booking, user = agent, body, params = {} }) => {
+    const res = { statusCode: 200 };
+    res.status = (code) => ((res.statusCode = code), res);
+    res.json = (payload) => ((res.body = payload), res);
+    await handler({ params: { id: String(booking._id), ...params }, body, user }, res);
+    return res;
+  };
+
+  let db;
+  beforeEach(() => {
+    db = mongoSink();
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  it("stores the payment with the recomputed ledger totals", async () => {
+    const booking = stored();
+    db.found("Booking", [booking]);
+
+    const res = await call(addPayment, { booking, body: { amount: "250.456", method: "cash" } });
+
+    expect(res.statusCode).toBe(201);
+    const [{ filter, update }] = db.updated("Booking");
+    expect(String(filter._id)).toBe(String(booking._id));
+    expect(update.$push.payments.$each[0]).toMatchObject({ type: "payment", amount: 250.46, status: "posted" });
+    expect(update.$set.ledgerTotals).toMatchObject({ paid: 250.46, outstanding: 749.54 });
+    expect(db.inserted("BookingHistory")[0]).toMatchObject({ action: "payment" });
+  });
+
+  it("carries a legacy paymentReceived onto the ledger on the first write", async () => {
+    const booking = stored({ paymentReceived: { amount: 100, method: "wire_transfer" } });
+    db.found("Booking", [booking]);
+
+    await call(addPayment, { booking, body: { amount: 50, method: "cash" } });
+
+    const { update } = db.updated("Booking")[0];
+    expect(update.$push.payments.$each.map((e) => e.amount)).toEqual([100, 50]);
+    expect(update.$set.ledgerTotals.netPaid).toBe(150);
+  });
+
+  it("refuses a refund above what is left of the payment, writing nothing", async () => {
+    const booking = stored({
+      payments: [
+        { _id: paymentId, type: "payment", status: "posted", amount: 300, method: "cash" },
+        { type: "refund", status: "posted", amount: 200, method: "cash", refundOf: paymentId },
+      ],
+    });
+    db.found("Booking", [booking]);
+
+    const res = await call(refundPayment, {
+      booking,
+      user: admin,
+      params: { paymentId: String(paymentId) },
+      body: { amount: 150 },
+    });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toMatch(/refundable amount \(100\)/);
+    expect(db.writes).toEqual([]);
+  });
+});
@@ -0,0 +1,26 @@
+// utils/bookingAccess.js (ESM)
+import mongoose from "mongoose";
+import Booking from "../models/Booking.js";
+
+/**
+ * Load the booking in req.params.id and enforce admin-or-owner access.
+ * Sends the 400/403/404 response itself and resolves to null on failure,
+ * so callers just `if (!booking) return;`.
+ */
+export const loadBookingForUser = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ message: "Invalid booking id" });
+    return null;
+  }
+  const booking = await Booking.findById(req.params.id);
+  if (!booking) {
+    res.status(404).json({ message: "Booking not found" });
+    return null;
+  }
+  const isOwner = booking.agent ? String(booking.agent) === String(req.user._id) : false;
+  if (!isOwner && req.user.role !== "admin") {
+    res.status(403).json({ message: "Not authorized" });
+    return null;
+  }
+  return booking;
+};
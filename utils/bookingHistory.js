@@ -0,0 +1,56 @@
+// utils/bookingHistory.js (ESM)
+import BookingHistory from "../models/BookingHistory.js";
+
+// Bookkeeping and derived paths that say nothing about the edit itself
+const IGNORED_FIELDS = new Set(["_id", "__v", "createdAt", "updatedAt", "ledgerTotals"]);
+
+// Plain, comparable form of a value (ObjectIds/Dates -> strings, docs -> objects)
+const plain = (val) => (val === undefined ? undefined : JSON.parse(JSON.stringify(val)));
+
+const isEmpty = (val) =>
+  val === undefined ||
+  val === null ||
+  (Array.isArray(val) && val.length === 0) ||
+  (typeof val === "object" && !Array.isArray(val) && Object.keys(val).length === 0);
+
+/**
+ * Top-level field diff between two booking snapshots (documents or plain
+ * objects). Returns [{ field, before, after }] for fields whose value changed.
+ * Unset and empty values compare equal so Mongoose defaults are not noise.
+ */
+export const diffBooking = (before = {}, after = {}) => {
+  const a = plain(before?.toObject ? before.toObject() : before) || {};
+  const b = plain(after?.toObject ? after.toObject() : after) || {};
+
+  const fields = new Set([...Object.keys(a), ...Object.keys(b)]);
+  const changes = [];
+  fields.forEach((field) => {
+    if (IGNORED_FIELDS.has(field)) return;
+    const prev = a[field];
+    const next = b[field];
+    if (isEmpty(prev) && isEmpty(next)) return;
+    if (JSON.stringify(prev) === JSON.stringify(next)) return;
+    changes.push({ field, before: prev ?? null, after: next ?? null });
+  });
+  return changes;
+};
+
+/**
+ * Append an entry to the booking's history. Best-effort: a failed audit
+ * write is logged, never surfaced to the caller whose change already landed.
+ */
+export const recordBookingHistory = async ({ booking, action, user, changes = [], reason }) => {
+  try {
+    return await BookingHistory.create({
+      booking: booking._id || booking,
+      action,
+      actor: user?._id,
+      actorRole: user?.role,
+      changes,
+      reason,
+    });
+  } catch (error) {
+    console.error("recordBookingHistory error:", error);
+    return null;
+  }
+};
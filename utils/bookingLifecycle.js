@@ -0,0 +1,164 @@
+// utils/bookingLifecycle.js (ESM)
+import { httpError } from "./httpError.js";
+import { recordBookingHistory } from "./bookingHistory.js";
+import { summarizeLedger } from "./paymentLedger.js";
+import { ENFORCED_STATES, enforceValidation } from "./bookingValidation.js";
+
+/**
+ * Booking lifecycle.
+ *
+ *   draft -> submitted -> approved -> ticketed -> travelled -> closed
+ *               |  ^
+ *               v  |
+ *             rejected
+ *   (draft | submitted | rejected | approved | ticketed) -> cancelled -> refunded
+ *
+ * `state` is the source of truth. The legacy `status` / `approvalStatus`
+ * fields are kept in sync from it (see LEGACY_FIELDS) for older clients.
+ */
+export const BOOKING_STATES = [
+  "draft", "submitted", "approved", "rejected", "ticketed", "travelled", "closed", "cancelled", "refunded",
+];
+
+// Who may move a booking from -> to. "owner" = the booking's agent.
+const TRANSITIONS = {
+  draft: { submitted: ["owner", "admin"], cancelled: ["owner", "admin"] },
+  submitted: { approved: ["admin"], rejected: ["admin"], draft: ["owner", "admin"], cancelled: ["owner", "admin"] },
+  rejected: { submitted: ["owner", "admin"], draft: ["owner", "admin"], cancelled: ["owner", "admin"] },
+  approved: { ticketed: ["admin"], cancelled: ["admin"] },
+  ticketed: { travelled: ["admin"], cancelled: ["admin"] },
+  travelled: { closed: ["admin"] },
+  closed: {},
+  cancelled: { refunded: ["admin"] },
+  refunded: {},
+};
+
+// Transitions that must say why
+const REASON_REQUIRED = new Set(["cancelled", "refunded"]);
+
+export const LEGACY_FIELDS = {
+  draft: { status: "pending", approvalStatus: "draft" },
+  submitted: { status: "pending", approvalStatus: "pending" },
+  approved: { status: "confirmed", approvalStatus: "approved" },
+  rejected: { status: "cancelled", approvalStatus: "rejected" },
+  ticketed: { status: "confirmed", approvalStatus: "approved" },
+  travelled: { status: "confirmed", approvalStatus: "approved" },
+  closed: { status: "confirmed", approvalStatus: "approved" },
+  cancelled: { status: "cancelled" },
+  refunded: { status: "cancelled" },
+};
+
+// State of a booking saved before the lifecycle existed
+export const stateFromLegacy = ({ status, approvalStatus } = {}) => {
+  if (approvalStatus === "rejected") return "rejected";
+  if (status === "cancelled") return "cancelled";
+  if (approvalStatus === "approved" || status === "confirmed") return "approved";
+  return "submitted";
+};
+
+export const stateOf = (booking) => booking.state || stateFromLegacy(booking);
+
+const rolesOf = (booking, user) => {
+  const roles = [];
+  if (user?.role === "admin") roles.push("admin");
+  if (booking.agent && String(booking.agent._id || booking.agent) === String(user?._id)) roles.push("owner");
+  return roles;
+};
+
+/** States this user may move the booking to next. */
+export const allowedTransitions = (booking, user) => {
+  const roles = rolesOf(booking, user);
+  return Object.entries(TRANSITIONS[stateOf(booking)] || {})
+    .filter(([, allowed]) => allowed.some((r) => roles.includes(r)))
+    .map(([to]) => to);
+};
+
+/* ----------------------------- hooks ----------------------------- */
+
+// guards run before the change and may throw; hooks run after it is saved
+const guards = new Map();
+const hooks = new Map();
+
+const register = (map, to, fn) => {
+  if (!map.has(to)) map.set(to, []);
+  map.get(to).push(fn);
+};
+
+/** Guard for transitions into `to` ("*" = every transition). Throw to block. */
+export const beforeTransition = (to, fn) => register(guards, to, fn);
+
+/** Side effect after a transition into `to` ("*" = every transition). Errors are logged only. */
+export const onTransition = (to, fn) => register(hooks, to, fn);
+
+const handlersFor = (map, to) => [...(map.get(to) || []), ...(map.get("*") || [])];
+
+// Built-in guards
+beforeTransition("ticketed", ({ booking }) => {
+  if (!booking.pnr) throw httpError(422, "A 6-character PNR is required before ticketing");
+});
+beforeTransition("refunded", ({ booking }) => {
+  const { netPaid } = summarizeLedger(booking);
+  if (netPaid > 0) throw httpError(422, `Refund the remaining ${netPaid} on the payments ledger first`);
+});
+// Submitting, approving and ticketing need a booking without validation errors
+ENFORCED_STATES.forEach((to) => beforeTransition(to, ({ booking }) => enforceValidation(booking, to)));
+
+/* ----------------------------- transition ----------------------------- */
+
+/**
+ * Move a booking to `to`: checks the transition table and the user's role,
+ * runs guards, updates state (+ legacy fields via the model hook), appends
+ * to stateHistory, saves, records BookingHistory and runs hooks.
+ * Throws httpError(400/403/409/422) when the move is not allowed.
+ */
+export const transitionBooking = async (booking, to, { user, reason } = {}) => {
+  const from = stateOf(booking);
+
+  if (!BOOKING_STATES.includes(to)) {
+    throw httpError(400, `Unknown state "${to}". Valid: ${BOOKING_STATES.join(", ")}`);
+  }
+  const allowedRoles = TRANSITIONS[from]?.[to];
+  if (!allowedRoles) {
+    throw httpError(409, `Cannot move booking from ${from} to ${to}`, {
+      allowed: Object.keys(TRANSITIONS[from] || {}),
+    });
+  }
+  if (!allowedRoles.some((r) => rolesOf(booking, user).includes(r))) {
+    throw httpError(403, `Not allowed to move booking from ${from} to ${to}`);
+  }
+  if (REASON_REQUIRED.has(to) && !String(reason || "").trim()) {
+    throw httpError(400, `A reason is required to move a booking to ${to}`);
+  }
+
+  const context = { booking, from, to, user, reason };
+  for (const guard of handlersFor(guards, to)) {
+    await guard(context);
+  }
+
+  const before = booking.toObject();
+  booking.state = to;
+  booking.stateHistory.push({ from, to, at: new Date(), by: user?._id, reason });
+  await booking.save();
+
+  await recordBookingHistory({
+    booking,
+    action: "transition",
+    user,
+    changes: [{ field: "state", before: from, after: to }].concat(
+      ["status", "approvalStatus"]
+        .filter((f) => before[f] !== booking[f])
+        .map((f) => ({ field: f, before: before[f] ?? null, after: booking[f] ?? null }))
+    ),
+    reason,
+  });
+
+  for (const hook of handlersFor(hooks, to)) {
+    try {
+      await hook(context);
+    } catch (error) {
+      console.error(`Booking transition hook (${from} -> ${to}) failed:`, error);
+    }
+  }
+
+  return booking;
+};
@@ -0,0 +1,182 @@
+// utils/bookingQuery.js (ESM)
+import mongoose from "mongoose";
+import { httpError } from "./httpError.js";
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 200;
+
+// Fields the list endpoints may be sorted by (query value -> document path)
+const SORT_FIELDS = {
+  createdAt: "createdAt",
+  updatedAt: "updatedAt",
+  date: "date",
+  departureDate: "departureDate",
+  returnDate: "returnDate",
+  customerName: "customerName",
+};
+
+const escapeRegex = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// "pending,confirmed" or ["pending","confirmed"] -> ["pending","confirmed"]
+const toList = (val) =>
+  (Array.isArray(val) ? val : String(val).split(","))
+    .map((s) => String(s).trim())
+    .filter(Boolean);
+
+const parseDate = (val) => {
+  if (!val) return null;
+  const d = new Date(val);
+  return Number.isNaN(d.getTime()) ? null : d;
+};
+
+const badRequest = (message) => httpError(400, message);
+
+/**
+ * Build a Mongo filter from list query params.
+ *
+ * Supported: state, status, approvalStatus, agent, package, q (customer search),
+ * departureFrom, departureTo. Multi-value params accept comma lists.
+ */
+export const buildBookingFilter = (query = {}) => {
+  const filter = {};
+
+  if (query.state) filter.state = { $in: toList(query.state) };
+  if (query.status) filter.status = { $in: toList(query.status) };
+  if (query.approvalStatus) filter.approvalStatus = { $in: toList(query.approvalStatus) };
+
+  if (query.agent) {
+    const ids = toList(query.agent);
+    if (ids.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+      throw badRequest("Invalid agent id");
+    }
+    filter.agent = { $in: ids.map((id) => new mongoose.Types.ObjectId(id)) };
+  }
+
+  if (query.package) {
+    filter.package = { $regex: escapeRegex(query.package), $options: "i" };
+  }
+
+  if (query.departureFrom || query.departureTo) {
+    const from = parseDate(query.departureFrom);
+    const to = parseDate(query.departureTo);
+    if ((query.departureFrom && !from) || (query.departureTo && !to)) {
+      throw badRequest("Invalid departure date range");
+    }
+    filter.departureDate = {};
+    if (from) filter.departureDate.$gte = from;
+    if (to) filter.departureDate.$lte = to;
+  }
+
+  const search = (query.q || query.search || "").trim();
+  if (search) {
+    const rx = { $regex: escapeRegex(search), $options: "i" };
+    filter.$or = [
+      { customerName: rx },
+      { customerEmail: rx },
+      { contactNumber: rx },
+      { pnr: rx },
+    ];
+  }
+
+  return filter;
+};
+
+// Cursor = base64url(JSON [sortValue, _id]) of the last row on the previous page
+const encodeCursor = (doc, field) => {
+  const v = doc[field];
+  const value = v instanceof Date ? { $date: v.toISOString() } : v ?? null;
+  return Buffer.from(JSON.stringify([value, String(doc._id)])).toString("base64url");
+};
+
+const decodeCursor = (cursor) => {
+  try {
+    const [value, id] = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (!mongoose.Types.ObjectId.isValid(id)) throw new Error("bad id");
+    const v = value && typeof value === "object" && value.$date ? new Date(value.$date) : value;
+    return { value: v, id: new mongoose.Types.ObjectId(id) };
+  } catch {
+    throw badRequest("Invalid cursor");
+  }
+};
+
+/**
+ * Parse page/limit/cursor/sort params.
+ * Cursor paging takes precedence over page numbers when both are sent.
+ * `paged` is false when none of page/limit/cursor was sent.
+ */
+export const parseListOptions = (query = {}) => {
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+
+  const sortKey = SORT_FIELDS[query.sortBy] ? query.sortBy : "createdAt";
+  const direction = String(query.order || query.sortOrder || "desc").toLowerCase() === "asc" ? 1 : -1;
+
+  return {
+    paged: ["page", "limit", "cursor"].some((key) => query[key] !== undefined),
+    limit,
+    page,
+    cursor: query.cursor ? decodeCursor(query.cursor) : null,
+    sortField: SORT_FIELDS[sortKey],
+    direction,
+  };
+};
+
+// Keyset condition for "rows after the cursor" in the current sort order.
+// Mongo sorts null/missing values lowest: first when ascending, last when
+// descending. $gt/$lt never match null, so that group is handled explicitly.
+const cursorCondition = ({ cursor, sortField, direction }) => {
+  const op = direction === 1 ? "$gt" : "$lt";
+  const sameValue = { [sortField]: cursor.value, _id: { [op]: cursor.id } };
+
+  if (cursor.value === null || cursor.value === undefined) {
+    const nullRows = { [sortField]: null, _id: { [op]: cursor.id } };
+    // Ascending: the non-null values still follow; descending: nulls are the tail
+    return direction === 1 ? { $or: [nullRows, { [sortField]: { $ne: null } }] } : nullRows;
+  }
+
+  const after = [{ [sortField]: { [op]: cursor.value } }, sameValue];
+  if (direction === -1) after.push({ [sortField]: null });
+  return { $or: after };
+};
+
+/**
+ * Run a paginated booking list query.
+ * Returns { data, pagination: { total, page, limit, pages, hasMore, nextCursor } };
+ * an unpaged request gets every match and pagination null.
+ */
+export const paginateBookings = async (Model, filter, options) => {
+  const { paged, limit, page, cursor, sortField, direction } = options;
+
+  const query = cursor ? { $and: [filter, cursorCondition(options)] } : filter;
+  const sort = { [sortField]: direction, _id: direction };
+
+  if (!paged) {
+    const data = await Model.find(filter).sort(sort).populate("agent", "name email role").lean();
+    return { data, pagination: null };
+  }
+
+  const [total, rows] = await Promise.all([
+    Model.countDocuments(filter),
+    Model.find(query)
+      .sort(sort)
+      .skip(cursor ? 0 : (page - 1) * limit)
+      .limit(limit + 1)
+      .populate("agent", "name email role")
+      .lean(),
+  ]);
+
+  const hasMore = rows.length > limit;
+  const data = hasMore ? rows.slice(0, limit) : rows;
+
+  return {
+    data,
+    pagination: {
+      total,
+      page: cursor ? null : page,
+      limit,
+      pages: Math.ceil(total / limit),
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(data[data.length - 1], sortField) : null,
+    },
+  };
+};
@@ -0,0 +1,248 @@
+// utils/bookingValidation.js (ESM)
+import Package from "../models/Package.js";
+import Inquiry from "../models/Inquiry.js";
+import { parseDay } from "./calendarDay.js";
+import { httpError } from "./httpError.js";
+import { MANIFEST_CHECKED_STATES, manifestIssues } from "./passengerManifest.js";
+
+/**
+ * Booking validation engine.
+ *
+ * Checks a booking section by section and reports
+ *   { valid, errors: [...], warnings: [...], sections: { <section>: { errors, warnings } } }
+ * where every finding is { section, code, path?, message }.
+ *
+ * Sections:
+ *   dates           departure/return are dates, return after departure
+ *   hotels          checkIn/checkOut are real YYYY-MM-DD dates, stays inside
+ *                   the trip, no overlaps, gaps and night totals vs the
+ *                   package (catalog package, else the source inquiry)
+ *   transportation  leg dates are real and inside the trip
+ *   flights         itinerary lines the parser could not read, segments
+ *                   outside the trip (warnings only)
+ *   passengers      the manifest checks (utils/passengerManifest.js)
+ *
+ * Errors block saving a booking past draft (ENFORCED_STATES) and moving a
+ * booking into those states (the guard in bookingLifecycle.js); warnings are
+ * only reported. Drafts save with errors so they can be completed later.
+ */
+
+export const VALIDATION_SECTIONS = ["dates", "hotels", "transportation", "flights", "passengers"];
+
+// Same states as the manifest rule: submitted onwards, until ticketed
+export const ENFORCED_STATES = MANIFEST_CHECKED_STATES;
+
+// Booking fields each section reads; an update re-checks the sections it touches
+// (joining a group brings its dates, hotels and transfers)
+const SECTION_FIELDS = {
+  dates: ["departureDate", "returnDate", "group"],
+  hotels: ["hotels", "departureDate", "returnDate", "packageId", "group"],
+  transportation: ["transportation", "departureDate", "returnDate", "group"],
+  flights: ["flights", "departureDate", "returnDate", "group"],
+  passengers: ["manifest", "visas", "passengers", "adults", "children", "departureDate", "returnDate"],
+};
+
+const DAY = 86400000;
+
+const plain = (value) => (value?.toObject ? value.toObject() : value);
+
+const iso = (d) => d.toISOString().slice(0, 10);
+const nightsBetween = (a, b) => Math.round((b - a) / DAY);
+const positive = (value) => {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) && n > 0 ? n : undefined;
+};
+
+/* ------------------------------ sections ------------------------------ */
+
+const checkDates = (booking, report) => {
+  const departure = parseDay(booking.departureDate);
+  const ret = parseDay(booking.returnDate);
+  if (departure === null) report.error("invalid_date", "departureDate is not a valid date", "departureDate");
+  if (ret === null) report.error("invalid_date", "returnDate is not a valid date", "returnDate");
+  if (departure && ret && ret < departure) {
+    report.error("return_before_departure", `returnDate ${iso(ret)} is before departureDate ${iso(departure)}`, "returnDate");
+  }
+  if (departure && !booking.returnDate) report.warning("return_missing", "returnDate is not set", "returnDate");
+};
+
+const checkHotels = (booking, report, context) => {
+  const departure = parseDay(booking.departureDate) || undefined;
+  const ret = parseDay(booking.returnDate) || undefined;
+  const stays = [];
+
+  (booking.hotels || []).map(plain).forEach((h, i) => {
+    const path = `hotels[${i}]`;
+    const label = h.name || `Hotel ${i + 1}`;
+    const checkIn = parseDay(h.checkIn);
+    const checkOut = parseDay(h.checkOut);
+    if (checkIn === null) report.error("invalid_date", `${label}: checkIn "${h.checkIn}" is not a valid YYYY-MM-DD date`, `${path}.checkIn`);
+    if (checkOut === null) report.error("invalid_date", `${label}: checkOut "${h.checkOut}" is not a valid YYYY-MM-DD date`, `${path}.checkOut`);
+    if (checkIn === undefined || checkOut === undefined) {
+      report.warning("stay_dates_missing", `${label}: checkIn and checkOut are not both set`, path);
+      return;
+    }
+    if (!checkIn || !checkOut) return;
+    if (checkOut <= checkIn) {
+      report.error("checkout_not_after_checkin", `${label}: checkOut ${iso(checkOut)} is not after checkIn ${iso(checkIn)}`, path);
+      return;
+    }
+    if (departure && checkIn < departure) {
+      report.error("stay_before_departure", `${label}: checkIn ${iso(checkIn)} is before departure ${iso(departure)}`, `${path}.checkIn`);
+    }
+    if (ret && checkOut > ret) {
+      report.error("stay_after_return", `${label}: checkOut ${iso(checkOut)} is after return ${iso(ret)}`, `${path}.checkOut`);
+    }
+    stays.push({ i, label, checkIn, checkOut, nights: nightsBetween(checkIn, checkOut) });
+  });
+
+  // Consecutive stays should hand over on the same day
+  stays.sort((a, b) => a.checkIn - b.checkIn);
+  stays.forEach((stay, n) => {
+    const next = stays[n + 1];
+    if (!next) return;
+    if (next.checkIn < stay.checkOut) {
+      report.error(
+        "stays_overlap",
+        `${stay.label} (to ${iso(stay.checkOut)}) overlaps ${next.label} (from ${iso(next.checkIn)})`,
+        `hotels[${next.i}].checkIn`
+      );
+    } else if (next.checkIn > stay.checkOut) {
+      const gap = nightsBetween(stay.checkOut, next.checkIn);
+      report.warning("stays_gap", `${gap} night(s) without a hotel between ${stay.label} and ${next.label}`, `hotels[${next.i}].checkIn`);
+    }
+  });
+
+  if (!stays.length) return;
+  const first = stays[0];
+  const last = stays[stays.length - 1];
+  if (departure && first.checkIn > departure) {
+    report.warning("first_stay_late", `First check-in ${iso(first.checkIn)} is ${nightsBetween(departure, first.checkIn)} day(s) after departure`);
+  }
+  if (ret && last.checkOut < ret) {
+    report.warning("last_stay_early", `Last check-out ${iso(last.checkOut)} is ${nightsBetween(last.checkOut, ret)} day(s) before return`);
+  }
+
+  const total = stays.reduce((n, s) => n + s.nights, 0);
+  if (context.packageNights && total !== context.packageNights) {
+    report.warning(
+      "package_nights",
+      `Hotel stays add up to ${total} night(s); the package (${context.packageSource}) has ${context.packageNights}`
+    );
+  }
+};
+
+const checkTransportation = (booking, report) => {
+  const departure = parseDay(booking.departureDate) || undefined;
+  const ret = parseDay(booking.returnDate) || undefined;
+  (plain(booking.transportation)?.legs || []).forEach((leg, i) => {
+    const path = `transportation.legs[${i}].date`;
+    const date = parseDay(leg.date);
+    const label = `Transfer ${i + 1}${leg.from || leg.to ? ` (${leg.from || "?"} -> ${leg.to || "?"})` : ""}`;
+    if (date === null) report.error("invalid_date", `${label}: date "${leg.date}" is not a valid YYYY-MM-DD date`, path);
+    if (!date) return;
+    if ((departure && date < departure) || (ret && date > ret)) {
+      report.warning("transfer_outside_trip", `${label}: ${iso(date)} is outside the trip dates`, path);
+    }
+  });
+};
+
+const checkFlights = (booking, report) => {
+  const flights = plain(booking.flights) || {};
+  const departure = parseDay(booking.departureDate) || undefined;
+  const ret = parseDay(booking.returnDate) || undefined;
+  (flights.parseErrors || []).forEach((e) =>
+    report.warning("itinerary_unreadable", `Itinerary line ${e.line}: ${e.message}`, "flights.raw")
+  );
+  (flights.itineraryLines || []).forEach((seg, i) => {
+    const date = parseDay(seg.date);
+    if (!date) return;
+    if ((departure && date < departure) || (ret && date > ret)) {
+      report.warning(
+        "segment_outside_trip",
+        `${seg.carrier} ${seg.flightNumber} ${seg.origin}-${seg.destination} on ${iso(date)} is outside the trip dates`,
+        `flights.itineraryLines[${i}]`
+      );
+    }
+  });
+};
+
+const checkPassengers = (booking, report) => {
+  manifestIssues(booking).forEach((issue) =>
+    report.error(issue.code, issue.message, issue.passenger !== undefined ? `manifest[${issue.passenger}]` : "manifest")
+  );
+};
+
+const CHECKS = {
+  dates: checkDates,
+  hotels: checkHotels,
+  transportation: checkTransportation,
+  flights: checkFlights,
+  passengers: checkPassengers,
+};
+
+/* ------------------------------ engine ------------------------------ */
+
+/**
+ * Facts from outside the booking: the package's total nights, from the
+ * catalog package or else the inquiry the booking came from.
+ */
+export const loadValidationContext = async (booking) => {
+  if (booking.packageId) {
+    const pkg = await Package.findById(booking.packageId).select("name hotels").lean();
+    const nights = (pkg?.hotels?.makkah?.nights || 0) + (pkg?.hotels?.madinah?.nights || 0);
+    if (nights) return { packageNights: nights, packageSource: pkg.name };
+  }
+  if (booking.inquiryId) {
+    const inquiry = await Inquiry.findById(booking.inquiryId).select("packageDetails").lean();
+    const d = inquiry?.packageDetails?.duration;
+    const nights = positive(d?.totalNights) || (positive(d?.nightsMakkah) || 0) + (positive(d?.nightsMadina) || 0);
+    if (nights) return { packageNights: nights, packageSource: inquiry.packageDetails.packageName || "inquiry" };
+  }
+  return {};
+};
+
+/**
+ * Run the checks on a booking (document or plain object). `sections`
+ * limits the run; `context` skips the lookups (see loadValidationContext).
+ */
+export const validateBooking = async (booking, { sections = VALIDATION_SECTIONS, context } = {}) => {
+  const ctx = context || (await loadValidationContext(booking));
+  const result = { valid: true, errors: [], warnings: [], sections: {} };
+
+  sections.forEach((section) => {
+    const bucket = { errors: [], warnings: [] };
+    const add = (kind) => (code, message, path) => {
+      const finding = { section, code, message, ...(path ? { path } : {}) };
+      bucket[kind].push(finding);
+      result[kind].push(finding);
+    };
+    CHECKS[section](booking, { error: add("errors"), warning: add("warnings") }, ctx);
+    result.sections[section] = bucket;
+  });
+
+  result.valid = result.errors.length === 0;
+  return result;
+};
+
+/** Sections whose fields appear in an update body. */
+export const sectionsTouchedBy = (body = {}) =>
+  VALIDATION_SECTIONS.filter((section) => SECTION_FIELDS[section].some((f) => body[f] !== undefined));
+
+/**
+ * Validate a booking about to be saved in `state`. Throws 422 (with the
+ * `validation`) when the state is enforced and there are errors in
+ * `sections` (every section when left out); otherwise resolves to the full
+ * validation so callers can return it.
+ */
+export const enforceValidation = async (booking, state, { sections = VALIDATION_SECTIONS } = {}) => {
+  const validation = await validateBooking(booking);
+  const blocking = validation.errors.filter((e) => sections.includes(e.section));
+  if (blocking.length && ENFORCED_STATES.includes(state)) {
+    throw httpError(422, `Booking has ${blocking.length} validation error(s): ${blocking[0].message}`, {
+      validation,
+      issues: blocking,
+    });
+  }
+  return validation;
+};
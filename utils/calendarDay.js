@@ -0,0 +1,19 @@
+// utils/calendarDay.js (ESM)
+
+const DAY = 86400000;
+const ISO_DAY = /^(\d{4})-(\d{2})-(\d{2})(T.*)?$/;
+
+/**
+ * A calendar day (UTC midnight) from a stored or posted date: a Date, or a
+ * string starting YYYY-MM-DD that names a real day (2026-02-30 is not).
+ * Returns undefined when empty and null when not a real date.
+ */
+export const parseDay = (value) => {
+  if (value === undefined || value === null || value === "") return undefined;
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : new Date(Math.floor(value.getTime() / DAY) * DAY);
+  const match = String(value).trim().match(ISO_DAY);
+  if (!match) return null;
+  const [, y, m, d] = match.map(Number);
+  const day = new Date(Date.UTC(y, m - 1, d));
+  return day.getUTCFullYear() === y && day.getUTCMonth() === m - 1 && day.getUTCDate() === d ? day : null;
+};
@@ -0,0 +1,141 @@
+// utils/cardData.js (ESM)
+import { getCardVault } from "./cardVault.js";
+import { httpError } from "./httpError.js";
+
+// Request fields that carry card data (root level, as the booking form sends them)
+const CARD_FIELDS = ["cardNumber", "cvv", "expiryDate", "cardholderName", "cardToken", "cardLast4", "cardBrand"];
+
+const BRANDS = [
+  ["amex", /^3[47]/],
+  ["visa", /^4/],
+  ["mastercard", /^(5[1-5]|2(2[2-9]|[3-6]\d|7[01]|720))/],
+  ["discover", /^(6011|65|64[4-9])/],
+  ["diners", /^3(0[0-5]|[689])/],
+  ["jcb", /^35/],
+];
+
+export const detectBrand = (pan) => BRANDS.find(([, rx]) => rx.test(pan))?.[0] || "unknown";
+
+export const luhnValid = (pan) => {
+  let sum = 0;
+  for (let i = 0; i < pan.length; i++) {
+    let d = Number(pan[pan.length - 1 - i]);
+    if (i % 2 === 1) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  }
+  return sum % 10 === 0;
+};
+
+/**
+ * Normalize "MM/YY", "MM/YYYY", "MM-YY" or "YYYY-MM" to "MM/YY".
+ * Returns null for anything unparseable.
+ */
+export const normalizeExpiry = (val) => {
+  const s = String(val || "").trim();
+  let m = s.match(/^(\d{1,2})\s*[/-]\s*(\d{2}|\d{4})$/);
+  let month;
+  let year;
+  if (m) {
+    [, month, year] = m;
+  } else if ((m = s.match(/^(\d{4})-(\d{1,2})$/))) {
+    [, year, month] = m;
+  } else {
+    return null;
+  }
+  const mm = Number(month);
+  if (mm < 1 || mm > 12) return null;
+  return `${String(mm).padStart(2, "0")}/${String(year).slice(-2)}`;
+};
+
+// "**** **** **** 1234" style values echoed back by the UI are not new card data
+const isMasked = (val) => /[*xX•]/.test(String(val));
+
+export const hasCardInput = (body = {}) => CARD_FIELDS.some((f) => body[f] !== undefined);
+
+/**
+ * Turn card fields from a request body into the Booking.card subdocument.
+ *
+ * - A raw PAN is validated and handed to the configured vault; only the
+ *   returned token, last4, brand and expiry are kept.
+ * - A pre-tokenized card (cardToken + cardLast4) is stored as-is.
+ * - CVV is validated when present and passed to the vault, never persisted.
+ *
+ * `current` is the booking's existing card, merged for partial updates.
+ * Throws httpError(400) on invalid input.
+ */
+export const buildCardFromInput = async (body = {}, current = {}) => {
+  const card = {
+    token: current?.token,
+    last4: current?.last4,
+    brand: current?.brand,
+    expiry: current?.expiry,
+    cardholderName: current?.cardholderName,
+  };
+
+  if (body.cardholderName !== undefined) card.cardholderName = body.cardholderName || undefined;
+
+  if (body.expiryDate) {
+    const expiry = normalizeExpiry(body.expiryDate);
+    if (!expiry) throw httpError(400, "Card expiry must be MM/YY");
+    card.expiry = expiry;
+  }
+
+  if (body.cvv && !/^\d{3,4}$/.test(String(body.cvv).trim())) {
+    throw httpError(400, "Invalid CVV");
+  }
+
+  const rawNumber = body.cardNumber ? String(body.cardNumber).trim() : "";
+  if (rawNumber && !isMasked(rawNumber)) {
+    const pan = rawNumber.replace(/[\s-]/g, "");
+    if (!/^\d{12,19}$/.test(pan) || !luhnValid(pan)) {
+      throw httpError(400, "Invalid card number");
+    }
+    const last4 = pan.slice(-4);
+    const brand = detectBrand(pan);
+    const { token } = await getCardVault().tokenize({
+      pan,
+      cvv: body.cvv ? String(body.cvv).trim() : undefined,
+      expiry: card.expiry,
+      cardholderName: card.cardholderName,
+      last4,
+      brand,
+    });
+    Object.assign(card, { token, last4, brand });
+  } else if (body.cardToken) {
+    const last4 = String(body.cardLast4 || "").trim();
+    if (!/^\d{4}$/.test(last4)) {
+      throw httpError(400, "cardLast4 (4 digits) is required with cardToken");
+    }
+    Object.assign(card, {
+      token: String(body.cardToken),
+      last4,
+      brand: body.cardBrand ? String(body.cardBrand).toLowerCase() : undefined,
+    });
+  }
+
+  return card;
+};
+
+/**
+ * Give back a token that buildCardFromInput vaulted for a booking that was
+ * then not saved. Tokens the client sent (cardToken) and the card already
+ * on the booking (`current`) are left alone. Failures are logged, not thrown.
+ */
+export const discardNewCard = async (card, body = {}, current = {}) => {
+  if (!card?.token || card.token === current?.token || card.token === body.cardToken) return;
+  try {
+    await getCardVault().discard?.(card.token);
+  } catch (error) {
+    console.error("Discarding card token failed:", error);
+  }
+};
+
+// Masked display form, e.g. "VISA **** **** **** 4242"
+export const maskCard = (card) => {
+  if (!card?.last4) return null;
+  const brand = card.brand && card.brand !== "unknown" ? `${card.brand.toUpperCase()} ` : "";
+  return `${brand}**** **** **** ${card.last4}`;
+};
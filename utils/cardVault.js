@@ -0,0 +1,89 @@
+// utils/cardVault.js (ESM)
+import crypto from "crypto";
+import CardToken from "../models/CardToken.js";
+import { httpError } from "./httpError.js";
+
+/**
+ * Card vault adapters.
+ *
+ * An adapter takes a raw PAN and returns an opaque token:
+ *   tokenize({ pan, cvv, expiry, cardholderName, last4, brand }) -> { token }
+ *   detokenize(token) -> { pan, expiry } | null   (optional)
+ *   discard(token)                                 (optional)
+ *
+ * Select with CARD_VAULT (default "local"). Register third-party vaults
+ * (processor tokenization etc.) with registerCardVault().
+ */
+
+const getVaultKey = () => {
+  const raw = process.env.CARD_VAULT_KEY || "";
+  const key = /^[0-9a-fA-F]{64}$/.test(raw) ? Buffer.from(raw, "hex") : Buffer.from(raw, "base64");
+  if (key.length !== 32) {
+    throw httpError(500, "Card vault not configured (CARD_VAULT_KEY must be 32 bytes, hex or base64)");
+  }
+  return key;
+};
+
+// Default: encrypt the PAN into the CardToken collection. CVV is dropped.
+const localVault = {
+  name: "local",
+  async tokenize({ pan, expiry, last4, brand }) {
+    const key = getVaultKey();
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+    const ciphertext = Buffer.concat([cipher.update(pan, "utf8"), cipher.final()]);
+
+    const token = `tok_${crypto.randomBytes(16).toString("hex")}`;
+    await CardToken.create({
+      token,
+      iv: iv.toString("base64"),
+      tag: cipher.getAuthTag().toString("base64"),
+      ciphertext: ciphertext.toString("base64"),
+      last4,
+      brand,
+      expiry,
+    });
+    return { token };
+  },
+  async detokenize(token) {
+    const entry = await CardToken.findOne({ token }).lean();
+    if (!entry) return null;
+    const decipher = crypto.createDecipheriv("aes-256-gcm", getVaultKey(), Buffer.from(entry.iv, "base64"));
+    decipher.setAuthTag(Buffer.from(entry.tag, "base64"));
+    const pan = Buffer.concat([
+      decipher.update(Buffer.from(entry.ciphertext, "base64")),
+      decipher.final(),
+    ]).toString("utf8");
+    return { pan, expiry: entry.expiry };
+  },
+  async discard(token) {
+    await CardToken.deleteOne({ token });
+  },
+};
+
+// Refuse raw card data entirely; clients must tokenize before calling us
+const rejectVault = {
+  name: "reject",
+  async tokenize() {
+    throw httpError(400, "Raw card numbers are not accepted. Send a cardToken from the payment provider instead.");
+  },
+};
+
+const adapters = new Map([
+  [localVault.name, localVault],
+  [rejectVault.name, rejectVault],
+]);
+
+export const registerCardVault = (adapter) => {
+  if (!adapter?.name || typeof adapter.tokenize !== "function") {
+    throw new Error("Card vault adapter needs a name and tokenize()");
+  }
+  adapters.set(adapter.name, adapter);
+};
+
+export const getCardVault = () => {
+  const name = process.env.CARD_VAULT || "local";
+  const adapter = adapters.get(name);
+  if (!adapter) throw httpError(500, `Unknown card vault "${name}"`);
+  return adapter;
+};
@@ -0,0 +1,141 @@
+// utils/costing.js (ESM)
+import { httpError } from "./httpError.js";
+
+export const DEFAULT_CURRENCY = (process.env.COSTING_BASE_CURRENCY || "USD").toUpperCase();
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+const num = (v) => (v === undefined || v === null || v === "" ? undefined : Number(v));
+
+/**
+ * Conversion rates into the base currency: 1 <currency> = rate <base>.
+ * COSTING_FX_RATES (JSON, e.g. {"SAR":0.2667,"PKR":0.0036}) supplies the
+ * defaults; costing.fxRates on the booking overrides them per booking.
+ */
+const envRates = () => {
+  try {
+    return JSON.parse(process.env.COSTING_FX_RATES || "{}");
+  } catch {
+    console.warn("COSTING_FX_RATES is not valid JSON; ignoring");
+    return {};
+  }
+};
+
+const rateFor = (currency, base, rates) => {
+  if (currency === base) return 1;
+  const rate = Number(rates[currency]);
+  if (!Number.isFinite(rate) || rate <= 0) {
+    throw httpError(400, `No exchange rate for ${currency} -> ${base}; add it to costing.fxRates`);
+  }
+  return rate;
+};
+
+/**
+ * Sale price per unit for a row: an explicit salePerQty first, then the
+ * row's own markupPercent (sale = cost * (1 + m)) or marginPercent
+ * (sale = cost / (1 - m)), then the costing-level rules.
+ */
+const salePrice = (row, defaults) => {
+  const cost = num(row.costPerQty) || 0;
+  const fromRule = (markup, margin) => {
+    if (markup !== undefined) return cost * (1 + markup / 100);
+    if (margin !== undefined) {
+      if (margin >= 100) throw httpError(400, "marginPercent must be below 100");
+      return cost / (1 - margin / 100);
+    }
+    return undefined;
+  };
+
+  return (
+    num(row.salePerQty) ??
+    fromRule(num(row.markupPercent), num(row.marginPercent)) ??
+    fromRule(num(defaults.markupPercent), num(defaults.marginPercent)) ??
+    0
+  );
+};
+
+/**
+ * Recompute booking.costing from its rows. Client-sent totals are ignored.
+ *
+ * Each row gets its own currency (default: costing.currency) and is converted
+ * to the costing currency for the totals. Returns the costing object with
+ * per-row and overall totals filled in.
+ */
+export const computeCosting = (input = {}) => {
+  const base = String(input.currency || DEFAULT_CURRENCY).toUpperCase();
+  const rates = { ...envRates(), ...(input.fxRates || {}) };
+  const defaults = input.rules || {};
+
+  const rows = (input.rows || []).map((row, i) => {
+    const quantity = num(row.quantity) ?? 1;
+    const costPerQty = num(row.costPerQty) ?? 0;
+    if (![quantity, costPerQty].every(Number.isFinite) || quantity < 0 || costPerQty < 0) {
+      throw httpError(400, `Costing row ${i + 1}: quantity and costPerQty must be non-negative numbers`);
+    }
+    const salePerQty = round2(salePrice(row, defaults));
+    if (!Number.isFinite(salePerQty) || salePerQty < 0) {
+      throw httpError(400, `Costing row ${i + 1}: salePerQty must be a non-negative number`);
+    }
+
+    const currency = String(row.currency || base).toUpperCase();
+    const rate = rateFor(currency, base, rates);
+    const totalCost = round2(quantity * costPerQty * rate);
+    const totalSale = round2(quantity * salePerQty * rate);
+
+    return {
+      ...row,
+      quantity,
+      costPerQty,
+      salePerQty,
+      currency,
+      fxRate: rate,
+      totalCost,
+      totalSale,
+      profit: round2(totalSale - totalCost),
+    };
+  });
+
+  const totalCost = round2(rows.reduce((s, r) => s + r.totalCost, 0));
+  const totalSale = round2(rows.reduce((s, r) => s + r.totalSale, 0));
+  const profit = round2(totalSale - totalCost);
+
+  return {
+    ...input,
+    currency: base,
+    rows,
+    totals: {
+      totalCost,
+      totalSale,
+      profit,
+      marginPercent: totalSale > 0 ? round2((profit / totalSale) * 100) : 0,
+    },
+  };
+};
+
+/**
+ * computeCosting plus the loss guard used by create/update: a negative
+ * profit is refused unless an admin sends costing.overrideNegativeProfit.
+ * The override is recorded on the costing (lossApprovedBy/At) and carries
+ * over to later edits as long as the loss does not grow.
+ */
+export const prepareCosting = (input, user, current) => {
+  const { overrideNegativeProfit, lossApprovedBy, lossApprovedAt, ...rest } = input || {};
+  const costing = computeCosting(rest);
+
+  if (costing.totals.profit < 0) {
+    const prev = current?.toObject?.() || current;
+    if (prev?.lossApprovedBy && costing.totals.profit >= (prev.totals?.profit ?? 0)) {
+      costing.lossApprovedBy = prev.lossApprovedBy;
+      costing.lossApprovedAt = prev.lossApprovedAt;
+      return costing;
+    }
+    if (!overrideNegativeProfit || user?.role !== "admin") {
+      throw httpError(422, "Booking costing shows a loss; an admin must approve it with costing.overrideNegativeProfit", {
+        totals: costing.totals,
+      });
+    }
+    costing.lossApprovedBy = user._id;
+    costing.lossApprovedAt = new Date();
+  }
+
+  return costing;
+};
@@ -0,0 +1,231 @@
+// utils/customerIdentity.js (ESM)
+import Customer from "../models/Customer.js";
+
+/**
+ * Customer matching.
+ *
+ * Match keys:
+ *   email  trimmed, lower-cased
+ *   phone  digits only, last 9 (drops +country / 00 / trunk 0 prefixes, so
+ *          "+92 300 1234567" and "0300-1234567" agree)
+ *   name   lower-cased, accents and punctuation stripped, titles dropped,
+ *          common transliterations unified, tokens sorted
+ *
+ * A record joins an existing customer when its email matches, or its phone
+ * matches and the names are similar (>= NAME_MATCH). Anything weaker is only
+ * suggested as a duplicate for an admin to merge (utils/customerMerge.js).
+ *
+ * Inquiry and Booking link themselves on save; upserts call linkCustomer.
+ */
+
+export const NAME_MATCH = 0.8;
+export const NAME_SUGGEST = 0.85;
+const PHONE_DIGITS = 9;
+
+const TITLES = new Set(["mr", "mrs", "ms", "miss", "dr", "haji", "hajji", "hajja", "hajjah", "sheikh", "shaikh", "syed", "sayed"]);
+const SPELLINGS = {
+  mohammad: "muhammad", mohammed: "muhammad", mohamed: "muhammad", muhammed: "muhammad", mohd: "muhammad", md: "muhammad",
+  ahmad: "ahmed", abdul: "abd", abdel: "abd", abdur: "abd", abdal: "abd",
+  hussain: "hussein", husain: "hussein", hussein: "hussein", hasan: "hassan",
+  fatimah: "fatima", aisha: "ayesha", aysha: "ayesha", ayisha: "ayesha",
+  khadijah: "khadija", zainab: "zaynab", zeinab: "zaynab",
+};
+
+export const normalizeEmail = (email) => {
+  const e = String(email || "").trim().toLowerCase();
+  return e.includes("@") ? e : "";
+};
+
+export const normalizePhone = (phone) => {
+  const digits = String(phone || "").replace(/\D/g, "");
+  return digits.length >= PHONE_DIGITS ? digits.slice(-PHONE_DIGITS) : "";
+};
+
+export const nameKey = (name) =>
+  String(name || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z\s]/g, " ")
+    .split(/\s+/)
+    .filter((t) => t && !TITLES.has(t))
+    .map((t) => SPELLINGS[t] || t)
+    .sort()
+    .join(" ");
+
+const levenshtein = (a, b) => {
+  if (a === b) return 0;
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i += 1) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+};
+
+/**
+ * 0..1 similarity of two names. Compares the canonical keys, and also the
+ * shorter name's tokens against the longer one's so "Ali Khan" still
+ * matches "Muhammad Ali Khan".
+ */
+export const nameSimilarity = (a, b) => {
+  const ka = nameKey(a);
+  const kb = nameKey(b);
+  if (!ka || !kb) return 0;
+  const whole = 1 - levenshtein(ka, kb) / Math.max(ka.length, kb.length);
+
+  const [short, long] = [ka.split(" "), kb.split(" ")].sort((x, y) => x.length - y.length);
+  const tokenScore =
+    short.length >= 2
+      ? short.filter((t) => long.some((u) => 1 - levenshtein(t, u) / Math.max(t.length, u.length) >= 0.8)).length / short.length
+      : 0;
+
+  return Math.round(Math.max(whole, tokenScore * 0.95) * 100) / 100;
+};
+
+// Follow merges to the surviving customer
+const survivor = async (customer) => {
+  let current = customer;
+  for (let hops = 0; current?.mergedInto && hops < 10; hops += 1) {
+    current = await Customer.findById(current.mergedInto);
+  }
+  return current;
+};
+
+/**
+ * The existing customer these contact details belong to, or null.
+ * Resolves to { customer, reason }.
+ */
+export const findMatchingCustomer = async ({ name, email, phone }) => {
+  const e = normalizeEmail(email);
+  const p = normalizePhone(phone);
+
+  if (e) {
+    const byEmail = await Customer.findOne({ emails: e }).sort({ mergedInto: 1, createdAt: 1 });
+    if (byEmail) return { customer: await survivor(byEmail), reason: "email" };
+  }
+  if (p) {
+    const byPhone = await Customer.find({ phones: p, mergedInto: null }).limit(20);
+    const best = byPhone
+      .map((c) => ({ c, score: Math.max(...[c.name, ...(c.names || [])].map((n) => nameSimilarity(n, name))) }))
+      .sort((x, y) => y.score - x.score)[0];
+    if (best && best.score >= NAME_MATCH) return { customer: best.c, reason: `phone + name (${best.score})` };
+  }
+  return null;
+};
+
+export const addUnique = (list, value) => {
+  if (value && !list.includes(value)) list.push(value);
+};
+
+/**
+ * Find or create the customer for a set of contact details, recording any
+ * new email/phone/spelling on it. Resolves to the customer document.
+ */
+export const resolveCustomer = async ({ name, email, phone }) => {
+  if (!name && !email && !phone) return null;
+  const match = await findMatchingCustomer({ name, email, phone });
+
+  const customer = match?.customer || new Customer({ name: name || email || phone });
+  addUnique(customer.emails, normalizeEmail(email));
+  addUnique(customer.phones, normalizePhone(phone));
+  addUnique(customer.names, String(name || "").trim());
+  if (email && !customer.email) customer.email = String(email).trim();
+  if (phone && !customer.phone) customer.phone = String(phone).trim();
+  if (!customer.nameKey) customer.nameKey = nameKey(customer.name);
+
+  if (customer.isNew || customer.isModified()) await customer.save();
+  return customer;
+};
+
+/**
+ * Point an inquiry or booking that has no customer at its customer.
+ * Used after upserts, which skip the models' save hooks. Best-effort.
+ */
+export const linkCustomer = async (Model, doc) => {
+  try {
+    if (!doc || doc.customer) return doc?.customer || null;
+    const customer = await resolveCustomer({
+      name: doc.customerName,
+      email: doc.customerEmail,
+      phone: doc.customerPhone ?? doc.contactNumber,
+    });
+    if (!customer) return null;
+    await Model.updateOne({ _id: doc._id, customer: null }, { $set: { customer: customer._id } }).setOptions({
+      withDeleted: true,
+    });
+    doc.customer = customer._id;
+    return customer._id;
+  } catch (error) {
+    console.error("linkCustomer error:", error);
+    return null;
+  }
+};
+
+/**
+ * Groups of customers that look like the same person but were not matched
+ * automatically: shared phone, or names at least NAME_SUGGEST alike.
+ * Resolves to [{ customers: [...], reasons: [...] }].
+ */
+export const findDuplicateCustomers = async ({ limit = 2000 } = {}) => {
+  const customers = await Customer.find({ mergedInto: null })
+    .select("name email phone emails phones nameKey createdAt")
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .lean();
+
+  // Union-find over candidate pairs
+  const parent = customers.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const reasons = new Map();
+  const link = (i, j, reason) => {
+    parent[find(i)] = find(j);
+    const key = [i, j].sort().join(":");
+    reasons.set(key, reason);
+  };
+
+  const buckets = new Map();
+  const bucket = (key, i) => {
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(i);
+  };
+  customers.forEach((c, i) => {
+    (c.phones || []).forEach((p) => bucket(`p:${p}`, i));
+    (c.nameKey || "").split(" ").filter((t) => t.length >= 3).forEach((t) => bucket(`n:${t}`, i));
+  });
+
+  buckets.forEach((members, key) => {
+    if (members.length < 2 || members.length > 50) return;
+    for (let a = 0; a < members.length; a += 1) {
+      for (let b = a + 1; b < members.length; b += 1) {
+        const [i, j] = [members[a], members[b]];
+        if (key.startsWith("p:")) {
+          link(i, j, `same phone ${key.slice(2)}`);
+          continue;
+        }
+        const score = nameSimilarity(customers[i].name, customers[j].name);
+        if (score >= NAME_SUGGEST) link(i, j, `similar names (${score})`);
+      }
+    }
+  });
+
+  const groups = new Map();
+  customers.forEach((c, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(i);
+  });
+
+  return [...groups.values()]
+    .filter((g) => g.length > 1)
+    .map((g) => ({
+      customers: g.map((i) => customers[i]),
+      reasons: [...reasons.entries()]
+        .filter(([key]) => key.split(":").every((i) => g.includes(Number(i))))
+        .map(([, reason]) => reason)
+        .filter((r, idx, all) => all.indexOf(r) === idx),
+    }));
+};
@@ -0,0 +1,53 @@
+// utils/customerMerge.js (ESM)
+import Customer from "../models/Customer.js";
+import Inquiry from "../models/Inquiry.js";
+import Booking from "../models/Booking.js";
+import { addUnique } from "./customerIdentity.js";
+import { httpError } from "./httpError.js";
+
+/**
+ * Merge customers into `targetId`: every inquiry and booking of the sources
+ * is re-pointed at the target, their match keys move over and each source is
+ * marked mergedInto the target. Resolves to { customer, moved }.
+ */
+export const mergeCustomers = async (targetId, sourceIds, user) => {
+  const ids = [...new Set(sourceIds.map(String))].filter((id) => id !== String(targetId));
+  if (!ids.length) throw httpError(400, "sourceIds must name at least one other customer");
+
+  const target = await Customer.findById(targetId);
+  if (!target) throw httpError(404, "Customer not found");
+  if (target.mergedInto) throw httpError(409, "Target customer was itself merged; merge into its survivor");
+
+  const sources = await Customer.find({ _id: { $in: ids } });
+  if (sources.length !== ids.length) throw httpError(404, "One or more source customers not found");
+  const merged = sources.find((s) => s.mergedInto);
+  if (merged) throw httpError(409, `Customer ${merged._id} was already merged`);
+
+  const moved = [];
+  for (const source of sources) {
+    const [inquiries, bookings] = await Promise.all([
+      Inquiry.updateMany({ customer: source._id }, { $set: { customer: target._id } }),
+      Booking.updateMany({ customer: source._id }, { $set: { customer: target._id } }).setOptions({ withDeleted: true }),
+    ]);
+    // Customers merged into the source earlier now point at the target
+    await Customer.updateMany({ mergedInto: source._id }, { $set: { mergedInto: target._id } });
+
+    source.emails.forEach((v) => addUnique(target.emails, v));
+    source.phones.forEach((v) => addUnique(target.phones, v));
+    [source.name, ...source.names].forEach((v) => addUnique(target.names, v));
+    if (!target.email && source.email) target.email = source.email;
+    if (!target.phone && source.phone) target.phone = source.phone;
+
+    const entry = { customer: source._id, by: user?._id, inquiries: inquiries.modifiedCount, bookings: bookings.modifiedCount };
+    target.merges.push(entry);
+    moved.push(entry);
+
+    source.mergedInto = target._id;
+    source.mergedAt = new Date();
+    source.mergedBy = user?._id;
+    await source.save();
+  }
+
+  await target.save();
+  return { customer: target, moved };
+};
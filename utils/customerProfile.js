@@ -0,0 +1,160 @@
+// utils/customerProfile.js (ESM)
+import mongoose from "mongoose";
+import Booking from "../models/Booking.js";
+import Inquiry from "../models/Inquiry.js";
+import { DEFAULT_CURRENCY } from "./costing.js";
+import { NAME_MATCH, nameSimilarity } from "./customerIdentity.js";
+
+/**
+ * Customer history, read from the Booking and Inquiry collections.
+ *
+ * Lifetime value is the sum of costing.totals.totalSale over bookings that
+ * went ahead (VALUE_STATES); outstanding is ledgerTotals.outstanding over the
+ * same bookings. Both are per currency ({ USD: 2900, SAR: 1200 }) since each
+ * booking is costed in its own currency. Soft-deleted bookings never count.
+ *
+ * Given a non-admin `user`, everything is limited to that agent's bookings
+ * and assigned inquiries: other agents' bookings, money and passenger data
+ * stay hidden even when they share the customer.
+ */
+
+export const VALUE_STATES = ["submitted", "approved", "ticketed", "travelled", "closed"];
+
+const toIds = (ids) => ids.map((id) => new mongoose.Types.ObjectId(String(id)));
+
+// Extra Booking / Inquiry filters for what `user` may see
+const visibleTo = (user) => {
+  if (!user || user.role === "admin") return { bookings: {}, inquiries: {} };
+  const id = new mongoose.Types.ObjectId(String(user._id));
+  return { bookings: { agent: id }, inquiries: { assignedAgent: id } };
+};
+
+const byCurrency = (rows) =>
+  rows.reduce((acc, { currency, amount }) => {
+    if (amount) acc[currency] = Math.round(((acc[currency] || 0) + amount) * 100) / 100;
+    return acc;
+  }, {});
+
+/**
+ * Counts and money per customer, as seen by `user`. Resolves to
+ * Map(customerId -> { bookings, inquiries, lifetimeValue, outstanding,
+ * lastBookingAt, lastInquiryAt })
+ */
+export const customerStats = async (customerIds, { user } = {}) => {
+  const ids = toIds(customerIds);
+  const scope = visibleTo(user);
+  const [bookingRows, inquiryRows] = await Promise.all([
+    Booking.aggregate([
+      { $match: { customer: { $in: ids }, deletedAt: null, ...scope.bookings } },
+      {
+        $group: {
+          _id: { customer: "$customer", currency: { $ifNull: ["$costing.currency", DEFAULT_CURRENCY] } },
+          bookings: { $sum: 1 },
+          value: { $sum: { $cond: [{ $in: ["$state", VALUE_STATES] }, { $ifNull: ["$costing.totals.totalSale", 0] }, 0] } },
+          outstanding: { $sum: { $cond: [{ $in: ["$state", VALUE_STATES] }, { $ifNull: ["$ledgerTotals.outstanding", 0] }, 0] } },
+          lastBookingAt: { $max: "$createdAt" },
+        },
+      },
+    ]),
+    Inquiry.aggregate([
+      { $match: { customer: { $in: ids }, ...scope.inquiries } },
+      { $group: { _id: "$customer", inquiries: { $sum: 1 }, lastInquiryAt: { $max: "$createdAt" } } },
+    ]),
+  ]);
+
+  const stats = new Map(
+    ids.map((id) => [String(id), { bookings: 0, inquiries: 0, lifetimeValue: {}, outstanding: {}, lastBookingAt: null, lastInquiryAt: null }])
+  );
+  const grouped = new Map();
+  bookingRows.forEach((row) => {
+    const key = String(row._id.customer);
+    if (!grouped.has(key)) grouped.set(key, []);
+    grouped.get(key).push(row);
+  });
+  grouped.forEach((rows, key) => {
+    const s = stats.get(key);
+    s.bookings = rows.reduce((n, r) => n + r.bookings, 0);
+    s.lifetimeValue = byCurrency(rows.map((r) => ({ currency: r._id.currency, amount: r.value })));
+    s.outstanding = byCurrency(rows.map((r) => ({ currency: r._id.currency, amount: r.outstanding })));
+    s.lastBookingAt = rows.reduce((max, r) => (!max || r.lastBookingAt > max ? r.lastBookingAt : max), null);
+  });
+  inquiryRows.forEach((row) => Object.assign(stats.get(String(row._id)), { inquiries: row.inquiries, lastInquiryAt: row.lastInquiryAt }));
+  return stats;
+};
+
+// Customers an agent works with: on one of their bookings or assigned inquiries
+export const customerIdsForAgent = async (agentId) => {
+  const [fromBookings, fromInquiries] = await Promise.all([
+    Booking.distinct("customer", { agent: agentId }),
+    Inquiry.distinct("customer", { assignedAgent: agentId }),
+  ]);
+  return [...new Set([...fromBookings, ...fromInquiries].filter(Boolean).map(String))];
+};
+
+// The customer's own entry in a booking's passenger manifest: the passenger
+// with the customer's name, or the only passenger
+const manifestEntry = (booking, name) => {
+  const manifest = booking.manifest || [];
+  const named = manifest.find((p) => nameSimilarity(`${p.givenNames || ""} ${p.surname || ""}`, name) >= NAME_MATCH);
+  return named || (manifest.length === 1 ? manifest[0] : null);
+};
+
+// Most recent passport number / nationality recorded on the customer's
+// bookings: the manifest first, then the legacy visa fields
+const travelDocument = (bookings, name) => {
+  const doc = { passportNumber: null, passportExpiry: null, nationality: null, fromBooking: null };
+  for (const b of bookings) {
+    const passenger = manifestEntry(b, name);
+    const passportNumber = passenger?.passportNumber || b.visa?.passportNumber;
+    const nationality =
+      passenger?.nationality || b.visa?.nationality || b.visas?.passengers?.find((p) => p.nationality)?.nationality;
+    if (!doc.passportNumber && passportNumber) {
+      doc.passportNumber = passportNumber;
+      doc.passportExpiry = (passenger?.passportNumber && passenger.passportExpiry) || null;
+      doc.fromBooking = b._id;
+    }
+    if (!doc.nationality && nationality) doc.nationality = nationality;
+    if (doc.passportNumber && doc.nationality) break;
+  }
+  return doc;
+};
+
+/**
+ * Full profile: contact details, passport/nationality, bookings and
+ * inquiries (newest first) and the totals, as seen by `user`.
+ */
+export const buildCustomerProfile = async (customer, { user } = {}) => {
+  const scope = visibleTo(user);
+  const [bookings, inquiries, stats] = await Promise.all([
+    Booking.find({ customer: customer._id, ...scope.bookings })
+      .sort({ createdAt: -1 })
+      .select(
+        "customerName package state date departureDate returnDate passengers pnr agent visa visas manifest " +
+          "costing.currency costing.totals ledgerTotals inquiryId createdAt"
+      )
+      .populate("agent", "name email")
+      .lean(),
+    Inquiry.find({ customer: customer._id, ...scope.inquiries })
+      .sort({ createdAt: -1 })
+      .select("customerName message status priority packageDetails.packageName assignedAgent bookingId source createdAt")
+      .populate("assignedAgent", "name email")
+      .lean(),
+    customerStats([customer._id], { user }),
+  ]);
+
+  return {
+    customer: {
+      _id: customer._id,
+      name: customer.name,
+      email: customer.email,
+      phone: customer.phone,
+      emails: customer.emails, // every address seen (normalized)
+      names: customer.names, // spellings seen
+      createdAt: customer.createdAt,
+    },
+    travelDocument: travelDocument(bookings, customer.name),
+    stats: stats.get(String(customer._id)),
+    bookings: bookings.map(({ visa, visas, manifest, ...b }) => b),
+    inquiries,
+  };
+};
@@ -1,7 +1,7 @@
 // utils/dbManager.js (ESM)
 import Booking from "../models/Booking.js";
 import Inquiry from "../models/Inquiry.js";
-import Agent from "../models/Agent.js";
+import User from "../models/User.js";
 import Company from "../models/company.js";
 
 /**
@@ -15,7 +15,7 @@ export async function getCompanyModels(companyId) {
   return {
     Booking,
     Inquiry,
-    Agent,
+    User,
     Company,
   };
 }
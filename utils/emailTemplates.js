@@ -0,0 +1,136 @@
+// utils/emailTemplates.js (ESM)
+import EmailTemplate from "../models/EmailTemplate.js";
+
+/**
+ * Built-in templates per notification event. Companies override them by
+ * saving an EmailTemplate (PUT /api/notifications/templates/:event).
+ *
+ * Placeholders are {{path.to.value}} looked up in the event data; values are
+ * HTML-escaped in the html body and inserted as-is in subject and text.
+ * Every event gets `company` ({ name, email, phone, logoUrl, primaryColor })
+ * and `recipientName`.
+ */
+export const DEFAULT_TEMPLATES = {
+  inquiry_received: {
+    subject: "We received your inquiry - {{company.name}}",
+    html:
+      "<p>Dear {{recipientName}},</p>" +
+      "<p>Thank you for contacting {{company.name}}. We have received your inquiry" +
+      " about <strong>{{inquiry.packageName}}</strong> and an agent will be in touch shortly.</p>" +
+      "<p>Your message:<br/><em>{{inquiry.message}}</em></p>" +
+      "<p>{{company.name}}<br/>{{company.phone}}</p>",
+    text:
+      "Dear {{recipientName}},\n\nThank you for contacting {{company.name}}. We have received your inquiry" +
+      " about {{inquiry.packageName}} and an agent will be in touch shortly.\n\n{{company.name}}\n{{company.phone}}",
+  },
+  inquiry_assigned: {
+    subject: "New inquiry assigned: {{inquiry.customerName}}",
+    html:
+      "<p>Hi {{recipientName}},</p>" +
+      "<p>An inquiry has been assigned to you.</p>" +
+      "<ul><li>Customer: {{inquiry.customerName}}</li><li>Email: {{inquiry.customerEmail}}</li>" +
+      "<li>Phone: {{inquiry.customerPhone}}</li><li>Package: {{inquiry.packageName}}</li></ul>" +
+      "<p>{{inquiry.message}}</p>",
+    text:
+      "Hi {{recipientName}},\n\nAn inquiry has been assigned to you.\n\nCustomer: {{inquiry.customerName}}\n" +
+      "Email: {{inquiry.customerEmail}}\nPhone: {{inquiry.customerPhone}}\nPackage: {{inquiry.packageName}}\n\n{{inquiry.message}}",
+  },
+  booking_approved: {
+    subject: "Booking approved: {{booking.package}}",
+    html:
+      "<p>Dear {{recipientName}},</p>" +
+      "<p>The booking for <strong>{{booking.customerName}}</strong> ({{booking.package}}," +
+      " departing {{booking.departureDate}}) has been approved.</p>" +
+      "<p>{{company.name}}</p>",
+    text:
+      "Dear {{recipientName}},\n\nThe booking for {{booking.customerName}} ({{booking.package}}," +
+      " departing {{booking.departureDate}}) has been approved.\n\n{{company.name}}",
+  },
+  booking_rejected: {
+    subject: "Booking not approved: {{booking.package}}",
+    html:
+      "<p>Dear {{recipientName}},</p>" +
+      "<p>The booking for <strong>{{booking.customerName}}</strong> ({{booking.package}}) was not approved.</p>" +
+      "<p>Reason: {{reason}}</p>" +
+      "<p>{{company.name}}</p>",
+    text:
+      "Dear {{recipientName}},\n\nThe booking for {{booking.customerName}} ({{booking.package}}) was not approved.\n\n" +
+      "Reason: {{reason}}\n\n{{company.name}}",
+  },
+  inquiry_reply: {
+    subject: "Re: your inquiry about {{inquiry.packageName}} - {{company.name}}",
+    html:
+      "<p>Dear {{recipientName}},</p>" +
+      "<p style=\"white-space: pre-line\">{{reply.body}}</p>" +
+      "<p>{{reply.agentName}}<br/>{{company.name}}<br/>{{company.phone}}</p>",
+    text: "Dear {{recipientName}},\n\n{{reply.body}}\n\n{{reply.agentName}}\n{{company.name}}\n{{company.phone}}",
+  },
+  inquiry_customer_reply: {
+    subject: "Customer replied: {{inquiry.customerName}}",
+    html:
+      "<p>Hi {{recipientName}},</p>" +
+      "<p>{{inquiry.customerName}} ({{inquiry.customerEmail}}) replied to their inquiry:</p>" +
+      "<p style=\"white-space: pre-line\"><em>{{reply.body}}</em></p>",
+    text:
+      "Hi {{recipientName}},\n\n{{inquiry.customerName}} ({{inquiry.customerEmail}}) replied to their inquiry:\n\n{{reply.body}}",
+  },
+  inquiry_sla_breached: {
+    subject: "SLA breached ({{sla.kind}}): {{inquiry.customerName}}",
+    html:
+      "<p>Hi {{recipientName}},</p>" +
+      "<p>The {{sla.priority}} priority inquiry from <strong>{{inquiry.customerName}}</strong>" +
+      " ({{inquiry.packageName}}) missed its {{sla.kind}} target, due {{sla.dueAt}}.</p>" +
+      "<p>Assigned agent: {{agent.name}}<br/>Action taken: {{sla.action}}</p>" +
+      "<p>{{inquiry.message}}</p>",
+    text:
+      "Hi {{recipientName}},\n\nThe {{sla.priority}} priority inquiry from {{inquiry.customerName}}" +
+      " ({{inquiry.packageName}}) missed its {{sla.kind}} target, due {{sla.dueAt}}.\n\n" +
+      "Assigned agent: {{agent.name}}\nAction taken: {{sla.action}}\n\n{{inquiry.message}}",
+  },
+  installment_due: {
+    subject: "Installment {{installment.no}} of {{installment.amount}} due {{installment.date}}",
+    html:
+      "<p>Dear {{recipientName}},</p>" +
+      "<p>This is a reminder that installment {{installment.no}} of <strong>{{installment.amount}}</strong>" +
+      " for your {{booking.package}} booking is due on {{installment.date}}.</p>" +
+      "<p>Please contact your agent {{agent.name}} ({{agent.email}}) to arrange payment.</p>" +
+      "<p>{{company.name}}<br/>{{company.phone}}</p>",
+    text:
+      "Dear {{recipientName}},\n\nThis is a reminder that installment {{installment.no}} of {{installment.amount}}" +
+      " for your {{booking.package}} booking is due on {{installment.date}}.\n\n" +
+      "Please contact your agent {{agent.name}} ({{agent.email}}) to arrange payment.\n\n{{company.name}}\n{{company.phone}}",
+  },
+};
+
+export const NOTIFICATION_EVENTS = Object.keys(DEFAULT_TEMPLATES);
+
+const escapeHtml = (s) =>
+  String(s).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+const lookup = (data, path) =>
+  path.split(".").reduce((v, key) => (v === undefined || v === null ? undefined : v[key]), data);
+
+const fill = (template, data, escape) =>
+  String(template || "").replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, path) => {
+    const value = lookup(data, path);
+    if (value === undefined || value === null) return "";
+    const str = value instanceof Date ? value.toISOString().slice(0, 10) : String(value);
+    return escape ? escapeHtml(str) : str;
+  });
+
+export const renderTemplate = (template, data = {}) => ({
+  subject: fill(template.subject, data, false).replace(/\s+/g, " ").trim(),
+  html: fill(template.html, data, true),
+  text: template.text ? fill(template.text, data, false) : undefined,
+});
+
+/**
+ * Template for an event: the company's own, else the all-companies
+ * override (company: null), else the built-in default.
+ */
+export const resolveTemplate = async (event, companyId) => {
+  const candidates = companyId ? [companyId, null] : [null];
+  const saved = await EmailTemplate.find({ event, company: { $in: candidates } }).lean();
+  const own = saved.find((t) => t.company && String(t.company) === String(companyId));
+  return own || saved.find((t) => !t.company) || DEFAULT_TEMPLATES[event] || null;
+};
@@ -0,0 +1,78 @@
+// utils/fieldMap.js (ESM)
+
+/**
+ * Declarative record mapping.
+ *
+ * A field map is { "<target.path>": spec }, where spec is
+ *   "source.path"                     single source path
+ *   ["a", "b.c", "d"]                 first non-empty value wins
+ *   { from: [...], type, default }    with coercion and a fallback
+ *
+ * type: "string" | "number" | "boolean" | "date". Booleans accept
+ * true/1/"1"/"true"/"yes"/"on". Empty strings and null count as missing.
+ */
+
+export const FIELD_TYPES = ["string", "number", "boolean", "date"];
+
+export const getPath = (obj, path) =>
+  String(path)
+    .split(".")
+    .reduce((v, key) => (v === undefined || v === null ? undefined : v[key]), obj);
+
+const setPath = (obj, path, value) => {
+  const keys = path.split(".");
+  let cur = obj;
+  keys.slice(0, -1).forEach((k) => {
+    if (typeof cur[k] !== "object" || cur[k] === null) cur[k] = {};
+    cur = cur[k];
+  });
+  cur[keys[keys.length - 1]] = value;
+};
+
+const coerce = {
+  string: (v) => String(v),
+  number: (v) => {
+    const n = Number(v);
+    return Number.isFinite(n) ? n : undefined;
+  },
+  boolean: (v) => v === true || v === 1 || ["1", "true", "yes", "on"].includes(String(v).toLowerCase()),
+  date: (v) => {
+    const d = new Date(v);
+    return Number.isNaN(d.getTime()) ? undefined : d;
+  },
+};
+
+const normalizeSpec = (spec) => {
+  if (typeof spec === "string") return { from: [spec] };
+  if (Array.isArray(spec)) return { from: spec };
+  return { ...spec, from: [].concat(spec.from || []) };
+};
+
+/** Throws on a malformed map, so config errors surface at load time. */
+export const validateFieldMap = (map) => {
+  if (!map || typeof map !== "object" || Array.isArray(map)) throw new Error("fields must be an object");
+  Object.entries(map).forEach(([target, raw]) => {
+    const spec = normalizeSpec(raw);
+    if (!spec.from.length && spec.default === undefined) {
+      throw new Error(`fields.${target}: needs "from" paths or a default`);
+    }
+    if (spec.type && !FIELD_TYPES.includes(spec.type)) {
+      throw new Error(`fields.${target}: type must be one of ${FIELD_TYPES.join(", ")}`);
+    }
+  });
+  return map;
+};
+
+const isEmpty = (v) => v === undefined || v === null || v === "";
+
+export const applyFieldMap = (record, map) => {
+  const out = {};
+  Object.entries(map).forEach(([target, raw]) => {
+    const { from, type, default: fallback } = normalizeSpec(raw);
+    let value = from.map((p) => getPath(record, p)).find((v) => !isEmpty(v));
+    if (isEmpty(value)) value = fallback;
+    if (!isEmpty(value) && type) value = coerce[type](value);
+    if (value !== undefined) setPath(out, target, value);
+  });
+  return out;
+};
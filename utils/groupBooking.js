@@ -0,0 +1,77 @@
+// utils/groupBooking.js (ESM)
+
+/**
+ * Group (jamaat) departures.
+ *
+ * A Group holds the sections its families share: the flight itinerary and
+ * PNR, the hotel blocks, the transport plan and the travel dates. Member
+ * bookings get a copy of each shared section, so everything that reads a
+ * booking (PDF, validation, analytics) keeps working unchanged. A member can
+ * override a section: editing it on the booking adds it to
+ * booking.groupOverrides and group changes stop flowing into it; dropping it
+ * from groupOverrides inherits the group's value again.
+ *
+ * Pure helpers only; the member operations that touch the database are in
+ * utils/groupMembers.js.
+ */
+
+// Group field -> the booking field(s) it fills
+export const GROUP_SHARED_SECTIONS = ["flights", "pnr", "hotels", "transportation", "departureDate", "returnDate"];
+
+const plain = (value) => (value?.toObject ? value.toObject() : value);
+
+const isSet = (value) => {
+  const v = plain(value);
+  if (v === undefined || v === null || v === "") return false;
+  if (Array.isArray(v)) return v.length > 0;
+  if (typeof v === "object" && !(v instanceof Date)) return Object.values(v).some(isSet);
+  return true;
+};
+
+// Compare by content; subdocument _ids differ between the group and its copies
+const withoutIds = (key, value) => (key === "_id" ? undefined : value);
+const same = (a, b) => JSON.stringify(plain(a) ?? null, withoutIds) === JSON.stringify(plain(b) ?? null, withoutIds);
+
+/** Sections this booking takes from the group (shared, set on the group, not overridden). */
+export const inheritedSections = (group, booking) => {
+  const overrides = new Set(booking.groupOverrides || []);
+  return GROUP_SHARED_SECTIONS.filter((s) => !overrides.has(s) && isSet(group[s]));
+};
+
+/**
+ * Copy the group's shared sections onto a member booking (document).
+ * Returns the sections that changed.
+ */
+export const applyGroupToBooking = (booking, group) => {
+  const changed = [];
+  inheritedSections(group, booking).forEach((section) => {
+    const value = plain(group[section]);
+    if (same(booking[section], value)) return;
+    booking[section] = value;
+    changed.push(section);
+  });
+  return changed;
+};
+
+/**
+ * Shared sections a member edit moved away from the group's values; the
+ * caller adds them to groupOverrides. `changedFields` are the top-level
+ * booking fields the edit changed (bookingHistory.diffBooking).
+ */
+export const overriddenBy = (group, booking, changedFields) =>
+  GROUP_SHARED_SECTIONS.filter(
+    (s) =>
+      changedFields.includes(s) &&
+      !(booking.groupOverrides || []).includes(s) &&
+      isSet(group[s]) &&
+      !same(booking[s], group[s])
+  );
+
+/** Validate a groupOverrides list from the client. Returns an error message or null. */
+export const invalidOverrides = (list) => {
+  if (!Array.isArray(list)) return "groupOverrides must be an array";
+  const unknown = list.filter((s) => !GROUP_SHARED_SECTIONS.includes(s));
+  return unknown.length
+    ? `Unknown groupOverrides: ${unknown.join(", ")}. Valid: ${GROUP_SHARED_SECTIONS.join(", ")}`
+    : null;
+};
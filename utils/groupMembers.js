@@ -0,0 +1,194 @@
+// utils/groupMembers.js (ESM)
+import Booking from "../models/Booking.js";
+import { httpError } from "./httpError.js";
+import { applyGroupToBooking } from "./groupBooking.js";
+import { diffBooking, recordBookingHistory } from "./bookingHistory.js";
+import { emitBookingWebhook } from "./webhookOutbox.js";
+import { stateOf, transitionBooking } from "./bookingLifecycle.js";
+import { manifestCounts, manifestIssues } from "./passengerManifest.js";
+import { DEFAULT_CURRENCY } from "./costing.js";
+import { syncHotelReservations, undoHotelReservations } from "./hotelAllotment.js";
+
+/**
+ * Group member operations: joining/leaving, pushing shared sections down,
+ * the combined manifest, costing rollups and bulk state changes.
+ */
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+export const findGroupMembers = (group) => Booking.find({ group: group._id }).sort({ createdAt: 1 });
+
+// Save a member after a group-driven change, with its audit entry and webhook.
+// Hotels copied from the group replace the member's, so its rooms are re-synced
+// (and put back as they were when the save fails).
+const saveMember = async (booking, before, user, reason) => {
+  await syncHotelReservations(booking, before.hotels);
+  try {
+    await booking.save();
+  } catch (error) {
+    await undoHotelReservations(booking, before.hotels);
+    throw error;
+  }
+  const changes = diffBooking(before, booking);
+  if (changes.length > 0) {
+    await recordBookingHistory({ booking, action: "update", user, changes, reason });
+    emitBookingWebhook("booking.updated", booking, { changed_fields: changes.map((c) => c.field) });
+  }
+  return changes;
+};
+
+/**
+ * Copy the group's shared sections into every member that has not
+ * overridden them. Resolves to the ids of the bookings that changed.
+ */
+export const syncGroupMembers = async (group, user) => {
+  const updated = [];
+  for (const booking of await findGroupMembers(group)) {
+    const before = booking.toObject();
+    if (!applyGroupToBooking(booking, group).length) continue;
+    await saveMember(booking, before, user, `Shared sections from group ${group.name}`);
+    updated.push(booking._id);
+  }
+  return updated;
+};
+
+/**
+ * Put bookings into the group. `overrides` lists shared sections they keep
+ * their own values for. A booking in another group is refused (409).
+ */
+export const addGroupMembers = async (group, bookings, user, { overrides = [] } = {}) => {
+  const taken = bookings.find((b) => b.group && String(b.group) !== String(group._id));
+  if (taken) throw httpError(409, `Booking ${taken._id} already belongs to another group`, { group: taken.group });
+
+  for (const booking of bookings) {
+    const before = booking.toObject();
+    booking.group = group._id;
+    booking.groupOverrides = overrides;
+    applyGroupToBooking(booking, group);
+    await saveMember(booking, before, user, `Joined group ${group.name}`);
+  }
+  return bookings;
+};
+
+/** Take a booking out of its group; it keeps the sections copied so far. */
+export const removeGroupMember = async (group, booking, user) => {
+  const before = booking.toObject();
+  booking.group = undefined;
+  booking.groupOverrides = [];
+  await saveMember(booking, before, user, `Left group ${group.name}`);
+  return booking;
+};
+
+/**
+ * Every member's passengers in one list, with head counts and the issues
+ * of each booking's manifest plus passports listed on two bookings.
+ */
+export const buildGroupManifest = (members) => {
+  const passengers = [];
+  const issues = [];
+  const passports = new Map();
+
+  members.forEach((booking) => {
+    const manifest = booking.manifest || [];
+    manifest.forEach((p) => {
+      const row = { ...(p.toObject ? p.toObject() : p), booking: booking._id, customerName: booking.customerName };
+      passengers.push(row);
+      if (!p.passportNumber) return;
+      const other = passports.get(p.passportNumber);
+      if (other && String(other) !== String(booking._id)) {
+        issues.push({
+          code: "passport_duplicate",
+          booking: booking._id,
+          message: `Passport ${p.passportNumber} is on bookings ${other} and ${booking._id}`,
+        });
+      }
+      passports.set(p.passportNumber, booking._id);
+    });
+    if (!manifest.length) {
+      issues.push({ code: "manifest_missing", booking: booking._id, message: `${booking.customerName}: no passengers listed` });
+    }
+    manifestIssues(booking).forEach((issue) =>
+      issues.push({ ...issue, booking: booking._id, message: `${booking.customerName}: ${issue.message}` })
+    );
+  });
+
+  return { passengers, counts: manifestCounts(passengers), bookings: members.length, issues };
+};
+
+/**
+ * Costing rollup over the members: cost, sale, profit and payments per
+ * currency, and a line per booking.
+ */
+export const buildGroupCosting = (members) => {
+  const totals = {};
+  const bookings = members.map((b) => {
+    const currency = b.costing?.currency || DEFAULT_CURRENCY;
+    const t = b.costing?.totals || {};
+    const ledger = b.ledgerTotals || {};
+    const line = {
+      booking: b._id,
+      customerName: b.customerName,
+      state: stateOf(b),
+      currency,
+      totalCost: round2(t.totalCost),
+      totalSale: round2(t.totalSale),
+      profit: round2(t.profit),
+      paid: round2(ledger.netPaid),
+      outstanding: round2(ledger.outstanding),
+    };
+
+    const sum = (totals[currency] ||= { bookings: 0, totalCost: 0, totalSale: 0, profit: 0, paid: 0, outstanding: 0 });
+    sum.bookings += 1;
+    ["totalCost", "totalSale", "profit", "paid", "outstanding"].forEach((k) => {
+      sum[k] = round2(sum[k] + line[k]);
+    });
+    return line;
+  });
+
+  Object.values(totals).forEach((sum) => {
+    sum.marginPercent = sum.totalSale > 0 ? round2((sum.profit / sum.totalSale) * 100) : 0;
+  });
+  return { totals, bookings };
+};
+
+/**
+ * Move members to state `to` through the lifecycle (each one's rules and
+ * guards apply). `bookingIds` narrows it to some members. Members already
+ * there are skipped. Resolves to one result per member; failures do not
+ * stop the rest.
+ */
+export const transitionGroupMembers = async (group, to, { user, reason, bookingIds } = {}) => {
+  const only = bookingIds?.length ? new Set(bookingIds.map(String)) : null;
+  const results = [];
+  const members = await findGroupMembers(group);
+
+  for (const booking of members) {
+    if (only && !only.has(String(booking._id))) continue;
+    const from = stateOf(booking);
+    if (from === to) {
+      results.push({ booking: booking._id, from, to, ok: true, skipped: true });
+      continue;
+    }
+    try {
+      await transitionBooking(booking, to, { user, reason });
+      results.push({ booking: booking._id, from, to, ok: true });
+    } catch (error) {
+      if (!error.status) console.error(`Group transition failed for booking ${booking._id}:`, error);
+      results.push({
+        booking: booking._id,
+        from,
+        to,
+        ok: false,
+        status: error.status || 500,
+        message: error.message,
+        ...(error.issues ? { issues: error.issues } : {}),
+      });
+    }
+  }
+
+  const memberIds = new Set(members.map((b) => String(b._id)));
+  (only ? [...only] : [])
+    .filter((id) => !memberIds.has(id))
+    .forEach((id) => results.push({ booking: id, to, ok: false, status: 404, message: "Not a booking in this group" }));
+  return results;
+};
@@ -0,0 +1,267 @@
+// utils/hotelAllotment.js (ESM)
+import mongoose from "mongoose";
+import HotelAllotment from "../models/HotelAllotment.js";
+import { httpError } from "./httpError.js";
+import { onTransition, stateOf } from "./bookingLifecycle.js";
+
+/**
+ * Hotel room allotments.
+ *
+ * A block (HotelAllotment) keeps the rooms still free for each night.
+ * A booking hotel entry that names a master hotel (hotels[].hotel) takes
+ * `rooms` rooms of its room type for every night from checkIn to the night
+ * before checkOut, from one block that covers the whole stay. The take is a
+ * single conditional update: it only applies when no night in the range has
+ * fewer rooms left than asked, so concurrent bookings cannot overbook.
+ *
+ * The block used is recorded on the entry (hotels[].allotment). Changing or
+ * dropping the entry, deleting the booking or cancelling it gives the rooms
+ * back; restoring a deleted booking takes them again.
+ */
+
+const DAY = 86400000;
+
+// Bookings in these states hold no rooms
+const RELEASED_STATES = ["cancelled", "refunded"];
+
+const dayStart = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? null : new Date(Math.floor(d.getTime() / DAY) * DAY);
+};
+
+export const isoDay = (d) => new Date(d).toISOString().slice(0, 10);
+
+/** Nights of a stay: check-in day up to the day before check-out. */
+export const stayNights = (checkIn, checkOut) => {
+  const start = dayStart(checkIn);
+  const end = dayStart(checkOut);
+  if (!start || !end || end <= start) return [];
+  const nights = [];
+  for (let t = start.getTime(); t < end.getTime(); t += DAY) nights.push(new Date(t));
+  return nights;
+};
+
+/** The per-night list for a new block. */
+export const blockNights = (from, to, rooms) => stayNights(from, to).map((date) => ({ date, available: rooms }));
+
+const entryOf = (h) => (h?.toObject ? h.toObject() : h || {});
+const roomsOf = (h) => Math.max(parseInt(h.rooms, 10) || 1, 1);
+const roomTypeOf = (h) => String(h.roomType || "").trim().toLowerCase();
+
+// Same stay at the same block: the reservation can stay as it is
+const reservationKey = (h) =>
+  [h.allotment, h.hotel, roomTypeOf(h), isoDay(dayStart(h.checkIn) || 0), isoDay(dayStart(h.checkOut) || 0), roomsOf(h)]
+    .map(String)
+    .join("|");
+
+/**
+ * Take rooms for one stay. Tries every block of the hotel and room type that
+ * covers the stay (only `allotment` when given). Resolves to the block id;
+ * throws 409 with the shortest nights when none has room, 422 when no block
+ * covers the dates.
+ */
+export const reserveRooms = async ({ hotel, roomType, checkIn, checkOut, rooms = 1, allotment }) => {
+  const nights = stayNights(checkIn, checkOut);
+  if (!nights.length) throw httpError(400, "Hotel stays need a checkIn before checkOut");
+  if (!mongoose.Types.ObjectId.isValid(String(hotel))) throw httpError(400, "hotel must be a hotel id");
+  const type = String(roomType || "").trim().toLowerCase();
+  if (!type) throw httpError(400, "roomType is required to reserve hotel rooms");
+
+  const first = nights[0];
+  const last = nights[nights.length - 1];
+  const blocks = await HotelAllotment.find({
+    ...(allotment ? { _id: allotment } : {}),
+    hotel,
+    roomType: type,
+    from: { $lte: first },
+    to: { $gt: last },
+  })
+    .sort({ from: 1 })
+    .select("_id nights");
+  if (!blocks.length) {
+    throw httpError(422, `No ${type} allotment covers ${isoDay(first)} to ${isoDay(checkOut)} at this hotel`);
+  }
+
+  const inStay = { $gte: first, $lte: last };
+  for (const block of blocks) {
+    const result = await HotelAllotment.updateOne(
+      { _id: block._id, nights: { $not: { $elemMatch: { date: inStay, available: { $lt: rooms } } } } },
+      { $inc: { "nights.$[night].available": -rooms, __v: 1 } },
+      { arrayFilters: [{ "night.date": inStay }] }
+    );
+    if (result.modifiedCount) return block._id;
+  }
+
+  const short = blocks[0].nights
+    .filter((n) => n.date >= first && n.date <= last && n.available < rooms)
+    .map((n) => ({ date: isoDay(n.date), available: n.available }));
+  throw httpError(409, `Not enough ${type} rooms: ${rooms} needed, fewer left on ${short.length || "some"} night(s)`, {
+    nights: short,
+  });
+};
+
+/** Give a stay's rooms back to its block. */
+export const releaseRooms = async ({ allotment, checkIn, checkOut, rooms = 1 }) => {
+  const nights = stayNights(checkIn, checkOut);
+  if (!allotment || !nights.length) return;
+  const inStay = { $gte: nights[0], $lte: nights[nights.length - 1] };
+  await HotelAllotment.updateOne(
+    { _id: allotment },
+    { $inc: { "nights.$[night].available": rooms, __v: 1 } },
+    { arrayFilters: [{ "night.date": inStay }] }
+  );
+};
+
+const releaseEntries = async (entries) => {
+  for (const h of entries) {
+    try {
+      await releaseRooms({ allotment: h.allotment, checkIn: h.checkIn, checkOut: h.checkOut, rooms: roomsOf(h) });
+    } catch (error) {
+      console.error(`Releasing rooms of allotment ${h.allotment} failed:`, error);
+    }
+  }
+};
+
+// Take a released stay's rooms again from its block (best-effort; they were held a moment ago)
+const retakeEntries = async (entries) => {
+  for (const h of entries) {
+    try {
+      await reserveRooms({ ...h, rooms: roomsOf(h) });
+    } catch (error) {
+      console.error("Restoring hotel rooms failed:", error);
+    }
+  }
+};
+
+/**
+ * Bring a booking's reservations in line with its hotels, before it is
+ * saved. `previous` is the hotels array as it was stored (empty for a new
+ * booking). Unchanged stays keep their rooms, changed or dropped ones give
+ * them back, new ones take rooms. A client-sent allotment is never trusted.
+ * When a stay cannot be booked, everything is put back as it was and the
+ * 409/422 is thrown.
+ */
+export const syncHotelReservations = async (booking, previous = []) => {
+  const before = (previous || []).map(entryOf).filter((h) => h.allotment);
+  if (RELEASED_STATES.includes(stateOf(booking))) {
+    await releaseEntries(before);
+    (booking.hotels || []).forEach((h) => (h.allotment = undefined));
+    return;
+  }
+  const kept = new Set();
+  const taken = [];
+
+  const current = booking.hotels || [];
+  for (const h of current) {
+    const entry = entryOf(h);
+    if (!entry.hotel) {
+      if (entry.allotment) h.allotment = undefined;
+      continue;
+    }
+    const match = entry.allotment && before.find((b, i) => !kept.has(i) && reservationKey(b) === reservationKey(entry));
+    if (match) {
+      kept.add(before.indexOf(match));
+      continue;
+    }
+    h.allotment = undefined;
+    taken.push(h);
+  }
+
+  const released = before.filter((_, i) => !kept.has(i));
+  await releaseEntries(released);
+
+  const done = [];
+  try {
+    for (const h of taken) {
+      h.allotment = await reserveRooms({
+        hotel: h.hotel,
+        roomType: h.roomType,
+        checkIn: h.checkIn,
+        checkOut: h.checkOut,
+        rooms: roomsOf(h),
+      });
+      done.push(h);
+    }
+  } catch (error) {
+    await releaseEntries(done.map(entryOf));
+    done.forEach((h) => (h.allotment = undefined));
+    await retakeEntries(released);
+    throw error;
+  }
+};
+
+/**
+ * Undo a syncHotelReservations(booking, previous) whose booking then failed
+ * to save: rooms taken for new stays go back, and the stays in `previous`
+ * that were given up take their rooms again.
+ */
+export const undoHotelReservations = async (booking, previous = []) => {
+  const before = (previous || []).map(entryOf).filter((h) => h.allotment);
+  const kept = new Set();
+  const taken = (booking.hotels || [])
+    .map(entryOf)
+    .filter((h) => h.allotment)
+    .filter((h) => {
+      const i = before.findIndex((b, j) => !kept.has(j) && reservationKey(b) === reservationKey(h));
+      if (i < 0) return true;
+      kept.add(i);
+      return false;
+    });
+  await releaseEntries(taken);
+  await retakeEntries(before.filter((_, i) => !kept.has(i)));
+};
+
+/** Give back every room a booking holds and clear the links (delete/cancel). */
+export const releaseHotelReservations = async (booking) => {
+  const held = (booking.hotels || []).filter((h) => h.allotment);
+  await releaseEntries(held.map(entryOf));
+  held.forEach((h) => (h.allotment = undefined));
+  return held.length;
+};
+
+/**
+ * Rooms left per night for blocks overlapping [from, to): one row per block
+ * and night with the block size, rooms left and rooms sold.
+ */
+export const allotmentReport = async ({ hotel, roomType, hotelIds, from, to }) => {
+  const start = dayStart(from);
+  const end = dayStart(to);
+  if (!start || !end || end <= start) throw httpError(400, "from and to must be dates with from before to");
+  if ((end - start) / DAY > 366) throw httpError(400, "The report covers at most 366 nights");
+
+  const filter = { from: { $lt: end }, to: { $gt: start } };
+  if (hotel) filter.hotel = hotel;
+  else if (hotelIds) filter.hotel = { $in: hotelIds };
+  if (roomType) filter.roomType = String(roomType).toLowerCase();
+
+  const blocks = await HotelAllotment.find(filter).populate("hotel", "name city").sort({ hotel: 1, roomType: 1, from: 1 }).lean();
+
+  const rows = [];
+  blocks.forEach((block) => {
+    block.nights
+      .filter((n) => n.date >= start && n.date < end)
+      .forEach((n) =>
+        rows.push({
+          date: isoDay(n.date),
+          hotel: block.hotel?._id,
+          hotelName: block.hotel?.name,
+          city: block.hotel?.city,
+          roomType: block.roomType,
+          allotment: block._id,
+          rooms: block.rooms,
+          remaining: n.available,
+          sold: block.rooms - n.available,
+        })
+      );
+  });
+  rows.sort((a, b) => a.date.localeCompare(b.date) || String(a.hotelName).localeCompare(String(b.hotelName)));
+
+  return rows;
+};
+
+// Cancelled bookings give their rooms back
+onTransition("cancelled", async ({ booking }) => {
+  if (!(await releaseHotelReservations(booking))) return;
+  await booking.save();
+});
@@ -0,0 +1,14 @@
+// utils/httpError.js (ESM)
+
+/**
+ * Error carrying an HTTP status. Controllers that catch it reply with
+ * `err.status`; errorMiddleware does the same for uncaught ones.
+ */
+export const httpError = (status, message, extra = {}) => {
+  const err = new Error(message);
+  err.status = status;
+  Object.assign(err, extra);
+  return err;
+};
+
+export default httpError;
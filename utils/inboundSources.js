@@ -0,0 +1,33 @@
+// utils/inboundSources.js (ESM)
+
+/**
+ * Secrets for inbound signed webhooks, per source (the :source in
+ * POST /api/webhooks/inbound/:source):
+ *
+ *   INBOUND_WEBHOOK_SECRETS='{"mtumrah":"s3cret","miqat":["new","old"]}'
+ *   or INBOUND_WEBHOOK_SECRET_MTUMRAH=s3cret
+ *
+ * An array lists every secret currently accepted (for rotation).
+ * A source without a secret is unknown and gets a 404.
+ */
+const parseSecrets = () => {
+  try {
+    return JSON.parse(process.env.INBOUND_WEBHOOK_SECRETS || "{}");
+  } catch {
+    console.warn("INBOUND_WEBHOOK_SECRETS is not valid JSON; ignoring");
+    return {};
+  }
+};
+
+export const isValidSourceName = (source) => /^[a-z0-9][a-z0-9_-]{0,49}$/i.test(String(source || ""));
+
+export const inboundSecretsFor = (source) => {
+  if (!isValidSourceName(source)) return [];
+  const key = String(source).toLowerCase();
+  const fromJson = parseSecrets()[key];
+  const fromEnv = process.env[`INBOUND_WEBHOOK_SECRET_${key.toUpperCase().replace(/-/g, "_")}`];
+  return [fromJson, fromEnv].flat().filter((s) => typeof s === "string" && s.length > 0);
+};
+
+// Allowed clock skew / replay window for inbound timestamps, in seconds
+export const inboundToleranceSeconds = () => Number(process.env.INBOUND_WEBHOOK_TOLERANCE_SECONDS) || 300;
@@ -0,0 +1,38 @@
+// utils/inquiryAccess.js (ESM)
+import mongoose from "mongoose";
+import Inquiry from "../models/Inquiry.js";
+import { defaultInquirySourceName } from "./inquirySources.js";
+
+// By MongoDB _id, else by the external portal's id. With `source`, only
+// that source's inquiries are found (inbound webhooks). Without it, an id
+// two portals share resolves to the default portal's inquiry, else the
+// oldest one.
+export const findInquiry = async (id, { source } = {}) => {
+  const scope = source ? { source } : {};
+  if (mongoose.Types.ObjectId.isValid(id) && String(id).length === 24) {
+    const inquiry = await Inquiry.findOne({ _id: id, ...scope });
+    if (inquiry) return inquiry;
+  }
+  if (source) return Inquiry.findOne({ externalId: String(id), source });
+  const matches = await Inquiry.find({ externalId: String(id) }).sort({ createdAt: 1, _id: 1 });
+  return matches.find((i) => i.source === defaultInquirySourceName()) || matches[0] || null;
+};
+
+/**
+ * Load the inquiry in req.params.id and enforce admin-or-assigned-agent
+ * access. Sends the 403/404 response itself and resolves to null on
+ * failure, so callers just `if (!inquiry) return;`.
+ */
+export const loadInquiryForUser = async (req, res) => {
+  const inquiry = await findInquiry(req.params.id);
+  if (!inquiry) {
+    res.status(404).json({ success: false, message: "Inquiry not found" });
+    return null;
+  }
+  const isAssigned = inquiry.assignedAgent ? String(inquiry.assignedAgent) === String(req.user._id) : false;
+  if (!isAssigned && req.user.role !== "admin") {
+    res.status(403).json({ success: false, message: "Only the assigned agent can work on this inquiry" });
+    return null;
+  }
+  return inquiry;
+};
@@ -0,0 +1,226 @@
+// utils/inquiryAssignment.js (ESM)
+import Inquiry from "../models/Inquiry.js";
+import User from "../models/User.js";
+import AssignmentRule from "../models/AssignmentRule.js";
+import AssignmentLog from "../models/AssignmentLog.js";
+import { notifyInquiryAssigned } from "./notifications.js";
+import { OPEN_INQUIRY_STATUSES } from "./inquirySla.js";
+
+/**
+ * Automatic inquiry assignment.
+ *
+ * New inquiries (createInquiry, the inbound webhook and the external sync)
+ * are run through the enabled AssignmentRules in priority order. The first
+ * rule whose match fits picks an active agent from its pool:
+ *   round_robin  the agent auto-assigned longest ago (never = first)
+ *   least_open   the agent with the fewest open (unresolved) inquiries
+ * A rule whose pool has no active agent applies its fallback: next_rule,
+ * any_agent (its strategy over every active agent) or none (leave it).
+ *
+ * When no rule decides, INQUIRY_AUTO_ASSIGN (round_robin | least_open)
+ * is used over every active agent; unset = leave the inquiry for an admin,
+ * "off" disables auto-assignment altogether.
+ *
+ * Each decision is written to AssignmentLog with the reason.
+ */
+
+const defaultStrategy = () => {
+  const value = (process.env.INQUIRY_AUTO_ASSIGN || "").toLowerCase();
+  return ["round_robin", "least_open"].includes(value) ? value : null;
+};
+
+const isDisabled = () => ["off", "false"].includes((process.env.INQUIRY_AUTO_ASSIGN || "").toLowerCase());
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const activeAgents = (filter = {}, exclude = []) =>
+  User.find({ role: "agent", isActive: { $ne: false }, ...(exclude.length ? { _id: { $nin: exclude } } : {}), ...filter })
+    .select("_id name department lastAutoAssignedAt")
+    .sort({ _id: 1 })
+    .lean();
+
+// Active agents of the rule's department and/or its listed agents
+const rulePool = (rule, exclude) => {
+  const or = [];
+  if (rule.department) or.push({ department: new RegExp(`^${escapeRegex(rule.department)}$`, "i") });
+  if (rule.agents?.length) or.push({ _id: { $in: rule.agents } });
+  return or.length ? activeAgents({ $or: or }, exclude) : activeAgents({}, exclude);
+};
+
+const describePool = (rule) =>
+  [rule.department && `department "${rule.department}"`, rule.agents?.length && `${rule.agents.length} listed agent(s)`]
+    .filter(Boolean)
+    .join(" + ") || "all agents";
+
+const byRotation = (a, b) =>
+  (a.lastAutoAssignedAt?.getTime() ?? 0) - (b.lastAutoAssignedAt?.getTime() ?? 0) || String(a._id).localeCompare(String(b._id));
+
+const STRATEGIES = {
+  round_robin: async (pool) => {
+    const agent = [...pool].sort(byRotation)[0];
+    const when = agent.lastAutoAssignedAt ? `last auto-assigned ${agent.lastAutoAssignedAt.toISOString()}` : "never auto-assigned";
+    return { agent, detail: `next in rotation (${when})` };
+  },
+  least_open: async (pool) => {
+    const counts = await Inquiry.aggregate([
+      { $match: { assignedAgent: { $in: pool.map((a) => a._id) }, status: { $in: OPEN_INQUIRY_STATUSES } } },
+      { $group: { _id: "$assignedAgent", open: { $sum: 1 } } },
+    ]);
+    const open = new Map(counts.map((c) => [String(c._id), c.open]));
+    const load = (a) => open.get(String(a._id)) || 0;
+    const agent = [...pool].sort((a, b) => load(a) - load(b) || byRotation(a, b))[0];
+    return { agent, detail: `fewest open inquiries (${load(agent)})` };
+  },
+};
+
+const contains = (list, value) =>
+  !list?.length || list.some((v) => String(value || "").toLowerCase().includes(String(v).toLowerCase()));
+
+export const ruleMatches = (rule, inquiry) => {
+  const match = rule.match || {};
+  const sourceOk =
+    !match.sources?.length || match.sources.some((s) => s.toLowerCase() === String(inquiry.source || "").toLowerCase());
+  return sourceOk && contains(match.packageNames, inquiry.packageDetails?.packageName) && contains(match.keywords, inquiry.message);
+};
+
+const describeMatch = (rule) => {
+  const m = rule.match || {};
+  const parts = [
+    m.packageNames?.length && `package ~ ${m.packageNames.join("|")}`,
+    m.sources?.length && `source = ${m.sources.join("|")}`,
+    m.keywords?.length && `message ~ ${m.keywords.join("|")}`,
+  ].filter(Boolean);
+  return parts.length ? parts.join(", ") : "matches every inquiry";
+};
+
+/**
+ * Decide who should get an inquiry without assigning it. Resolves to
+ * { agent, rule, strategy, fallback, candidates, reason } (agent null when
+ * a rule says to leave it unassigned), or null when nothing applies.
+ * exclude: agent ids that must not be picked (SLA escalation).
+ */
+export const chooseAgent = async (inquiry, { exclude = [] } = {}) => {
+  const rules = await AssignmentRule.find({ enabled: true }).sort({ priority: 1, createdAt: 1 }).lean();
+  const notes = [];
+
+  const pickFrom = async (pool, strategy, base) => {
+    const { agent, detail } = await STRATEGIES[strategy](pool);
+    const picked = `${base.reason}; ${strategy} among ${pool.length} agent(s): ${agent.name || agent._id} ${detail}`;
+    return { ...base, agent, strategy, candidates: pool.length, reason: [...notes, picked].join(". ") };
+  };
+
+  for (const rule of rules) {
+    if (!ruleMatches(rule, inquiry)) continue;
+    const head = `Rule "${rule.name}" (${describeMatch(rule)})`;
+
+    const pool = await rulePool(rule, exclude);
+    if (pool.length) {
+      return pickFrom(pool, rule.strategy, { rule, fallback: false, reason: `${head} -> ${describePool(rule)}` });
+    }
+
+    const empty = `${head} matched but ${describePool(rule)} has no active agent`;
+    if (rule.fallback === "none") {
+      const reason = [...notes, `${empty}; left unassigned`].join(". ");
+      return { agent: null, rule, strategy: rule.strategy, fallback: true, candidates: 0, reason };
+    }
+    if (rule.fallback === "any_agent") {
+      const everyone = await activeAgents({}, exclude);
+      if (everyone.length) {
+        return pickFrom(everyone, rule.strategy, { rule, fallback: true, reason: `${empty}; fallback to all agents` });
+      }
+    }
+    notes.push(`${empty}; trying the next rule`);
+  }
+
+  const strategy = defaultStrategy();
+  if (strategy) {
+    const everyone = await activeAgents({}, exclude);
+    if (everyone.length) {
+      return pickFrom(everyone, strategy, { rule: null, fallback: notes.length > 0, reason: "No rule assigned it; default strategy" });
+    }
+    notes.push("No active agents");
+  }
+
+  return notes.length
+    ? { agent: null, rule: null, strategy: null, fallback: true, candidates: 0, reason: notes.join(". ") }
+    : null;
+};
+
+const writeLog = (inquiry, decision, trigger) =>
+  AssignmentLog.create({
+    inquiry: inquiry._id,
+    agent: decision.agent?._id || null,
+    trigger,
+    rule: decision.rule?._id,
+    ruleName: decision.rule?.name,
+    strategy: decision.strategy,
+    fallback: decision.fallback,
+    candidates: decision.candidates,
+    reason: decision.reason,
+  });
+
+/**
+ * Auto-assign an unassigned inquiry. trigger: "create" | "sync" | "auto".
+ * Resolves to { inquiry, log } when a decision was made (inquiry is the
+ * updated document, unchanged when left unassigned) or null. Best-effort:
+ * errors are logged and resolve to null so the caller's write stands.
+ */
+export const autoAssignInquiry = async (inquiry, { trigger = "auto" } = {}) => {
+  try {
+    if (isDisabled() || inquiry.assignedAgent) return null;
+
+    const decision = await chooseAgent(inquiry);
+    if (!decision) return null;
+    if (!decision.agent) return { inquiry, log: await writeLog(inquiry, decision, trigger) };
+
+    // Only if still unassigned: an admin may have got there first
+    const assigned = await Inquiry.findOneAndUpdate(
+      { _id: inquiry._id, assignedAgent: null },
+      { $set: { assignedAgent: decision.agent._id } },
+      { new: true }
+    );
+    if (!assigned) return null;
+
+    await User.updateOne({ _id: decision.agent._id }, { $set: { lastAutoAssignedAt: new Date() } });
+    const log = await writeLog(assigned, decision, trigger);
+    notifyInquiryAssigned(assigned);
+    return { inquiry: assigned, log };
+  } catch (error) {
+    console.error("autoAssignInquiry error:", error);
+    return null;
+  }
+};
+
+/**
+ * Move an assigned inquiry to a different agent picked by the rules (the
+ * current agent excluded). Used by SLA escalation. Resolves to
+ * { inquiry, log, from } or null when nobody else is available.
+ */
+export const reassignInquiry = async (inquiry, { trigger = "escalation", reason } = {}) => {
+  const from = inquiry.assignedAgent?._id || inquiry.assignedAgent || null;
+  const decision = await chooseAgent(inquiry, { exclude: from ? [from] : [] });
+  if (!decision?.agent) return null;
+
+  const reassigned = await Inquiry.findOneAndUpdate(
+    { _id: inquiry._id, assignedAgent: from },
+    { $set: { assignedAgent: decision.agent._id } },
+    { new: true }
+  );
+  if (!reassigned) return null;
+
+  await User.updateOne({ _id: decision.agent._id }, { $set: { lastAutoAssignedAt: new Date() } });
+  const log = await writeLog(reassigned, { ...decision, reason: [reason, decision.reason].filter(Boolean).join(". ") }, trigger);
+  notifyInquiryAssigned(reassigned);
+  return { inquiry: reassigned, log, from };
+};
+
+// Audit entry for an admin's hand assignment (POST /api/inquiries/:id/assign)
+export const recordManualAssignment = (inquiry, agentId, user) =>
+  AssignmentLog.create({
+    inquiry: inquiry._id,
+    agent: agentId,
+    trigger: "manual",
+    strategy: "manual",
+    actor: user?._id,
+    reason: `Assigned by ${user?.name || "an admin"}`,
+  }).catch((error) => console.error("recordManualAssignment error:", error));
@@ -0,0 +1,123 @@
+// utils/inquiryConversation.js (ESM)
+import InquiryMessage from "../models/InquiryMessage.js";
+import { httpError } from "./httpError.js";
+import { notifyCustomerReply, notifyInquiryReply } from "./notifications.js";
+
+/**
+ * Inquiry conversations (InquiryMessage).
+ *
+ * Agents write internal notes and replies on the inquiries assigned to them.
+ * A reply from an agent waits for an admin (pending_approval); an admin's
+ * own reply is approved on the spot. Approval emails the reply to the
+ * customer, records it in inquiry.responses (which the SLA reads as the
+ * first response) and marks the inquiry responded. Customer replies come in
+ * through the signed inbound webhook and move the inquiry back to
+ * in-progress.
+ */
+
+const MAX_BODY = 10000;
+
+const cleanBody = (body) => {
+  const text = String(body ?? "").trim();
+  if (!text) throw httpError(400, "message is required");
+  if (text.length > MAX_BODY) throw httpError(400, `message is limited to ${MAX_BODY} characters`);
+  return text;
+};
+
+/**
+ * Approve a pending reply: email it and record it as the inquiry's response.
+ * Resolves to the updated message; 409 when it was already reviewed.
+ */
+export const approveReply = async (inquiry, messageId, user) => {
+  const message = await InquiryMessage.findOneAndUpdate(
+    { _id: messageId, inquiry: inquiry._id, kind: "reply", status: "pending_approval" },
+    { $set: { status: "approved", reviewedBy: user._id, reviewedAt: new Date() } },
+    { new: true }
+  );
+  if (!message) {
+    const exists = await InquiryMessage.exists({ _id: messageId, inquiry: inquiry._id, kind: "reply" });
+    throw httpError(exists ? 409 : 404, exists ? "Reply was already reviewed" : "Reply not found");
+  }
+
+  const email = await notifyInquiryReply(inquiry, message);
+  if (email) {
+    message.emailMessage = email._id;
+    await message.save();
+  }
+
+  inquiry.responses.push({ responder: message.author, message: message.body, approved: true, createdAt: message.reviewedAt });
+  if (["pending", "in-progress"].includes(inquiry.status)) inquiry.status = "responded";
+  await inquiry.save();
+
+  return message;
+};
+
+export const rejectReply = async (inquiry, messageId, user, reason) => {
+  const message = await InquiryMessage.findOneAndUpdate(
+    { _id: messageId, inquiry: inquiry._id, kind: "reply", status: "pending_approval" },
+    {
+      $set: {
+        status: "rejected",
+        reviewedBy: user._id,
+        reviewedAt: new Date(),
+        rejectionReason: reason ? String(reason).slice(0, 1000) : undefined,
+      },
+    },
+    { new: true }
+  );
+  if (!message) {
+    const exists = await InquiryMessage.exists({ _id: messageId, inquiry: inquiry._id, kind: "reply" });
+    throw httpError(exists ? 409 : 404, exists ? "Reply was already reviewed" : "Reply not found");
+  }
+  return message;
+};
+
+/**
+ * Add a note or reply written by staff. Access (admin or assigned agent) is
+ * checked by the caller. Resolves to the message.
+ */
+export const postStaffMessage = async (inquiry, { kind = "reply", body, user }) => {
+  if (!["note", "reply"].includes(kind)) throw httpError(400, 'kind must be "note" or "reply"');
+
+  const message = await InquiryMessage.create({
+    inquiry: inquiry._id,
+    kind,
+    body: cleanBody(body),
+    author: user._id,
+    ...(kind === "reply" ? { status: "pending_approval" } : {}),
+  });
+
+  if (kind === "reply" && user.role === "admin") return approveReply(inquiry, message._id, user);
+  return message;
+};
+
+/**
+ * Record an inbound customer reply. Redeliveries (same source and
+ * externalMessageId) resolve to { message, created: false }.
+ */
+export const recordCustomerReply = async (inquiry, { body, fromEmail, source, externalMessageId }) => {
+  const fields = {
+    inquiry: inquiry._id,
+    kind: "customer",
+    body: cleanBody(body),
+    fromEmail: fromEmail || inquiry.customerEmail,
+    source,
+    externalMessageId: externalMessageId ? String(externalMessageId) : undefined,
+  };
+
+  let message;
+  try {
+    message = await InquiryMessage.create(fields);
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    message = await InquiryMessage.findOne({ source, externalMessageId: fields.externalMessageId });
+    return { message, created: false };
+  }
+
+  if (inquiry.status !== "pending" && inquiry.status !== "in-progress") {
+    inquiry.status = "in-progress";
+    await inquiry.save();
+  }
+  notifyCustomerReply(inquiry, message);
+  return { message, created: true };
+};
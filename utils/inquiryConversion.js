@@ -0,0 +1,214 @@
+// utils/inquiryConversion.js (ESM)
+import mongoose from "mongoose";
+import Booking from "../models/Booking.js";
+import Inquiry from "../models/Inquiry.js";
+import { computeCosting } from "./costing.js";
+import { recordBookingHistory } from "./bookingHistory.js";
+import { emitBookingWebhook } from "./webhookOutbox.js";
+import { httpError } from "./httpError.js";
+
+/**
+ * Inquiry -> Booking conversion.
+ *
+ * The booking carries the inquiry's package over: hotels (Makkah, then
+ * Madina) with the chosen room type, a costing row at the package price,
+ * transfers between the hotels, visa count and the inclusions. The two are
+ * linked both ways (booking.inquiryId / inquiry.bookingId) and an inquiry is
+ * converted at most once.
+ */
+
+export const ROOM_TYPES = ["double", "triple", "quad"];
+
+const INCLUSION_LABELS = {
+  breakfast: "Breakfast",
+  dinner: "Dinner",
+  visa: "Visa",
+  ticket: "Air ticket",
+  roundtrip: "Round trip",
+  ziyarat: "Ziyarat",
+  guide: "Guide",
+};
+
+// "1,450 USD" -> 1450; undefined when there is no number
+const parsePrice = (value) => {
+  const n = Number(String(value ?? "").replace(/[^0-9.]/g, ""));
+  return String(value ?? "").trim() && Number.isFinite(n) ? n : undefined;
+};
+
+const parseNights = (value) => {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) && n > 0 ? n : 0;
+};
+
+const isoDate = (date) => date.toISOString().slice(0, 10);
+const addDays = (date, days) => new Date(date.getTime() + days * 86400000);
+const capitalize = (s) => s.charAt(0).toUpperCase() + s.slice(1);
+
+/**
+ * Booking fields for an inquiry's package. Options:
+ *   roomType       double | triple | quad (default: first one with a price)
+ *   passengers     head count (default 1); priced per person
+ *   departureDate  fills hotel check-in/out and transfer dates
+ */
+export const bookingFieldsFromInquiry = (inquiry, { roomType, passengers, departureDate } = {}) => {
+  const pkg = inquiry.packageDetails?.toObject?.() || inquiry.packageDetails || {};
+  const pricing = pkg.pricing || {};
+
+  if (roomType !== undefined && !ROOM_TYPES.includes(roomType)) {
+    throw httpError(400, `roomType must be one of ${ROOM_TYPES.join(", ")}`);
+  }
+  // Catalog inquiries keep the quoted occupancy and price
+  const snapshot = inquiry.packageSnapshot?.toObject?.() || inquiry.packageSnapshot;
+  const quoted = snapshot?.price !== undefined && snapshot?.price !== null ? snapshot : null;
+  const room = roomType || quoted?.occupancy || ROOM_TYPES.find((t) => parsePrice(pricing[t]) !== undefined) || "double";
+  const price = quoted && quoted.occupancy === room ? quoted.price : parsePrice(pricing[room]);
+
+  const pax = passengers === undefined ? 1 : parseInt(passengers, 10);
+  if (!Number.isFinite(pax) || pax < 1) throw httpError(400, "passengers must be a positive number");
+
+  const departure = departureDate ? new Date(departureDate) : null;
+  if (departure && Number.isNaN(departure.getTime())) throw httpError(400, "departureDate is not a valid date");
+
+  // Makkah first, then Madina; dates run on from the departure when known
+  const stays = [
+    { city: "Makkah", name: pkg.hotels?.makkah, nights: parseNights(pkg.duration?.nightsMakkah) },
+    { city: "Madina", name: pkg.hotels?.madina, nights: parseNights(pkg.duration?.nightsMadina) },
+  ].filter((s) => s.name);
+
+  let cursor = departure;
+  const hotels = stays.map((stay) => {
+    const hotel = { name: stay.name, roomType: capitalize(room) };
+    if (cursor) {
+      hotel.checkIn = isoDate(cursor);
+      cursor = addDays(cursor, stay.nights);
+      hotel.checkOut = isoDate(cursor);
+    }
+    return hotel;
+  });
+
+  const totalNights = parseNights(pkg.duration?.totalNights) || stays.reduce((n, s) => n + s.nights, 0);
+  const returnDate = departure && totalNights ? addDays(departure, totalNights) : undefined;
+
+  // Airport -> first hotel -> ... -> airport, when the package includes transport
+  let transportation;
+  if (pkg.services?.transportation) {
+    const stops = ["Airport", ...stays.map((s) => `${s.city} Hotel`), "Airport"];
+    const legs = [];
+    let day = departure;
+    stops.slice(1).forEach((to, i) => {
+      legs.push({ from: stops[i], to, ...(day ? { date: isoDate(day) } : {}) });
+      if (day && stays[i]) day = addDays(day, stays[i].nights);
+    });
+    transportation = { count: legs.length, legs };
+  }
+
+  const currency = String(pricing.currency || "").trim().toUpperCase() || undefined;
+  const costing =
+    price !== undefined
+      ? computeCosting({
+          currency,
+          rows: [
+            {
+              item: "package",
+              label: `${pkg.packageName || "Package"} (${capitalize(room)} sharing)`,
+              quantity: pax,
+              costPerQty: 0,
+              salePerQty: price,
+            },
+          ],
+        })
+      : undefined;
+
+  const inclusions = Object.entries(pkg.inclusions || {})
+    .filter(([key, on]) => on && INCLUSION_LABELS[key])
+    .map(([key]) => INCLUSION_LABELS[key]);
+  const visaIncluded = Boolean(pkg.inclusions?.visa || pkg.services?.visa);
+
+  return {
+    customerName: inquiry.customerName,
+    customerEmail: inquiry.customerEmail,
+    contactNumber: inquiry.customerPhone || "",
+    customer: inquiry.customer || undefined,
+    package: pkg.packageName || "Inquiry Package",
+    packageId: inquiry.packageId || undefined,
+    packageSnapshot: quoted ? { ...quoted, occupancy: room, price } : undefined,
+    date: new Date(),
+    passengers: String(pax),
+    departureDate: departure || undefined,
+    returnDate,
+    packagePrice: price !== undefined ? String(price) : undefined,
+    totalAmount: costing?.totals.totalSale,
+    amount: costing?.totals.totalSale,
+    additionalServices: inclusions.join(", ") || undefined,
+    hotels: hotels.length ? hotels : undefined,
+    hotel: hotels[0] ? { name: hotels[0].name, roomType: hotels[0].roomType } : undefined,
+    transportation,
+    transport: pkg.services?.transportation ? { transportType: pkg.services.transportation } : undefined,
+    visas: visaIncluded ? { count: pax, passengers: [] } : undefined,
+    visa: pkg.services?.visa ? { visaType: pkg.services.visa } : undefined,
+    costing,
+  };
+};
+
+// The booking already made from this inquiry, if any (deleted ones count)
+const existingBooking = async (inquiry) => {
+  const byLink = inquiry.bookingId
+    ? await Booking.findById(inquiry.bookingId).setOptions({ withDeleted: true })
+    : null;
+  return byLink || Booking.findOne({ inquiryId: inquiry._id }).setOptions({ withDeleted: true });
+};
+
+/**
+ * Create the booking for an inquiry. Resolves to { booking, created };
+ * when the inquiry was already converted the existing booking comes back
+ * with created: false and nothing is written.
+ *
+ * The inquiry is claimed (bookingId set while still empty) before the
+ * booking is created, so concurrent conversions cannot both succeed.
+ */
+export const convertInquiryToBooking = async (inquiry, { agent, user, state = "draft", ...options } = {}) => {
+  const existing = await existingBooking(inquiry);
+  if (existing) {
+    if (String(inquiry.bookingId || "") !== String(existing._id)) {
+      inquiry.bookingId = existing._id;
+      await Inquiry.updateOne({ _id: inquiry._id }, { $set: { bookingId: existing._id } });
+    }
+    return { booking: existing, created: false };
+  }
+
+  const fields = bookingFieldsFromInquiry(inquiry, options);
+  const bookingId = new mongoose.Types.ObjectId();
+  const claim = await Inquiry.updateOne(
+    { _id: inquiry._id, bookingId: null },
+    { $set: { bookingId } }
+  );
+  if (!claim.matchedCount) {
+    const fresh = await Inquiry.findById(inquiry._id);
+    const booking = fresh?.bookingId ? await Booking.findById(fresh.bookingId).setOptions({ withDeleted: true }) : null;
+    if (booking) {
+      inquiry.bookingId = booking._id;
+      return { booking, created: false };
+    }
+    throw httpError(409, "Inquiry is being converted; try again");
+  }
+
+  let booking;
+  try {
+    booking = await Booking.create({
+      _id: bookingId,
+      ...fields,
+      state,
+      agent: agent || inquiry.assignedAgent || user?._id,
+      inquiryId: inquiry._id,
+    });
+  } catch (error) {
+    await Inquiry.updateOne({ _id: inquiry._id, bookingId }, { $set: { bookingId: null } });
+    throw error;
+  }
+  inquiry.bookingId = booking._id;
+
+  await recordBookingHistory({ booking, action: "create", user, reason: `Converted from inquiry ${inquiry._id}` });
+  emitBookingWebhook("booking.created", booking);
+
+  return { booking, created: true };
+};
@@ -0,0 +1,104 @@
+// utils/inquiryEscalation.js (ESM)
+import Inquiry from "../models/Inquiry.js";
+import { OPEN_INQUIRY_STATUSES } from "./inquirySla.js";
+import { reassignInquiry } from "./inquiryAssignment.js";
+import { notifyInquirySlaBreached } from "./notifications.js";
+
+/**
+ * SLA escalation job.
+ *
+ * Every pass refreshes the SLA fields of open inquiries whose targets have
+ * come due (or that have none yet, e.g. rows written by an upsert) and
+ * escalates each breach once per kind:
+ *   first_response  INQUIRY_SLA_ESCALATION=reassign moves the inquiry to
+ *                   another agent picked by the assignment rules; otherwise,
+ *                   or when nobody else is available, admins are emailed
+ *   resolution      admins are emailed
+ * Escalations are recorded on inquiry.sla.escalations.
+ */
+
+const BATCH = 500;
+
+const escalationMode = () => (process.env.INQUIRY_SLA_ESCALATION === "reassign" ? "reassign" : "notify");
+
+const pendingBreach = (inquiry, kind) => {
+  const sla = inquiry.sla || {};
+  const escalated = (sla.escalations || []).some((e) => e.kind === kind);
+  if (escalated) return false;
+  return kind === "first_response"
+    ? Boolean(sla.firstResponseBreachedAt && !sla.firstResponseAt)
+    : Boolean(sla.resolutionBreachedAt && !sla.resolvedAt);
+};
+
+// Escalate one breach; resolves to the saved inquiry (a new document when reassigned)
+const escalate = async (inquiry, kind) => {
+  const dueAt = kind === "first_response" ? inquiry.sla.firstResponseDueAt : inquiry.sla.resolutionDueAt;
+  const from = inquiry.assignedAgent || null;
+  let current = inquiry;
+  let entry = { at: new Date(), kind, action: "notified", from };
+
+  if (kind === "first_response" && escalationMode() === "reassign" && from) {
+    const result = await reassignInquiry(inquiry, {
+      trigger: "escalation",
+      reason: `First response due ${dueAt.toISOString()} was missed`,
+    });
+    if (result) {
+      current = result.inquiry;
+      entry = { ...entry, action: "reassigned", to: result.inquiry.assignedAgent };
+    }
+  }
+
+  current.sla.escalations.push(entry);
+  await current.save();
+  notifyInquirySlaBreached(current, { kind, dueAt, action: entry.action });
+  return current;
+};
+
+/**
+ * One pass. Resolves to { checked, escalated } counts.
+ */
+export const runSlaEscalation = async (now = new Date()) => {
+  const inquiries = await Inquiry.find({
+    status: { $in: OPEN_INQUIRY_STATUSES },
+    $or: [
+      { "sla.resolutionDueAt": null },
+      { "sla.firstResponseAt": null, "sla.firstResponseDueAt": { $lte: now }, "sla.escalations.kind": { $ne: "first_response" } },
+      { "sla.resolvedAt": null, "sla.resolutionDueAt": { $lte: now }, "sla.escalations.kind": { $ne: "resolution" } },
+    ],
+  })
+    .sort({ createdAt: 1 })
+    .limit(BATCH);
+
+  let escalated = 0;
+  for (const inquiry of inquiries) {
+    try {
+      let doc = await inquiry.save(); // pre-save recomputes the SLA as of now
+      for (const kind of ["first_response", "resolution"]) {
+        if (!pendingBreach(doc, kind)) continue;
+        doc = await escalate(doc, kind);
+        escalated += 1;
+      }
+    } catch (error) {
+      console.error(`SLA escalation failed for inquiry ${inquiry._id}:`, error);
+    }
+  }
+  return { checked: inquiries.length, escalated };
+};
+
+let timer = null;
+
+/**
+ * Run the escalation pass every INQUIRY_SLA_INTERVAL_MS (default 5 minutes).
+ * INQUIRY_SLA_ENABLED=false turns it off.
+ */
+export const startSlaWorker = () => {
+  if (timer || process.env.INQUIRY_SLA_ENABLED === "false") return;
+  const every = Number(process.env.INQUIRY_SLA_INTERVAL_MS) || 5 * 60 * 1000;
+  timer = setInterval(() => runSlaEscalation().catch((e) => console.error("SLA escalation error:", e)), every);
+  timer.unref();
+};
+
+export const stopSlaWorker = () => {
+  clearInterval(timer);
+  timer = null;
+};
@@ -0,0 +1,97 @@
+// utils/inquiryInput.js (ESM)
+import { normalizePriority } from "./inquirySla.js";
+
+/**
+ * Inquiry fields from a form/portal payload. Accepts the documented
+ * snake_case fields, the legacy camelCase ones, flat package_* fields or a
+ * package_details object. Used by POST /api/inquiries and the signed
+ * inbound webhook, which also accept a catalog packageId
+ * (utils/packageQuote.js withCatalogPackage).
+ */
+export const parseInquiryInput = (body) => {
+  // Support both the documented payload and legacy field names
+  const {
+    name,
+    email,
+    phone,
+    message,
+    priority, // low | medium | high | urgent (anything else = the default)
+    customerName,
+    customerEmail,
+    customerPhone,
+    // External ID from PostgreSQL system (optional)
+    externalId,
+    id, // Also accept 'id' field as external ID
+    // Package details fields (optional)
+    package_name,
+    packageName,
+    price_double,
+    price_triple,
+    price_quad,
+    currency,
+    nights_makkah,
+    nights_madina,
+    total_nights,
+    hotel_makkah,
+    hotel_madina,
+    transportation,
+    visa_service,
+    breakfast,
+    dinner,
+    visa_included,
+    ticket,
+    roundtrip,
+    ziyarat,
+    guide,
+    // Package details object (alternative format)
+    package_details,
+  } = body || {};
+
+  // Build package details if any package fields are provided
+  let packageDetails = null;
+  if (package_details || package_name || packageName) {
+    const pkg = package_details || {};
+    packageDetails = {
+      packageName: packageName || package_name || pkg.package_name || null,
+      pricing: {
+        double: price_double || pkg.pricing?.double || null,
+        triple: price_triple || pkg.pricing?.triple || null,
+        quad: price_quad || pkg.pricing?.quad || null,
+        currency: currency || pkg.pricing?.currency || 'USD',
+      },
+      duration: {
+        nightsMakkah: nights_makkah || pkg.duration?.nights_makkah || null,
+        nightsMadina: nights_madina || pkg.duration?.nights_madina || null,
+        totalNights: total_nights || pkg.duration?.total_nights || null,
+      },
+      hotels: {
+        makkah: hotel_makkah || pkg.hotels?.makkah || null,
+        madina: hotel_madina || pkg.hotels?.madina || null,
+      },
+      services: {
+        transportation: transportation || pkg.services?.transportation || null,
+        visa: visa_service || pkg.services?.visa || null,
+      },
+      inclusions: {
+        breakfast: breakfast !== undefined ? Boolean(breakfast) : (pkg.inclusions?.breakfast || false),
+        dinner: dinner !== undefined ? Boolean(dinner) : (pkg.inclusions?.dinner || false),
+        visa: visa_included !== undefined ? Boolean(visa_included) : (pkg.inclusions?.visa || false),
+        ticket: ticket !== undefined ? Boolean(ticket) : (pkg.inclusions?.ticket || false),
+        roundtrip: roundtrip !== undefined ? Boolean(roundtrip) : (pkg.inclusions?.roundtrip || false),
+        ziyarat: ziyarat !== undefined ? Boolean(ziyarat) : (pkg.inclusions?.ziyarat || false),
+        guide: guide !== undefined ? Boolean(guide) : (pkg.inclusions?.guide || false),
+      },
+    };
+  }
+
+  return {
+    // Store external ID from PostgreSQL system if provided
+    externalId: externalId || id || undefined,
+    customerName: customerName || name,
+    customerEmail: customerEmail || email,
+    customerPhone: customerPhone || phone,
+    message,
+    priority: normalizePriority(priority),
+    packageDetails: packageDetails,
+  };
+};
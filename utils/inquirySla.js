@@ -0,0 +1,116 @@
+// utils/inquirySla.js (ESM)
+
+/**
+ * Inquiry service levels.
+ *
+ * Each priority has a first-response and a resolution target, counted from
+ * the inquiry's createdAt. The first response is the first entry in
+ * inquiry.responses; resolution is the move to "resolved" or "closed".
+ * A target is breached at its due time when that moment passes with the
+ * response/resolution still missing (or it came late); the breach timestamp
+ * is the due time itself.
+ *
+ * INQUIRY_SLA_POLICY (JSON) overrides the targets per priority, e.g.
+ *   {"urgent":{"firstResponseMinutes":15,"resolutionMinutes":240}}
+ *
+ * Pure functions only: the Inquiry model applies computeSla on save, the
+ * escalation job (utils/inquiryEscalation.js) on open inquiries.
+ */
+
+export const INQUIRY_PRIORITIES = ["low", "medium", "high", "urgent"];
+export const DEFAULT_PRIORITY = "low";
+
+// Statuses that still owe the customer a resolution
+export const OPEN_INQUIRY_STATUSES = ["pending", "in-progress", "responded"];
+const RESOLVED_STATUSES = ["resolved", "closed"];
+
+const DEFAULT_POLICY = {
+  urgent: { firstResponseMinutes: 30, resolutionMinutes: 8 * 60 },
+  high: { firstResponseMinutes: 2 * 60, resolutionMinutes: 24 * 60 },
+  medium: { firstResponseMinutes: 8 * 60, resolutionMinutes: 3 * 24 * 60 },
+  low: { firstResponseMinutes: 24 * 60, resolutionMinutes: 7 * 24 * 60 },
+};
+
+const envPolicy = () => {
+  try {
+    return JSON.parse(process.env.INQUIRY_SLA_POLICY || "{}");
+  } catch {
+    console.warn("INQUIRY_SLA_POLICY is not valid JSON; ignoring");
+    return {};
+  }
+};
+
+export const slaPolicy = () => {
+  const overrides = envPolicy();
+  return Object.fromEntries(
+    INQUIRY_PRIORITIES.map((p) => {
+      const merged = { ...DEFAULT_POLICY[p], ...(overrides[p] || {}) };
+      ["firstResponseMinutes", "resolutionMinutes"].forEach((k) => {
+        if (!(Number(merged[k]) > 0)) merged[k] = DEFAULT_POLICY[p][k];
+      });
+      return [p, merged];
+    })
+  );
+};
+
+export const normalizePriority = (value) => {
+  const p = String(value || "").toLowerCase();
+  return INQUIRY_PRIORITIES.includes(p) ? p : undefined;
+};
+
+const addMinutes = (date, minutes) => new Date(new Date(date).getTime() + minutes * 60000);
+
+/** Due times for a priority, counted from createdAt. */
+export const slaDueDates = (priority, createdAt = new Date()) => {
+  const target = slaPolicy()[normalizePriority(priority) || DEFAULT_PRIORITY];
+  return {
+    firstResponseDueAt: addMinutes(createdAt, target.firstResponseMinutes),
+    resolutionDueAt: addMinutes(createdAt, target.resolutionMinutes),
+  };
+};
+
+// Dotted $setOnInsert fields for upserts, which skip the model's save hook
+export const slaOnInsert = (priority, createdAt) => {
+  const { firstResponseDueAt, resolutionDueAt } = slaDueDates(priority, createdAt);
+  return { "sla.firstResponseDueAt": firstResponseDueAt, "sla.resolutionDueAt": resolutionDueAt };
+};
+
+/**
+ * The inquiry's SLA fields as of `now` (escalations are left alone).
+ * resolvedAt keeps its first value while the inquiry stays resolved and is
+ * cleared when it is reopened.
+ */
+export const computeSla = (inquiry, now = new Date()) => {
+  const dues = slaDueDates(inquiry.priority, inquiry.createdAt || now);
+  const firstResponseAt = inquiry.responses?.[0]?.createdAt || null;
+  const resolvedAt = RESOLVED_STATUSES.includes(inquiry.status) ? inquiry.sla?.resolvedAt || now : null;
+
+  const breachedAt = (due, doneAt) => ((doneAt || now) > due ? due : null);
+  return {
+    ...dues,
+    firstResponseAt,
+    resolvedAt,
+    firstResponseBreachedAt: breachedAt(dues.firstResponseDueAt, firstResponseAt),
+    resolutionBreachedAt: breachedAt(dues.resolutionDueAt, resolvedAt),
+  };
+};
+
+/**
+ * The target an open inquiry must meet next: { kind, dueAt, minutesLeft,
+ * breached }, or null when both are met. minutesLeft is negative once breached.
+ */
+export const nextSlaTarget = (inquiry, now = new Date()) => {
+  const sla = inquiry.sla?.resolutionDueAt ? inquiry.sla : computeSla(inquiry, now);
+  let kind = null;
+  let dueAt = null;
+  if (!sla.firstResponseAt) {
+    kind = "first_response";
+    dueAt = sla.firstResponseDueAt;
+  } else if (!sla.resolvedAt) {
+    kind = "resolution";
+    dueAt = sla.resolutionDueAt;
+  }
+  if (!kind) return null;
+  const minutesLeft = Math.round((new Date(dueAt).getTime() - now.getTime()) / 60000);
+  return { kind, dueAt, minutesLeft, breached: minutesLeft < 0 };
+};
@@ -0,0 +1,210 @@
+// utils/inquirySources.js (ESM)
+import superagent from "superagent";
+import { applyFieldMap, getPath, validateFieldMap } from "./fieldMap.js";
+import { httpError } from "./httpError.js";
+
+/**
+ * External inquiry source adapters.
+ *
+ * A source describes one travel site's inquiry API:
+ *   {
+ *     name: "mtumrah",
+ *     url: "https://www.mtumrah.com/api/inquiries",
+ *     enabled: true,                  // false = not synced on the schedule
+ *     sinceParam: "updated_since",    // query param for incremental fetches
+ *     auth: { apiKey, apiKeyHeader: "X-Api-Key", bearerToken },
+ *     records: ["", "data", "inquiries"],  // where the array sits ("" = the body itself)
+ *     fields: { "<Inquiry path>": <fieldMap spec> },   // see utils/fieldMap.js
+ *   }
+ *
+ * Auth values may be "env:NAME" to read a secret from the environment.
+ * Mapped targets are Inquiry fields (externalId, customerName, customerEmail,
+ * customerPhone, message, packageDetails.*) plus createdAt / changedAt,
+ * which drive the sync high-water mark.
+ *
+ * The built-in "mtumrah" source reproduces the portal's field names. Add or
+ * override sources with INQUIRY_SOURCES (JSON array; entries merge over a
+ * built-in of the same name, `fields` key by key) or registerInquirySource().
+ */
+
+const str = (from) => ({ from, type: "string" });
+const bool = (from) => ({ from, type: "boolean", default: false });
+
+// The mtumrah.com portal: nested package_details or flat package fields, camelCase or snake_case
+const MTUMRAH_FIELDS = {
+  externalId: str(["id", "externalId", "inquiry_id"]),
+  customerName: str(["name", "customerName", "customer_name", "customer"]),
+  customerEmail: str(["email", "customerEmail", "customer_email"]),
+  customerPhone: str(["phone", "customerPhone", "customer_phone", "contact"]),
+  message: { from: ["message", "inquiry", "subject", "description"], type: "string", default: "(No message)" },
+  createdAt: { from: ["created_at", "createdAt", "date_created"], type: "date" },
+  changedAt: { from: ["updated_at", "updatedAt", "created_at", "createdAt", "date_created"], type: "date" },
+
+  "packageDetails.packageName": str([
+    "package_details.packageName", "package_details.package_name", "packageDetails.packageName",
+    "package_name", "packageName",
+  ]),
+  "packageDetails.pricing.double": str(["package_details.pricing.double", "package_details.price_double", "price_double", "priceDouble"]),
+  "packageDetails.pricing.triple": str(["package_details.pricing.triple", "package_details.price_triple", "price_triple", "priceTriple"]),
+  "packageDetails.pricing.quad": str(["package_details.pricing.quad", "package_details.price_quad", "price_quad", "priceQuad"]),
+  "packageDetails.pricing.currency": { from: ["package_details.pricing.currency", "package_details.currency", "currency"], type: "string", default: "USD" },
+  "packageDetails.duration.nightsMakkah": str([
+    "package_details.duration.nightsMakkah", "package_details.duration.nights_makkah", "package_details.nights_makkah",
+    "nights_makkah", "nightsMakkah",
+  ]),
+  "packageDetails.duration.nightsMadina": str([
+    "package_details.duration.nightsMadina", "package_details.duration.nights_madina", "package_details.nights_madina",
+    "nights_madina", "nightsMadina",
+  ]),
+  "packageDetails.duration.totalNights": str([
+    "package_details.duration.totalNights", "package_details.duration.total_nights", "package_details.total_nights",
+    "total_nights", "totalNights",
+  ]),
+  "packageDetails.hotels.makkah": str(["package_details.hotels.makkah", "package_details.hotel_makkah", "hotel_makkah", "hotelMakkah", "makkahHotel"]),
+  "packageDetails.hotels.madina": str(["package_details.hotels.madina", "package_details.hotel_madina", "hotel_madina", "hotelMadina", "madinaHotel"]),
+  "packageDetails.services.transportation": str(["package_details.services.transportation", "package_details.transportation", "transportation", "transportationTitle"]),
+  "packageDetails.services.visa": str(["package_details.services.visa", "package_details.visa_service", "visa_service", "visaService", "visaTitle"]),
+  "packageDetails.inclusions.breakfast": bool(["package_details.inclusions.breakfast", "package_details.breakfast", "breakfast"]),
+  "packageDetails.inclusions.dinner": bool(["package_details.inclusions.dinner", "package_details.dinner", "dinner"]),
+  "packageDetails.inclusions.visa": bool(["package_details.inclusions.visa", "package_details.visa_included", "visa_included", "visa"]),
+  "packageDetails.inclusions.ticket": bool(["package_details.inclusions.ticket", "package_details.ticket", "ticket"]),
+  "packageDetails.inclusions.roundtrip": bool(["package_details.inclusions.roundtrip", "package_details.roundtrip", "roundtrip"]),
+  "packageDetails.inclusions.ziyarat": bool(["package_details.inclusions.ziyarat", "package_details.ziyarat", "ziyarat"]),
+  "packageDetails.inclusions.guide": bool(["package_details.inclusions.guide", "package_details.guide", "guide"]),
+};
+
+/** Name of the built-in portal source; inquiries it handed over before sources existed belong to it. */
+export const defaultInquirySourceName = () => String(process.env.EXTERNAL_INQUIRIES_SOURCE || "mtumrah").toLowerCase();
+
+const builtInSources = () => [
+  {
+    name: defaultInquirySourceName(),
+    url: process.env.EXTERNAL_INQUIRIES_API_URL || process.env.MTUMRAH_API_URL || "https://www.mtumrah.com/api/inquiries",
+    enabled: true,
+    sinceParam: process.env.EXTERNAL_INQUIRIES_SINCE_PARAM || "updated_since",
+    auth: { apiKey: "env:EXTERNAL_API_KEY", apiKeyHeader: "X-Api-Key", bearerToken: "env:EXTERNAL_API_TOKEN" },
+    records: ["", "data", "inquiries", "result"],
+    fields: MTUMRAH_FIELDS,
+  },
+];
+
+const registered = new Map();
+
+const normalizeSource = (config, base = {}) => {
+  const source = {
+    enabled: true,
+    records: [""],
+    auth: {},
+    ...base,
+    ...config,
+    auth: { ...(base.auth || {}), ...(config.auth || {}) },
+    fields: { ...(base.fields || {}), ...(config.fields || {}) },
+  };
+  if (!/^[a-z0-9][a-z0-9_-]{0,49}$/i.test(String(source.name || ""))) {
+    throw new Error(`Invalid inquiry source name "${source.name}"`);
+  }
+  source.name = source.name.toLowerCase();
+  source.records = [].concat(source.records);
+  validateFieldMap(source.fields);
+  if (!source.fields.externalId) throw new Error(`Source ${source.name}: fields.externalId is required`);
+  return source;
+};
+
+/** Register (or replace) a source from code. */
+export const registerInquirySource = (config) => {
+  const source = normalizeSource(config, registered.get(String(config.name).toLowerCase()));
+  registered.set(source.name, source);
+  return source;
+};
+
+const envSources = () => {
+  if (!process.env.INQUIRY_SOURCES) return [];
+  try {
+    const list = JSON.parse(process.env.INQUIRY_SOURCES);
+    return Array.isArray(list) ? list : [];
+  } catch {
+    console.warn("INQUIRY_SOURCES is not valid JSON; ignoring");
+    return [];
+  }
+};
+
+/** All sources: built-in, then INQUIRY_SOURCES, then code registrations. */
+export const listInquirySources = () => {
+  const byName = new Map();
+  builtInSources().forEach((s) => byName.set(s.name, normalizeSource(s)));
+  envSources().forEach((cfg) => {
+    try {
+      const name = String(cfg.name || "").toLowerCase();
+      byName.set(name, normalizeSource(cfg, byName.get(name)));
+    } catch (error) {
+      console.warn(`INQUIRY_SOURCES entry skipped: ${error.message}`);
+    }
+  });
+  registered.forEach((s, name) => byName.set(name, s));
+  return [...byName.values()];
+};
+
+export const getInquirySource = (name) =>
+  listInquirySources().find((s) => s.name === String(name || "").toLowerCase()) || null;
+
+/** Build a one-off source from a config (dry runs with unsaved maps). */
+export const buildInquirySource = (config, base) => normalizeSource(config, base);
+
+const resolveSecret = (value) =>
+  typeof value === "string" && value.startsWith("env:") ? process.env[value.slice(4)] : value;
+
+// Source as shown to admins: secrets replaced by whether they are set
+export const describeSource = ({ auth = {}, ...rest }) => ({
+  ...rest,
+  auth: {
+    apiKeyHeader: auth.apiKeyHeader || "X-Api-Key",
+    apiKey: resolveSecret(auth.apiKey) ? "set" : "not set",
+    bearerToken: resolveSecret(auth.bearerToken) ? "set" : "not set",
+  },
+});
+
+/* ------------------------------ adapter ------------------------------ */
+
+/** Pull the record array out of a response body using source.records. */
+export const extractRecords = (source, body) => {
+  for (const path of source.records) {
+    const value = path ? getPath(body, path) : body;
+    if (Array.isArray(value)) return value;
+  }
+  throw httpError(502, `Unexpected ${source.name} response format: ${JSON.stringify(body).substring(0, 200)}`);
+};
+
+/**
+ * Map one external record to Inquiry fields. packageDetails is dropped when
+ * the record has no package name; createdAt/changedAt are kept for the sync.
+ */
+export const mapInquiryRecord = (source, record) => {
+  const fields = applyFieldMap(record, source.fields);
+  if (fields.externalId !== undefined) fields.externalId = String(fields.externalId);
+  if (!fields.packageDetails?.packageName) fields.packageDetails = null;
+  if (!fields.changedAt && fields.createdAt) fields.changedAt = fields.createdAt;
+  return fields;
+};
+
+// Required Inquiry fields missing from a mapped record
+export const missingInquiryFields = (fields) =>
+  ["externalId", "customerName", "customerEmail", "message"].filter((f) => !fields[f]);
+
+/** GET the source's records (throws on HTTP/network failure). */
+export const fetchSourceRecords = async (source, { since } = {}) => {
+  if (!source.url) throw httpError(400, `Source ${source.name} has no url`);
+
+  let request = superagent.get(source.url);
+  if (since && source.sinceParam) request = request.query({ [source.sinceParam]: since.toISOString() });
+
+  const apiKey = resolveSecret(source.auth.apiKey);
+  if (apiKey) request = request.set(source.auth.apiKeyHeader || "X-Api-Key", apiKey);
+  const token = resolveSecret(source.auth.bearerToken);
+  if (token) request = request.set("Authorization", `Bearer ${token}`);
+
+  const response = await request
+    .timeout({ response: 10000, deadline: 15000 }) // 10s response, 15s total
+    .retry(2); // Retry up to 2 times on failure
+
+  return extractRecords(source, response.body);
+};
@@ -0,0 +1,175 @@
+// utils/inquirySync.js (ESM)
+import Inquiry from "../models/Inquiry.js";
+import SyncRun from "../models/SyncRun.js";
+import SyncState from "../models/SyncState.js";
+import { httpError } from "./httpError.js";
+import { autoAssignInquiry } from "./inquiryAssignment.js";
+import { slaOnInsert } from "./inquirySla.js";
+import { linkCustomer } from "./customerIdentity.js";
+import {
+  fetchSourceRecords,
+  getInquirySource,
+  listInquirySources,
+  mapInquiryRecord,
+  missingInquiryFields,
+} from "./inquirySources.js";
+
+/**
+ * Mirror of the external portals' inquiries into MongoDB, one run per
+ * source (utils/inquirySources.js).
+ *
+ * Each run fetches inquiries changed since the source's high-water mark
+ * (sent as ?<source.sinceParam>=<ISO date>; records older than the mark are
+ * also dropped here in case the API ignores the parameter), upserts them by
+ * (source, externalId) and records a SyncRun. Local state (status, assignment,
+ * responses) is never overwritten.
+ *
+ * The mark only advances past records that were saved, so a record that
+ * fails is fetched again next run.
+ */
+
+const LOCK_STALE_MS = 30 * 60 * 1000;
+
+/**
+ * Upsert one mapped record, keyed by source and externalId so two portals
+ * can use the same ids. Inserts keep the portal's creation time; updates
+ * refresh the customer/package fields only.
+ * Resolves to { inquiry, created }.
+ */
+export const upsertExternalInquiry = async (fields, source) => {
+  const { createdAt, changedAt: _changedAt, ...data } = fields;
+  const now = new Date();
+
+  const result = await Inquiry.findOneAndUpdate(
+    { source, externalId: data.externalId },
+    {
+      $set: { ...data, updatedAt: now },
+      $setOnInsert: { status: "pending", createdAt: createdAt || now, ...slaOnInsert(data.priority, createdAt || now) },
+    },
+    { upsert: true, new: true, runValidators: true, timestamps: false, includeResultMetadata: true }
+  );
+  const inquiry = result.value;
+  await linkCustomer(Inquiry, inquiry); // upserts skip the save hook that links it
+  return { inquiry, created: !result.lastErrorObject?.updatedExisting };
+};
+
+// Take the per-source lock; returns the state or null when another run holds it
+const acquireLock = async (source) => {
+  const stale = new Date(Date.now() - LOCK_STALE_MS);
+  try {
+    return await SyncState.findOneAndUpdate(
+      { source, $or: [{ lockedAt: null }, { lockedAt: { $lt: stale } }] },
+      { $set: { lockedAt: new Date(), lastRunAt: new Date() } },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    if (error.code === 11000) return null; // locked: the upsert collided with the existing doc
+    throw error;
+  }
+};
+
+/**
+ * Run one sync. Resolves to the SyncRun, or null if a run is already in
+ * progress for this source.
+ */
+export const runInquirySync = async ({ source: name, trigger = "schedule", user, full = false } = {}) => {
+  const source = getInquirySource(name);
+  if (!source) throw httpError(404, `Unknown inquiry source "${name}"`);
+
+  const state = await acquireLock(source.name);
+  if (!state) return null;
+
+  const since = full ? null : state.highWaterMark;
+  const run = await SyncRun.create({
+    source: source.name,
+    trigger,
+    triggeredBy: user?._id,
+    highWaterMarkBefore: state.highWaterMark,
+  });
+
+  try {
+    const records = (await fetchSourceRecords(source, { since }))
+      .map((record) => mapInquiryRecord(source, record))
+      .filter((r) => r.externalId && !(since && r.changedAt && r.changedAt < since))
+      .sort((a, b) => (a.changedAt?.getTime() || 0) - (b.changedAt?.getTime() || 0));
+    run.fetched = records.length;
+
+    let mark = state.highWaterMark || null;
+    let blocked = false; // a save failed: later records must not move the mark past it
+    const advance = (record) => {
+      if (!blocked && record.changedAt && (!mark || record.changedAt > mark)) mark = record.changedAt;
+    };
+
+    for (const record of records) {
+      // Incomplete records are skipped for good (until the portal changes them)
+      const missing = missingInquiryFields(record);
+      if (missing.length) {
+        run.skipped += 1;
+        run.failures.push({ externalId: record.externalId, message: `Missing ${missing.join(", ")}` });
+        advance(record);
+        continue;
+      }
+
+      try {
+        const { inquiry, created } = await upsertExternalInquiry(record, source.name);
+        run[created ? "created" : "updated"] += 1;
+        advance(record);
+        if (created) await autoAssignInquiry(inquiry, { trigger: "sync" });
+      } catch (error) {
+        blocked = true;
+        run.failures.push({ externalId: record.externalId, message: error.message });
+      }
+    }
+
+    run.highWaterMarkAfter = mark;
+    run.status = blocked ? "partial" : "succeeded";
+    await SyncState.updateOne(
+      { source: source.name },
+      { $set: { highWaterMark: mark, lockedAt: null, ...(blocked ? {} : { lastSuccessAt: new Date() }) } }
+    );
+  } catch (error) {
+    run.status = "failed";
+    run.error = error.response ? `HTTP ${error.response.status}: ${error.message}` : error.message;
+    await SyncState.updateOne({ source: source.name }, { $set: { lockedAt: null } });
+  }
+
+  run.finishedAt = new Date();
+  await run.save();
+  if (run.status !== "succeeded") {
+    console.warn(`Inquiry sync (${source.name}) ${run.status}:`, run.error || `${run.failures.length} record(s) not saved`);
+  }
+  return run;
+};
+
+let timer = null;
+
+/** Sync every enabled source with a url, one after another. */
+export const runAllInquirySyncs = async (options = {}) => {
+  const runs = [];
+  for (const source of listInquirySources().filter((s) => s.enabled && s.url)) {
+    try {
+      runs.push(await runInquirySync({ ...options, source: source.name }));
+    } catch (error) {
+      console.error(`Inquiry sync (${source.name}) error:`, error);
+    }
+  }
+  return runs.filter(Boolean);
+};
+
+/**
+ * Run the sync every INQUIRY_SYNC_INTERVAL_MS (default 5 minutes).
+ * INQUIRY_SYNC_ENABLED=false turns the schedule off (manual runs still work).
+ */
+export const startInquirySyncWorker = () => {
+  if (timer || process.env.INQUIRY_SYNC_ENABLED === "false") return;
+  const every = Number(process.env.INQUIRY_SYNC_INTERVAL_MS) || 5 * 60 * 1000;
+  const tick = () => runAllInquirySyncs().catch((e) => console.error("Inquiry sync error:", e));
+  timer = setInterval(tick, every);
+  timer.unref();
+  setImmediate(tick);
+};
+
+export const stopInquirySyncWorker = () => {
+  clearInterval(timer);
+  timer = null;
+};
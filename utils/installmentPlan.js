@@ -0,0 +1,131 @@
+// utils/installmentPlan.js (ESM)
+import { parseDay } from "./calendarDay.js";
+import { httpError } from "./httpError.js";
+
+export const INSTALLMENT_INTERVALS = ["weekly", "monthly"];
+
+// Bookings in these states are no longer collected on (no reminders, not due)
+export const UNCOLLECTED_STATES = ["cancelled", "refunded", "rejected", "closed"];
+const MAX_INSTALLMENTS = 60;
+
+// Plan inputs; everything else on flightPayments.installment is derived here
+const PLAN_INPUTS = ["ticketTotal", "advancePaid", "numberOfInstallments", "startDate", "interval"];
+
+const toCents = (n) => Math.round(Number(n) * 100);
+const fromCents = (c) => c / 100;
+
+// "YYYY-MM-DD" in UTC
+const isoDay = (d) => d.toISOString().slice(0, 10);
+
+// Add months keeping the day of month where possible (Jan 31 + 1 -> Feb 28/29)
+const addMonths = (date, months) => {
+  const y = date.getUTCFullYear();
+  const m = date.getUTCMonth() + months;
+  const lastDay = new Date(Date.UTC(y, m + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(y, m, Math.min(date.getUTCDate(), lastDay)));
+};
+
+const addDays = (date, days) => new Date(date.getTime() + days * 86400000);
+
+/**
+ * Generate an installment schedule.
+ *
+ * remaining = ticketTotal - advancePaid, split evenly in cents; the rounding
+ * remainder goes on the last installment so the schedule always sums exactly.
+ * The first installment falls on startDate, the rest every week or month.
+ */
+export const generateSchedule = ({ ticketTotal, advancePaid = 0, numberOfInstallments, startDate, interval = "monthly" }) => {
+  const total = toCents(ticketTotal);
+  const advance = toCents(advancePaid || 0);
+  const count = Number(numberOfInstallments);
+  const start = parseDay(startDate);
+
+  if (!Number.isFinite(total) || total <= 0) throw httpError(400, "ticketTotal must be a positive number");
+  if (!Number.isFinite(advance) || advance < 0 || advance > total) {
+    throw httpError(400, "advancePaid must be between 0 and ticketTotal");
+  }
+  if (!Number.isInteger(count) || count < 1 || count > MAX_INSTALLMENTS) {
+    throw httpError(400, `numberOfInstallments must be a whole number between 1 and ${MAX_INSTALLMENTS}`);
+  }
+  if (!start) throw httpError(400, "startDate must be a valid date");
+  if (!INSTALLMENT_INTERVALS.includes(interval)) {
+    throw httpError(400, `interval must be one of: ${INSTALLMENT_INTERVALS.join(", ")}`);
+  }
+
+  const remaining = total - advance;
+  const per = Math.floor(remaining / count);
+  const lastExtra = remaining - per * count;
+
+  const schedule = Array.from({ length: count }, (_, i) => ({
+    no: i + 1,
+    date: isoDay(interval === "weekly" ? addDays(start, 7 * i) : addMonths(start, i)),
+    amount: fromCents(per + (i === count - 1 ? lastExtra : 0)),
+    status: "pending",
+  }));
+
+  return {
+    ticketTotal: fromCents(total),
+    advancePaid: fromCents(advance),
+    numberOfInstallments: count,
+    startDate: isoDay(start),
+    interval,
+    remaining: fromCents(remaining),
+    perInstallment: fromCents(per),
+    schedule,
+  };
+};
+
+const samePlan = (a = {}, b = {}) =>
+  PLAN_INPUTS.every((k) => {
+    if (k === "startDate") return parseDay(a[k])?.getTime() === parseDay(b[k])?.getTime();
+    if (k === "interval") return (a[k] || "monthly") === (b[k] || "monthly");
+    return Number(a[k] || 0) === Number(b[k] || 0);
+  });
+
+/**
+ * Server-side version of a flightPayments payload. For installment mode the
+ * schedule is (re)generated from the plan inputs; client-sent schedule,
+ * perInstallment and remaining are ignored.
+ *
+ * `current` is the booking's existing flightPayments. If the plan inputs are
+ * unchanged the existing schedule (with its paid flags) is kept; changing a
+ * plan that already has paid installments is refused.
+ */
+export const applyInstallmentPlan = (input, current) => {
+  if (!input || input.mode !== "installment" || !input.installment) return input;
+
+  const prev = current?.installment?.toObject?.() || current?.installment;
+  if (prev?.schedule?.length && samePlan(input.installment, prev)) {
+    return { ...input, installment: prev };
+  }
+  if (prev?.schedule?.some((item) => item.status === "paid")) {
+    throw httpError(409, "Installment plan has paid installments and cannot be regenerated");
+  }
+
+  return { ...input, installment: generateSchedule(input.installment) };
+};
+
+/**
+ * Effective status of a schedule item: "paid", "overdue" (unpaid and its date
+ * is before today) or "pending".
+ */
+export const installmentStatus = (item, now = new Date()) => {
+  if (item.status === "paid") return "paid";
+  const due = parseDay(item.date);
+  const today = parseDay(now);
+  return due && due < today ? "overdue" : "pending";
+};
+
+// Schedule with computed status and days overdue (negative = days until due)
+export const describeSchedule = (installment, now = new Date()) => {
+  const today = parseDay(now);
+  return (installment?.schedule || []).map((item) => {
+    const plainItem = item.toObject?.() || item;
+    const due = parseDay(plainItem.date);
+    return {
+      ...plainItem,
+      status: installmentStatus(plainItem, now),
+      daysOverdue: due ? Math.round((today - due) / 86400000) : null,
+    };
+  });
+};
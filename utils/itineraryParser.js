@@ -0,0 +1,170 @@
+// utils/itineraryParser.js (ESM)
+
+/**
+ * Flight itinerary parser for text pasted from a GDS (flights.raw).
+ *
+ * Reads the air segment lines of Amadeus and Sabre itinerary / PNR displays:
+ *
+ *   Amadeus   2  SV 124 Y 15MAR 7 JFKJED HK2  1130 0645+1  *1A/E*
+ *             3  SV 125 Y 02APR 4 JEDJFK HK2  0200 0815  02APR  E  SV/ABCDEF
+ *   Sabre     1 SV 124Y 15MAR Q JFKJED*HK2  1130A  645A¥1 /DCSV*ABCDEF /E
+ *
+ * and returns { segments, errors }. A segment is
+ *   { line, carrier, flightNumber, bookingClass, date, origin, destination,
+ *     departureTime, arrivalTime, arrivalDate, status }
+ * with dates as UTC midnight and times as "HH:MM". Lines that are not air
+ * segments (names, headers, ARNK, remarks) are skipped; a line that starts
+ * like a segment but cannot be read is reported in `errors` as
+ * { line, text, message }.
+ *
+ * GDS dates carry no year: the first segment takes the year that puts it on
+ * or after `referenceDate` (the booking's departure, less a 180-day margin)
+ * and each later segment the first year not before the previous one.
+ */
+
+const MONTHS = ["JAN", "FEB", "MAR", "APR", "MAY", "JUN", "JUL", "AUG", "SEP", "OCT", "NOV", "DEC"];
+const DAY = 86400000;
+const YEAR_MARGIN_DAYS = 180;
+
+// Optional segment number, carrier + flight number (class stuck on in Sabre),
+// class, date, day of week, city pair, status, departure and arrival times,
+// day change (+1 / ¥1 / #) or arrival date
+const SEGMENT = new RegExp(
+  [
+    String.raw`^\s*(?:\d{1,2}[\s.]+)?`,
+    String.raw`(?<carrier>(?![0-9]{2})[A-Z0-9]{2})\s?(?<flight>\d{1,4})(?<classTight>[A-Z])?`,
+    String.raw`(?:\s+(?<class>[A-Z]))?`,
+    String.raw`\s+(?<day>\d{1,2})(?<month>[A-Z]{3})(?<year>\d{2})?`,
+    String.raw`(?:\s+[1-7A-Z])?`,
+    String.raw`\s+\*?(?<origin>[A-Z]{3})\s?(?<destination>[A-Z]{3})`,
+    String.raw`(?:[\s*]+(?<status>[A-Z]{2}\d{0,3}))?`,
+    String.raw`\s+(?<dep>\d{3,4}[APNM]?)\s+(?<arr>\d{3,4}[APNM]?)`,
+    String.raw`(?:\s*(?:(?<change>[+¥#-])(?<offset>\d)?|(?<arrDay>\d{1,2})(?<arrMonth>[A-Z]{3})))?`,
+    String.raw`(?=\s|$)`,
+  ].join("")
+);
+
+// Carrier + flight number followed later by a DDMMM date: meant as a segment
+const LOOKS_LIKE_SEGMENT = /^\s*(?:\d{1,2}[\s.]+)?(?![0-9]{2})[A-Z0-9]{2}\s?\d{1,4}[A-Z]?\s.*\b\d{1,2}[A-Z]{3}\b/;
+
+class ParseError extends Error {}
+
+/** "1130" -> "11:30", "645P" -> "18:45", "1200N" -> "12:00", "1200M" -> "00:00". */
+export const parseGdsTime = (value) => {
+  const match = String(value).match(/^(\d{1,2})(\d{2})([APNM])?$/);
+  if (!match) throw new ParseError(`time "${value}" is not HHMM`);
+  let hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  const suffix = match[3];
+  if (minutes > 59) throw new ParseError(`time "${value}" is not a valid time`);
+  if (suffix) {
+    if (hours < 1 || hours > 12) throw new ParseError(`time "${value}" is not a valid 12-hour time`);
+    if (suffix === "A" || suffix === "M") hours %= 12;
+    else if (suffix === "P") hours = (hours % 12) + 12;
+  } else if (hours > 23) {
+    throw new ParseError(`time "${value}" is not a valid time`);
+  }
+  return `${String(hours).padStart(2, "0")}:${String(minutes).padStart(2, "0")}`;
+};
+
+const utcDay = (year, month, day) => {
+  const d = new Date(Date.UTC(year, month, day));
+  return d.getUTCMonth() === month && d.getUTCDate() === day ? d : null;
+};
+
+/**
+ * A DDMMM(YY) date as a UTC day, the year picked so it falls on or after
+ * `after` (and the 29FEB of a leap year when it applies).
+ */
+const resolveDate = (day, monthName, yy, after) => {
+  const month = MONTHS.indexOf(monthName);
+  if (month < 0) throw new ParseError(`"${day}${monthName}" has an unknown month`);
+  if (Number(day) < 1 || Number(day) > 31) throw new ParseError(`"${day}${monthName}" is not a valid date`);
+  if (yy) {
+    const date = utcDay(2000 + Number(yy), month, Number(day));
+    if (!date) throw new ParseError(`"${day}${monthName}${yy}" is not a valid date`);
+    return date;
+  }
+  for (let year = after.getUTCFullYear(); year <= after.getUTCFullYear() + 4; year++) {
+    const date = utcDay(year, month, Number(day));
+    if (date && date >= after) return date;
+  }
+  throw new ParseError(`"${day}${monthName}" is not a valid date`);
+};
+
+const startOfDay = (value) => {
+  const d = value ? new Date(value) : new Date();
+  const time = Number.isNaN(d.getTime()) ? Date.now() : d.getTime();
+  return new Date(Math.floor(time / DAY) * DAY);
+};
+
+/** Parse itinerary text. Options: referenceDate (default today). */
+export const parseItinerary = (raw, { referenceDate } = {}) => {
+  const segments = [];
+  const errors = [];
+  let after = new Date(startOfDay(referenceDate).getTime() - YEAR_MARGIN_DAYS * DAY);
+
+  String(raw || "")
+    .split(/\r?\n/)
+    .forEach((original, index) => {
+      const text = original.trim();
+      const upper = original.toUpperCase();
+      if (!text) return;
+      const match = upper.match(SEGMENT);
+      if (!match) {
+        if (LOOKS_LIKE_SEGMENT.test(upper)) {
+          errors.push({ line: index + 1, text, message: "Looks like a flight segment but could not be read" });
+        }
+        return;
+      }
+      const g = match.groups;
+      try {
+        const date = resolveDate(g.day, g.month, g.year, after);
+        const departureTime = parseGdsTime(g.dep);
+        const arrivalTime = parseGdsTime(g.arr);
+        const dayChange = g.change ? (g.change === "-" ? -1 : 1) * Number(g.offset || 1) : 0;
+        const arrivalDate = g.arrDay
+          ? resolveDate(g.arrDay, g.arrMonth, undefined, date)
+          : new Date(date.getTime() + dayChange * DAY);
+        if (g.origin === g.destination) throw new ParseError(`origin and destination are both ${g.origin}`);
+
+        segments.push({
+          line: index + 1,
+          carrier: g.carrier,
+          flightNumber: g.flight,
+          bookingClass: g.class || g.classTight || undefined,
+          date,
+          origin: g.origin,
+          destination: g.destination,
+          departureTime,
+          arrivalTime,
+          arrivalDate,
+          status: g.status || undefined,
+        });
+        after = date;
+      } catch (error) {
+        if (!(error instanceof ParseError)) throw error;
+        errors.push({ line: index + 1, text, message: error.message });
+      }
+    });
+
+  return { segments, errors };
+};
+
+/**
+ * The stored `flights` section from client input ({ raw }, the raw text
+ * itself, or the legacy { itineraryLines: [string] }): itineraryLines are
+ * always parsed from the raw text, never taken from the client, and the
+ * lines that could not be read are kept in parseErrors.
+ */
+export const flightsFromInput = (input, { referenceDate } = {}) => {
+  if (input === undefined) return undefined;
+  if (!input) return { raw: "", itineraryLines: [], parseErrors: [] };
+  const legacyLines = Array.isArray(input.itineraryLines) && input.itineraryLines.every((l) => typeof l === "string");
+  const raw = typeof input === "string" ? input : input.raw ?? (legacyLines ? input.itineraryLines.join("\n") : "");
+  const { segments, errors } = parseItinerary(raw, { referenceDate });
+  return { raw, itineraryLines: segments, parseErrors: errors };
+};
+
+/** "SV 124" style flight designator for display. */
+export const flightDesignator = (segment) => `${segment.carrier} ${segment.flightNumber}`;
@@ -0,0 +1,360 @@
+// utils/notifications.js (ESM)
+import mongoose from "mongoose";
+import Company from "../models/company.js";
+import User from "../models/User.js";
+import Booking from "../models/Booking.js";
+import EmailMessage from "../models/EmailMessage.js";
+import { getMailTransport, isMailConfigured, mailFrom } from "./mailer.js";
+import { renderTemplate, resolveTemplate } from "./emailTemplates.js";
+import { onTransition } from "./bookingLifecycle.js";
+import { UNCOLLECTED_STATES, describeSchedule } from "./installmentPlan.js";
+
+/**
+ * Email notifications.
+ *
+ * notifyX() renders the event's template for the recipient's company and
+ * queues an EmailMessage; the worker (startNotificationWorker, started by
+ * server.js) sends queued messages and retries failures with backoff until
+ * EMAIL_MAX_ATTEMPTS, after which the message is marked failed. Every
+ * attempt is recorded on the message.
+ *
+ * Notifications never fail the request that triggered them: errors are logged.
+ */
+
+const MAX_ATTEMPTS = Number(process.env.EMAIL_MAX_ATTEMPTS) || 5;
+const BACKOFF_MINUTES = [1, 5, 15, 60, 240];
+const STALE_LOCK_MS = 10 * 60 * 1000;
+const REMINDER_DAYS = Number(process.env.EMAIL_REMINDER_DAYS) || 3;
+
+const companyFor = async (companyId) => {
+  const id = companyId || process.env.DEFAULT_COMPANY_ID;
+  if (!id || !mongoose.Types.ObjectId.isValid(String(id))) return null;
+  return Company.findById(id).select("name email phone logoUrl primaryColor").lean();
+};
+
+const staffFor = async (id) => {
+  const userId = id?._id || id;
+  if (!userId || !mongoose.Types.ObjectId.isValid(String(userId))) return null;
+  return User.findById(userId).select("name email company").lean();
+};
+
+/* ------------------------------- queue ------------------------------- */
+
+/**
+ * Render and queue one email. Returns the EmailMessage, or null when there is
+ * no recipient or a message with the same dedupeKey was already queued.
+ */
+export const queueEmail = async ({ event, to, cc, recipientName, data = {}, company: companyId, booking, inquiry, dedupeKey }) => {
+  if (!to) return null;
+  if (dedupeKey && (await EmailMessage.exists({ dedupeKey }))) return null;
+
+  const company = await companyFor(companyId);
+  const template = await resolveTemplate(event, company?._id);
+  if (!template) throw new Error(`No email template for "${event}"`);
+
+  const rendered = renderTemplate(template, { ...data, recipientName: recipientName || to, company: company || {} });
+
+  try {
+    const message = await EmailMessage.create({
+      event,
+      company: company?._id,
+      to,
+      cc: cc || undefined,
+      replyTo: company?.email,
+      fromName: company?.name,
+      ...rendered,
+      booking,
+      inquiry,
+      dedupeKey,
+    });
+    setImmediate(() => processEmailQueue().catch((e) => console.error("Email queue error:", e)));
+    return message;
+  } catch (error) {
+    if (error.code === 11000 && dedupeKey) return null;
+    throw error;
+  }
+};
+
+const deliver = async (message) => {
+  const attempt = { at: new Date() };
+  message.attempts += 1;
+
+  try {
+    const info = await getMailTransport().sendMail({
+      from: message.fromName ? { name: message.fromName, address: mailFrom() } : mailFrom(),
+      to: message.to,
+      cc: message.cc,
+      replyTo: message.replyTo,
+      subject: message.subject,
+      html: message.html,
+      text: message.text,
+    });
+    Object.assign(attempt, { ok: true, response: info.response });
+    message.status = "sent";
+    message.sentAt = attempt.at;
+    message.messageId = info.messageId;
+    message.lastError = undefined;
+  } catch (error) {
+    Object.assign(attempt, { ok: false, error: error.message });
+    message.lastError = error.message;
+    if (message.attempts >= MAX_ATTEMPTS) {
+      message.status = "failed";
+    } else {
+      const minutes = BACKOFF_MINUTES[Math.min(message.attempts - 1, BACKOFF_MINUTES.length - 1)];
+      message.status = "queued";
+      message.nextAttemptAt = new Date(Date.now() + minutes * 60000);
+    }
+  }
+
+  message.lockedAt = undefined;
+  message.deliveries.push(attempt);
+  await message.save();
+  return message.status;
+};
+
+let draining = false;
+
+/**
+ * Send due messages. Claims each message atomically (queued -> sending) so
+ * several app instances can share the queue. Messages stuck in "sending"
+ * after a crash are released again after 10 minutes.
+ */
+export const processEmailQueue = async ({ limit = 50 } = {}) => {
+  const result = { sent: 0, queued: 0, failed: 0 };
+  if (!isMailConfigured() || draining) return result;
+  draining = true;
+
+  try {
+    await EmailMessage.updateMany(
+      { status: "sending", lockedAt: { $lt: new Date(Date.now() - STALE_LOCK_MS) } },
+      { $set: { status: "queued" }, $unset: { lockedAt: 1 } }
+    );
+
+    for (let i = 0; i < limit; i++) {
+      const message = await EmailMessage.findOneAndUpdate(
+        { status: "queued", nextAttemptAt: { $lte: new Date() } },
+        { $set: { status: "sending", lockedAt: new Date() } },
+        { sort: { nextAttemptAt: 1 }, new: true }
+      );
+      if (!message) break;
+      result[await deliver(message)] += 1;
+    }
+  } finally {
+    draining = false;
+  }
+  return result;
+};
+
+/* ------------------------------- events ------------------------------- */
+
+const safely = (label, fn) =>
+  fn().catch((error) => {
+    console.error(`${label} notification failed:`, error);
+    return null;
+  });
+
+const inquiryData = (inq) => ({
+  inquiry: {
+    id: String(inq._id),
+    customerName: inq.customerName,
+    customerEmail: inq.customerEmail,
+    customerPhone: inq.customerPhone,
+    message: inq.message,
+    packageName: inq.packageDetails?.packageName || "your package",
+  },
+});
+
+const bookingData = (b) => ({
+  booking: {
+    id: String(b._id),
+    customerName: b.customerName,
+    customerEmail: b.customerEmail,
+    package: b.package,
+    pnr: b.pnr,
+    departureDate: b.departureDate,
+    returnDate: b.returnDate,
+  },
+});
+
+/** Inquiry received -> customer. */
+export const notifyInquiryReceived = (inquiry, { company } = {}) =>
+  safely("inquiry_received", () =>
+    queueEmail({
+      event: "inquiry_received",
+      to: inquiry.customerEmail,
+      recipientName: inquiry.customerName,
+      data: inquiryData(inquiry),
+      company,
+      inquiry: inquiry._id,
+    })
+  );
+
+/** Inquiry assigned -> the assigned agent. */
+export const notifyInquiryAssigned = (inquiry) =>
+  safely("inquiry_assigned", async () => {
+    const agent = await staffFor(inquiry.assignedAgent);
+    if (!agent?.email) return null;
+    return queueEmail({
+      event: "inquiry_assigned",
+      to: agent.email,
+      recipientName: agent.name,
+      data: inquiryData(inquiry),
+      company: agent.company,
+      inquiry: inquiry._id,
+    });
+  });
+
+/** Approved reply -> the customer. Resolves to the EmailMessage (or null). */
+export const notifyInquiryReply = (inquiry, message) =>
+  safely("inquiry_reply", async () => {
+    const author = await staffFor(message.author);
+    return queueEmail({
+      event: "inquiry_reply",
+      to: inquiry.customerEmail,
+      recipientName: inquiry.customerName,
+      data: { ...inquiryData(inquiry), reply: { body: message.body, agentName: author?.name || "" } },
+      company: author?.company,
+      inquiry: inquiry._id,
+      dedupeKey: `inquiry_reply:${message._id}`,
+    });
+  });
+
+/** Customer replied -> the assigned agent. */
+export const notifyCustomerReply = (inquiry, message) =>
+  safely("inquiry_customer_reply", async () => {
+    const agent = await staffFor(inquiry.assignedAgent);
+    if (!agent?.email) return null;
+    return queueEmail({
+      event: "inquiry_customer_reply",
+      to: agent.email,
+      recipientName: agent.name,
+      data: { ...inquiryData(inquiry), reply: { body: message.body } },
+      company: agent.company,
+      inquiry: inquiry._id,
+    });
+  });
+
+/**
+ * Inquiry missed an SLA target -> every active admin. kind: first_response |
+ * resolution; action: what the escalation did. One email per inquiry and kind.
+ */
+export const notifyInquirySlaBreached = (inquiry, { kind, dueAt, action }) =>
+  safely("inquiry_sla_breached", async () => {
+    const [admins, agent] = await Promise.all([
+      User.find({ role: "admin", isActive: { $ne: false } }).select("name email company").lean(),
+      staffFor(inquiry.assignedAgent),
+    ]);
+    const data = {
+      ...inquiryData(inquiry),
+      agent: agent || { name: "unassigned" },
+      sla: {
+        kind: kind === "first_response" ? "first response" : "resolution",
+        priority: inquiry.priority,
+        dueAt: new Date(dueAt).toISOString(),
+        action,
+      },
+    };
+    for (const admin of admins.filter((a) => a.email)) {
+      await queueEmail({
+        event: "inquiry_sla_breached",
+        to: admin.email,
+        recipientName: admin.name,
+        data,
+        company: admin.company,
+        inquiry: inquiry._id,
+        dedupeKey: `inquiry_sla_breached:${inquiry._id}:${kind}:${admin._id}`,
+      });
+    }
+  });
+
+// Booking approved/rejected -> the booking's agent and the customer
+const notifyBookingDecision = (event) => async ({ booking, reason }) => {
+  const agent = await staffFor(booking.agent);
+  const data = { ...bookingData(booking), agent: agent || {}, reason: reason || "" };
+  const recipients = [
+    agent?.email && { to: agent.email, recipientName: agent.name },
+    booking.customerEmail && { to: booking.customerEmail, recipientName: booking.customerName },
+  ].filter(Boolean);
+
+  for (const recipient of recipients) {
+    await queueEmail({ event, ...recipient, data, company: agent?.company, booking: booking._id });
+  }
+};
+
+onTransition("approved", notifyBookingDecision("booking_approved"));
+onTransition("rejected", notifyBookingDecision("booking_rejected"));
+
+/**
+ * Queue reminders for unpaid installments due within EMAIL_REMINDER_DAYS
+ * (default 3) or overdue: to the customer, cc the agent. Each installment
+ * gets at most one "upcoming" and one "overdue" reminder.
+ */
+export const queueInstallmentReminders = async (now = new Date()) => {
+  const bookings = await Booking.find({
+    "flightPayments.mode": "installment",
+    "flightPayments.installment.schedule": { $elemMatch: { status: { $ne: "paid" } } },
+    state: { $nin: UNCOLLECTED_STATES },
+  })
+    .select("customerName customerEmail package pnr departureDate returnDate agent flightPayments.installment")
+    .lean();
+
+  const agents = new Map();
+  let queued = 0;
+
+  for (const b of bookings) {
+    const key = String(b.agent || "");
+    if (!agents.has(key)) agents.set(key, await staffFor(b.agent));
+    const agent = agents.get(key);
+
+    for (const item of describeSchedule(b.flightPayments.installment, now)) {
+      if (item.status === "paid" || item.daysOverdue === null || item.daysOverdue < -REMINDER_DAYS) continue;
+      const stage = item.status === "overdue" ? "overdue" : "upcoming";
+
+      const message = await safely("installment_due", () =>
+        queueEmail({
+          event: "installment_due",
+          to: b.customerEmail,
+          cc: agent?.email,
+          recipientName: b.customerName,
+          data: { ...bookingData(b), agent: agent || {}, installment: item },
+          company: agent?.company,
+          booking: b._id,
+          dedupeKey: `installment_due:${b._id}:${item.no}:${item.date}:${stage}`,
+        })
+      );
+      if (message) queued += 1;
+    }
+  }
+
+  return { bookings: bookings.length, queued };
+};
+
+/* ------------------------------- worker ------------------------------- */
+
+let timers = [];
+
+/**
+ * Poll the queue (EMAIL_QUEUE_INTERVAL_MS, default 30s) and queue installment
+ * reminders (EMAIL_REMINDER_INTERVAL_MS, default hourly; reminders are
+ * de-duplicated so the interval only controls how soon they go out).
+ */
+export const startNotificationWorker = () => {
+  if (timers.length) return;
+  if (!isMailConfigured()) {
+    console.warn("SMTP not configured (SMTP_HOST/SMTP_URL); notification emails will stay queued");
+  }
+
+  const queueEvery = Number(process.env.EMAIL_QUEUE_INTERVAL_MS) || 30000;
+  const remindEvery = Number(process.env.EMAIL_REMINDER_INTERVAL_MS) || 3600000;
+
+  timers = [
+    setInterval(() => processEmailQueue().catch((e) => console.error("Email queue error:", e)), queueEvery),
+    setInterval(() => queueInstallmentReminders().catch((e) => console.error("Installment reminders error:", e)), remindEvery),
+  ];
+  timers.forEach((t) => t.unref());
+};
+
+export const stopNotificationWorker = () => {
+  timers.forEach(clearInterval);
+  timers = [];
+};
@@ -0,0 +1,184 @@
+// utils/packageCatalog.js (ESM)
+import { httpError } from "./httpError.js";
+
+/**
+ * Package catalog pricing.
+ *
+ * A package has base prices per occupancy (double/triple/quad, per person)
+ * and any number of seasons: date ranges (inclusive, by travel date) with
+ * their own prices. The price for a date is the matching season's price for
+ * the occupancy, falling back to the base price when no season covers the
+ * date or the season leaves that occupancy out. Seasons may not overlap.
+ *
+ * Inquiries and bookings keep a packageSnapshot (name, occupancy, price,
+ * season) taken when they are priced, so later catalog edits do not move
+ * prices already quoted.
+ */
+
+export const OCCUPANCIES = ["double", "triple", "quad"];
+export const PACKAGE_STATUSES = ["draft", "active", "archived"];
+
+const DAY = 86400000;
+
+// Date-only comparisons: "2026-12-01" and a Date on that day are the same day
+const dayOf = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? null : Math.floor(d.getTime() / DAY);
+};
+
+const plain = (value) => (value?.toObject ? value.toObject() : value);
+
+export const slugify = (value) =>
+  String(value || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 80);
+
+/** Season covering `date`, or null. */
+export const seasonFor = (pkg, date) => {
+  const day = dayOf(date);
+  if (day === null) return null;
+  return (pkg.seasons || []).find((s) => dayOf(s.from) <= day && day <= dayOf(s.to)) || null;
+};
+
+/**
+ * Per-person price of a package for a travel date and occupancy.
+ * Resolves to { price, currency, occupancy, season } (season = name or null).
+ * Throws httpError(400) for an unknown occupancy, 422 when no price is set.
+ */
+export const priceFor = (pkg, { date = new Date(), occupancy = "double" } = {}) => {
+  if (!OCCUPANCIES.includes(occupancy)) {
+    throw httpError(400, `occupancy must be one of ${OCCUPANCIES.join(", ")}`);
+  }
+  const season = seasonFor(pkg, date);
+  const seasonal = season?.prices?.[occupancy];
+  const price = seasonal ?? pkg.basePrices?.[occupancy];
+  if (price === undefined || price === null) {
+    throw httpError(422, `${pkg.name} has no ${occupancy} price for ${new Date(date).toISOString().slice(0, 10)}`);
+  }
+  return {
+    price,
+    currency: pkg.currency,
+    occupancy,
+    season: seasonal !== undefined && seasonal !== null ? season.name || null : null,
+  };
+};
+
+/** Every occupancy's price for a date; occupancies without one are left out. */
+export const pricesFor = (pkg, date = new Date()) =>
+  OCCUPANCIES.reduce((acc, occupancy) => {
+    try {
+      acc[occupancy] = priceFor(pkg, { date, occupancy }).price;
+    } catch {
+      // not offered at this occupancy
+    }
+    return acc;
+  }, {});
+
+/** Snapshot stored on inquiries and bookings that reference the package. */
+export const packageSnapshot = (pkg, { date, occupancy } = {}) => {
+  const quote = priceFor(pkg, { date: date || new Date(), occupancy: occupancy || "double" });
+  return {
+    name: pkg.name,
+    occupancy: quote.occupancy,
+    price: quote.price,
+    currency: quote.currency,
+    season: quote.season,
+    travelDate: date ? new Date(date) : undefined,
+    pricedAt: new Date(),
+  };
+};
+
+/**
+ * The package in the Inquiry.packageDetails shape (strings, as portals send
+ * it), priced for `date`. Lets conversion and emails keep working off
+ * packageDetails for catalog packages too.
+ */
+export const packageDetailsFrom = (pkg, date) => {
+  const prices = pricesFor(pkg, date);
+  const nights = (key) => (pkg.hotels?.[key]?.nights ? String(pkg.hotels[key].nights) : null);
+  const total = (pkg.hotels?.makkah?.nights || 0) + (pkg.hotels?.madinah?.nights || 0);
+  const inclusions = plain(pkg.inclusions) || {};
+  return {
+    packageName: pkg.name,
+    pricing: {
+      double: prices.double !== undefined ? String(prices.double) : null,
+      triple: prices.triple !== undefined ? String(prices.triple) : null,
+      quad: prices.quad !== undefined ? String(prices.quad) : null,
+      currency: pkg.currency,
+    },
+    duration: {
+      nightsMakkah: nights("makkah"),
+      nightsMadina: nights("madinah"),
+      totalNights: total ? String(total) : null,
+    },
+    hotels: {
+      makkah: pkg.hotels?.makkah?.name || null,
+      madina: pkg.hotels?.madinah?.name || null,
+    },
+    services: {
+      transportation: pkg.services?.transportation || null,
+      visa: pkg.services?.visa || null,
+    },
+    inclusions: {
+      breakfast: Boolean(inclusions.breakfast),
+      dinner: Boolean(inclusions.dinner),
+      visa: Boolean(inclusions.visa),
+      ticket: Boolean(inclusions.ticket),
+      roundtrip: Boolean(inclusions.roundtrip),
+      ziyarat: Boolean(inclusions.ziyarat),
+      guide: Boolean(inclusions.guide),
+    },
+  };
+};
+
+const priceTable = (prices, label) => {
+  const out = {};
+  Object.entries(plain(prices) || {}).forEach(([occupancy, value]) => {
+    if (value === undefined || value === null || value === "") return;
+    if (!OCCUPANCIES.includes(occupancy)) {
+      throw httpError(400, `${label}: unknown occupancy "${occupancy}" (use ${OCCUPANCIES.join(", ")})`);
+    }
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < 0) throw httpError(400, `${label}: ${occupancy} price must be a non-negative number`);
+    out[occupancy] = Math.round(n * 100) / 100;
+  });
+  return out;
+};
+
+/**
+ * Clean seasons from client input: valid ranges, numeric prices, no
+ * overlaps. Returns them sorted by start date. Throws httpError(400).
+ */
+export const normalizeSeasons = (seasons) => {
+  if (!Array.isArray(seasons)) throw httpError(400, "seasons must be an array");
+  const list = seasons.map((s, i) => {
+    const label = `Season ${i + 1}${s?.name ? ` (${s.name})` : ""}`;
+    const from = dayOf(s?.from);
+    const to = dayOf(s?.to);
+    if (from === null || to === null) throw httpError(400, `${label}: from and to must be dates`);
+    if (to < from) throw httpError(400, `${label}: to is before from`);
+    return {
+      ...(s._id ? { _id: s._id } : {}),
+      name: s.name ? String(s.name).trim() : undefined,
+      from: new Date(from * DAY),
+      to: new Date(to * DAY),
+      prices: priceTable(s.prices, label),
+    };
+  });
+
+  list.sort((a, b) => a.from - b.from);
+  list.forEach((s, i) => {
+    const next = list[i + 1];
+    if (next && dayOf(next.from) <= dayOf(s.to)) {
+      throw httpError(400, `Seasons "${s.name || i + 1}" and "${next.name || i + 2}" overlap`);
+    }
+  });
+  return list;
+};
+
+export const normalizeBasePrices = (prices) => priceTable(prices, "basePrices");
@@ -0,0 +1,48 @@
+// utils/packageQuote.js (ESM)
+import mongoose from "mongoose";
+import Package from "../models/Package.js";
+import { httpError } from "./httpError.js";
+import { packageDetailsFrom, packageSnapshot } from "./packageCatalog.js";
+
+/**
+ * Quote a catalog package for an inquiry or booking. Resolves to
+ * { pkg, packageId, packageSnapshot, packageDetails }. Only active packages
+ * can be quoted; 404 for an unknown id.
+ */
+export const quotePackage = async (packageId, { occupancy, date } = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(String(packageId))) throw httpError(400, "packageId is not a valid id");
+  const pkg = await Package.findById(packageId);
+  if (!pkg) throw httpError(404, "Package not found");
+  if (pkg.status !== "active") throw httpError(409, `Package ${pkg.name} is ${pkg.status}`);
+
+  const travelDate = date ? new Date(date) : undefined;
+  if (travelDate && Number.isNaN(travelDate.getTime())) throw httpError(400, "travelDate is not a valid date");
+
+  return {
+    pkg,
+    packageId: pkg._id,
+    packageSnapshot: packageSnapshot(pkg, { date: travelDate, occupancy: occupancy ? String(occupancy).toLowerCase() : undefined }),
+    packageDetails: packageDetailsFrom(pkg, travelDate || new Date()),
+  };
+};
+
+/**
+ * Inquiry fields for a payload that names a catalog package (packageId /
+ * package_id, occupancy / room_type, travelDate / travel_date). The catalog
+ * replaces any packageDetails sent alongside. Returns `fields` unchanged
+ * when no package is named.
+ */
+export const withCatalogPackage = async (fields, body = {}) => {
+  const packageId = body.packageId || body.package_id;
+  if (!packageId) return fields;
+  const quote = await quotePackage(packageId, {
+    occupancy: body.occupancy || body.room_type,
+    date: body.travelDate || body.travel_date,
+  });
+  return {
+    ...fields,
+    packageId: quote.packageId,
+    packageSnapshot: quote.packageSnapshot,
+    packageDetails: quote.packageDetails,
+  };
+};
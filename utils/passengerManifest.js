@@ -0,0 +1,217 @@
+// utils/passengerManifest.js (ESM)
+import { httpError } from "./httpError.js";
+
+/**
+ * Passenger manifest (booking.manifest).
+ *
+ * One entry per traveller with the names exactly as printed in the passport
+ * (upper-cased), date of birth, passport number/expiry, gender and type.
+ * The type follows the usual airline age bands on the departure date
+ * (infant under 2, child under 12) when it is not given.
+ *
+ * Checks (manifestIssues):
+ *   - every passport is valid PASSPORT_VALIDITY_MONTHS after returnDate
+ *     (departureDate when there is no return date)
+ *   - the head count matches visas.count, and adults/children/passengers
+ *     where those hold a number
+ * Drafts may carry issues; they block submission, approval and ticketing
+ * (bookingLifecycle guards) and edits to bookings already in those states.
+ */
+
+export const PASSENGER_TYPES = ["adult", "child", "infant"];
+export const PASSENGER_TITLES = ["Mr", "Mrs", "Ms", "Miss", "Mstr", "Dr"];
+export const GENDERS = ["M", "F", "X"];
+export const PASSPORT_VALIDITY_MONTHS = 6;
+
+// States in which the manifest must be free of issues
+export const MANIFEST_CHECKED_STATES = ["submitted", "approved", "ticketed"];
+
+const CHILD_AGE = 12;
+const INFANT_AGE = 2;
+
+const toDate = (value) => {
+  if (value === undefined || value === null || value === "") return undefined;
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d;
+};
+
+const isoDate = (d) => (d ? d.toISOString().slice(0, 10) : null);
+
+const addMonths = (date, months) => {
+  const d = new Date(date);
+  d.setUTCMonth(d.getUTCMonth() + months);
+  return d;
+};
+
+// Whole years between two dates
+export const ageOn = (dateOfBirth, on) => {
+  const dob = new Date(dateOfBirth);
+  const at = new Date(on);
+  let age = at.getUTCFullYear() - dob.getUTCFullYear();
+  const beforeBirthday =
+    at.getUTCMonth() < dob.getUTCMonth() ||
+    (at.getUTCMonth() === dob.getUTCMonth() && at.getUTCDate() < dob.getUTCDate());
+  if (beforeBirthday) age -= 1;
+  return age;
+};
+
+export const passengerTypeFor = (dateOfBirth, on = new Date()) => {
+  const age = ageOn(dateOfBirth, on);
+  if (age < INFANT_AGE) return "infant";
+  if (age < CHILD_AGE) return "child";
+  return "adult";
+};
+
+// Passport names: upper case, single spaces, letters/spaces/hyphens/apostrophes
+const passportName = (value) =>
+  String(value ?? "")
+    .trim()
+    .replace(/\s+/g, " ")
+    .toUpperCase();
+
+/**
+ * Clean one manifest entry from client input. Throws httpError(400) naming
+ * the passenger and field on malformed input. `travelDate` picks the type
+ * when none is given.
+ */
+export const normalizePassenger = (input = {}, index = 0, { travelDate } = {}) => {
+  const label = `Passenger ${index + 1}`;
+  const fail = (message) => {
+    throw httpError(400, `${label}: ${message}`, { passenger: index });
+  };
+
+  const givenNames = passportName(input.givenNames ?? input.firstName);
+  const surname = passportName(input.surname ?? input.lastName);
+  if (!givenNames && !surname) fail("givenNames or surname is required");
+  if (/[^A-Z\s'-]/.test(`${givenNames}${surname}`)) {
+    fail("names must be written as in the passport (Latin letters, spaces, - and ')");
+  }
+
+  let title;
+  if (input.title) {
+    title = PASSENGER_TITLES.find((t) => t.toLowerCase() === String(input.title).replace(/\./g, "").trim().toLowerCase());
+    if (!title) fail(`title must be one of ${PASSENGER_TITLES.join(", ")}`);
+  }
+
+  let gender;
+  if (input.gender) {
+    gender = String(input.gender).trim().charAt(0).toUpperCase();
+    if (!GENDERS.includes(gender)) fail(`gender must be one of ${GENDERS.join(", ")}`);
+  }
+
+  const dateOfBirth = toDate(input.dateOfBirth);
+  if (dateOfBirth === null) fail("dateOfBirth is not a valid date");
+  if (dateOfBirth && dateOfBirth > new Date()) fail("dateOfBirth is in the future");
+
+  const passportExpiry = toDate(input.passportExpiry);
+  if (passportExpiry === null) fail("passportExpiry is not a valid date");
+
+  const passportNumber = String(input.passportNumber ?? "").replace(/\s+/g, "").toUpperCase() || undefined;
+  if (passportNumber && !/^[A-Z0-9]{5,15}$/.test(passportNumber)) {
+    fail("passportNumber must be 5-15 letters or digits");
+  }
+
+  let type = input.type ? String(input.type).trim().toLowerCase() : undefined;
+  if (type && !PASSENGER_TYPES.includes(type)) fail(`type must be one of ${PASSENGER_TYPES.join(", ")}`);
+  if (!type) type = dateOfBirth ? passengerTypeFor(dateOfBirth, travelDate || new Date()) : "adult";
+
+  return {
+    ...(input._id ? { _id: input._id } : {}),
+    title,
+    givenNames: givenNames || undefined,
+    surname: surname || undefined,
+    dateOfBirth,
+    gender,
+    type,
+    nationality: input.nationality ? String(input.nationality).trim() : undefined,
+    passportNumber,
+    passportExpiry,
+  };
+};
+
+/** Clean a whole manifest (array) for the booking's travel date. */
+export const normalizeManifest = (list, { travelDate } = {}) => {
+  if (!Array.isArray(list)) throw httpError(400, "manifest must be an array of passengers");
+  const manifest = list.map((p, i) => normalizePassenger(p, i, { travelDate: toDate(travelDate) || undefined }));
+
+  const seen = new Map();
+  manifest.forEach((p, i) => {
+    if (!p.passportNumber) return;
+    if (seen.has(p.passportNumber)) {
+      throw httpError(400, `Passengers ${seen.get(p.passportNumber) + 1} and ${i + 1} share passport ${p.passportNumber}`);
+    }
+    seen.set(p.passportNumber, i);
+  });
+  return manifest;
+};
+
+// A number held in one of the legacy free-text count fields, if any
+const countFrom = (value) => {
+  const match = String(value ?? "").trim().match(/^\d+$/);
+  return match ? Number(match[0]) : undefined;
+};
+
+export const manifestCounts = (manifest = []) =>
+  manifest.reduce(
+    (acc, p) => {
+      acc.total += 1;
+      acc[p.type || "adult"] += 1;
+      return acc;
+    },
+    { total: 0, adult: 0, child: 0, infant: 0 }
+  );
+
+/**
+ * Problems with a booking's manifest, as [{ code, message, passenger? }].
+ * Empty when the manifest is fine (or there is none).
+ */
+export const manifestIssues = (booking) => {
+  const manifest = booking.manifest || [];
+  if (!manifest.length) return [];
+  const issues = [];
+  const name = (p, i) => [p.givenNames, p.surname].filter(Boolean).join(" ") || `Passenger ${i + 1}`;
+
+  const travelEnd = toDate(booking.returnDate) || toDate(booking.departureDate);
+  const validUntil = travelEnd ? addMonths(travelEnd, PASSPORT_VALIDITY_MONTHS) : null;
+
+  manifest.forEach((p, i) => {
+    if (!p.passportNumber) {
+      issues.push({ code: "passport_missing", passenger: i, message: `${name(p, i)}: passport number is missing` });
+    }
+    if (!p.passportExpiry) {
+      issues.push({ code: "passport_expiry_missing", passenger: i, message: `${name(p, i)}: passport expiry is missing` });
+    } else if (validUntil && new Date(p.passportExpiry) < validUntil) {
+      issues.push({
+        code: "passport_validity",
+        passenger: i,
+        message:
+          `${name(p, i)}: passport expires ${isoDate(new Date(p.passportExpiry))}; it must be valid until ` +
+          `${isoDate(validUntil)} (${PASSPORT_VALIDITY_MONTHS} months after ${booking.returnDate ? "return" : "departure"})`,
+      });
+    }
+    if (!p.dateOfBirth) {
+      issues.push({ code: "dob_missing", passenger: i, message: `${name(p, i)}: date of birth is missing` });
+    }
+  });
+
+  const counts = manifestCounts(manifest);
+  const expect = (code, field, expected, actual) => {
+    if (expected !== undefined && expected !== actual) {
+      issues.push({ code, message: `${field} says ${expected} but the manifest has ${actual}` });
+    }
+  };
+  expect("visa_count", "visas.count", booking.visas?.count ?? undefined, counts.total);
+  expect("passenger_count", "passengers", countFrom(booking.passengers), counts.total);
+  expect("adult_count", "adults", countFrom(booking.adults), counts.adult);
+  expect("child_count", "children", countFrom(booking.children), counts.child + counts.infant);
+
+  return issues;
+};
+
+/** Throw 422 with the issues when the manifest is not ready for submission. */
+export const assertManifestReady = (booking) => {
+  const issues = manifestIssues(booking);
+  if (issues.length) {
+    throw httpError(422, `Passenger manifest has ${issues.length} issue(s): ${issues[0].message}`, { issues });
+  }
+};
@@ -0,0 +1,49 @@
+// utils/paymentLedger.js (ESM)
+// Pure helpers over Booking.payments; no model imports (Booking uses these in a hook).
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+/**
+ * Amount the customer owes for the booking: the costing sale total when
+ * present, otherwise totalAmount / amount.
+ */
+export const bookingTotal = (booking) =>
+  round2(booking?.costing?.totals?.totalSale || booking?.totalAmount || booking?.amount || 0);
+
+// Ledger entries, falling back to the legacy single paymentReceived when empty
+export const ledgerEntries = (booking) => {
+  const entries = booking?.payments || [];
+  if (entries.length > 0) return entries;
+  const legacy = booking?.paymentReceived;
+  if (legacy?.amount > 0) {
+    return [{ type: "payment", status: "posted", legacy: true, ...(legacy.toObject?.() || legacy) }];
+  }
+  return [];
+};
+
+// Total already refunded against one payment entry
+export const refundedAgainst = (booking, paymentId) =>
+  round2(
+    (booking?.payments || [])
+      .filter((e) => e.type === "refund" && e.status === "posted" && String(e.refundOf) === String(paymentId))
+      .reduce((sum, e) => sum + e.amount, 0)
+  );
+
+/**
+ * { total, paid, refunded, netPaid, outstanding } from posted entries.
+ * Voided entries are ignored. outstanding is never negative.
+ */
+export const summarizeLedger = (booking) => {
+  const posted = ledgerEntries(booking).filter((e) => e.status !== "void");
+  const paid = round2(posted.filter((e) => e.type === "payment").reduce((s, e) => s + e.amount, 0));
+  const refunded = round2(posted.filter((e) => e.type === "refund").reduce((s, e) => s + e.amount, 0));
+  const total = bookingTotal(booking);
+  const netPaid = round2(paid - refunded);
+  return {
+    total,
+    paid,
+    refunded,
+    netPaid,
+    outstanding: round2(Math.max(total - netPaid, 0)),
+  };
+};
@@ -0,0 +1,279 @@
+// utils/webhookOutbox.js (ESM)
+import superagent from "superagent";
+import WebhookDelivery from "../models/WebhookDelivery.js";
+import { signatureHeaders } from "./webhookSignature.js";
+import { onTransition, stateOf } from "./bookingLifecycle.js";
+
+/**
+ * Outbound webhooks.
+ *
+ * enqueueWebhook() stores a WebhookDelivery; the worker (startWebhookWorker,
+ * started by server.js) POSTs it signed with the X-Webhook-Signature scheme
+ * (utils/webhookSignature.js). Non-2xx responses and network errors are
+ * retried with exponential backoff (WEBHOOK_BACKOFF_BASE_MS, default 30s,
+ * doubling, capped at 6h). After WEBHOOK_MAX_ATTEMPTS (default 8) the
+ * delivery is dead-lettered; admins can replay it.
+ *
+ * Targets per event family:
+ *   inquiry.*  INQUIRY_WEBHOOK_URL / INQUIRY_WEBHOOK_SECRET
+ *   booking.*  BOOKING_WEBHOOK_URL / BOOKING_WEBHOOK_SECRET (default to the inquiry ones)
+ * Events for a family without a URL and secret are not queued.
+ */
+
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const BACKOFF_BASE_MS = Number(process.env.WEBHOOK_BACKOFF_BASE_MS) || 30000;
+const BACKOFF_MAX_MS = 6 * 60 * 60 * 1000;
+const STALE_LOCK_MS = 5 * 60 * 1000;
+
+const targetFor = (event) => {
+  const inquiry = { url: process.env.INQUIRY_WEBHOOK_URL, secret: process.env.INQUIRY_WEBHOOK_SECRET };
+  if (event.startsWith("booking.")) {
+    return {
+      url: process.env.BOOKING_WEBHOOK_URL || inquiry.url,
+      secret: process.env.BOOKING_WEBHOOK_SECRET || inquiry.secret,
+    };
+  }
+  return inquiry;
+};
+
+// Delay before attempt n+1 after n failed attempts, with +-20% jitter
+export const backoffDelay = (attempts) => {
+  const base = Math.min(BACKOFF_BASE_MS * 2 ** (attempts - 1), BACKOFF_MAX_MS);
+  return Math.round(base * (0.8 + Math.random() * 0.4));
+};
+
+/* ------------------------------ payloads ------------------------------ */
+
+// Inquiry payload in the shape the receiving site already expects
+export const buildInquiryWebhookBody = (inq) => {
+  const basePayload = {
+    id: inq._id?.toString?.() || String(inq.id || ""),
+    name: inq.customerName || inq.name || "",
+    email: inq.customerEmail || inq.email || "",
+    phone: inq.customerPhone || inq.phone || "",
+    message: inq.message || "",
+    created_at: (inq.createdAt instanceof Date ? inq.createdAt : new Date(inq.createdAt || Date.now())).toISOString(),
+  };
+
+  // Add package_details if package details exist
+  if (inq.packageDetails && inq.packageDetails.packageName) {
+    const pkg = inq.packageDetails;
+    basePayload.package_details = {
+      package_name: pkg.packageName,
+      pricing: {
+        double: pkg.pricing?.double || null,
+        triple: pkg.pricing?.triple || null,
+        quad: pkg.pricing?.quad || null,
+        currency: pkg.pricing?.currency || 'USD',
+      },
+      duration: {
+        nights_makkah: pkg.duration?.nightsMakkah || null,
+        nights_madina: pkg.duration?.nightsMadina || null,
+        total_nights: pkg.duration?.totalNights || null,
+      },
+      hotels: {
+        makkah: pkg.hotels?.makkah || null,
+        madina: pkg.hotels?.madina || null,
+      },
+      services: {
+        transportation: pkg.services?.transportation || null,
+        visa: pkg.services?.visa || null,
+      },
+      inclusions: {
+        breakfast: pkg.inclusions?.breakfast || false,
+        dinner: pkg.inclusions?.dinner || false,
+        visa: pkg.inclusions?.visa || false,
+        ticket: pkg.inclusions?.ticket || false,
+        roundtrip: pkg.inclusions?.roundtrip || false,
+        ziyarat: pkg.inclusions?.ziyarat || false,
+        guide: pkg.inclusions?.guide || false,
+      },
+    };
+  }
+
+  return basePayload;
+};
+
+const isoOrNull = (d) => (d ? new Date(d).toISOString() : null);
+
+// Booking summary for booking.* events; no card or ledger detail
+export const buildBookingWebhookBody = (b, extra = {}) => ({
+  id: String(b._id),
+  state: stateOf(b),
+  status: b.status || null,
+  approval_status: b.approvalStatus || null,
+  customer_name: b.customerName || "",
+  customer_email: b.customerEmail || "",
+  contact_number: b.contactNumber || "",
+  package: b.package || "",
+  pnr: b.pnr || null,
+  agent_id: b.agent ? String(b.agent._id || b.agent) : null,
+  departure_date: isoOrNull(b.departureDate),
+  return_date: isoOrNull(b.returnDate),
+  total_sale: b.costing?.totals?.totalSale ?? b.ledgerTotals?.total ?? null,
+  outstanding: b.ledgerTotals?.outstanding ?? null,
+  updated_at: isoOrNull(b.updatedAt || Date.now()),
+  ...extra,
+});
+
+/* ------------------------------- outbox ------------------------------- */
+
+/**
+ * Queue a webhook. Returns the WebhookDelivery, or null when the event's
+ * target is not configured. `idempotencyKey` defaults to the delivery id and
+ * stays the same across retries and replays. `drain: false` leaves the first
+ * attempt to the caller (see attemptNow).
+ */
+export const enqueueWebhook = async ({ event, payload, resource, idempotencyKey, drain = true }) => {
+  const { url, secret } = targetFor(event);
+  if (!url || !secret) return null;
+
+  const delivery = new WebhookDelivery({ event, url, payload, resource });
+  delivery.idempotencyKey = idempotencyKey || `wh-${delivery._id}`;
+  await delivery.save();
+
+  if (drain) setImmediate(() => processWebhookQueue().catch((e) => console.error("Webhook queue error:", e)));
+  return delivery;
+};
+
+// Fire-and-forget wrapper for controllers: queueing must not fail the request
+export const emitWebhook = (args) =>
+  enqueueWebhook(args).catch((error) => {
+    console.error(`Queueing webhook ${args.event} failed:`, error);
+    return null;
+  });
+
+export const emitInquiryWebhook = (event, inquiry) =>
+  emitWebhook({
+    event,
+    payload: buildInquiryWebhookBody(inquiry),
+    resource: { kind: "inquiry", id: inquiry._id },
+    // Receivers have de-duplicated inquiries on this key since before the outbox
+    idempotencyKey: event === "inquiry.created" ? `inq-${inquiry._id}` : undefined,
+  });
+
+export const emitBookingWebhook = (event, booking, extra) =>
+  emitWebhook({
+    event,
+    payload: buildBookingWebhookBody(booking, extra),
+    resource: { kind: "booking", id: booking._id },
+  });
+
+onTransition("*", ({ booking, from, to, reason }) =>
+  emitBookingWebhook("booking.state_changed", booking, { from_state: from, to_state: to, reason: reason || null })
+);
+
+/**
+ * Make one delivery attempt and record it. The delivery must already be
+ * claimed (status "sending").
+ */
+export const attemptDelivery = async (delivery) => {
+  const { secret } = targetFor(delivery.event);
+  const raw = JSON.stringify(delivery.payload);
+  const started = Date.now();
+  const attempt = { at: new Date(started) };
+  delivery.attempts += 1;
+
+  try {
+    if (!secret) throw new Error("Webhook secret is no longer configured");
+    const resp = await superagent
+      .post(delivery.url)
+      .timeout({ response: 10000, deadline: 20000 })
+      .set("Content-Type", "application/json")
+      .set(signatureHeaders(secret, raw, started))
+      .set("X-Webhook-Event", delivery.event)
+      .set("X-Webhook-Delivery", String(delivery._id))
+      .set("Idempotency-Key", delivery.idempotencyKey)
+      .send(raw);
+
+    Object.assign(attempt, { statusCode: resp.status, response: String(resp.text || "").slice(0, 2048) });
+    delivery.status = "delivered";
+    delivery.deliveredAt = new Date();
+    delivery.lastError = undefined;
+  } catch (e) {
+    Object.assign(attempt, {
+      statusCode: e.status || null,
+      response: e.response?.text ? String(e.response.text).slice(0, 2048) : undefined,
+      error: e.message,
+    });
+    delivery.lastError = e.status ? `HTTP ${e.status}` : e.message;
+    if (delivery.attempts >= MAX_ATTEMPTS) {
+      delivery.status = "dead";
+      delivery.deadAt = new Date();
+    } else {
+      delivery.status = "pending";
+      delivery.nextAttemptAt = new Date(Date.now() + backoffDelay(delivery.attempts));
+    }
+  }
+
+  attempt.durationMs = Date.now() - started;
+  delivery.lockedAt = undefined;
+  delivery.history.push(attempt);
+  await delivery.save();
+  return delivery;
+};
+
+// Atomically claim a due delivery (or a specific one) for this process
+export const claimDelivery = (filter = {}) =>
+  WebhookDelivery.findOneAndUpdate(
+    { status: "pending", nextAttemptAt: { $lte: new Date() }, ...filter },
+    { $set: { status: "sending", lockedAt: new Date() } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+
+// Claim and attempt one specific delivery right away (manual forward)
+export const attemptNow = async (delivery) => {
+  const claimed = await claimDelivery({ _id: delivery._id });
+  return claimed ? attemptDelivery(claimed) : WebhookDelivery.findById(delivery._id);
+};
+
+let draining = false;
+
+/** Attempt every due delivery (up to `limit`). Safe to run on several instances. */
+export const processWebhookQueue = async ({ limit = 50 } = {}) => {
+  const result = { delivered: 0, pending: 0, dead: 0 };
+  if (draining) return result;
+  draining = true;
+
+  try {
+    await WebhookDelivery.updateMany(
+      { status: "sending", lockedAt: { $lt: new Date(Date.now() - STALE_LOCK_MS) } },
+      { $set: { status: "pending" }, $unset: { lockedAt: 1 } }
+    );
+
+    for (let i = 0; i < limit; i++) {
+      const delivery = await claimDelivery();
+      if (!delivery) break;
+      result[(await attemptDelivery(delivery)).status] += 1;
+    }
+  } finally {
+    draining = false;
+  }
+  return result;
+};
+
+/**
+ * Put a delivery (delivered or dead) back in the queue with a fresh attempt
+ * budget. History is kept. Returns null if it is currently pending/sending.
+ */
+export const replayDelivery = (id) =>
+  WebhookDelivery.findOneAndUpdate(
+    { _id: id, status: { $in: ["delivered", "dead"] } },
+    { $set: { status: "pending", attempts: 0, nextAttemptAt: new Date() }, $unset: { deadAt: 1 } },
+    { new: true }
+  );
+
+let timer = null;
+
+/** Poll the outbox every WEBHOOK_QUEUE_INTERVAL_MS (default 15s). */
+export const startWebhookWorker = () => {
+  if (timer) return;
+  const every = Number(process.env.WEBHOOK_QUEUE_INTERVAL_MS) || 15000;
+  timer = setInterval(() => processWebhookQueue().catch((e) => console.error("Webhook queue error:", e)), every);
+  timer.unref();
+};
+
+export const stopWebhookWorker = () => {
+  clearInterval(timer);
+  timer = null;
+};
@@ -0,0 +1,47 @@
+// utils/webhookSignature.js (ESM)
+import crypto from "crypto";
+
+/**
+ * Webhook signing scheme (outbound and inbound):
+ *
+ *   X-Webhook-Timestamp: unix seconds
+ *   X-Webhook-Signature: hex HMAC-SHA256 of `${timestamp}.${rawBody}` with the shared secret
+ */
+export const signWebhook = (secret, timestamp, raw) =>
+  crypto.createHmac("sha256", secret).update(`${timestamp}.${raw}`).digest("hex");
+
+// Headers for an outbound request carrying `raw`
+export const signatureHeaders = (secret, raw, now = Date.now()) => {
+  const timestamp = Math.floor(now / 1000).toString();
+  return {
+    "X-Webhook-Timestamp": timestamp,
+    "X-Webhook-Signature": signWebhook(secret, timestamp, raw),
+  };
+};
+
+const safeEqualHex = (a, b) => {
+  const x = Buffer.from(String(a), "hex");
+  const y = Buffer.from(String(b), "hex");
+  return x.length > 0 && x.length === y.length && crypto.timingSafeEqual(x, y);
+};
+
+/**
+ * Check an inbound request signed with the scheme above. `secrets` may hold
+ * several values so a source can rotate its secret. Requests whose timestamp
+ * is more than `toleranceSeconds` away from now are refused as replays.
+ * Returns { ok: true } or { ok: false, reason }.
+ */
+export const verifyWebhookSignature = ({ secrets, timestamp, signature, raw, toleranceSeconds = 300, now = Date.now() }) => {
+  if (!timestamp || !signature) return { ok: false, reason: "Missing X-Webhook-Timestamp or X-Webhook-Signature" };
+
+  const ts = Number(timestamp);
+  if (!/^\d+$/.test(String(timestamp)) || !Number.isSafeInteger(ts)) {
+    return { ok: false, reason: "Invalid X-Webhook-Timestamp" };
+  }
+  if (Math.abs(now / 1000 - ts) > toleranceSeconds) {
+    return { ok: false, reason: "Timestamp outside the allowed window" };
+  }
+
+  const valid = secrets.some((secret) => safeEqualHex(signWebhook(secret, timestamp, raw), signature));
+  return valid ? { ok: true } : { ok: false, reason: "Signature mismatch" };
+};